@@ -0,0 +1,12 @@
+module.exports = {
+  root: true,
+  extends: ['react-app'],
+  env: {
+    browser: true,
+    es2022: true
+  },
+  globals: {
+    // Google Analytics, loaded by index.html in production
+    gtag: 'readonly'
+  }
+};
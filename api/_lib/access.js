@@ -0,0 +1,128 @@
+/**
+ * Access control for the public API
+ *
+ * Requests without an X-API-Key header are anonymous and rate limited per
+ * IP. With a key the request must come from one of the key's allowed
+ * origins (when it has any and the request has an Origin), stay within the
+ * key's daily quota and then within its per-minute rate.
+ */
+
+const { API_KEY_HEADER, createConfiguredKeyStore } = require('./api-keys');
+const { createRateLimiter, setRateLimitHeaders, RATE_LIMIT_HEADERS } = require('./rate-limit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Request headers a cross-origin integrator may send with a key
+const KEY_REQUEST_HEADERS = ['content-type', 'if-none-match', 'last-event-id', 'x-api-key'];
+
+function denied(status, error, message, extra = {}) {
+  return { allowed: false, status, error, message, apiKey: null, rateLimit: null, ...extra };
+}
+
+function secondsUntilNextUtcDay(now) {
+  return Math.max(1, Math.ceil((Math.floor(now / DAY_MS + 1) * DAY_MS - now) / 1000));
+}
+
+// Lets a key's own origins read the response when the site allowlist did not
+function allowKeyOrigin(res, origin) {
+  if (res.getHeader?.('Access-Control-Allow-Origin')) return;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Expose-Headers', RATE_LIMIT_HEADERS.join(', '));
+  res.setHeader('Vary', 'Origin');
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.keyStore - createApiKeyStore()
+ * @param {Object} options.limiter - createRateLimiter()
+ * @param {function(): number} [options.clock]
+ */
+function createAccessControl({ keyStore, limiter, clock = Date.now }) {
+  return {
+    /**
+     * Authenticate the request's key, if any, and apply quotas and rate
+     * limits. Sets the RateLimit headers, and Retry-After when over a limit.
+     *
+     * @returns {Promise<{ allowed: boolean, status?: number, error?: string, message?: string, apiKey: Object|null, rateLimit: Object|null }>}
+     *   Answer with status, error and message when !allowed
+     */
+    async check(req, res) {
+      const key = String(req.headers?.[API_KEY_HEADER] || '').trim();
+      let apiKey = null;
+
+      if (key) {
+        try {
+          apiKey = await keyStore.authenticate(key);
+          if (!apiKey) {
+            return denied(401, 'Invalid API key', `The ${API_KEY_HEADER} header does not match an active key`);
+          }
+        } catch (error) {
+          // Serve the key as anonymous rather than fail every keyed request
+          console.error(`[ACCESS] ${error.message}; treating the request as anonymous`);
+        }
+      }
+
+      if (apiKey) {
+        const origin = req.headers?.origin;
+        if (origin && apiKey.allowedOrigins.length > 0) {
+          if (!apiKey.allowedOrigins.includes(origin)) {
+            return denied(403, 'Origin not allowed', `This API key cannot be used from ${origin}`, { apiKey });
+          }
+          allowKeyOrigin(res, origin);
+        }
+
+        if (apiKey.dailyQuota && apiKey.requestsToday > apiKey.dailyQuota) {
+          const retryAfter = secondsUntilNextUtcDay(clock());
+          res.setHeader('Retry-After', String(retryAfter));
+          return denied(429, 'Quota exceeded', `This API key has used its ${apiKey.dailyQuota} requests for today (UTC). The quota resets in ${retryAfter} seconds.`, { apiKey });
+        }
+      }
+
+      const rateLimit = await limiter.check(req, { apiKey });
+      setRateLimitHeaders(res, rateLimit);
+      if (!rateLimit.allowed) {
+        return denied(429, 'Rate limit exceeded', `Too many requests. Please try again in ${rateLimit.retryAfter} seconds.`, { apiKey, rateLimit });
+      }
+
+      return { allowed: true, apiKey, rateLimit };
+    }
+  };
+}
+
+/**
+ * Answer a CORS preflight for a keyed request from an origin outside the
+ * site allowlist. The key and its origins are checked on the request itself,
+ * which is all a preflight can defer to since it carries no key.
+ */
+function allowKeyPreflight(req, res) {
+  const origin = req.headers?.origin;
+  const requested = String(req.headers?.['access-control-request-headers'] || '')
+    .split(',')
+    .map(header => header.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!origin || !requested.includes(API_KEY_HEADER) || res.getHeader?.('Access-Control-Allow-Origin')) return;
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', requested.filter(header => KEY_REQUEST_HEADERS.includes(header)).join(', '));
+  res.setHeader('Vary', 'Origin');
+}
+
+let defaultAccess = null;
+
+/**
+ * Check a request with the deployment's key store and rate limiter
+ */
+async function checkAccess(req, res) {
+  if (!defaultAccess) {
+    defaultAccess = createAccessControl({ keyStore: createConfiguredKeyStore(), limiter: createRateLimiter() });
+  }
+  return defaultAccess.check(req, res);
+}
+
+module.exports = {
+  createAccessControl,
+  allowKeyPreflight,
+  checkAccess
+};
@@ -0,0 +1,244 @@
+/**
+ * API keys for third-party integrators
+ *
+ * Keys are issued and revoked through /api/keys-cjs and kept in Supabase
+ * (`api_keys`) as SHA-256 hashes, each with an optional daily quota, its
+ * own per-minute rate and the browser origins allowed to use it. Every
+ * accepted request is counted per key and UTC day (`api_key_usage`).
+ *
+ * Keys listed in EARTHPH_API_KEYS are also accepted, without a quota or
+ * origin limits and counted in memory; they are the only keys available
+ * with the SQLite and in-memory storage backends.
+ */
+
+const crypto = require('crypto');
+const { readSection } = require('./config');
+const { getStorageConfig, createEventRepository } = require('./repository');
+
+const API_KEY_HEADER = 'x-api-key';
+const KEY_PREFIX = 'eph_';
+// Shown in listings so a key can be recognised without revealing it
+const DISPLAY_PREFIX_LENGTH = 12;
+const MAX_NAME_LENGTH = 100;
+const USAGE_DAYS = 30;
+
+const KEY_COLUMNS = 'id, name, key_prefix, daily_quota, rate_per_minute, allowed_origins, created_at, revoked_at';
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * A new random key; only the hash and display prefix are stored
+ *
+ * @returns {{ key: string, prefix: string, hash: string }}
+ */
+function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), hash: hashApiKey(key) };
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    dailyQuota: row.daily_quota ?? null,
+    ratePerMinute: row.rate_per_minute ?? null,
+    allowedOrigins: row.allowed_origins || [],
+    createdAt: row.created_at || null,
+    revokedAt: row.revoked_at || null
+  };
+}
+
+function isOrigin(value) {
+  try {
+    return new URL(value).origin === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+function positiveIntegerOrNull(value) {
+  return value === null || value === undefined || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Check the body of a key issuance request
+ *
+ * @param {Object} body - { name, dailyQuota?, ratePerMinute?, allowedOrigins? }
+ * @returns {Array<{ parameter: string, message: string, value: * }>} Empty when valid
+ */
+function validateKeyRequest(body = {}) {
+  const errors = [];
+  const { name, dailyQuota = null, ratePerMinute = null, allowedOrigins = [] } = body;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    errors.push({ parameter: 'name', message: `Must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`, value: name });
+  }
+  if (!positiveIntegerOrNull(dailyQuota)) {
+    errors.push({ parameter: 'dailyQuota', message: 'Must be a positive integer or null for no quota', value: dailyQuota });
+  }
+  if (!positiveIntegerOrNull(ratePerMinute)) {
+    errors.push({ parameter: 'ratePerMinute', message: 'Must be a positive integer or null for the key tier default', value: ratePerMinute });
+  }
+  if (!Array.isArray(allowedOrigins) || !allowedOrigins.every(isOrigin)) {
+    errors.push({ parameter: 'allowedOrigins', message: 'Must be a list of origins such as "https://example.edu.ph"', value: allowedOrigins });
+  }
+  return errors;
+}
+
+/**
+ * @param {Object} options
+ * @param {Object|null} options.supabase - Service-role client; null without Supabase
+ * @param {Array<string>} [options.staticKeys] - Keys from EARTHPH_API_KEYS
+ * @param {function(): number} [options.clock]
+ */
+function createApiKeyStore({ supabase, staticKeys = [], clock = Date.now }) {
+  const staticHashes = new Map(staticKeys.map(key => [hashApiKey(key), key.slice(0, DISPLAY_PREFIX_LENGTH)]));
+  const staticUsage = new Map();
+
+  return {
+    /**
+     * Look up a key and count the request against today's usage
+     *
+     * @param {string} key - Key as sent by the client
+     * @returns {Promise<Object|null>} The key with requestsToday, or null
+     *   when it is unknown or revoked
+     */
+    async authenticate(key) {
+      const hash = hashApiKey(key);
+
+      if (staticHashes.has(hash)) {
+        const usageKey = `${hash}:${utcDay(clock())}`;
+        staticUsage.set(usageKey, (staticUsage.get(usageKey) || 0) + 1);
+        return {
+          ...toApiKey({ id: `static-${hash.slice(0, 16)}`, name: 'EARTHPH_API_KEYS', key_prefix: staticHashes.get(hash) }),
+          requestsToday: staticUsage.get(usageKey)
+        };
+      }
+      if (!supabase) return null;
+
+      const { data, error } = await supabase.rpc('use_api_key', { p_key_hash: hash });
+      if (error) throw new Error(`API key lookup failed: ${error.message}`);
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return row ? { ...toApiKey(row), requestsToday: Number(row.requests_today) } : null;
+    },
+
+    /**
+     * @param {Object} request - Checked with validateKeyRequest()
+     * @returns {Promise<{ key: string, apiKey: Object }>} key is shown only here
+     */
+    async issue({ name, dailyQuota = null, ratePerMinute = null, allowedOrigins = [] }) {
+      const { key, prefix, hash } = generateApiKey();
+      const { data, error } = await supabase
+        .from('api_keys')
+        .insert({
+          name: name.trim(),
+          key_hash: hash,
+          key_prefix: prefix,
+          daily_quota: dailyQuota,
+          rate_per_minute: ratePerMinute,
+          allowed_origins: allowedOrigins
+        })
+        .select(KEY_COLUMNS)
+        .single();
+      if (error) throw error;
+      return { key, apiKey: toApiKey(data) };
+    },
+
+    /**
+     * @returns {Promise<Object|null>} The revoked key, or null if there is none with this id
+     */
+    async revoke(id) {
+      const { data, error } = await supabase
+        .from('api_keys')
+        .update({ revoked_at: new Date(clock()).toISOString() })
+        .eq('id', id)
+        .is('revoked_at', null)
+        .select(KEY_COLUMNS)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? toApiKey(data) : null;
+    },
+
+    /**
+     * @returns {Promise<Object|null>} The key, revoked or not
+     */
+    async get(id) {
+      const { data, error } = await supabase
+        .from('api_keys')
+        .select(KEY_COLUMNS)
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? toApiKey(data) : null;
+    },
+
+    /**
+     * Keys, newest first, with their request count for today (UTC)
+     */
+    async list({ includeRevoked = false } = {}) {
+      let query = supabase.from('api_keys').select(KEY_COLUMNS).order('created_at', { ascending: false });
+      if (!includeRevoked) query = query.is('revoked_at', null);
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const usage = await this.usage((data || []).map(row => row.id), { days: 1 });
+      return (data || []).map(row => ({
+        ...toApiKey(row),
+        requestsToday: usage.find(day => day.keyId === row.id)?.requests || 0
+      }));
+    },
+
+    /**
+     * Daily request counts, newest day first
+     *
+     * @param {Array<string>} keyIds
+     * @param {Object} [options]
+     * @param {number} [options.days]
+     * @returns {Promise<Array<{ keyId: string, day: string, requests: number }>>}
+     */
+    async usage(keyIds, { days = USAGE_DAYS } = {}) {
+      if (keyIds.length === 0) return [];
+      const since = utcDay(clock() - (days - 1) * 24 * 60 * 60 * 1000);
+      const { data, error } = await supabase
+        .from('api_key_usage')
+        .select('key_id, day, requests')
+        .in('key_id', keyIds)
+        .gte('day', since)
+        .order('day', { ascending: false });
+      if (error) throw error;
+      return (data || []).map(row => ({ keyId: row.key_id, day: row.day, requests: Number(row.requests) }));
+    }
+  };
+}
+
+/**
+ * The key store for this deployment: Supabase keys when events are stored
+ * in Supabase with the service-role key, plus EARTHPH_API_KEYS
+ */
+function createConfiguredKeyStore(env = process.env) {
+  const { backend } = getStorageConfig(env);
+  const { supabaseServiceRoleKey, apiKeys } = readSection('secrets', env);
+  const supabase = backend === 'supabase' && supabaseServiceRoleKey
+    ? createEventRepository({ access: 'write', env }).client
+    : null;
+
+  return createApiKeyStore({ supabase, staticKeys: apiKeys });
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  KEY_PREFIX,
+  hashApiKey,
+  generateApiKey,
+  validateKeyRequest,
+  createApiKeyStore,
+  createConfiguredKeyStore
+};
@@ -0,0 +1,111 @@
+/**
+ * Historical backfill from PHIVOLCS monthly archive pages
+ *
+ * Walks a month range oldest first, parses each page with the same row
+ * parser as the live scraper and stores it through storeEvents. Progress is
+ * reported after every month so an interrupted run can resume where it
+ * stopped.
+ */
+
+const phivolcs = require('./sources/phivolcs');
+const { mergeOrigins } = require('./merge');
+
+const MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+
+/**
+ * Parse "YYYY-MM" into { year, month }
+ */
+function parseMonth(value) {
+  const match = MONTH_PATTERN.exec(String(value || '').trim());
+  const month = match ? parseInt(match[2], 10) : 0;
+  if (!match || month < 1 || month > 12) {
+    throw new Error(`Invalid month "${value}", expected YYYY-MM`);
+  }
+  return { year: parseInt(match[1], 10), month };
+}
+
+function formatMonth({ year, month }) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Every month from `from` to `to` inclusive, as "YYYY-MM" strings
+ */
+function monthRange(from, to) {
+  const start = parseMonth(from);
+  const end = parseMonth(to);
+  if (start.year * 12 + start.month > end.year * 12 + end.month) {
+    throw new Error(`Backfill range is reversed: ${from} is after ${to}`);
+  }
+
+  const months = [];
+  for (let { year, month } = start; year * 12 + month <= end.year * 12 + end.month; ) {
+    months.push(formatMonth({ year, month }));
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+/**
+ * Origin-time window of a month in UTC, widened by the PHT offset (+08:00)
+ */
+function monthWindow(value) {
+  const { year, month } = parseMonth(value);
+  return {
+    windowStart: new Date(Date.UTC(year, month - 1, 1) - 8 * 60 * 60 * 1000),
+    windowEnd: new Date(Date.UTC(year, month, 1))
+  };
+}
+
+/**
+ * Run the backfill
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.months - Months to process ("YYYY-MM")
+ * @param {Function} options.loadPage - async (month, { year, month }) => html
+ * @param {Function} options.store - async (events, { windowStart, windowEnd, month }) => { upserted }
+ * @param {Array<string>} [options.completed] - Months already done (skipped)
+ * @param {Function} [options.onProgress] - Called after each month with a progress entry
+ * @returns {Promise<{months: Array, completed: Array, failed: Object|null, resumeFrom: string|null}>}
+ */
+async function runBackfill({ months, loadPage, store, completed = [], onProgress = () => {} }) {
+  const done = new Set(completed);
+  const results = [];
+  const pending = months.filter(month => !done.has(month));
+
+  for (let index = 0; index < pending.length; index++) {
+    const month = pending[index];
+    const started = Date.now();
+
+    try {
+      const html = await loadPage(month, parseMonth(month));
+      const origins = phivolcs.parse(html, { maxRows: Infinity });
+      const events = Array.from(new Map(mergeOrigins(origins).map(event => [event.id, event])).values());
+      const stored = await store(events, { ...monthWindow(month), month });
+
+      done.add(month);
+      const entry = {
+        month,
+        parsed: origins.length,
+        upserted: stored.upserted,
+        revised: stored.revisedEvents || 0,
+        duration: `${Date.now() - started}ms`,
+        position: `${index + 1}/${pending.length}`
+      };
+      results.push(entry);
+      onProgress(entry, [...done]);
+    } catch (error) {
+      const failed = { month, error: error.message, code: error.code || null };
+      onProgress({ ...failed, position: `${index + 1}/${pending.length}` }, [...done]);
+      return { months: results, completed: [...done], failed, resumeFrom: month };
+    }
+  }
+
+  return { months: results, completed: [...done], failed: null, resumeFrom: null };
+}
+
+module.exports = { parseMonth, formatMonth, monthRange, monthWindow, runBackfill };
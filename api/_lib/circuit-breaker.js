@@ -0,0 +1,89 @@
+/**
+ * Per-source circuit breaker
+ *
+ * After EARTHPH_BREAKER_THRESHOLD consecutive failed runs a source is skipped
+ * for EARTHPH_BREAKER_COOLDOWN_MINUTES, then tried again (half-open). The
+ * state lives in `source_fetch_state` because every cron hit is a fresh
+ * serverless invocation. From the first failure to the next success the
+ * source is in an outage window, which is recorded in the run ledger.
+ */
+
+const { readSection } = require('./config');
+
+const BREAKER_DEFAULTS = {
+  failureThreshold: 3,
+  cooldownMinutes: 15
+};
+
+/**
+ * Read breaker settings from the environment
+ */
+function getBreakerConfig(env = process.env) {
+  const { breakerThreshold, breakerCooldownMinutes } = readSection('scraper', env);
+  return { failureThreshold: breakerThreshold, cooldownMinutes: breakerCooldownMinutes };
+}
+
+function isCircuitOpen(state, now = new Date()) {
+  return !!state?.circuitOpenUntil && new Date(state.circuitOpenUntil).getTime() > now.getTime();
+}
+
+/**
+ * Breaker state after a failed run; opens the circuit at the threshold
+ */
+function recordFailure(state = {}, error, { config = BREAKER_DEFAULTS, now = new Date() } = {}) {
+  const consecutiveFailures = (state.consecutiveFailures || 0) + 1;
+  const open = consecutiveFailures >= config.failureThreshold;
+
+  return {
+    consecutiveFailures,
+    outageStartedAt: state.outageStartedAt || now.toISOString(),
+    circuitOpenUntil: open ? new Date(now.getTime() + config.cooldownMinutes * 60 * 1000).toISOString() : null,
+    lastError: error?.message || String(error)
+  };
+}
+
+/**
+ * Breaker state after a successful run, plus the outage it ended (if any)
+ *
+ * Failures below the threshold are blips, not outages.
+ */
+function recordSuccess(state = {}, { config = BREAKER_DEFAULTS, now = new Date() } = {}) {
+  const failures = state.consecutiveFailures || 0;
+
+  return {
+    state: { consecutiveFailures: 0, outageStartedAt: null, circuitOpenUntil: null, lastError: null },
+    outage: failures >= config.failureThreshold && state.outageStartedAt
+      ? { startedAt: state.outageStartedAt, endedAt: now.toISOString(), failures, lastError: state.lastError || null }
+      : null
+  };
+}
+
+/**
+ * Outage windows for the ledger: ongoing ones (endedAt null) and ones that
+ * ended this run
+ */
+function describeOutages(breaker, ended = {}, { config = BREAKER_DEFAULTS } = {}) {
+  const ongoing = Object.entries(breaker)
+    .filter(([, state]) => state.consecutiveFailures >= config.failureThreshold)
+    .map(([source, state]) => ({
+      source,
+      startedAt: state.outageStartedAt,
+      endedAt: null,
+      failures: state.consecutiveFailures,
+      circuitOpenUntil: state.circuitOpenUntil,
+      lastError: state.lastError
+    }));
+
+  const closed = Object.entries(ended).map(([source, outage]) => ({ source, ...outage }));
+
+  return [...ongoing, ...closed];
+}
+
+module.exports = {
+  BREAKER_DEFAULTS,
+  getBreakerConfig,
+  isCircuitOpen,
+  recordFailure,
+  recordSuccess,
+  describeOutages
+};
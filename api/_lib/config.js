@@ -0,0 +1,377 @@
+/**
+ * Deployment configuration
+ *
+ * Every environment variable EarthPH reads is declared in CONFIG_SCHEMA
+ * with its type, default and section. Modules read their section with
+ * readSection(), which throws one ConfigurationError naming every bad value
+ * in it. getConfig() checks the whole schema, plus the settings that only
+ * make sense together, and is what the handlers validate on each request.
+ * describeConfig() is the redacted view served by /api/config.
+ *
+ *   storage     Event storage backend and the Supabase project
+ *   secrets     Supabase keys, the cron secret and static API keys
+ *   cors        Browser origins allowed to call the site's API
+ *   retention   How long events keep full detail, and the default windows
+ *   rateLimits  Public API rate limits
+ *   sources     Enabled agencies, their feed URLs and extra CA certificates
+ *   scraper     Scrape interval, retries, circuit breaker and health threshold
+ *   features    Endpoints a deployment can switch off
+ *
+ * Defaults are written the way they would be set in the environment.
+ */
+
+const fs = require('fs');
+const { ConfigurationError } = require('./errors');
+
+const STORAGE_BACKENDS = ['supabase', 'sqlite', 'memory'];
+const RATE_LIMIT_STORES = ['memory', 'database'];
+const SOURCE_IDS = ['phivolcs', 'usgs', 'emsc'];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+const REDACTED = '[redacted]';
+
+const CONFIG_SCHEMA = [
+  // storage
+  { name: 'EARTHPH_STORAGE', section: 'storage', key: 'backend', type: 'enum', values: STORAGE_BACKENDS, default: 'supabase', description: 'Event storage backend' },
+  { name: 'EARTHPH_SQLITE_PATH', section: 'storage', key: 'sqlitePath', type: 'string', default: 'earthph.sqlite', description: 'SQLite database file' },
+  { name: 'SUPABASE_URL', aliases: ['VITE_SUPABASE_URL'], section: 'storage', key: 'supabaseUrl', type: 'url', default: null, description: 'Supabase project URL' },
+
+  // secrets
+  { name: 'SUPABASE_ANON_KEY', aliases: ['VITE_SUPABASE_ANON_KEY'], section: 'secrets', key: 'supabaseAnonKey', type: 'string', secret: true, default: null, description: 'Supabase anon key, for reads' },
+  { name: 'SUPABASE_SERVICE_ROLE_KEY', section: 'secrets', key: 'supabaseServiceRoleKey', type: 'string', secret: true, default: null, description: 'Supabase service-role key, for writes and admin tables' },
+  { name: 'EARTHPH_CRON_SECRET', section: 'secrets', key: 'cronSecret', type: 'string', secret: true, default: null, description: 'x-earthph-cron-secret value for cron and admin endpoints' },
+  { name: 'EARTHPH_API_KEYS', section: 'secrets', key: 'apiKeys', type: 'list', secret: true, default: '', description: 'Static API keys, comma-separated' },
+
+  // cors
+  { name: 'EARTHPH_ALLOWED_ORIGINS', section: 'cors', key: 'allowedOrigins', type: 'origins', default: 'https://earth-ph.vercel.app,http://localhost:5173,http://localhost:3000', description: 'Origins allowed to call the site API; * in a host matches one label part, a lone * any origin' },
+
+  // retention
+  { name: 'EARTHPH_RETENTION_FULL_DAYS', section: 'retention', key: 'fullDetailDays', type: 'number', min: 0, default: '30', description: 'Days events keep per-agency origins and revisions' },
+  { name: 'EARTHPH_RETENTION_ARCHIVE_DAYS', section: 'retention', key: 'archiveDays', type: 'number', min: 0, default: '0', description: 'Days summary records are kept; 0 keeps them forever' },
+  { name: 'EARTHPH_DEFAULT_VIEW_HOURS', section: 'retention', key: 'defaultViewHours', type: 'number', min: 0, default: '24', description: 'Window of the default events query' },
+  { name: 'EARTHPH_SCRAPE_LOOKBACK_HOURS', section: 'retention', key: 'scrapeLookbackHours', type: 'number', min: 0, default: '24', description: 'Window the scraper asks upstream sources for' },
+
+  // rateLimits
+  { name: 'EARTHPH_RATE_LIMIT_ANONYMOUS_PER_MINUTE', section: 'rateLimits', key: 'anonymousPerMinute', type: 'integer', min: 1, default: '100', description: 'Requests per minute per IP without a key' },
+  { name: 'EARTHPH_RATE_LIMIT_KEY_PER_MINUTE', section: 'rateLimits', key: 'keyPerMinute', type: 'integer', min: 1, default: '1000', description: 'Requests per minute per API key' },
+  { name: 'EARTHPH_RATE_LIMIT_STORE', section: 'rateLimits', key: 'store', type: 'enum', values: RATE_LIMIT_STORES, default: null, description: 'Bucket store; database with Supabase and the service-role key, memory otherwise' },
+  { name: 'EARTHPH_TRUSTED_PROXIES', section: 'rateLimits', key: 'trustedProxies', type: 'integer', min: 0, default: '0', description: 'Proxies in front of the app that append to X-Forwarded-For' },
+
+  // sources
+  { name: 'EARTHPH_SOURCES', section: 'sources', key: 'enabled', type: 'list', values: SOURCE_IDS, default: SOURCE_IDS.join(','), description: 'Agencies to scrape' },
+  { name: 'EARTHPH_PHIVOLCS_URL', section: 'sources', key: 'phivolcsUrl', type: 'url', default: 'https://earthquake.phivolcs.dost.gov.ph/', description: 'PHIVOLCS site root (latest events and monthly archives)' },
+  { name: 'EARTHPH_USGS_URL', section: 'sources', key: 'usgsUrl', type: 'url', default: 'https://earthquake.usgs.gov/fdsnws/event/1/query', description: 'USGS FDSN event query endpoint' },
+  { name: 'EARTHPH_EMSC_URL', section: 'sources', key: 'emscUrl', type: 'url', default: 'https://www.seismicportal.eu/fdsnws/event/1/query', description: 'EMSC FDSN event query endpoint' },
+  { name: 'EARTHPH_PHIVOLCS_CA_PEM', section: 'sources', key: 'phivolcsCaPem', type: 'string', secret: true, default: null, description: 'Extra CA certificates for PHIVOLCS, inline PEM' },
+  { name: 'EARTHPH_PHIVOLCS_CA_FILE', section: 'sources', key: 'phivolcsCaFile', type: 'file', default: null, description: 'Extra CA certificates for PHIVOLCS, PEM bundle path' },
+
+  // scraper
+  { name: 'EARTHPH_SCRAPE_MIN_INTERVAL_SECONDS', section: 'scraper', key: 'minIntervalSeconds', type: 'integer', min: 0, default: '240', description: 'Minimum time between scrapes' },
+  { name: 'EARTHPH_FETCH_RETRIES', section: 'scraper', key: 'fetchRetries', type: 'integer', min: 0, max: 5, default: '2', description: 'Retries of a failed upstream request' },
+  { name: 'EARTHPH_BREAKER_THRESHOLD', section: 'scraper', key: 'breakerThreshold', type: 'integer', min: 1, default: '3', description: 'Failed runs before a source is skipped' },
+  { name: 'EARTHPH_BREAKER_COOLDOWN_MINUTES', section: 'scraper', key: 'breakerCooldownMinutes', type: 'integer', min: 1, default: '15', description: 'How long a failing source is skipped' },
+  { name: 'EARTHPH_HEALTH_STALE_MINUTES', section: 'scraper', key: 'healthStaleMinutes', type: 'integer', min: 1, default: '30', description: 'Minutes without a successful run before /api/health reports down' },
+
+  // features
+  { name: 'EARTHPH_ENABLE_EVENT_STREAM', section: 'features', key: 'eventStream', type: 'boolean', default: 'true', description: 'Serve /api/events/stream' },
+  { name: 'EARTHPH_ENABLE_EXPORTS', section: 'features', key: 'exports', type: 'boolean', default: 'true', description: 'Serve CSV and KML from /api/events-cjs' }
+];
+
+const SECTIONS = [...new Set(CONFIG_SCHEMA.map(entry => entry.section))];
+
+function splitList(raw) {
+  return raw.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * An allowlist entry as a string, or a RegExp when its host has a *
+ * (https://earth-*.vercel.app); null when it is not an origin
+ */
+function parseOrigin(entry) {
+  const text = entry.toLowerCase().replace(/\/$/, '');
+  let url;
+  try {
+    url = new URL(text.replace(/\*/g, 'x'));
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.origin !== text.replace(/\*/g, 'x')) return null;
+
+  return text.includes('*')
+    ? new RegExp(`^${text.split('*').map(escapeRegExp).join('[a-z0-9-]+')}$`)
+    : text;
+}
+
+/**
+ * Parse one variable's value
+ *
+ * @returns {{value: *}|{problem: string}}
+ */
+function parseValue(entry, raw) {
+  const { name } = entry;
+
+  switch (entry.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      const isType = entry.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      if (isType && value >= entry.min && (entry.max === undefined || value <= entry.max)) return { value };
+
+      const kind = entry.type === 'integer' ? 'an integer' : 'a number';
+      const range = entry.max === undefined ? `of at least ${entry.min}` : `between ${entry.min} and ${entry.max}`;
+      return { problem: `${name} must be ${kind} ${range}, got "${raw}"` };
+    }
+    case 'boolean': {
+      const text = raw.toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { problem: `Invalid ${name}: expected true or false, got "${raw}"` };
+    }
+    case 'enum': {
+      const value = raw.toLowerCase();
+      return entry.values.includes(value)
+        ? { value }
+        : { problem: `Invalid ${name}: expected one of ${entry.values.join(', ')}, got "${raw}"` };
+    }
+    case 'list': {
+      const items = splitList(raw);
+      if (!entry.values) return { value: items };
+
+      const ids = items.map(item => item.toLowerCase());
+      const unknown = ids.filter(id => !entry.values.includes(id));
+      if (unknown.length > 0 || ids.length === 0) {
+        return { problem: `Invalid ${name}: expected a comma-separated list of ${entry.values.join(', ')}, got "${raw}"` };
+      }
+      return { value: [...new Set(ids)] };
+    }
+    case 'url': {
+      try {
+        const url = new URL(raw);
+        if (['http:', 'https:'].includes(url.protocol)) return { value: raw };
+      } catch (error) {
+        // Reported below
+      }
+      return { problem: `Invalid ${name}: expected an http(s) URL, got "${raw}"` };
+    }
+    case 'origins': {
+      const items = splitList(raw);
+      if (items.length === 1 && items[0] === '*') return { value: '*' };
+
+      const origins = items.map(parseOrigin);
+      const invalid = items.filter((item, index) => origins[index] === null);
+      if (invalid.length > 0 || items.length === 0) {
+        return { problem: `Invalid ${name}: expected comma-separated origins such as https://example.com, got "${invalid.join(', ') || raw}"` };
+      }
+      return { value: origins };
+    }
+    case 'file':
+      return fs.existsSync(raw) ? { value: raw } : { problem: `Invalid ${name}: no file at "${raw}"` };
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * The raw value of a variable and the name it was read from; aliases
+ * (VITE_SUPABASE_URL) are read when the variable itself is unset
+ */
+function readRaw(entry, env) {
+  const names = [entry.name, ...(entry.aliases || [])];
+  const source = names.find(name => env[name] !== undefined && String(env[name]).trim() !== '');
+  return source ? { raw: String(env[source]).trim(), source } : { raw: null, source: null };
+}
+
+// Settings within a section that only make sense together
+const SECTION_CHECKS = {
+  retention(values) {
+    if (values.archiveDays > 0 && values.archiveDays < values.fullDetailDays) {
+      return [{
+        variable: 'EARTHPH_RETENTION_ARCHIVE_DAYS',
+        message: `Invalid retention: EARTHPH_RETENTION_ARCHIVE_DAYS (${values.archiveDays}) must be 0 or at least ` +
+          `EARTHPH_RETENTION_FULL_DAYS (${values.fullDetailDays})`
+      }];
+    }
+    return [];
+  },
+
+  rateLimits(values, env) {
+    if (values.store !== 'database') return [];
+    const storage = parseSection('storage', env);
+    const secrets = parseSection('secrets', env);
+    if (storage.values.backend === 'supabase' && secrets.values.supabaseServiceRoleKey) return [];
+    return [{
+      variable: 'EARTHPH_RATE_LIMIT_STORE',
+      message: 'EARTHPH_RATE_LIMIT_STORE=database needs Supabase storage and SUPABASE_SERVICE_ROLE_KEY'
+    }];
+  }
+};
+
+function parseSection(section, env) {
+  const values = {};
+  const problems = [];
+
+  CONFIG_SCHEMA.filter(entry => entry.section === section).forEach(entry => {
+    const { raw } = readRaw(entry, env);
+    if (raw === null) {
+      values[entry.key] = entry.default === null ? null : parseValue(entry, entry.default).value;
+      return;
+    }
+
+    const result = parseValue(entry, raw);
+    if (result.problem) {
+      problems.push({ variable: entry.name, message: result.problem });
+      values[entry.key] = null;
+    } else {
+      values[entry.key] = result.value;
+    }
+  });
+
+  if (problems.length === 0 && SECTION_CHECKS[section]) {
+    problems.push(...SECTION_CHECKS[section](values, env));
+  }
+
+  return { values, problems };
+}
+
+function toError(problems) {
+  return new ConfigurationError(problems.map(problem => problem.message).join('; '), problems);
+}
+
+/**
+ * Read one section of the configuration
+ *
+ * @param {string} section - One of SECTIONS
+ * @param {Object} [env]
+ * @throws {ConfigurationError} Listing every invalid value in the section
+ */
+function readSection(section, env = process.env) {
+  if (!SECTIONS.includes(section)) {
+    throw new Error(`Unknown configuration section "${section}"`);
+  }
+  const { values, problems } = parseSection(section, env);
+  if (problems.length > 0) throw toError(problems);
+  return values;
+}
+
+/**
+ * Read and check every section without throwing
+ *
+ * Problems are values that are invalid or settings the chosen backend
+ * cannot run without; warnings are features left unavailable.
+ *
+ * @returns {{config: Object, problems: Array<{variable, message}>, warnings: Array<{variable, message}>}}
+ */
+function loadConfig(env = process.env) {
+  const config = {};
+  const problems = [];
+  const warnings = [];
+
+  SECTIONS.forEach(section => {
+    const result = parseSection(section, env);
+    config[section] = result.values;
+    problems.push(...result.problems);
+  });
+
+  if (config.storage.backend === 'supabase') {
+    if (!config.storage.supabaseUrl && !problems.some(problem => problem.variable === 'SUPABASE_URL')) {
+      problems.push({ variable: 'SUPABASE_URL', message: 'SUPABASE_URL is required when EARTHPH_STORAGE is supabase' });
+    }
+    // Readers use the anon key and writers the service-role key, so each is
+    // only required by the endpoints that use it
+    const { supabaseAnonKey, supabaseServiceRoleKey } = config.secrets;
+    if (!supabaseAnonKey && !supabaseServiceRoleKey) {
+      problems.push({ variable: 'SUPABASE_ANON_KEY', message: 'SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY is required when EARTHPH_STORAGE is supabase' });
+    } else if (!supabaseAnonKey) {
+      warnings.push({ variable: 'SUPABASE_ANON_KEY', message: 'SUPABASE_ANON_KEY is not set; the public read endpoints will fail' });
+    } else if (!supabaseServiceRoleKey) {
+      warnings.push({ variable: 'SUPABASE_SERVICE_ROLE_KEY', message: 'SUPABASE_SERVICE_ROLE_KEY is not set; scraping, retention, health and API key management will fail' });
+    }
+  }
+  if (!config.secrets.cronSecret) {
+    warnings.push({ variable: 'EARTHPH_CRON_SECRET', message: 'EARTHPH_CRON_SECRET is not set; cron and admin endpoints are disabled' });
+  }
+
+  return { config, problems, warnings };
+}
+
+// The last configuration checked, keyed by the values it was read from
+let checked = { snapshot: null, result: null, reported: false };
+
+function snapshotOf(env) {
+  return JSON.stringify(CONFIG_SCHEMA.flatMap(entry => [entry.name, ...(entry.aliases || [])]).map(name => env[name] ?? null));
+}
+
+/**
+ * The validated configuration
+ *
+ * Problems are thrown, and logged with the request they fail; warnings are
+ * left for takeConfigWarnings().
+ *
+ * @throws {ConfigurationError} Listing every problem, with `problems`
+ */
+function getConfig(env = process.env) {
+  const snapshot = snapshotOf(env);
+
+  if (checked.snapshot !== snapshot) {
+    checked = { snapshot, result: loadConfig(env), reported: false };
+  }
+
+  if (checked.result.problems.length > 0) throw toError(checked.result.problems);
+  return checked.result.config;
+}
+
+/**
+ * Warnings for the configuration getConfig() last checked, returned only
+ * once so a cold start reports them with its first request
+ *
+ * @returns {Array<{variable, message}>}
+ */
+function takeConfigWarnings() {
+  if (!checked.result || checked.reported) return [];
+  checked.reported = true;
+  return checked.result.warnings;
+}
+
+/**
+ * Every variable with its effective value and where it came from, for the
+ * admin diagnostic. Secrets only show whether they are set.
+ */
+function describeConfig(env = process.env) {
+  const { problems, warnings } = loadConfig(env);
+  const settings = {};
+
+  CONFIG_SCHEMA.forEach(entry => {
+    const { raw, source } = readRaw(entry, env);
+    let value = raw === null ? entry.default : raw;
+    if (entry.secret && raw !== null) value = REDACTED;
+
+    settings[entry.section] = settings[entry.section] || {};
+    settings[entry.section][entry.name] = {
+      value,
+      source: source || (entry.default === null ? 'unset' : 'default'),
+      description: entry.description
+    };
+  });
+
+  return { valid: problems.length === 0, problems, warnings, settings };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  SECTIONS,
+  STORAGE_BACKENDS,
+  SOURCE_IDS,
+  REDACTED,
+  parseOrigin,
+  readSection,
+  loadConfig,
+  getConfig,
+  takeConfigWarnings,
+  describeConfig
+};
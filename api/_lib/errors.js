@@ -0,0 +1,63 @@
+/**
+ * Error types shared by the serverless handlers
+ */
+
+/**
+ * Raised when an upstream page no longer looks the way the parser expects
+ */
+class SchemaDriftError extends Error {
+  constructor(message, { source, reason, details = {}, sample = null } = {}) {
+    super(message);
+    this.name = 'SchemaDriftError';
+    this.code = 'SCHEMA_CHANGED';
+    this.source = source;
+    this.reason = reason;
+    this.details = details;
+    this.sample = sample;
+  }
+}
+
+/**
+ * Raised when required settings (credentials, backend choice) are missing
+ * or invalid; handlers answer it with a 500 "Configuration Error". When it
+ * comes from the configuration schema, `problems` lists each offending
+ * variable as { variable, message }
+ */
+class ConfigurationError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigurationError';
+    this.code = 'CONFIGURATION';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Raised for an API query string that fails validation; `errors` lists
+ * each offending parameter as { parameter, message, value }
+ */
+class QueryValidationError extends Error {
+  constructor(errors) {
+    super(errors.map(error => `${error.parameter}: ${error.message}`).join('; '));
+    this.name = 'QueryValidationError';
+    this.code = 'INVALID_QUERY';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Raised by a handler to answer with an error status; the middleware turns
+ * it into { success: false, error: title, message, ...details }
+ */
+class HttpError extends Error {
+  constructor(status, title, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.code = 'HTTP';
+    this.status = status;
+    this.title = title;
+    this.details = details;
+  }
+}
+
+module.exports = { SchemaDriftError, ConfigurationError, QueryValidationError, HttpError };
@@ -0,0 +1,42 @@
+/**
+ * Entity tags for conditional GETs on the events API
+ *
+ * Polling clients send back the ETag of the last response in
+ * If-None-Match and get an empty 304 while the result set is unchanged.
+ */
+
+const { contentHash } = require('./hash');
+
+/**
+ * Strong ETag for an events result set
+ *
+ * Built from the request parameters as sent (not the resolved time window,
+ * which moves with the clock), the rows themselves and lastUpdated, so any
+ * new, revised or expired event changes it.
+ *
+ * @param {Object} options
+ * @param {Object} options.query - req.query
+ * @param {Array} options.rows - events rows, in response order
+ * @param {string|null} options.lastUpdated - ISO time of the newest row
+ * @returns {string} Quoted entity tag
+ */
+function eventsEtag({ query = {}, rows, lastUpdated }) {
+  return `"${contentHash({ query, rows, lastUpdated }).slice(0, 32)}"`;
+}
+
+/**
+ * If-None-Match check, using weak comparison as RFC 9110 requires
+ *
+ * @param {string|undefined} header - If-None-Match request header
+ * @param {string} etag - Current entity tag
+ * @returns {boolean} true when the client's copy is current (answer 304)
+ */
+function isNotModified(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  const opaque = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+module.exports = { eventsEtag, isNotModified };
@@ -0,0 +1,127 @@
+/**
+ * Single-event detail: the full record, its revision history, each
+ * agency's solution and the events around it
+ */
+
+const { ADAPTERS } = require('./sources');
+const { parseEventQuery, findEvents } = require('./event-query');
+const { classifySequence } = require('./sequence');
+const { haversineKm } = require('./geo');
+const { QueryValidationError } = require('./errors');
+const { json } = require('./formats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// name: [default, min, max]
+const DETAIL_PARAMETERS = {
+  maxradiuskm: [100, 1, 1000],
+  days: [30, 1, 365],
+  limit: [100, 1, 500]
+};
+
+/**
+ * Parse the nearby-events window (maxradiuskm, days either side, limit)
+ *
+ * @param {Object} query - req.query without the id
+ * @returns {{ maxradiuskm: number, days: number, limit: number }}
+ * @throws {QueryValidationError}
+ */
+function parseDetailQuery(query = {}) {
+  const errors = [];
+  const options = Object.fromEntries(Object.entries(DETAIL_PARAMETERS).map(([name, [fallback]]) => [name, fallback]));
+
+  Object.entries(query).forEach(([name, value]) => {
+    const range = DETAIL_PARAMETERS[name.toLowerCase()];
+    if (!range) {
+      errors.push({ parameter: name, message: 'Unknown parameter', value });
+      return;
+    }
+    const [, min, max] = range;
+    const parsed = Array.isArray(value) || String(value).trim() === '' ? NaN : Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max || (name.toLowerCase() === 'limit' && !Number.isInteger(parsed))) {
+      errors.push({ parameter: name, message: `Must be a number between ${min} and ${max}`, value });
+      return;
+    }
+    options[name.toLowerCase()] = parsed;
+  });
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+  return options;
+}
+
+function toProvenance(row) {
+  const sources = row.sources || ['phivolcs'];
+  return sources.map((source, index) => {
+    const origin = row.origins?.[source] || null;
+    return {
+      source,
+      agency: ADAPTERS[source]?.agency || source.toUpperCase(),
+      preferred: index === 0,
+      // Compacted events keep only the headline solution
+      origin: origin && {
+        sourceEventId: origin.source_event_id || null,
+        datetime: origin.occurred_at,
+        latitude: origin.latitude,
+        longitude: origin.longitude,
+        depth: origin.depth_km,
+        magnitude: origin.magnitude,
+        magnitudeType: origin.magnitude_type || null,
+        location: origin.location_text || null
+      }
+    };
+  });
+}
+
+// Neighbours are listed without per-agency origins and revisions
+function summarize({ origins, revisions, ...event }) {
+  return event;
+}
+
+/**
+ * Load one event with its history and neighbourhood
+ *
+ * @param {Object} repository - Event repository
+ * @param {string} id - Event id
+ * @param {Object} options - Result of parseDetailQuery()
+ * @returns {Promise<Object|null>} null when there is no such event
+ */
+async function getEventDetail(repository, id, { maxradiuskm, days, limit }) {
+  const row = await repository.getEventById(id);
+  if (!row) return null;
+
+  const occurredAt = new Date(row.occurred_at).getTime();
+  const params = parseEventQuery({
+    starttime: new Date(occurredAt - days * DAY_MS).toISOString(),
+    endtime: new Date(occurredAt + days * DAY_MS).toISOString(),
+    latitude: String(row.latitude),
+    longitude: String(row.longitude),
+    maxradiuskm: String(maxradiuskm),
+    orderby: 'time-asc',
+    // One extra, since the event itself is in the result
+    limit: String(limit + 1)
+  });
+
+  const [revisions, neighbours] = await Promise.all([
+    row.revision_count > 0 ? repository.getRevisions([id]) : [],
+    findEvents(repository, params)
+  ]);
+  const nearbyRows = neighbours.filter(other => other.id !== id).slice(0, limit);
+  const sequence = classifySequence(row, nearbyRows);
+
+  return {
+    event: json.toApiEvent(row, revisions),
+    provenance: toProvenance(row),
+    sequence: { role: sequence.role, mainshockId: sequence.mainshockId },
+    nearby: nearbyRows.map(other => ({
+      ...summarize(json.toApiEvent(other)),
+      distanceFromEventKm: Math.round(haversineKm(row.latitude, row.longitude, other.latitude, other.longitude) * 10) / 10,
+      hoursFromEvent: Math.round((new Date(other.occurred_at).getTime() - occurredAt) / 360000) / 10,
+      relation: sequence.relations.get(other.id) || null
+    })),
+    window: { maxradiuskm, days, limit }
+  };
+}
+
+module.exports = { DETAIL_PARAMETERS, parseDetailQuery, getEventDetail };
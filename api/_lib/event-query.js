@@ -0,0 +1,435 @@
+/**
+ * Events API query parameters
+ *
+ * Parses and validates the public query string (FDSN-style names, with the
+ * FDSN abbreviations accepted as aliases) into repository query options.
+ * Every invalid parameter is reported, so a client can fix them all at once.
+ */
+
+const { haversineKm } = require('./geo');
+const { lookupProvince, resolveRegionFilter } = require('./gazetteer');
+const { getRetentionConfig } = require('./retention');
+const { QueryValidationError } = require('./errors');
+const { FORMATS, EXPORT_FORMATS } = require('./formats');
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 2000;
+// CSV and KML exports are streamed a page at a time, so they may ask for more
+const MAX_EXPORT_LIMIT = 20000;
+const EXPORT_PAGE_SIZE = 1000;
+const KM_PER_DEGREE_LATITUDE = 111.195;
+// Half the Earth's circumference
+const MAX_RADIUS_KM = 180 * KM_PER_DEGREE_LATITUDE;
+const HOUR_MS = 60 * 60 * 1000;
+
+const ORDER_BY = {
+  time: { orderBy: 'occurred_at', order: 'desc' },
+  'time-asc': { orderBy: 'occurred_at', order: 'asc' },
+  magnitude: { orderBy: 'magnitude', order: 'desc' },
+  'magnitude-asc': { orderBy: 'magnitude', order: 'asc' }
+};
+
+// Canonical parameter name for every accepted spelling
+const PARAMETER_ALIASES = {
+  starttime: 'starttime',
+  start: 'starttime',
+  endtime: 'endtime',
+  end: 'endtime',
+  minmagnitude: 'minmagnitude',
+  minmag: 'minmagnitude',
+  maxmagnitude: 'maxmagnitude',
+  maxmag: 'maxmagnitude',
+  mindepth: 'mindepth',
+  maxdepth: 'maxdepth',
+  minlatitude: 'minlatitude',
+  minlat: 'minlatitude',
+  maxlatitude: 'maxlatitude',
+  maxlat: 'maxlatitude',
+  minlongitude: 'minlongitude',
+  minlon: 'minlongitude',
+  maxlongitude: 'maxlongitude',
+  maxlon: 'maxlongitude',
+  latitude: 'latitude',
+  lat: 'latitude',
+  longitude: 'longitude',
+  lon: 'longitude',
+  minradiuskm: 'minradiuskm',
+  maxradiuskm: 'maxradiuskm',
+  orderby: 'orderby',
+  limit: 'limit',
+  region: 'region',
+  province: 'province',
+  eventid: 'eventid',
+  format: 'format'
+};
+
+/**
+ * Parse the events API query string
+ *
+ * Without starttime the window is the default view (EARTHPH_DEFAULT_VIEW_HOURS)
+ * ending at endtime or now, unless defaultWindow is false (the FDSN service
+ * searches the whole catalog). With eventid, as in FDSN, only that event is
+ * returned and the other filters are ignored.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Result of getRetentionConfig()
+ * @param {number} [options.now]
+ * @param {boolean} [options.defaultWindow=true]
+ * @returns {Object} Normalized parameters for findEvents()
+ * @throws {QueryValidationError}
+ */
+function parseEventQuery(query = {}, { config = getRetentionConfig(), now = Date.now(), defaultWindow = true } = {}) {
+  const errors = [];
+  const values = {};
+
+  Object.entries(query).forEach(([name, value]) => {
+    const canonical = PARAMETER_ALIASES[name.toLowerCase()];
+    if (!canonical) {
+      errors.push({ parameter: name, message: 'Unknown parameter', value });
+      return;
+    }
+    if (Array.isArray(value)) {
+      errors.push({ parameter: name, message: 'Must be given once', value });
+      return;
+    }
+    if (values[canonical] !== undefined) {
+      errors.push({ parameter: name, message: `Duplicates ${canonical}`, value });
+      return;
+    }
+    values[canonical] = { name, value: String(value).trim() };
+  });
+
+  const invalid = (canonical, message) => {
+    errors.push({ parameter: values[canonical].name, message, value: values[canonical].value });
+    return null;
+  };
+
+  const time = (canonical) => {
+    if (!values[canonical]) return null;
+    const { value } = values[canonical];
+    // As in FDSN, a bare date or a time without an offset is UTC
+    const normalized = /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? `${value}T00:00:00Z`
+      : (/T[\d:.]+$/.test(value) ? `${value}Z` : value);
+    const parsed = new Date(normalized);
+    return /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(parsed.getTime())
+      ? parsed
+      : invalid(canonical, 'Must be an ISO 8601 date or date-time');
+  };
+
+  const number = (canonical, min, max) => {
+    if (!values[canonical]) return null;
+    const { value } = values[canonical];
+    const parsed = value === '' ? NaN : Number(value);
+    if (!Number.isFinite(parsed)) return invalid(canonical, 'Must be a number');
+    if (parsed < min || parsed > max) return invalid(canonical, `Must be between ${min} and ${max}`);
+    return parsed;
+  };
+
+  const ordered = (minName, min, maxName, max) => {
+    if (min !== null && max !== null && min > max) {
+      invalid(minName, `Must not be greater than ${values[maxName].name}`);
+    }
+  };
+
+  const endtime = time('endtime');
+  const starttime = time('starttime');
+  if (starttime && endtime && starttime >= endtime) {
+    invalid('starttime', `Must be before ${values.endtime.name}`);
+  }
+
+  const minMagnitude = number('minmagnitude', -2, 12);
+  const maxMagnitude = number('maxmagnitude', -2, 12);
+  ordered('minmagnitude', minMagnitude, 'maxmagnitude', maxMagnitude);
+
+  const minDepth = number('mindepth', -10, 1000);
+  const maxDepth = number('maxdepth', -10, 1000);
+  ordered('mindepth', minDepth, 'maxdepth', maxDepth);
+
+  const minLatitude = number('minlatitude', -90, 90);
+  const maxLatitude = number('maxlatitude', -90, 90);
+  ordered('minlatitude', minLatitude, 'maxlatitude', maxLatitude);
+
+  const minLongitude = number('minlongitude', -180, 180);
+  const maxLongitude = number('maxlongitude', -180, 180);
+  ordered('minlongitude', minLongitude, 'maxlongitude', maxLongitude);
+
+  const latitude = number('latitude', -90, 90);
+  const longitude = number('longitude', -180, 180);
+  const minRadiusKm = number('minradiuskm', 0, MAX_RADIUS_KM);
+  const maxRadiusKm = number('maxradiuskm', 0, MAX_RADIUS_KM);
+  ordered('minradiuskm', minRadiusKm, 'maxradiuskm', maxRadiusKm);
+  const radiusParts = ['latitude', 'longitude', 'maxradiuskm'].filter(name => values[name]);
+  if (radiusParts.length > 0 && radiusParts.length < 3) {
+    const missing = ['latitude', 'longitude', 'maxradiuskm'].filter(name => !values[name]);
+    invalid(radiusParts[0], `A radius search also needs ${missing.join(' and ')}`);
+  }
+  if (values.minradiuskm && !values.maxradiuskm) {
+    invalid('minradiuskm', 'A radius search also needs maxradiuskm');
+  }
+
+  let sort = ORDER_BY.time;
+  if (values.orderby) {
+    sort = ORDER_BY[values.orderby.value.toLowerCase()] || invalid('orderby', `Must be one of: ${Object.keys(ORDER_BY).join(', ')}`);
+  }
+
+  let format = 'json';
+  if (values.format) {
+    format = FORMATS.includes(values.format.value.toLowerCase())
+      ? values.format.value.toLowerCase()
+      : invalid('format', `Must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const maxLimit = EXPORT_FORMATS.includes(format) ? MAX_EXPORT_LIMIT : MAX_LIMIT;
+  let limit = DEFAULT_LIMIT;
+  if (values.limit) {
+    const parsed = Number(values.limit.value);
+    limit = Number.isInteger(parsed) && parsed >= 1 && parsed <= maxLimit
+      ? parsed
+      : invalid('limit', `Must be an integer between 1 and ${maxLimit}`);
+  }
+
+  const filters = {};
+  if (values.region) {
+    const regionFilter = resolveRegionFilter(values.region.value);
+    if (regionFilter) filters[regionFilter.column] = regionFilter.value;
+    else invalid('region', `Unknown region "${values.region.value}"`);
+  }
+  if (values.province) {
+    const provinceMatch = lookupProvince(values.province.value);
+    if (provinceMatch) filters.province = provinceMatch.province;
+    else invalid('province', `Unknown province "${values.province.value}"`);
+  }
+
+  if (values.eventid && !values.eventid.value) {
+    invalid('eventid', 'Must not be empty');
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+
+  const end = endtime || null;
+  const start = starttime || (defaultWindow
+    ? new Date((end ? end.getTime() : now) - config.defaultViewHours * HOUR_MS)
+    : null);
+
+  return {
+    starttime: start,
+    endtime: end,
+    minMagnitude,
+    maxMagnitude,
+    minDepth,
+    maxDepth,
+    minLatitude,
+    maxLatitude,
+    minLongitude,
+    maxLongitude,
+    radius: maxRadiusKm !== null ? { latitude, longitude, minRadiusKm: minRadiusKm ?? 0, maxRadiusKm } : null,
+    orderBy: sort.orderBy,
+    order: sort.order,
+    orderby: Object.keys(ORDER_BY).find(key => ORDER_BY[key] === sort),
+    limit,
+    region: values.region?.value || null,
+    province: values.province?.value || null,
+    eventId: values.eventid?.value || null,
+    format,
+    filters
+  };
+}
+
+function bound(min, max) {
+  return min === null && max === null ? null : { min, max };
+}
+
+function intersect(range, min, max) {
+  if (!range) return { min, max };
+  return {
+    min: range.min === null ? min : Math.max(range.min, min),
+    max: range.max === null ? max : Math.min(range.max, max)
+  };
+}
+
+// Repository query options for the filters (everything except the limit)
+function toRepositoryQuery(params) {
+  const ranges = {};
+  const magnitude = bound(params.minMagnitude, params.maxMagnitude);
+  const depth = bound(params.minDepth, params.maxDepth);
+  let latitude = bound(params.minLatitude, params.maxLatitude);
+  let longitude = bound(params.minLongitude, params.maxLongitude);
+
+  const { radius } = params;
+  if (radius) {
+    const latitudeDelta = radius.maxRadiusKm / KM_PER_DEGREE_LATITUDE;
+    const cosine = Math.cos(radius.latitude * Math.PI / 180);
+    const longitudeDelta = cosine > 0.01 ? latitudeDelta / cosine : 180;
+    latitude = intersect(latitude, radius.latitude - latitudeDelta, radius.latitude + latitudeDelta);
+    // A box across the antimeridian would need two ranges; leave longitude to
+    // the distance check instead
+    const west = radius.longitude - longitudeDelta;
+    const east = radius.longitude + longitudeDelta;
+    if (west >= -180 && east <= 180) {
+      longitude = intersect(longitude, west, east);
+    }
+  }
+
+  if (magnitude) ranges.magnitude = magnitude;
+  if (depth) ranges.depth_km = depth;
+  if (latitude) ranges.latitude = latitude;
+  if (longitude) ranges.longitude = longitude;
+
+  return {
+    from: params.starttime,
+    to: params.endtime,
+    filters: params.filters,
+    ranges,
+    orderBy: params.orderBy,
+    order: params.order
+  };
+}
+
+function withinRadius(radius) {
+  return (row) => {
+    const distanceKm = haversineKm(radius.latitude, radius.longitude, row.latitude, row.longitude);
+    return distanceKm >= radius.minRadiusKm && distanceKm <= radius.maxRadiusKm;
+  };
+}
+
+/**
+ * Test a row already in hand against parsed parameters, the way
+ * findEvents() would select it
+ *
+ * @param {Object} params - Result of parseEventQuery()
+ * @returns {function(Object): boolean}
+ */
+function matchesEventQuery(params) {
+  if (params.eventId) {
+    return row => row.id === params.eventId;
+  }
+
+  const { from, to, filters, ranges } = toRepositoryQuery(params);
+  const inRadius = params.radius ? withinRadius(params.radius) : () => true;
+
+  return (row) => {
+    const time = new Date(row.occurred_at).getTime();
+    if (from && time < from.getTime()) return false;
+    if (to && time > to.getTime()) return false;
+    // Like SQL, a missing value never satisfies a bound
+    const inRanges = Object.entries(ranges).every(([column, { min = null, max = null }]) => {
+      const value = row[column];
+      if (value === null || value === undefined) return false;
+      return (min === null || value >= min) && (max === null || value <= max);
+    });
+    return inRanges &&
+      Object.entries(filters).every(([column, value]) => value === undefined || value === null || row[column] === value) &&
+      inRadius(row);
+  };
+}
+
+/**
+ * Run parsed parameters against an event repository
+ *
+ * A radius search is narrowed to the circle's bounding box in the database
+ * and then filtered by great-circle distance.
+ *
+ * @param {Object} repository - Event repository
+ * @param {Object} params - Result of parseEventQuery()
+ * @returns {Promise<Array>} Event rows
+ */
+async function findEvents(repository, params) {
+  if (params.eventId) {
+    const row = await repository.getEventById(params.eventId);
+    return row ? [row] : [];
+  }
+
+  const { radius } = params;
+  const rows = await repository.queryEvents({
+    ...toRepositoryQuery(params),
+    // The distance filter runs after the query, so the limit is applied after it
+    limit: radius ? null : params.limit
+  });
+
+  return radius ? rows.filter(withinRadius(radius)).slice(0, params.limit) : rows;
+}
+
+/**
+ * Like findEvents(), but reads the repository a page at a time so exports
+ * can be streamed without holding the whole result
+ *
+ * @param {Object} repository - Event repository
+ * @param {Object} params - Result of parseEventQuery()
+ * @param {Object} [options]
+ * @param {number} [options.pageSize]
+ * @yields {Array} Non-empty batches of event rows
+ */
+async function* iterateEvents(repository, params, { pageSize = EXPORT_PAGE_SIZE } = {}) {
+  if (params.eventId) {
+    const rows = await findEvents(repository, params);
+    if (rows.length > 0) yield rows;
+    return;
+  }
+
+  const query = toRepositoryQuery(params);
+  const keep = params.radius ? withinRadius(params.radius) : () => true;
+  let remaining = params.limit;
+  let offset = 0;
+
+  while (remaining > 0) {
+    // Without a radius filter every row counts, so the last page can be short
+    const limit = params.radius ? pageSize : Math.min(pageSize, remaining);
+    const page = await repository.queryEvents({ ...query, limit, offset });
+    offset += page.length;
+
+    const rows = page.filter(keep).slice(0, remaining);
+    remaining -= rows.length;
+    if (rows.length > 0) yield rows;
+    if (page.length < limit) return;
+  }
+}
+
+/**
+ * Echo the effective query back to the client
+ */
+function describeEventQuery(params) {
+  if (params.eventId) {
+    return { eventid: params.eventId, format: params.format };
+  }
+
+  const described = {
+    starttime: params.starttime ? params.starttime.toISOString() : null,
+    endtime: params.endtime ? params.endtime.toISOString() : null,
+    minmagnitude: params.minMagnitude,
+    maxmagnitude: params.maxMagnitude,
+    mindepth: params.minDepth,
+    maxdepth: params.maxDepth,
+    minlatitude: params.minLatitude,
+    maxlatitude: params.maxLatitude,
+    minlongitude: params.minLongitude,
+    maxlongitude: params.maxLongitude,
+    latitude: params.radius?.latitude ?? null,
+    longitude: params.radius?.longitude ?? null,
+    minradiuskm: params.radius?.minRadiusKm || null,
+    maxradiuskm: params.radius?.maxRadiusKm ?? null,
+    orderby: params.orderby,
+    limit: params.limit,
+    region: params.region,
+    province: params.province,
+    eventid: params.eventId,
+    format: params.format
+  };
+  return Object.fromEntries(Object.entries(described).filter(([, value]) => value !== null));
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MAX_EXPORT_LIMIT,
+  KM_PER_DEGREE_LATITUDE,
+  ORDER_BY,
+  parseEventQuery,
+  findEvents,
+  iterateEvents,
+  matchesEventQuery,
+  describeEventQuery
+};
@@ -0,0 +1,245 @@
+/**
+ * Change feed behind the Server-Sent Events stream
+ *
+ * Each poll reads the events added or revised since a cursor and turns
+ * them into created / updated / removed messages for one set of events API
+ * filters. The position travels as the SSE id, so a client that reconnects
+ * (serverless functions end every minute) resumes with Last-Event-ID.
+ */
+
+const { parseEventQuery, findEvents, matchesEventQuery, MAX_EXPORT_LIMIT } = require('./event-query');
+const { parseLocationText } = require('./location');
+const { QueryValidationError } = require('./errors');
+const json = require('./formats/json');
+
+const POLL_INTERVAL_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+// Under the function's 60 s limit; the client reconnects straight after
+const STREAM_DURATION_MS = 50000;
+const RETRY_MS = 1000;
+// A scrape stamps updated_at when it starts and may commit up to its 30 s
+// limit later, so a new subscriber starts this far back
+const COMMIT_LAG_MS = 30000;
+
+// Events API parameters that do not apply to a stream
+const NOT_APPLICABLE = ['limit', 'orderby', 'format', 'eventid'];
+
+/**
+ * Validate stream filters: the events API parameters, less those above
+ *
+ * @param {Object} query - req.query
+ * @param {Object} [options] - Passed to parseEventQuery() ({ config, now })
+ * @returns {Object} The query to hand to createChangeFeed()
+ * @throws {QueryValidationError}
+ */
+function parseStreamQuery(query = {}, options = {}) {
+  const errors = Object.entries(query)
+    .filter(([name]) => NOT_APPLICABLE.includes(name.toLowerCase()))
+    .map(([parameter, value]) => ({ parameter, message: 'Not used by the event stream', value }));
+  const filters = Object.fromEntries(Object.entries(query).filter(([name]) => !NOT_APPLICABLE.includes(name.toLowerCase())));
+
+  try {
+    parseEventQuery(filters, options);
+  } catch (error) {
+    if (error.code !== 'INVALID_QUERY') throw error;
+    errors.push(...error.errors);
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+  return filters;
+}
+
+/**
+ * SSE id: the updated_at cursor and the time of the poll, which fixes
+ * where a sliding window stood
+ */
+function formatPosition({ since, at }) {
+  return `${since}|${at}`;
+}
+
+/**
+ * @param {string} [lastEventId] - Last-Event-ID request header
+ * @returns {{ since: string, at: string }|null} null when absent or not ours
+ */
+function parsePosition(lastEventId) {
+  const [since, at, extra] = String(lastEventId || '').split('|');
+  if (extra !== undefined || !since || !at || isNaN(Date.parse(since)) || isNaN(Date.parse(at))) return null;
+  return { since: new Date(since).toISOString(), at: new Date(at).toISOString() };
+}
+
+/**
+ * The row as it stood at `since`, rebuilt by undoing later revisions
+ *
+ * @returns {Object|null} null when the event is new since then
+ */
+function stateAt(row, revisions, since) {
+  const sinceMs = Date.parse(since);
+  // Rows are also rewritten without a revision (a new agency solution), so
+  // only the creation time tells a new event from an updated one
+  if (row.created_at ? Date.parse(row.created_at) >= sinceMs : row.revision_count === 0) return null;
+
+  const prior = { ...row };
+  const undone = revisions.filter(revision => Date.parse(revision.revised_at) >= sinceMs).reverse();
+  undone.forEach(revision => { prior[revision.field] = revision.previous_value; });
+  // Region, province and the like are derived from the location text
+  if (undone.some(revision => revision.field === 'location_text')) {
+    Object.assign(prior, parseLocationText(prior.location_text));
+  }
+  return prior;
+}
+
+/**
+ * @param {Object} repository - Event repository
+ * @param {Object} query - Result of parseStreamQuery()
+ * @param {Object} [options]
+ * @param {Object} [options.position] - Result of parsePosition(), to resume
+ * @param {Object} [options.config] - Retention config, as for parseEventQuery()
+ * @param {number} [options.now] - Epoch ms the feed starts at
+ * @returns {{ position: Object, poll: function(number): Promise<Array> }}
+ */
+function createChangeFeed(repository, query, { position = null, config, now = Date.now() } = {}) {
+  let current = position || {
+    since: new Date(now - COMMIT_LAG_MS).toISOString(),
+    at: new Date(now).toISOString()
+  };
+  // Rows already sent at the cursor's timestamp, which the next poll reads again
+  let sentAtCursor = new Set();
+
+  return {
+    get position() {
+      return current;
+    },
+
+    /**
+     * @param {number} [pollTime] - Epoch ms
+     * @returns {Promise<Array<{ event: string, data: Object }>>}
+     */
+    async poll(pollTime = Date.now()) {
+      const before = parseEventQuery(query, { config, now: Date.parse(current.at) });
+      const after = parseEventQuery(query, { config, now: pollTime });
+      const matchedBefore = matchesEventQuery(before);
+      const matchesNow = matchesEventQuery(after);
+      const messages = [];
+      const removed = new Set();
+
+      const cursorMs = Date.parse(current.since);
+      const changed = (await repository.queryEvents({ updatedSince: current.since, order: 'asc' }))
+        .filter(row => !(sentAtCursor.has(row.id) && Date.parse(row.updated_at) === cursorMs))
+        .sort((a, b) => Date.parse(a.updated_at) - Date.parse(b.updated_at));
+
+      const revisedIds = changed.filter(row => row.revision_count > 0).map(row => row.id);
+      const revisionsByEvent = new Map();
+      (revisedIds.length > 0 ? await repository.getRevisions(revisedIds) : []).forEach(revision => {
+        revisionsByEvent.set(revision.event_id, [...(revisionsByEvent.get(revision.event_id) || []), revision]);
+      });
+
+      changed.forEach(row => {
+        const revisions = revisionsByEvent.get(row.id) || [];
+        const prior = stateAt(row, revisions, current.since);
+        const was = prior !== null && matchedBefore(prior);
+
+        if (matchesNow(row)) {
+          messages.push({ event: was ? 'updated' : 'created', data: json.toApiEvent(row, revisions) });
+        } else if (was) {
+          messages.push({ event: 'removed', data: { id: row.id, reason: 'filtered' } });
+          removed.add(row.id);
+        }
+      });
+
+      // Events that slid out of a window relative to now
+      if (before.starttime < after.starttime) {
+        const expired = await findEvents(repository, {
+          ...before,
+          endtime: new Date(after.starttime.getTime() - 1),
+          limit: MAX_EXPORT_LIMIT
+        });
+        expired
+          .filter(row => !removed.has(row.id) && !changed.some(change => change.id === row.id))
+          .forEach(row => messages.push({ event: 'removed', data: { id: row.id, reason: 'expired' } }));
+      }
+
+      const sinceMs = changed.reduce((latest, row) => Math.max(latest, Date.parse(row.updated_at)), cursorMs);
+      const atCursor = changed.filter(row => Date.parse(row.updated_at) === sinceMs).map(row => row.id);
+      sentAtCursor = sinceMs === cursorMs ? new Set([...sentAtCursor, ...atCursor]) : new Set(atCursor);
+      current = { since: new Date(sinceMs).toISOString(), at: new Date(pollTime).toISOString() };
+
+      return messages;
+    }
+  };
+}
+
+/**
+ * One SSE message
+ *
+ * @param {Object} message
+ * @param {string} [message.event] - Event name; omitted for id-only checkpoints
+ * @param {Object} [message.data]
+ * @param {string} [message.id]
+ * @param {string} [message.comment]
+ */
+function formatMessage({ event, data, id, comment }) {
+  const lines = [];
+  if (comment) lines.push(`: ${comment}`);
+  if (id) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+  if (data !== undefined) lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Write the feed to an open response until the duration is up or the
+ * client goes away
+ *
+ * @param {Object} res - Response with headers already sent
+ * @param {Object} feed - Result of createChangeFeed()
+ * @param {Object} [options]
+ * @param {function(): boolean} [options.isClosed]
+ * @param {function(number): Promise} [options.sleep]
+ * @param {function(): number} [options.clock]
+ */
+async function pipeChangeFeed(res, feed, {
+  isClosed = () => false,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  clock = Date.now,
+  durationMs = STREAM_DURATION_MS,
+  pollIntervalMs = POLL_INTERVAL_MS,
+  heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS
+} = {}) {
+  const started = clock();
+  let lastWrite = started;
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  while (!isClosed() && clock() - started < durationMs) {
+    await sleep(pollIntervalMs);
+    if (isClosed()) break;
+
+    const now = clock();
+    const messages = await feed.poll(now);
+    const id = formatPosition(feed.position);
+
+    if (messages.length > 0) {
+      res.write(messages.map(message => formatMessage({ ...message, id })).join(''));
+      lastWrite = now;
+    } else if (now - lastWrite >= heartbeatIntervalMs) {
+      // The id moves the client's Last-Event-ID on even when nothing changed
+      res.write(formatMessage({ comment: 'heartbeat', id }));
+      lastWrite = now;
+    }
+  }
+
+  res.end();
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  HEARTBEAT_INTERVAL_MS,
+  STREAM_DURATION_MS,
+  parseStreamQuery,
+  parsePosition,
+  formatPosition,
+  createChangeFeed,
+  formatMessage,
+  pipeChangeFeed
+};
@@ -0,0 +1,254 @@
+/**
+ * FDSN event web service (fdsnws-event 1.2)
+ *
+ * Maps the FDSN query parameters onto parseEventQuery() so the FDSN service
+ * and the events API share validation and storage queries. Differences from
+ * the events API, as the specification requires:
+ * - without starttime the whole catalog is searched
+ * - radius searches take degrees (minradius/maxradius), not km
+ * - without limit every match is returned, up to MAX_LIMIT (413 beyond that)
+ */
+
+const { parseEventQuery, MAX_LIMIT, KM_PER_DEGREE_LATITUDE } = require('./event-query');
+const { QueryValidationError } = require('./errors');
+const { escapeXml } = require('./formats/xml');
+const quakeml = require('./formats/quakeml');
+const fdsnText = require('./formats/fdsn-text');
+
+const SERVICE_VERSION = '1.0.0';
+const SERVICE_PATH = '/fdsnws/event/1';
+
+const FDSN_FORMATS = { xml: quakeml, text: fdsnText };
+
+const STATUS_TEXT = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  413: 'Request Entity Too Large',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error'
+};
+
+// Passed to parseEventQuery as given, so errors name the parameter the client sent
+const PASSTHROUGH = new Set([
+  'starttime', 'start', 'endtime', 'end',
+  'minlatitude', 'minlat', 'maxlatitude', 'maxlat',
+  'minlongitude', 'minlon', 'maxlongitude', 'maxlon',
+  'mindepth', 'maxdepth',
+  'minmagnitude', 'minmag', 'maxmagnitude', 'maxmag',
+  'orderby', 'limit', 'eventid'
+]);
+
+// Standard parameters this catalog cannot answer; the specification asks for a 400
+const UNSUPPORTED = new Set(['magnitudetype', 'eventtype', 'catalog', 'contributor', 'updatedafter', 'offset']);
+
+// Described in application.wadl
+const PARAMETERS = [
+  { name: 'starttime', type: 'xs:dateTime' },
+  { name: 'endtime', type: 'xs:dateTime' },
+  { name: 'minlatitude', type: 'xs:double', default: -90 },
+  { name: 'maxlatitude', type: 'xs:double', default: 90 },
+  { name: 'minlongitude', type: 'xs:double', default: -180 },
+  { name: 'maxlongitude', type: 'xs:double', default: 180 },
+  { name: 'latitude', type: 'xs:double', default: 0 },
+  { name: 'longitude', type: 'xs:double', default: 0 },
+  { name: 'minradius', type: 'xs:double', default: 0 },
+  { name: 'maxradius', type: 'xs:double', default: 180 },
+  { name: 'mindepth', type: 'xs:double' },
+  { name: 'maxdepth', type: 'xs:double' },
+  { name: 'minmagnitude', type: 'xs:double' },
+  { name: 'maxmagnitude', type: 'xs:double' },
+  { name: 'includeallorigins', type: 'xs:boolean', default: false },
+  { name: 'includeallmagnitudes', type: 'xs:boolean', default: false },
+  { name: 'includearrivals', type: 'xs:boolean', default: false, options: ['false'] },
+  { name: 'eventid', type: 'xs:string' },
+  { name: 'limit', type: 'xs:int' },
+  { name: 'orderby', type: 'xs:string', default: 'time', options: ['time', 'time-asc', 'magnitude', 'magnitude-asc'] },
+  { name: 'format', type: 'xs:string', default: 'xml', options: Object.keys(FDSN_FORMATS) },
+  { name: 'nodata', type: 'xs:int', default: 204, options: ['204', '404'] }
+];
+
+/**
+ * Parse an FDSN event query string
+ *
+ * @param {Object} query - req.query
+ * @param {Object} [options] - Passed to parseEventQuery() ({ config, now })
+ * @returns {{ params: Object, format: string, nodata: number, includeAllOrigins: boolean, includeAllMagnitudes: boolean, limited: boolean }}
+ * @throws {QueryValidationError}
+ */
+function parseFdsnQuery(query = {}, options = {}) {
+  const errors = [];
+  const translated = {};
+  const radius = {};
+  const result = { format: 'xml', nodata: 204, includeAllOrigins: false, includeAllMagnitudes: false };
+
+  const invalid = (parameter, message, value) => errors.push({ parameter, message, value });
+
+  const boolean = (name, value) => {
+    if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+    invalid(name, 'Must be true or false', value);
+    return false;
+  };
+
+  const degrees = (name, value) => {
+    const parsed = value === '' ? NaN : Number(value);
+    if (Number.isFinite(parsed) && parsed >= 0 && parsed <= 180) return parsed;
+    invalid(name, 'Must be a number of degrees between 0 and 180', value);
+    return null;
+  };
+
+  Object.entries(query).forEach(([name, raw]) => {
+    const key = name.toLowerCase();
+    if (PASSTHROUGH.has(key)) {
+      translated[name] = raw;
+      return;
+    }
+    if (Array.isArray(raw)) {
+      invalid(name, 'Must be given once', raw);
+      return;
+    }
+
+    const value = String(raw).trim();
+    switch (key) {
+      case 'latitude':
+      case 'lat':
+      case 'longitude':
+      case 'lon':
+        radius[key.startsWith('lat') ? 'latitude' : 'longitude'] = { name, value };
+        break;
+      case 'minradius':
+        radius.min = degrees(name, value);
+        break;
+      case 'maxradius':
+        radius.max = degrees(name, value);
+        break;
+      case 'format':
+        if (FDSN_FORMATS[value.toLowerCase()]) result.format = value.toLowerCase();
+        else invalid(name, `Must be one of: ${Object.keys(FDSN_FORMATS).join(', ')}`, value);
+        break;
+      case 'nodata':
+        if (value === '204' || value === '404') result.nodata = Number(value);
+        else invalid(name, 'Must be 204 or 404', value);
+        break;
+      case 'includeallorigins':
+        result.includeAllOrigins = boolean(name, value);
+        break;
+      case 'includeallmagnitudes':
+        result.includeAllMagnitudes = boolean(name, value);
+        break;
+      case 'includearrivals':
+        if (boolean(name, value)) invalid(name, 'Arrivals are not available from this catalog', value);
+        break;
+      default:
+        invalid(name, UNSUPPORTED.has(key) ? 'Not supported by this service' : 'Unknown parameter', value);
+    }
+  });
+
+  // Latitude and longitude only matter to a radius search
+  if (radius.min !== undefined || radius.max !== undefined) {
+    const min = radius.min ?? 0;
+    const max = radius.max ?? 180;
+    translated[radius.latitude?.name || 'latitude'] = radius.latitude?.value ?? '0';
+    translated[radius.longitude?.name || 'longitude'] = radius.longitude?.value ?? '0';
+    translated.maxradiuskm = String(max * KM_PER_DEGREE_LATITUDE);
+    if (min > max) {
+      invalid('minradius', 'Must not be greater than maxradius', String(min));
+    } else if (min > 0) {
+      translated.minradiuskm = String(min * KM_PER_DEGREE_LATITUDE);
+    }
+  }
+
+  let params = null;
+  try {
+    params = parseEventQuery(translated, { ...options, defaultWindow: false });
+  } catch (error) {
+    if (error.code !== 'INVALID_QUERY') throw error;
+    errors.push(...error.errors);
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+
+  // One more than the cap, so the handler can tell a full answer from a truncated one
+  const limited = !Object.keys(query).some(name => name.toLowerCase() === 'limit');
+  if (limited) params.limit = MAX_LIMIT + 1;
+
+  return { ...result, params, limited };
+}
+
+/**
+ * Render events in the requested FDSN format
+ *
+ * @returns {{ contentType: string, body: string }}
+ */
+function formatEvents(rows, { format, includeAllOrigins, includeAllMagnitudes }) {
+  if (format === 'text') {
+    return { contentType: fdsnText.CONTENT_TYPE, body: fdsnText.toFdsnText(rows) };
+  }
+  return { contentType: quakeml.CONTENT_TYPE, body: quakeml.toQuakeML(rows, { includeAllOrigins, includeAllMagnitudes }) };
+}
+
+/**
+ * Plain-text error body in the layout the specification prescribes
+ */
+function formatFdsnError(status, message, { baseUrl, url, now = new Date() }) {
+  return [
+    `Error ${status}: ${STATUS_TEXT[status] || 'Error'}`,
+    '',
+    message,
+    '',
+    `Usage details are available from ${baseUrl}${SERVICE_PATH}/application.wadl`,
+    '',
+    'Request:',
+    url,
+    '',
+    'Request Submitted:',
+    now.toISOString(),
+    '',
+    'Service version:',
+    SERVICE_VERSION
+  ].join('\n') + '\n';
+}
+
+/**
+ * WADL description of the service, read by clients such as ObsPy to
+ * discover the supported parameters
+ */
+function buildWadl(baseUrl) {
+  const params = PARAMETERS.map(param => {
+    const defaultAttr = param.default !== undefined ? ` default="${escapeXml(param.default)}"` : '';
+    const open = `<param name="${param.name}" style="query" type="${param.type}"${defaultAttr}`;
+    if (!param.options) return `${open}/>`;
+    return `${open}>${param.options.map(option => `<option value="${escapeXml(option)}"/>`).join('')}</param>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<application xmlns="http://wadl.dev.java.net/2009/02" xmlns:xs="http://www.w3.org/2001/XMLSchema">',
+    `<resources base="${escapeXml(`${baseUrl}${SERVICE_PATH}`)}">`,
+    '<resource path="query"><method name="GET" id="query"><request>',
+    ...params,
+    '</request><response status="200">',
+    '<representation mediaType="application/xml"/><representation mediaType="text/plain"/>',
+    '</response><response status="204 400 404 413 500"><representation mediaType="text/plain"/></response>',
+    '</method></resource>',
+    '<resource path="version"><method name="GET"><response><representation mediaType="text/plain"/></response></method></resource>',
+    '<resource path="application.wadl"><method name="GET"><response><representation mediaType="application/xml"/></response></method></resource>',
+    '</resources>',
+    '</application>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  SERVICE_VERSION,
+  SERVICE_PATH,
+  PARAMETERS,
+  parseFdsnQuery,
+  formatEvents,
+  formatFdsnError,
+  buildWadl
+};
@@ -0,0 +1,216 @@
+/**
+ * Change detection and circuit breaking between scrape runs
+ *
+ * Each source's HTTP validators (ETag / Last-Modified), a hash of its
+ * parsed origins and its circuit breaker state are kept in
+ * `source_fetch_state`. When no source changed since the previous run the
+ * scraper skips the database write entirely. The state lives in Supabase;
+ * without a client every run fetches unconditionally with closed circuits.
+ */
+
+const { fetchFromSources } = require('./sources');
+const { contentHash } = require('./hash');
+const {
+  BREAKER_DEFAULTS,
+  isCircuitOpen,
+  recordFailure,
+  recordSuccess,
+  describeOutages
+} = require('./circuit-breaker');
+
+/**
+ * Hash a source's parsed origins, independent of row order
+ */
+function hashOrigins(origins) {
+  const sorted = [...origins].sort((a, b) =>
+    String(a.occurred_at).localeCompare(String(b.occurred_at)) ||
+    a.latitude - b.latitude ||
+    a.longitude - b.longitude
+  );
+  return contentHash(sorted);
+}
+
+/**
+ * Load the previous run's state, keyed by source id
+ *
+ * A missing table or read error only disables change detection for this run.
+ */
+async function loadFetchState(supabase, { correlationId = null } = {}) {
+  if (!supabase) return {};
+
+  const { data, error } = await supabase
+    .from('source_fetch_state')
+    .select('source, etag, last_modified, content_hash, changed_at, consecutive_failures, circuit_open_until, outage_started_at, last_error');
+
+  if (error) {
+    console.warn(`[${correlationId}] Fetch state unavailable, fetching unconditionally:`, error.message);
+    return {};
+  }
+
+  return Object.fromEntries((data || []).map(row => [row.source, {
+    etag: row.etag,
+    lastModified: row.last_modified,
+    contentHash: row.content_hash,
+    changedAt: row.changed_at,
+    consecutiveFailures: row.consecutive_failures || 0,
+    circuitOpenUntil: row.circuit_open_until,
+    outageStartedAt: row.outage_started_at,
+    lastError: row.last_error
+  }]));
+}
+
+// Drift means the page was reachable; it is alerted on separately
+function reachable(result) {
+  return result.ok || result.code === 'SCHEMA_CHANGED';
+}
+
+/**
+ * Fetch every source whose circuit is closed, sending the stored validators
+ *
+ * `changed` is false when every source that answered returned 304 or the
+ * same content hash as last time. When something did change, sources that
+ * answered 304 are fetched again without validators so the merge still sees
+ * every agency's origins.
+ *
+ * @param {Array} adapters
+ * @param {Object} options
+ * @param {Date} options.since
+ * @param {Object} [options.state] - Result of loadFetchState()
+ * @param {Object} [options.breakerConfig] - Result of getBreakerConfig()
+ * @param {Date} [options.now]
+ * @returns {Promise<{origins: Array, rejects: Array, status: Object, errors: Object, changed: boolean, breaker: Object, outages: Array}>}
+ */
+async function fetchChangedSources(adapters, { since, state = {}, breakerConfig = BREAKER_DEFAULTS, now = new Date() }) {
+  const skipped = adapters.filter(adapter => isCircuitOpen(state[adapter.id], now));
+  const active = adapters.filter(adapter => !skipped.includes(adapter));
+
+  const first = await fetchFromSources(active, {
+    since,
+    conditional: Object.fromEntries(active.map(adapter => [adapter.id, {
+      etag: state[adapter.id]?.etag || null,
+      lastModified: state[adapter.id]?.lastModified || null
+    }]))
+  });
+  let { origins, rejects } = first;
+  const status = { ...first.status };
+  const errors = { ...first.errors };
+
+  for (const adapter of skipped) {
+    status[adapter.id] = {
+      ok: false,
+      count: 0,
+      seen: 0,
+      rejected: 0,
+      error: `Circuit open until ${state[adapter.id].circuitOpenUntil}`,
+      code: 'CIRCUIT_OPEN'
+    };
+  }
+
+  for (const adapter of active) {
+    if (status[adapter.id].ok && !status[adapter.id].notModified) {
+      status[adapter.id].contentHash = hashOrigins(origins.filter(origin => origin.source === adapter.id));
+    }
+  }
+
+  const changed = active.some(adapter => {
+    const result = status[adapter.id];
+    return result.ok && !result.notModified && result.contentHash !== state[adapter.id]?.contentHash;
+  });
+  const notModified = active.filter(adapter => status[adapter.id].notModified);
+
+  if (changed && notModified.length > 0) {
+    const refetched = await fetchFromSources(notModified, { since });
+    origins = origins.concat(refetched.origins);
+    rejects = rejects.concat(refetched.rejects);
+    Object.assign(errors, refetched.errors);
+
+    for (const adapter of notModified) {
+      status[adapter.id] = refetched.status[adapter.id];
+      if (status[adapter.id].ok) {
+        status[adapter.id].contentHash = hashOrigins(refetched.origins.filter(origin => origin.source === adapter.id));
+      }
+    }
+  }
+
+  const breaker = {};
+  const ended = {};
+  for (const adapter of adapters) {
+    const previous = state[adapter.id] || {};
+    if (skipped.includes(adapter)) {
+      breaker[adapter.id] = previous;
+    } else if (reachable(status[adapter.id])) {
+      const result = recordSuccess(previous, { config: breakerConfig, now });
+      breaker[adapter.id] = result.state;
+      if (result.outage) ended[adapter.id] = result.outage;
+    } else {
+      breaker[adapter.id] = recordFailure(previous, errors[adapter.id], { config: breakerConfig, now });
+    }
+  }
+
+  return {
+    origins,
+    rejects,
+    status,
+    errors,
+    changed,
+    breaker,
+    outages: describeOutages(breaker, ended, { config: breakerConfig })
+  };
+}
+
+/**
+ * Persist circuit breaker state; done right after fetching so an outage is
+ * counted even when the run then fails
+ */
+async function saveBreakerState(supabase, breaker, { correlationId = null } = {}) {
+  if (!supabase) return;
+
+  const rows = Object.entries(breaker).map(([source, state]) => ({
+    source,
+    consecutive_failures: state.consecutiveFailures || 0,
+    circuit_open_until: state.circuitOpenUntil || null,
+    outage_started_at: state.outageStartedAt || null,
+    last_error: state.lastError || null
+  }));
+
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from('source_fetch_state').upsert(rows, { onConflict: 'source' });
+  if (error) {
+    console.warn(`[${correlationId}] Circuit breaker state write failed:`, error.message);
+  }
+}
+
+/**
+ * Persist validators and hashes for the sources that answered this run
+ *
+ * Call only after the events were stored, so a failed write is retried on
+ * the next run instead of being skipped as unchanged.
+ */
+async function saveFetchState(supabase, status, previous = {}, { correlationId = null, now = new Date() } = {}) {
+  if (!supabase) return;
+
+  const rows = Object.entries(status)
+    .filter(([, result]) => result.ok)
+    .map(([source, result]) => {
+      const contentHashValue = result.contentHash || previous[source]?.contentHash || null;
+      const changed = contentHashValue !== (previous[source]?.contentHash || null);
+      return {
+        source,
+        etag: result.validators?.etag || null,
+        last_modified: result.validators?.lastModified || null,
+        content_hash: contentHashValue,
+        checked_at: now.toISOString(),
+        changed_at: changed ? now.toISOString() : (previous[source]?.changedAt || now.toISOString())
+      };
+    });
+
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from('source_fetch_state').upsert(rows, { onConflict: 'source' });
+  if (error) {
+    console.warn(`[${correlationId}] Fetch state write failed:`, error.message);
+  }
+}
+
+module.exports = { hashOrigins, loadFetchState, fetchChangedSources, saveBreakerState, saveFetchState };
@@ -0,0 +1,88 @@
+/**
+ * CSV export for spreadsheets
+ *
+ * One row per event with both UTC and Philippine local times. Starts with a
+ * byte order mark so Excel reads the degree signs in PHIVOLCS location
+ * text as UTF-8.
+ */
+
+const CONTENT_TYPE = 'text/csv; charset=utf-8';
+const EXTENSION = 'csv';
+
+const COLUMNS = [
+  'id',
+  'time_utc',
+  'time_manila',
+  'latitude',
+  'longitude',
+  'depth_km',
+  'magnitude',
+  'location',
+  'municipality',
+  'province',
+  'region_code',
+  'island_group',
+  'sources',
+  'updated_utc'
+];
+
+// Philippine Standard Time is UTC+8 and has not observed daylight saving since 1990
+const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * ISO 8601 time in Asia/Manila, e.g. 2025-11-01T10:15:00+08:00
+ */
+function toManilaIso(timestamp) {
+  if (!timestamp) return null;
+  const local = new Date(new Date(timestamp).getTime() + MANILA_OFFSET_MS);
+  return local.toISOString().replace(/\.\d{3}Z$/, '+08:00');
+}
+
+function toUtcIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Quote a cell per RFC 4180. Text starting with a formula character is
+ * prefixed with an apostrophe so spreadsheets do not evaluate it.
+ */
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toRecord(row) {
+  return [
+    row.id,
+    toUtcIso(row.occurred_at),
+    toManilaIso(row.occurred_at),
+    row.latitude,
+    row.longitude,
+    row.depth_km,
+    row.magnitude,
+    row.location_text,
+    row.municipality,
+    row.province,
+    row.region_code,
+    row.island_group,
+    (row.sources || ['phivolcs']).join(';'),
+    toUtcIso(row.updated_at || row.created_at)
+  ].map(cell).join(',');
+}
+
+function begin() {
+  return `\uFEFF${COLUMNS.join(',')}\r\n`;
+}
+
+function rows(batch) {
+  return batch.map(row => `${toRecord(row)}\r\n`).join('');
+}
+
+function end() {
+  return '';
+}
+
+module.exports = { CONTENT_TYPE, EXTENSION, COLUMNS, toManilaIso, begin, rows, end };
@@ -0,0 +1,49 @@
+/**
+ * FDSN event text format: one pipe-separated line per event
+ *
+ * https://www.fdsn.org/webservices/fdsnws-event-1.2.pdf
+ */
+
+const { ADAPTERS } = require('../sources');
+
+const CONTENT_TYPE = 'text/plain; charset=utf-8';
+const HEADER = '#EventID|Time|Latitude|Longitude|Depth/km|Author|Catalog|Contributor|ContributorID|MagType|Magnitude|MagAuthor|EventLocationName';
+const CATALOG = 'EarthPH';
+
+// Pipes and line breaks would split the field
+function field(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/[|\r\n]+/g, ' ');
+}
+
+/**
+ * @param {Object} row - events row
+ * @returns {string} One line, without the trailing newline
+ */
+function toLine(row) {
+  const source = (row.sources || ['phivolcs'])[0];
+  const agency = ADAPTERS[source]?.agency || String(source).toUpperCase();
+  const origin = row.origins?.[source] || {};
+
+  return [
+    row.id,
+    // FDSN text times have no zone designator
+    row.occurred_at ? new Date(row.occurred_at).toISOString().replace(/Z$/, '') : null,
+    row.latitude,
+    row.longitude,
+    row.depth_km,
+    agency,
+    CATALOG,
+    agency,
+    origin.source_event_id || null,
+    origin.magnitude_type || null,
+    row.magnitude,
+    agency,
+    row.location_text
+  ].map(field).join('|');
+}
+
+function toFdsnText(rows) {
+  return [HEADER, ...rows.map(toLine)].join('\n') + '\n';
+}
+
+module.exports = { CONTENT_TYPE, HEADER, CATALOG, toLine, toFdsnText };
@@ -0,0 +1,107 @@
+/**
+ * GeoJSON output in the shape of the USGS earthquake summary feed
+ *
+ * https://earthquake.usgs.gov/earthquakes/feed/v1.0/geojson.php
+ * Properties the PHIVOLCS bulletin has no equivalent for (felt reports,
+ * PAGER alert, station counts) are null.
+ */
+
+const CONTENT_TYPE = 'application/geo+json; charset=utf-8';
+const API_VERSION = '1.0.0';
+
+function toEpochMs(timestamp) {
+  return timestamp ? new Date(timestamp).getTime() : null;
+}
+
+/**
+ * @param {Object} row - events row
+ * @param {Object} links
+ * @param {string} links.baseUrl - Site origin, e.g. https://earth-ph.vercel.app
+ */
+function toFeature(row, { baseUrl }) {
+  const sources = row.sources || ['phivolcs'];
+  const preferred = row.origins?.[sources[0]] || null;
+  const id = encodeURIComponent(row.id);
+  const magnitude = row.magnitude ?? null;
+
+  return {
+    type: 'Feature',
+    properties: {
+      mag: magnitude,
+      place: row.location_text || null,
+      time: toEpochMs(row.occurred_at),
+      updated: toEpochMs(row.updated_at || row.created_at),
+      tz: null,
+      url: `${baseUrl}/?event=${id}`,
+      detail: `${baseUrl}/api/events-cjs?format=geojson&eventid=${id}`,
+      felt: null,
+      cdi: null,
+      mmi: null,
+      alert: null,
+      status: null,
+      tsunami: null,
+      sig: null,
+      net: sources[0],
+      code: row.id,
+      ids: `,${row.id},`,
+      sources: `,${sources.join(',')},`,
+      types: ',origin,',
+      nst: null,
+      dmin: null,
+      rms: null,
+      gap: null,
+      magType: preferred?.magnitude_type || null,
+      type: 'earthquake',
+      title: magnitude === null
+        ? row.location_text || 'Earthquake'
+        : `M ${Number(magnitude).toFixed(1)} - ${row.location_text || 'Philippines'}`
+    },
+    geometry: {
+      type: 'Point',
+      coordinates: [row.longitude, row.latitude, row.depth_km ?? null]
+    },
+    id: row.id
+  };
+}
+
+// [minLon, minLat, minDepth, maxLon, maxLat, maxDepth], as in the USGS feed
+function boundingBox(features) {
+  if (features.length === 0) return undefined;
+  const axes = [0, 1, 2].map(axis => features
+    .map(feature => feature.geometry.coordinates[axis])
+    .filter(value => value !== null && value !== undefined));
+  return [
+    ...axes.map(values => (values.length ? Math.min(...values) : null)),
+    ...axes.map(values => (values.length ? Math.max(...values) : null))
+  ];
+}
+
+/**
+ * Build a FeatureCollection from events rows
+ *
+ * @param {Array} rows - events rows
+ * @param {Object} options
+ * @param {string} options.baseUrl - Site origin for event links
+ * @param {string} options.url - The request URL, echoed in metadata
+ * @param {string} [options.title]
+ * @param {number} [options.generated] - Epoch ms
+ */
+function toFeatureCollection(rows, { baseUrl, url, title = 'EarthPH Earthquakes', generated = Date.now() }) {
+  const features = rows.map(row => toFeature(row, { baseUrl }));
+
+  return {
+    type: 'FeatureCollection',
+    metadata: {
+      generated,
+      url,
+      title,
+      status: 200,
+      api: API_VERSION,
+      count: features.length
+    },
+    features,
+    bbox: boundingBox(features)
+  };
+}
+
+module.exports = { CONTENT_TYPE, toFeature, toFeatureCollection };
@@ -0,0 +1,67 @@
+/**
+ * Output formats for the events API
+ */
+
+const json = require('./json');
+const geojson = require('./geojson');
+const csv = require('./csv');
+const kml = require('./kml');
+
+const FORMATS = ['json', 'geojson', 'csv', 'kml'];
+const DEFAULT_BASE_URL = 'https://earth-ph.vercel.app';
+
+// Formats downloaded as files and streamed a page at a time
+const EXPORTS = { csv, kml };
+const EXPORT_FORMATS = Object.keys(EXPORTS);
+
+/**
+ * Site origin for links in exported feeds, taken from the request so
+ * preview deployments link to themselves
+ */
+function getBaseUrl(req) {
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  if (!host) return DEFAULT_BASE_URL;
+  const protocol = String(req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return `${protocol}://${host}`;
+}
+
+/**
+ * Stream an export as an attachment, one batch of rows at a time
+ *
+ * The first batch is read before any header is set, so a failing query can
+ * still be answered with a JSON error. Later failures can only cut the
+ * download short.
+ *
+ * @param {Object} res
+ * @param {Object} exporter - EXPORTS entry: { CONTENT_TYPE, EXTENSION, begin, rows, end }
+ * @param {AsyncIterator<Array>} batches - Result of iterateEvents()
+ * @param {Object} options
+ * @param {string} options.filename - Without the extension
+ * @param {Object} [options.headers] - Extra response headers
+ */
+async function streamExport(res, exporter, batches, { filename, headers = {}, ...options }) {
+  const first = await batches.next();
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', exporter.CONTENT_TYPE);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${exporter.EXTENSION}"`);
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+
+  res.write(exporter.begin(options));
+  if (!first.done) res.write(exporter.rows(first.value, options));
+  for await (const rows of batches) {
+    res.write(exporter.rows(rows, options));
+  }
+  res.end(exporter.end(options));
+}
+
+module.exports = {
+  FORMATS,
+  EXPORT_FORMATS,
+  EXPORTS,
+  DEFAULT_BASE_URL,
+  getBaseUrl,
+  streamExport,
+  json,
+  geojson
+};
@@ -0,0 +1,45 @@
+/**
+ * Event and revision shapes of the JSON events API
+ */
+
+const { describeRevision } = require('../revisions');
+
+function toApiRevision(revision) {
+  return {
+    field: revision.field,
+    from: revision.previous_value,
+    to: revision.new_value,
+    source: revision.source,
+    revisedAt: revision.revised_at,
+    description: describeRevision(revision)
+  };
+}
+
+/**
+ * @param {Object} row - events row
+ * @param {Array} [revisions] - event_revisions rows for this event, oldest first
+ */
+function toApiEvent(row, revisions = []) {
+  return {
+    id: row.id,
+    datetime: row.occurred_at,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    depth: row.depth_km,
+    magnitude: row.magnitude,
+    location: row.location_text,
+    distanceKm: row.distance_km ?? null,
+    bearingDeg: row.bearing_deg ?? null,
+    municipality: row.municipality || null,
+    province: row.province || null,
+    regionCode: row.region_code || null,
+    islandGroup: row.island_group || null,
+    sources: row.sources || ['phivolcs'],
+    origins: row.origins || null,
+    created: row.created_at,
+    updated: row.updated_at || row.created_at,
+    revisions: revisions.map(toApiRevision)
+  };
+}
+
+module.exports = { toApiRevision, toApiEvent };
@@ -0,0 +1,93 @@
+/**
+ * KML export for Google Earth
+ *
+ * Placemarks use the magnitude bands and colors of createMagnitudeIcon
+ * (src/components/Map.jsx), and their balloons show the EventModal fields.
+ */
+
+const { ADAPTERS } = require('../sources');
+const { MAGNITUDE_BANDS, magnitudeBand } = require('../magnitude');
+const { escapeXml, element } = require('./xml');
+
+const CONTENT_TYPE = 'application/vnd.google-earth.kml+xml; charset=utf-8';
+const EXTENSION = 'kml';
+const ICON_URL = 'https://maps.google.com/mapfiles/kml/shapes/shaded_dot.png';
+
+const dateTimeFormat = new Intl.DateTimeFormat('en-PH', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone: 'Asia/Manila',
+  hour12: true
+});
+
+// KML colors are aabbggrr
+function toKmlColor(hex) {
+  const [, r, g, b] = hex.match(/^#(..)(..)(..)$/);
+  return `ff${b}${g}${r}`;
+}
+
+function styleXml(band) {
+  return element('Style', [
+    element('IconStyle', [
+      element('color', toKmlColor(band.color)),
+      element('scale', (band.size / 28).toFixed(2)),
+      element('Icon', [element('href', ICON_URL)])
+    ]),
+    element('LabelStyle', [element('scale', '0')])
+  ], { id: band.id });
+}
+
+function balloonRow(label, value) {
+  return `<tr><td><b>${escapeXml(label)}</b></td><td>${escapeXml(value)}</td></tr>`;
+}
+
+// Same fields and wording as EventModal
+function describe(row) {
+  const magnitude = parseFloat(row.magnitude);
+  const date = row.occurred_at ? new Date(row.occurred_at) : null;
+  const agencies = (row.sources || ['phivolcs']).map(source => ADAPTERS[source]?.agency || source.toUpperCase());
+  const depth = parseFloat(row.depth_km);
+
+  return '<table>' + [
+    balloonRow('Magnitude', isNaN(magnitude) ? 'N/A' : magnitude.toFixed(1)),
+    balloonRow('Date & Time', date && !isNaN(date.getTime()) ? dateTimeFormat.format(date) : 'Date unavailable'),
+    balloonRow('Location', row.location_text || 'Location unknown'),
+    balloonRow('Coordinates', `${(row.latitude ?? 0).toFixed(2)}°N, ${(row.longitude ?? 0).toFixed(2)}°E`),
+    balloonRow('Depth', isNaN(depth) ? 'N/A' : `${depth.toFixed(1)} km`),
+    balloonRow(agencies.length > 1 ? 'Sources' : 'Source', agencies.join(', '))
+  ].join('') + '</table>';
+}
+
+// Placemark ids are XML ids, which cannot start with a digit like event ids do
+function toPlacemark(row) {
+  const magnitude = parseFloat(row.magnitude);
+  return element('Placemark', [
+    element('name', `M ${isNaN(magnitude) ? '?' : magnitude.toFixed(1)} - ${row.location_text || 'Philippines'}`),
+    // Escaped values cannot contain "]]>", so the balloon HTML is safe in CDATA
+    `<description><![CDATA[${describe(row)}]]></description>`,
+    element('TimeStamp', [element('when', new Date(row.occurred_at).toISOString())]),
+    element('styleUrl', `#${magnitudeBand(row.magnitude).id}`),
+    element('Point', [element('coordinates', `${row.longitude},${row.latitude},0`)])
+  ], { id: `event-${row.id}` });
+}
+
+function begin({ title = 'EarthPH Earthquakes' } = {}) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    element('name', title) +
+    element('open', '1') +
+    MAGNITUDE_BANDS.map(styleXml).join('');
+}
+
+function rows(batch) {
+  return batch.map(toPlacemark).join('');
+}
+
+function end() {
+  return '</Document></kml>\n';
+}
+
+module.exports = { CONTENT_TYPE, EXTENSION, toPlacemark, begin, rows, end };
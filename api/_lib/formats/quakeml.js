@@ -0,0 +1,109 @@
+/**
+ * QuakeML 1.2 output for the FDSN event service
+ *
+ * Each agency's solution kept under `origins` becomes an origin and a
+ * magnitude; the headline agency (sources[0]) is the preferred one.
+ * Compacted events have no per-agency origins, so the headline solution
+ * is used instead.
+ */
+
+const { ADAPTERS } = require('../sources');
+const { element } = require('./xml');
+
+const CONTENT_TYPE = 'application/xml; charset=utf-8';
+const AUTHORITY = 'smi:ph.earthph';
+
+function agencyId(source) {
+  return ADAPTERS[source]?.agency || String(source).toUpperCase();
+}
+
+function resourceId(kind, ...parts) {
+  return [`${AUTHORITY}/${kind}`, ...parts.map(encodeURIComponent)].join('/');
+}
+
+function value(name, number) {
+  return number === null || number === undefined ? '' : element(name, [element('value', number)]);
+}
+
+function solutionsFor(row, { includeAllOrigins }) {
+  const sources = row.sources || ['phivolcs'];
+  const headline = {
+    source: sources[0],
+    occurred_at: row.occurred_at,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    depth_km: row.depth_km,
+    magnitude: row.magnitude,
+    magnitude_type: row.origins?.[sources[0]]?.magnitude_type || null
+  };
+  if (!includeAllOrigins || !row.origins) return [headline];
+
+  return sources
+    .filter(source => row.origins[source])
+    .map(source => ({ ...row.origins[source], source }));
+}
+
+function originXml(row, solution) {
+  return element('origin', [
+    value('time', solution.occurred_at),
+    value('latitude', solution.latitude),
+    value('longitude', solution.longitude),
+    // QuakeML depths are in meters
+    value('depth', solution.depth_km === null || solution.depth_km === undefined ? null : Math.round(solution.depth_km * 1000)),
+    element('creationInfo', [element('agencyID', agencyId(solution.source))])
+  ], { publicID: resourceId('origin', row.id, solution.source) });
+}
+
+function magnitudeXml(row, solution) {
+  if (solution.magnitude === null || solution.magnitude === undefined) return '';
+  return element('magnitude', [
+    value('mag', solution.magnitude),
+    element('type', solution.magnitude_type),
+    element('originID', resourceId('origin', row.id, solution.source)),
+    element('creationInfo', [element('agencyID', agencyId(solution.source))])
+  ], { publicID: resourceId('magnitude', row.id, solution.source) });
+}
+
+/**
+ * @param {Object} row - events row
+ * @param {Object} [options]
+ * @param {boolean} [options.includeAllOrigins] - Every agency's origin, not just the preferred one
+ * @param {boolean} [options.includeAllMagnitudes] - Every agency's magnitude, not just the preferred one
+ */
+function toEvent(row, { includeAllOrigins = false, includeAllMagnitudes = false } = {}) {
+  const origins = solutionsFor(row, { includeAllOrigins });
+  const magnitudes = includeAllMagnitudes === includeAllOrigins
+    ? origins
+    : solutionsFor(row, { includeAllOrigins: includeAllMagnitudes });
+  const preferredMagnitude = magnitudes.find(solution => solution.magnitude !== null && solution.magnitude !== undefined);
+
+  return element('event', [
+    element('preferredOriginID', resourceId('origin', row.id, origins[0].source)),
+    preferredMagnitude ? element('preferredMagnitudeID', resourceId('magnitude', row.id, preferredMagnitude.source)) : '',
+    element('type', 'earthquake'),
+    row.location_text ? element('description', [element('text', row.location_text), element('type', 'region name')]) : '',
+    element('creationInfo', [
+      element('agencyID', 'EarthPH'),
+      element('creationTime', row.updated_at || row.created_at)
+    ]),
+    ...origins.map(solution => originXml(row, solution)),
+    ...magnitudes.map(solution => magnitudeXml(row, solution))
+  ], { publicID: resourceId('event', row.id) });
+}
+
+/**
+ * Build a QuakeML document from events rows
+ *
+ * @param {Array} rows - events rows
+ * @param {Object} [options] - See toEvent()
+ * @returns {string}
+ */
+function toQuakeML(rows, options = {}) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<q:quakeml xmlns:q="http://quakeml.org/xmlns/quakeml/1.2" xmlns="http://quakeml.org/xmlns/bed/1.2">' +
+    `<eventParameters publicID="${resourceId('eventParameters', 'query')}">` +
+    rows.map(row => toEvent(row, options)).join('') +
+    '</eventParameters></q:quakeml>\n';
+}
+
+module.exports = { CONTENT_TYPE, toEvent, toQuakeML };
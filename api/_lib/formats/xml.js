@@ -0,0 +1,25 @@
+/**
+ * XML helpers for the XML output formats
+ */
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+/**
+ * Render an element, or nothing when the value is missing
+ *
+ * Children given as an array are joined; strings are escaped.
+ */
+function element(name, value, attributes = {}) {
+  if (value === null || value === undefined || value === '') return '';
+  const attrs = Object.entries(attributes)
+    .map(([key, attr]) => ` ${key}="${escapeXml(attr)}"`)
+    .join('');
+  const body = Array.isArray(value) ? value.join('') : escapeXml(value);
+  return `<${name}${attrs}>${body}</${name}>`;
+}
+
+module.exports = { escapeXml, element };
@@ -0,0 +1,218 @@
+/**
+ * Philippine province gazetteer
+ *
+ * Maps the province names PHIVOLCS puts in parentheses to their PSGC
+ * (Philippine Standard Geographic Code) region and island group.
+ */
+
+const REGIONS = {
+  '0100000000': { key: 'region-1', name: 'Ilocos Region', islandGroup: 'luzon' },
+  '0200000000': { key: 'region-2', name: 'Cagayan Valley', islandGroup: 'luzon' },
+  '0300000000': { key: 'region-3', name: 'Central Luzon', islandGroup: 'luzon' },
+  '0400000000': { key: 'calabarzon', name: 'CALABARZON', islandGroup: 'luzon' },
+  '0500000000': { key: 'bicol', name: 'Bicol Region', islandGroup: 'luzon' },
+  '0600000000': { key: 'western-visayas', name: 'Western Visayas', islandGroup: 'visayas' },
+  '0700000000': { key: 'central-visayas', name: 'Central Visayas', islandGroup: 'visayas' },
+  '0800000000': { key: 'eastern-visayas', name: 'Eastern Visayas', islandGroup: 'visayas' },
+  '0900000000': { key: 'zamboanga-peninsula', name: 'Zamboanga Peninsula', islandGroup: 'mindanao' },
+  '1000000000': { key: 'northern-mindanao', name: 'Northern Mindanao', islandGroup: 'mindanao' },
+  '1100000000': { key: 'davao', name: 'Davao Region', islandGroup: 'mindanao' },
+  '1200000000': { key: 'soccsksargen', name: 'SOCCSKSARGEN', islandGroup: 'mindanao' },
+  '1300000000': { key: 'ncr', name: 'National Capital Region', islandGroup: 'luzon' },
+  '1400000000': { key: 'car', name: 'Cordillera Administrative Region', islandGroup: 'luzon' },
+  '1600000000': { key: 'caraga', name: 'Caraga', islandGroup: 'mindanao' },
+  '1700000000': { key: 'mimaropa', name: 'MIMAROPA', islandGroup: 'luzon' },
+  '1800000000': { key: 'nir', name: 'Negros Island Region', islandGroup: 'visayas' },
+  '1900000000': { key: 'barmm', name: 'Bangsamoro Autonomous Region in Muslim Mindanao', islandGroup: 'mindanao' }
+};
+
+const ISLAND_GROUPS = ['luzon', 'visayas', 'mindanao'];
+
+// Province (normalized name) -> PSGC region code
+const PROVINCES = {
+  'ilocos norte': '0100000000',
+  'ilocos sur': '0100000000',
+  'la union': '0100000000',
+  'pangasinan': '0100000000',
+
+  'batanes': '0200000000',
+  'cagayan': '0200000000',
+  'isabela': '0200000000',
+  'nueva vizcaya': '0200000000',
+  'quirino': '0200000000',
+
+  'aurora': '0300000000',
+  'bataan': '0300000000',
+  'bulacan': '0300000000',
+  'nueva ecija': '0300000000',
+  'pampanga': '0300000000',
+  'tarlac': '0300000000',
+  'zambales': '0300000000',
+
+  'batangas': '0400000000',
+  'cavite': '0400000000',
+  'laguna': '0400000000',
+  'quezon': '0400000000',
+  'rizal': '0400000000',
+
+  'albay': '0500000000',
+  'camarines norte': '0500000000',
+  'camarines sur': '0500000000',
+  'catanduanes': '0500000000',
+  'masbate': '0500000000',
+  'sorsogon': '0500000000',
+
+  'aklan': '0600000000',
+  'antique': '0600000000',
+  'capiz': '0600000000',
+  'guimaras': '0600000000',
+  'iloilo': '0600000000',
+
+  'bohol': '0700000000',
+  'cebu': '0700000000',
+
+  'biliran': '0800000000',
+  'eastern samar': '0800000000',
+  'leyte': '0800000000',
+  'northern samar': '0800000000',
+  'samar': '0800000000',
+  'southern leyte': '0800000000',
+
+  'zamboanga del norte': '0900000000',
+  'zamboanga del sur': '0900000000',
+  'zamboanga sibugay': '0900000000',
+
+  'bukidnon': '1000000000',
+  'camiguin': '1000000000',
+  'lanao del norte': '1000000000',
+  'misamis occidental': '1000000000',
+  'misamis oriental': '1000000000',
+
+  'davao de oro': '1100000000',
+  'davao del norte': '1100000000',
+  'davao del sur': '1100000000',
+  'davao occidental': '1100000000',
+  'davao oriental': '1100000000',
+
+  'cotabato': '1200000000',
+  'sarangani': '1200000000',
+  'south cotabato': '1200000000',
+  'sultan kudarat': '1200000000',
+
+  'metro manila': '1300000000',
+
+  'abra': '1400000000',
+  'apayao': '1400000000',
+  'benguet': '1400000000',
+  'ifugao': '1400000000',
+  'kalinga': '1400000000',
+  'mountain province': '1400000000',
+
+  'agusan del norte': '1600000000',
+  'agusan del sur': '1600000000',
+  'dinagat islands': '1600000000',
+  'surigao del norte': '1600000000',
+  'surigao del sur': '1600000000',
+
+  'marinduque': '1700000000',
+  'occidental mindoro': '1700000000',
+  'oriental mindoro': '1700000000',
+  'palawan': '1700000000',
+  'romblon': '1700000000',
+
+  'negros occidental': '1800000000',
+  'negros oriental': '1800000000',
+  'siquijor': '1800000000',
+
+  'basilan': '1900000000',
+  'lanao del sur': '1900000000',
+  'maguindanao': '1900000000',
+  'maguindanao del norte': '1900000000',
+  'maguindanao del sur': '1900000000',
+  'sulu': '1900000000',
+  'tawi tawi': '1900000000'
+};
+
+// Spellings seen in PHIVOLCS bulletins -> canonical province name
+const PROVINCE_ALIASES = {
+  'compostela valley': 'davao de oro',
+  'north cotabato': 'cotabato',
+  'western samar': 'samar',
+  'mt province': 'mountain province',
+  'mountain prov': 'mountain province',
+  'ncr': 'metro manila',
+  'national capital region': 'metro manila',
+  'dinagat': 'dinagat islands',
+  'dinagat island': 'dinagat islands'
+};
+
+// Friendly names accepted by ?region= in addition to keys and PSGC codes
+const REGION_ALIASES = {
+  'manila': 'ncr',
+  'metro-manila': 'ncr',
+  'cordillera': 'car',
+  'bangsamoro': 'barmm',
+  'ilocos': 'region-1',
+  'cagayan-valley': 'region-2',
+  'central-luzon': 'region-3'
+};
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Look up a province by any known spelling
+ *
+ * @returns {{province: string, regionCode: string, regionName: string, islandGroup: string}|null}
+ */
+function lookupProvince(name) {
+  const normalized = normalizeName(name);
+  const canonical = PROVINCE_ALIASES[normalized] || normalized;
+  const regionCode = PROVINCES[canonical];
+  if (!regionCode) return null;
+
+  const region = REGIONS[regionCode];
+  return {
+    province: canonical.replace(/\b[a-z]/g, letter => letter.toUpperCase()),
+    regionCode,
+    regionName: region.name,
+    islandGroup: region.islandGroup
+  };
+}
+
+/**
+ * Resolve a ?region= value to the column and value to filter on
+ *
+ * Accepts an island group (luzon, visayas, mindanao), a region key
+ * (e.g. "ncr", "davao", "barmm"), a friendly alias ("manila") or a PSGC code.
+ *
+ * @returns {{column: string, value: string}|null}
+ */
+function resolveRegionFilter(value) {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (!key) return null;
+
+  if (ISLAND_GROUPS.includes(key)) {
+    return { column: 'island_group', value: key };
+  }
+  if (REGIONS[key]) {
+    return { column: 'region_code', value: key };
+  }
+
+  const regionKey = REGION_ALIASES[key] || key;
+  const code = Object.keys(REGIONS).find(regionCode => REGIONS[regionCode].key === regionKey);
+  return code ? { column: 'region_code', value: code } : null;
+}
+
+module.exports = {
+  REGIONS,
+  PROVINCES,
+  ISLAND_GROUPS,
+  normalizeName,
+  lookupProvince,
+  resolveRegionFilter
+};
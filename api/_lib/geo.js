@@ -0,0 +1,38 @@
+/**
+ * Geographic helpers shared by the scraper and the events API
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Bounding box of the PHIVOLCS area of responsibility
+const PH_BOUNDS = {
+  minLatitude: 4.0,
+  maxLatitude: 22.0,
+  minLongitude: 116.0,
+  maxLongitude: 128.0
+};
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points in kilometers
+ */
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Check whether a coordinate falls inside a bounding box (PH_BOUNDS by default)
+ */
+function isWithinBounds(latitude, longitude, bounds = PH_BOUNDS) {
+  return latitude >= bounds.minLatitude && latitude <= bounds.maxLatitude &&
+    longitude >= bounds.minLongitude && longitude <= bounds.maxLongitude;
+}
+
+module.exports = { EARTH_RADIUS_KM, PH_BOUNDS, toRadians, haversineKm, isWithinBounds };
@@ -0,0 +1,32 @@
+/**
+ * Content hashing for change detection
+ */
+
+const crypto = require('crypto');
+
+/**
+ * JSON.stringify with object keys sorted, so jsonb round-trips (which
+ * reorder keys) compare equal to the values we produced
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 of a value's stable JSON form
+ */
+function contentHash(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+module.exports = { stableStringify, contentHash };
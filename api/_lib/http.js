@@ -0,0 +1,117 @@
+/**
+ * Upstream HTTP helpers: bounded retries with jittered backoff and TLS
+ * trust for agencies whose certificate chain Node does not accept
+ */
+
+const fs = require('fs');
+const https = require('https');
+const tls = require('tls');
+const { readSection } = require('./config');
+
+const RETRY_DEFAULTS = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 4000,
+  // The scrape function has 30s; leave room for the database write
+  deadlineMs: 20000
+};
+
+// Network errors worth another attempt; anything else fails immediately
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT']);
+
+function isRetryable(error) {
+  const status = error?.response?.status;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return RETRYABLE_CODES.has(error?.code);
+}
+
+/**
+ * Full-jitter exponential backoff: random delay in [0, min(max, base * 2^attempt))
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  return Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function getRetryOptions(env = process.env) {
+  return { ...RETRY_DEFAULTS, retries: readSection('scraper', env).fetchRetries };
+}
+
+/**
+ * Run a request, retrying transient failures
+ *
+ * The error thrown after the last attempt carries `attempts`.
+ *
+ * @param {Function} request - async (attempt) => response
+ * @param {Object} [options] - Overrides for RETRY_DEFAULTS, plus sleep/random/onRetry for tests and logging
+ */
+async function withRetry(request, options = {}) {
+  const {
+    retries, baseDelayMs, maxDelayMs, deadlineMs,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random,
+    onRetry = null
+  } = { ...getRetryOptions(), ...options };
+  const started = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(attempt);
+    } catch (error) {
+      const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random);
+      const outOfTime = Date.now() - started + delay > deadlineMs;
+
+      if (attempt >= retries || outOfTime || !isRetryable(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Extra CA certificates from EARTHPH_PHIVOLCS_CA_PEM (inline PEM) and/or
+ * EARTHPH_PHIVOLCS_CA_FILE (path to a PEM bundle)
+ */
+function loadCaBundle(env = process.env) {
+  const { phivolcsCaPem, phivolcsCaFile } = readSection('sources', env);
+  const bundle = [];
+
+  if (phivolcsCaPem) {
+    // Vercel env values often arrive with escaped newlines
+    bundle.push(phivolcsCaPem.replace(/\\n/g, '\n'));
+  }
+  if (phivolcsCaFile) {
+    bundle.push(fs.readFileSync(phivolcsCaFile, 'utf8'));
+  }
+
+  return bundle;
+}
+
+let phivolcsAgent = null;
+
+/**
+ * HTTPS agent that verifies certificates against Node's roots plus the
+ * configured bundle (typically the intermediate PHIVOLCS fails to send)
+ */
+function getPhivolcsAgent(env = process.env) {
+  if (!phivolcsAgent) {
+    const extra = loadCaBundle(env);
+    phivolcsAgent = new https.Agent({
+      ca: extra.length > 0 ? [...tls.rootCertificates, ...extra] : undefined
+    });
+  }
+  return phivolcsAgent;
+}
+
+module.exports = {
+  RETRY_DEFAULTS,
+  isRetryable,
+  backoffDelay,
+  getRetryOptions,
+  withRetry,
+  loadCaBundle,
+  getPhivolcsAgent
+};
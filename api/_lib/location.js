@@ -0,0 +1,93 @@
+/**
+ * Structured parsing of agency location text
+ *
+ * PHIVOLCS: "023 km N 45° W of Tarragona (Davao Oriental)"
+ * USGS:     "35 km SSE of Davao, Philippines"
+ */
+
+const { lookupProvince } = require('./gazetteer');
+
+const PHIVOLCS_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*km\s+([NS])\s*(\d+(?:\.\d+)?)\s*(?:°|º|˚|deg)?\s*([EW])\s+of\s+(.+?)\s*\(([^)]+)\)\s*$/i;
+const COMPASS_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*km\s+([NSEW]{1,3})\s+of\s+(.+?)\s*$/i;
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+const EMPTY_LOCATION = {
+  distance_km: null,
+  bearing_deg: null,
+  municipality: null,
+  province: null,
+  region_code: null,
+  island_group: null
+};
+
+/**
+ * Convert a quadrant bearing ("N 45° W") to degrees clockwise from north
+ */
+function quadrantBearing(from, angle, to) {
+  const ns = from.toUpperCase();
+  const ew = to.toUpperCase();
+  let bearing;
+  if (ns === 'N' && ew === 'E') bearing = angle;
+  else if (ns === 'S' && ew === 'E') bearing = 180 - angle;
+  else if (ns === 'S' && ew === 'W') bearing = 180 + angle;
+  else bearing = 360 - angle;
+  return bearing % 360;
+}
+
+/**
+ * Title-case a municipality name ("CITY OF DAVAO" -> "City Of Davao")
+ */
+function tidyName(name) {
+  const trimmed = name.replace(/\s+/g, ' ').trim();
+  if (trimmed !== trimmed.toUpperCase()) return trimmed;
+  return trimmed.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Split location text into distance, bearing, municipality, province and region
+ *
+ * Unrecognized text yields null fields rather than an error.
+ *
+ * @param {string} text - Raw location text from any agency
+ * @returns {Object} { distance_km, bearing_deg, municipality, province, region_code, island_group }
+ */
+function parseLocationText(text) {
+  if (!text || typeof text !== 'string') return { ...EMPTY_LOCATION };
+
+  const phivolcs = PHIVOLCS_PATTERN.exec(text);
+  if (phivolcs) {
+    const [, distance, from, angle, to, municipality, provinceText] = phivolcs;
+    const province = lookupProvince(provinceText);
+
+    return {
+      distance_km: parseFloat(distance),
+      bearing_deg: quadrantBearing(from, parseFloat(angle), to),
+      municipality: tidyName(municipality),
+      province: province ? province.province : tidyName(provinceText),
+      region_code: province ? province.regionCode : null,
+      island_group: province ? province.islandGroup : null
+    };
+  }
+
+  const compass = COMPASS_PATTERN.exec(text);
+  if (compass) {
+    const [, distance, point, place] = compass;
+    const pointIndex = COMPASS_POINTS.indexOf(point.toUpperCase());
+    if (pointIndex !== -1) {
+      return {
+        ...EMPTY_LOCATION,
+        distance_km: parseFloat(distance),
+        bearing_deg: pointIndex * 22.5,
+        municipality: tidyName(place.replace(/,\s*Philippines$/i, ''))
+      };
+    }
+  }
+
+  return { ...EMPTY_LOCATION };
+}
+
+// Columns filled from the location text
+const LOCATION_FIELDS = Object.keys(EMPTY_LOCATION);
+
+module.exports = { LOCATION_FIELDS, parseLocationText, quadrantBearing };
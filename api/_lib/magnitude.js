@@ -0,0 +1,30 @@
+/**
+ * Magnitude bands and energy shared by the exports and statistics
+ */
+
+// Same bands, labels and colors as the map legend and createMagnitudeIcon
+// (src/components/Map.jsx), highest first; size is the marker diameter in pixels
+const MAGNITUDE_BANDS = [
+  { id: 'major', label: '≥ 7.0 - Major', min: 7.0, max: null, color: '#b91c1c', size: 40 },
+  { id: 'strong', label: '6.0 - 6.9 - Strong', min: 6.0, max: 7.0, color: '#dc2626', size: 36 },
+  { id: 'moderate', label: '5.0 - 5.9 - Moderate', min: 5.0, max: 6.0, color: '#f59e0b', size: 32 },
+  { id: 'light', label: '4.0 - 4.9 - Light', min: 4.0, max: 5.0, color: '#fbbf24', size: 28 },
+  { id: 'minor', label: '< 4.0 - Minor', min: null, max: 4.0, color: '#3b82f6', size: 24 }
+];
+
+/**
+ * Band for a magnitude; missing magnitudes fall in the lowest band, as on the map
+ */
+function magnitudeBand(magnitude) {
+  const mag = parseFloat(magnitude);
+  return MAGNITUDE_BANDS.find(band => band.min !== null && mag >= band.min) || MAGNITUDE_BANDS[MAGNITUDE_BANDS.length - 1];
+}
+
+/**
+ * Radiated seismic energy in joules (Gutenberg-Richter: log10 E = 1.5 M + 4.8)
+ */
+function energyJoules(magnitude) {
+  return 10 ** (1.5 * magnitude + 4.8);
+}
+
+module.exports = { MAGNITUDE_BANDS, magnitudeBand, energyJoules };
@@ -0,0 +1,121 @@
+/**
+ * Cross-source event merging
+ *
+ * Groups origins reported by different agencies for the same physical
+ * earthquake. The highest-priority agency provides the headline solution;
+ * every agency's own solution is kept under `origins`.
+ */
+
+const { haversineKm } = require('./geo');
+const { parseLocationText } = require('./location');
+
+// PHIVOLCS is the authoritative agency for the Philippines
+const SOURCE_PRIORITY = ['phivolcs', 'usgs', 'emsc'];
+
+// PHIVOLCS reports times to the minute and locations can differ by tens of km
+const DEFAULT_MATCH_OPTIONS = {
+  maxTimeDeltaSeconds: 90,
+  maxDistanceKm: 100
+};
+
+function sourceRank(source) {
+  const rank = SOURCE_PRIORITY.indexOf(source);
+  return rank === -1 ? SOURCE_PRIORITY.length : rank;
+}
+
+/**
+ * Build the legacy row id from an origin's time and rounded coordinates
+ */
+function buildEventId(origin) {
+  return `${origin.occurred_at.replace(/[:.]/g, '-')}_${(origin.latitude * 100).toFixed(0)}_${(origin.longitude * 100).toFixed(0)}`;
+}
+
+/**
+ * Score how well two origins match (lower is better), or null if they
+ * are too far apart in time or space to be the same earthquake
+ */
+function matchScore(a, b, options = DEFAULT_MATCH_OPTIONS) {
+  const dtSeconds = Math.abs(new Date(a.occurred_at).getTime() - new Date(b.occurred_at).getTime()) / 1000;
+  if (dtSeconds > options.maxTimeDeltaSeconds) return null;
+
+  const distanceKm = haversineKm(a.latitude, a.longitude, b.latitude, b.longitude);
+  if (distanceKm > options.maxDistanceKm) return null;
+
+  return dtSeconds / options.maxTimeDeltaSeconds + distanceKm / options.maxDistanceKm;
+}
+
+function toStoredOrigin(origin) {
+  return {
+    source_event_id: origin.source_event_id || null,
+    occurred_at: origin.occurred_at,
+    latitude: origin.latitude,
+    longitude: origin.longitude,
+    depth_km: origin.depth_km,
+    magnitude: origin.magnitude,
+    magnitude_type: origin.magnitude_type || null,
+    location_text: origin.location_text
+  };
+}
+
+/**
+ * Merge normalized origins from all sources into stored events
+ *
+ * @param {Array} origins - Normalized origins from any number of adapters
+ * @param {Object} options - Overrides for DEFAULT_MATCH_OPTIONS
+ * @returns {Array} Events ready for upsert
+ */
+function mergeOrigins(origins, options = {}) {
+  const matchOptions = { ...DEFAULT_MATCH_OPTIONS, ...options };
+  const ranked = [...origins].sort((a, b) =>
+    sourceRank(a.source) - sourceRank(b.source) ||
+    new Date(a.occurred_at).getTime() - new Date(b.occurred_at).getTime()
+  );
+
+  const clusters = [];
+  for (const origin of ranked) {
+    let bestCluster = null;
+    let bestScore = Infinity;
+
+    for (const cluster of clusters) {
+      // An agency never reports the same earthquake twice
+      if (cluster.origins[origin.source]) continue;
+
+      const score = matchScore(cluster.preferred, origin, matchOptions);
+      if (score !== null && score < bestScore) {
+        bestCluster = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (bestCluster) {
+      bestCluster.origins[origin.source] = origin;
+    } else {
+      clusters.push({ preferred: origin, origins: { [origin.source]: origin } });
+    }
+  }
+
+  return clusters.map(({ preferred, origins: clusterOrigins }) => {
+    const sources = Object.keys(clusterOrigins).sort((a, b) => sourceRank(a) - sourceRank(b));
+
+    return {
+      id: buildEventId(preferred),
+      occurred_at: preferred.occurred_at,
+      latitude: preferred.latitude,
+      longitude: preferred.longitude,
+      depth_km: preferred.depth_km,
+      magnitude: preferred.magnitude,
+      location_text: preferred.location_text,
+      ...parseLocationText(preferred.location_text),
+      sources,
+      origins: Object.fromEntries(sources.map(source => [source, toStoredOrigin(clusterOrigins[source])]))
+    };
+  });
+}
+
+module.exports = {
+  SOURCE_PRIORITY,
+  DEFAULT_MATCH_OPTIONS,
+  buildEventId,
+  matchScore,
+  mergeOrigins
+};
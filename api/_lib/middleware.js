@@ -0,0 +1,379 @@
+/**
+ * Request pipeline shared by the serverless handlers
+ *
+ * A handler is built from steps called as step(req, res, ctx, next), each
+ * doing its part and awaiting next() to continue. createHandler() puts the
+ * standard steps in order:
+ *
+ *   logRequests      one JSON log line per request, with a correlation id
+ *   mapErrors        thrown errors become { success: false, error, message }
+ *   securityHeaders  the same security headers on every API response
+ *   cors             CORS for the site's origins (EARTHPH_ALLOWED_ORIGINS),
+ *                    any origin or none
+ *   requireConfig    500 listing every configuration problem (api/_lib/config.js)
+ *   allowMethods     405 for anything else; OPTIONS is answered by cors
+ *   requireCronSecret  the x-earthph-cron-secret header (admin endpoints)
+ *   apiAccess        API keys, quotas and rate limits (public endpoints)
+ *
+ * API headers are set here only; vercel.json leaves /api alone.
+ */
+
+const crypto = require('crypto');
+const { HttpError, ConfigurationError } = require('./errors');
+const { getConfig, takeConfigWarnings, readSection } = require('./config');
+const { RATE_LIMIT_HEADERS } = require('./rate-limit');
+const { API_KEY_HEADER } = require('./api-keys');
+const { checkAccess, allowKeyPreflight } = require('./access');
+
+const CRON_SECRET_HEADER = 'x-earthph-cron-secret';
+
+/**
+ * Compose steps into a Vercel handler. A null step is skipped, so optional
+ * steps can be written inline.
+ */
+function pipeline(...steps) {
+  const chain = steps.filter(Boolean);
+
+  return async function handler(req, res) {
+    const ctx = { startTime: Date.now(), correlationId: null, error: null, log: {}, config: null, apiKey: null, rateLimit: null };
+    const run = index => (index < chain.length ? chain[index](req, res, ctx, () => run(index + 1)) : undefined);
+    return run(0);
+  };
+}
+
+function logRequest(req, res, ctx, name) {
+  const error = ctx.error;
+  const logEntry = {
+    timestamp: new Date().toISOString(),
+    handler: name,
+    method: req.method,
+    url: req.url,
+    ip: req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown',
+    userAgent: req.headers['user-agent'] || 'unknown',
+    origin: req.headers.origin || req.headers.referer || 'direct',
+    status: res.statusCode,
+    duration: `${Date.now() - ctx.startTime}ms`,
+    correlationId: ctx.correlationId,
+    apiKey: ctx.apiKey?.id || null,
+    authenticated: !!req.headers[CRON_SECRET_HEADER],
+    ...ctx.log,
+    error: error ? error.message : null
+  };
+
+  console.log(JSON.stringify(logEntry));
+
+  if (res.statusCode === 401) {
+    console.warn(`[SECURITY] Unauthorized ${name} access attempt: IP=${logEntry.ip}, UA=${logEntry.userAgent}`);
+  }
+  if (res.statusCode === 429) {
+    console.warn(`[SECURITY] Rate limit exceeded: IP=${logEntry.ip}, UA=${logEntry.userAgent}`);
+  }
+  // Client errors are expected; anything else, including a response cut short, is not
+  if (error && !(res.statusCode >= 400 && res.statusCode < 500)) {
+    console.error(`[ERROR] ${name} request failed: ${error.message}`, logEntry);
+  }
+}
+
+/**
+ * Log every request once it is answered. Handlers add fields through
+ * ctx.log and report a failure they answered themselves through ctx.error.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Handler name, also the correlation id prefix
+ */
+function logRequests({ name }) {
+  return async (req, res, ctx, next) => {
+    ctx.correlationId = `${name}-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+    try {
+      await next();
+    } finally {
+      logRequest(req, res, ctx, name);
+    }
+  };
+}
+
+/**
+ * Status and JSON body for an error thrown by a handler
+ */
+function toErrorResponse(error, ctx = {}) {
+  if (error.code === 'HTTP') {
+    return { status: error.status, body: { success: false, error: error.title, message: error.message, ...error.details } };
+  }
+  if (error.code === 'INVALID_QUERY') {
+    return { status: 400, body: { success: false, error: 'Invalid parameter', message: error.message, errors: error.errors } };
+  }
+  if (error.code === 'CONFIGURATION') {
+    return { status: 500, body: { success: false, error: 'Configuration Error', message: error.message } };
+  }
+  return {
+    status: 500,
+    body: { success: false, error: 'Internal server error', message: error.message || 'Request failed', correlationId: ctx.correlationId || null }
+  };
+}
+
+function sendJsonError(req, res, ctx, status, body) {
+  return res.status(status).json(body);
+}
+
+/**
+ * Answer thrown errors. A response already under way (an export or event
+ * stream) cannot change its status, so it is cut short instead.
+ *
+ * @param {Object} [options]
+ * @param {function} [options.sendError] - (req, res, ctx, status, body) for
+ *   endpoints that answer errors in another format
+ */
+function mapErrors({ sendError = sendJsonError } = {}) {
+  return async (req, res, ctx, next) => {
+    try {
+      await next();
+    } catch (error) {
+      ctx.error = error;
+      if (res.headersSent) {
+        return res.destroy ? res.destroy() : res.end();
+      }
+      const { status, body } = toErrorResponse(error, ctx);
+      return sendError(req, res, ctx, status, body);
+    }
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.cacheControl] - e.g. 'no-store' for admin responses
+ */
+function securityHeaders({ cacheControl = null } = {}) {
+  return async (req, res, ctx, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-XSS-Protection', '1; mode=block');
+    res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'");
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    res.setHeader('Permissions-Policy', 'geolocation=(), microphone=(), camera=()');
+    if (cacheControl) res.setHeader('Cache-Control', cacheControl);
+    return next();
+  };
+}
+
+/**
+ * Refuse to run on an invalid configuration; the valid one is left on
+ * ctx.config, and its warnings are added to the first request's log line
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Defaults to process.env at request time
+ */
+function requireConfig({ env = null } = {}) {
+  return async (req, res, ctx, next) => {
+    ctx.config = getConfig(env || process.env);
+    const warnings = takeConfigWarnings();
+    if (warnings.length > 0) {
+      ctx.log.configWarnings = warnings.map(warning => warning.message);
+    }
+    return next();
+  };
+}
+
+// The site's origins, from EARTHPH_ALLOWED_ORIGINS
+function siteOrigins() {
+  return readSection('cors').allowedOrigins;
+}
+
+function isAllowedOrigin(origin, origins) {
+  return origins.some(allowed => (allowed instanceof RegExp ? allowed.test(origin) : allowed === origin));
+}
+
+/**
+ * CORS headers, and the answer to preflight (OPTIONS) requests
+ *
+ * @param {Object} options
+ * @param {'*'|Array<string|RegExp>|function|null} options.origins - Any origin,
+ *   a list (or a function returning one), or null for same-origin only
+ * @param {Array<string>} options.methods
+ * @param {Array<string>} [options.allowHeaders]
+ * @param {Array<string>} [options.exposeHeaders]
+ */
+function cors({ origins, methods, allowHeaders = [], exposeHeaders = [] }) {
+  return async (req, res, ctx, next) => {
+    const origin = req.headers.origin;
+    const list = typeof origins === 'function' ? origins() : origins;
+    const allowed = list === '*' || (origin && list && isAllowedOrigin(origin, list));
+
+    if (allowed) {
+      res.setHeader('Access-Control-Allow-Origin', list === '*' ? '*' : origin);
+      res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+      if (allowHeaders.length > 0) res.setHeader('Access-Control-Allow-Headers', allowHeaders.join(', '));
+      if (exposeHeaders.length > 0) res.setHeader('Access-Control-Expose-Headers', exposeHeaders.join(', '));
+      if (list !== '*') res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      // A key may allow origins the site does not; its request is checked then
+      if (!allowed && allowHeaders.some(header => header.toLowerCase() === API_KEY_HEADER)) {
+        allowKeyPreflight(req, res);
+      }
+      return res.status(204).end();
+    }
+    return next();
+  };
+}
+
+/**
+ * @param {Array<string>} methods - Methods besides OPTIONS
+ */
+function allowMethods(methods) {
+  return async (req, res, ctx, next) => {
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', [...methods, 'OPTIONS'].join(', '));
+      const list = methods.length > 1 ? `${methods.slice(0, -1).join(', ')} and ${methods[methods.length - 1]}` : methods[0];
+      throw new HttpError(405, 'Method not allowed', `Only ${list} requests are supported`);
+    }
+    return next();
+  };
+}
+
+function secretsMatch(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Admin endpoints: the x-earthph-cron-secret header must match EARTHPH_CRON_SECRET
+ */
+function requireCronSecret({ env = null } = {}) {
+  return async (req, res, ctx, next) => {
+    const validSecret = readSection('secrets', env || process.env).cronSecret;
+    if (!validSecret) {
+      throw new ConfigurationError('EARTHPH_CRON_SECRET not configured');
+    }
+
+    const cronSecret = req.headers[CRON_SECRET_HEADER];
+    if (!cronSecret || !secretsMatch(cronSecret, validSecret)) {
+      throw new HttpError(401, 'Unauthorized', `Valid ${CRON_SECRET_HEADER} header required`);
+    }
+    return next();
+  };
+}
+
+/**
+ * Public endpoints: API key, quota and rate limit checks; the key and rate
+ * limit result are left on ctx
+ *
+ * @param {Object} [options]
+ * @param {function} [options.check] - checkAccess() replacement (tests)
+ */
+function apiAccess({ check = checkAccess } = {}) {
+  return async (req, res, ctx, next) => {
+    const access = await check(req, res);
+    addVary(res, 'X-API-Key');
+    ctx.apiKey = access.apiKey;
+    ctx.rateLimit = access.rateLimit;
+    if (!access.allowed) {
+      throw new HttpError(access.status, access.error, access.message);
+    }
+    return next();
+  };
+}
+
+function addVary(res, header) {
+  const vary = String(res.getHeader('Vary') || '').split(',').map(value => value.trim()).filter(Boolean);
+  if (!vary.some(value => value.toLowerCase() === header.toLowerCase())) {
+    res.setHeader('Vary', [...vary, header].join(', '));
+  }
+}
+
+/**
+ * Cache-Control for a response that went through apiAccess
+ *
+ * A shared cache would serve one client's RateLimit headers and a key's own
+ * CORS origin to everyone, and cached hits never reach the quota check. So
+ * requests with a key are never cached, and cacheable anonymous responses
+ * drop the per-client RateLimit headers.
+ */
+function setCacheControl(req, res, value) {
+  if (req.headers[API_KEY_HEADER]) {
+    res.setHeader('Cache-Control', 'private, no-store');
+    return;
+  }
+  res.setHeader('Cache-Control', value);
+  if (/\b(public|s-maxage)\b/.test(value)) {
+    RATE_LIMIT_HEADERS.forEach(name => res.removeHeader(name));
+  }
+}
+
+/**
+ * The request body as an object; Vercel leaves it a string when the
+ * Content-Type is not JSON
+ */
+function parseJsonBody(req) {
+  if (typeof req.body !== 'string') return req.body || {};
+  try {
+    return JSON.parse(req.body || '{}');
+  } catch (error) {
+    throw new HttpError(400, 'Invalid parameter', 'Request body must be JSON');
+  }
+}
+
+/**
+ * Build a handler with the standard steps
+ *
+ * @param {Object} options
+ * @param {string} options.name - For logs and correlation ids
+ * @param {Array<string>} [options.methods]
+ * @param {'site'|'*'|null} [options.cors] - The site's origins, any origin,
+ *   or none (admin endpoints)
+ * @param {boolean} [options.checkConfig] - Run requireConfig(); only the
+ *   configuration diagnostic turns it off
+ * @param {Array<string>} [options.allowHeaders] - Request headers for CORS
+ * @param {Array<string>} [options.exposeHeaders] - Response headers for CORS
+ * @param {'cron'|null} [options.auth]
+ * @param {boolean} [options.access] - Apply API keys and rate limits
+ * @param {string} [options.cacheControl] - Defaults to no-store with auth
+ * @param {function} [options.sendError] - See mapErrors()
+ * @param {function(Object, Object, Object): Promise} handle - (req, res, ctx)
+ */
+function createHandler({
+  name,
+  methods = ['GET'],
+  cors: corsOrigins = null,
+  allowHeaders = [],
+  exposeHeaders = [],
+  auth = null,
+  access = false,
+  cacheControl = auth ? 'no-store' : null,
+  checkConfig = true,
+  sendError
+}, handle) {
+  return pipeline(
+    logRequests({ name }),
+    mapErrors({ sendError }),
+    securityHeaders({ cacheControl }),
+    cors({
+      origins: corsOrigins === 'site' ? siteOrigins : corsOrigins,
+      methods,
+      allowHeaders: access ? [...allowHeaders, 'X-API-Key'] : allowHeaders,
+      exposeHeaders: access ? [...exposeHeaders, ...RATE_LIMIT_HEADERS] : exposeHeaders
+    }),
+    checkConfig ? requireConfig() : null,
+    allowMethods(methods),
+    auth === 'cron' ? requireCronSecret() : null,
+    access ? apiAccess() : null,
+    handle
+  );
+}
+
+module.exports = {
+  pipeline,
+  logRequests,
+  toErrorResponse,
+  mapErrors,
+  securityHeaders,
+  requireConfig,
+  cors,
+  allowMethods,
+  requireCronSecret,
+  apiAccess,
+  setCacheControl,
+  parseJsonBody,
+  createHandler
+};
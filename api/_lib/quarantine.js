@@ -0,0 +1,158 @@
+/**
+ * Quarantine for rejected scraper rows
+ *
+ * Every row an adapter rejects is stored once (keyed by a hash of its raw
+ * cells) with a machine-readable reason. After a parser fix the pending rows
+ * can be replayed through the same row parser and stored as events. The
+ * quarantine lives in Supabase; other storage backends only log rejects.
+ */
+
+const phivolcs = require('./sources/phivolcs');
+const { contentHash } = require('./hash');
+const { mergeOrigins } = require('./merge');
+const { storeEvents } = require('./store-events');
+
+const QUARANTINE_STATUS = {
+  PENDING: 'pending',
+  REPLAYED: 'replayed'
+};
+
+// Row parsers able to re-read quarantined raw cells, by source id
+const ROW_PARSERS = {
+  phivolcs: phivolcs.parseRow
+};
+
+const MAX_LIST_LIMIT = 200;
+
+function rowHash(row) {
+  return contentHash({ source: row.source, raw: row.raw });
+}
+
+/**
+ * Store rejected rows; rows already quarantined are left untouched
+ *
+ * @returns {Promise<number>} Rows submitted
+ */
+async function quarantineRows(supabase, rows, correlationId = null) {
+  if (!supabase || !rows || rows.length === 0) return 0;
+
+  const records = Array.from(new Map(rows.map(row => [rowHash(row), {
+    source: row.source,
+    reason: row.reason,
+    raw: row.raw,
+    row_hash: rowHash(row),
+    correlation_id: correlationId
+  }])).values());
+
+  const { error } = await supabase
+    .from('quarantined_rows')
+    .upsert(records, { onConflict: 'row_hash', ignoreDuplicates: true });
+
+  if (error) {
+    console.error(`[${correlationId}] Failed to quarantine ${records.length} rejected rows:`, error.message);
+    return 0;
+  }
+  return records.length;
+}
+
+/**
+ * List quarantined rows, newest first
+ *
+ * @returns {Promise<{rows: Array, total: number}>}
+ */
+async function listQuarantined(supabase, { status = QUARANTINE_STATUS.PENDING, source = null, reason = null, limit = 50, offset = 0 } = {}) {
+  let query = supabase
+    .from('quarantined_rows')
+    .select('id, source, reason, raw, status, correlation_id, first_seen_at, replayed_at, replay_correlation_id', { count: 'exact' })
+    .eq('status', status);
+  if (source) query = query.eq('source', source);
+  if (reason) query = query.eq('reason', reason);
+
+  const { data, error, count } = await query
+    .order('first_seen_at', { ascending: false })
+    .range(offset, offset + Math.min(limit, MAX_LIST_LIMIT) - 1);
+  if (error) throw error;
+
+  return { rows: data || [], total: count || 0 };
+}
+
+/**
+ * Re-parse pending rows and store the ones that now parse
+ *
+ * @param {Object} repository - Supabase event repository with write access
+ * @param {Object} options
+ * @param {Array<number>} [options.ids] - Replay only these rows
+ * @param {string} [options.source]
+ * @param {number} [options.limit]
+ * @param {boolean} [options.dryRun] - Report without storing
+ * @param {string} [options.correlationId]
+ * @returns {Promise<{checked: number, recovered: Array, stillRejected: Array, upserted: number}>}
+ */
+async function replayQuarantined(repository, { ids = null, source = null, limit = MAX_LIST_LIMIT, dryRun = false, correlationId = null } = {}) {
+  const supabase = repository.client;
+  let query = supabase
+    .from('quarantined_rows')
+    .select('id, source, reason, raw')
+    .eq('status', QUARANTINE_STATUS.PENDING);
+  if (ids) query = query.in('id', ids);
+  if (source) query = query.eq('source', source);
+
+  const { data, error } = await query.order('id', { ascending: true }).limit(Math.min(limit, MAX_LIST_LIMIT));
+  if (error) throw error;
+
+  const recovered = [];
+  const stillRejected = [];
+
+  for (const row of data || []) {
+    const parseRow = ROW_PARSERS[row.source];
+    if (!parseRow) {
+      stillRejected.push({ id: row.id, reason: row.reason, replayable: false });
+      continue;
+    }
+
+    const { origin, reason } = parseRow(row.raw);
+    if (origin && !reason) {
+      recovered.push({ id: row.id, origin });
+    } else {
+      stillRejected.push({ id: row.id, reason, previousReason: row.reason, replayable: true });
+    }
+  }
+
+  let upserted = 0;
+  if (!dryRun && recovered.length > 0) {
+    const origins = recovered.map(entry => entry.origin);
+    const times = origins.map(origin => new Date(origin.occurred_at).getTime());
+    const events = mergeOrigins(origins);
+    const stored = await storeEvents(repository, Array.from(new Map(events.map(event => [event.id, event])).values()), {
+      windowStart: new Date(Math.min(...times)),
+      windowEnd: new Date(Math.max(...times)),
+      correlationId
+    });
+    upserted = stored.upserted;
+
+    const { error: updateError } = await supabase
+      .from('quarantined_rows')
+      .update({
+        status: QUARANTINE_STATUS.REPLAYED,
+        replayed_at: new Date().toISOString(),
+        replay_correlation_id: correlationId
+      })
+      .in('id', recovered.map(entry => entry.id));
+    if (updateError) throw updateError;
+  }
+
+  return {
+    checked: (data || []).length,
+    recovered: recovered.map(({ id, origin }) => ({ id, occurred_at: origin.occurred_at, magnitude: origin.magnitude, location_text: origin.location_text })),
+    stillRejected,
+    upserted
+  };
+}
+
+module.exports = {
+  QUARANTINE_STATUS,
+  MAX_LIST_LIMIT,
+  quarantineRows,
+  listQuarantined,
+  replayQuarantined
+};
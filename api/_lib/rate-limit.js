@@ -0,0 +1,247 @@
+/**
+ * Token-bucket rate limiting for the public API
+ *
+ * Each client has a bucket holding up to `capacity` tokens that refills at
+ * capacity per minute; a request takes one token. Buckets are keyed by the
+ * client IP (anonymous tier) or by API key (key tier, or the key's own
+ * rate) and live in a store:
+ *
+ *   memory     Per instance; resets on cold start. Used without Supabase
+ *   database   The rate_limit_buckets table, shared by every instance
+ *
+ * Responses carry the IETF RateLimit-* headers
+ * (draft-ietf-httpapi-ratelimit-headers) and Retry-After when limited.
+ */
+
+const net = require('net');
+const { readSection } = require('./config');
+const { getStorageConfig, createEventRepository } = require('./repository');
+
+// Memory store bound; the least recently used buckets go first
+const MAX_MEMORY_BUCKETS = 10000;
+
+// For Access-Control-Expose-Headers, so browser clients can read them
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+
+/**
+ * Read rate limit settings from the environment
+ *
+ * EARTHPH_RATE_LIMIT_STORE defaults to database when events are stored in
+ * Supabase and the service-role key is set, memory otherwise.
+ */
+function getRateLimitConfig(env = process.env) {
+  const limits = readSection('rateLimits', env);
+  const shared = getStorageConfig(env).backend === 'supabase' && !!readSection('secrets', env).supabaseServiceRoleKey;
+  const anonymous = limits.anonymousPerMinute;
+  const key = limits.keyPerMinute;
+
+  return {
+    store: limits.store || (shared ? 'database' : 'memory'),
+    tiers: {
+      anonymous: { capacity: anonymous, refillPerSecond: anonymous / 60 },
+      key: { capacity: key, refillPerSecond: key / 60 }
+    },
+    // Proxies in front of the app that append to X-Forwarded-For (not on Vercel)
+    trustedProxies: limits.trustedProxies,
+    onVercel: !!env.VERCEL
+  };
+}
+
+function normalizeIp(value) {
+  const address = String(value || '').trim().replace(/^\[|\]$/g, '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  return net.isIP(address) ? address : null;
+}
+
+/**
+ * The caller's address, from headers only the trusted proxy can set
+ *
+ * On Vercel the edge overwrites x-vercel-forwarded-for and x-real-ip, so a
+ * client cannot spoof them. Elsewhere X-Forwarded-For is read from the
+ * right, skipping one entry per trusted proxy; with none, the socket
+ * address is used.
+ *
+ * @returns {string} An IP address, or "unknown"
+ */
+function getClientIp(req, { onVercel = !!process.env.VERCEL, trustedProxies = 0 } = {}) {
+  const headers = req.headers || {};
+
+  if (onVercel) {
+    const forwarded = String(headers['x-vercel-forwarded-for'] || '').split(',')[0];
+    return normalizeIp(forwarded) || normalizeIp(headers['x-real-ip']) || 'unknown';
+  }
+
+  if (trustedProxies > 0) {
+    const hops = String(headers['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+    const address = normalizeIp(hops[hops.length - trustedProxies]);
+    if (address) return address;
+  }
+
+  return normalizeIp(req.socket?.remoteAddress) || 'unknown';
+}
+
+/**
+ * Bucket key and tier for a request
+ *
+ * An authenticated API key gets the key tier; anything else is anonymous
+ * and keyed by IP. IPv6 clients share a bucket per /64, the block one host
+ * is usually given, so rotating addresses does not help.
+ *
+ * @param {Object} req
+ * @param {Object} config - Result of getRateLimitConfig()
+ * @param {Object} [apiKey] - Key from api-keys authenticate(), if any
+ */
+function identifyClient(req, config, apiKey = null) {
+  if (apiKey) {
+    return { key: `key:${apiKey.id}`, tier: 'key' };
+  }
+
+  const ip = getClientIp(req, config);
+  if (net.isIPv6(ip)) {
+    const groups = expandIpv6(ip);
+    return { key: `ip:${groups.slice(0, 4).join(':')}::/64`, tier: 'anonymous' };
+  }
+  return { key: `ip:${ip}`, tier: 'anonymous' };
+}
+
+function expandIpv6(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const missing = ip.includes('::') ? 8 - left.length - right.length : 0;
+  return [...left, ...Array(missing).fill('0'), ...right].map(group => group.toLowerCase().replace(/^0+(?=.)/, ''));
+}
+
+/**
+ * Refill a bucket for the elapsed time and try to take `cost` tokens
+ */
+function takeToken(bucket, { capacity, refillPerSecond }, now, cost = 1) {
+  const elapsedSeconds = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+  const tokens = bucket ? Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond) : capacity;
+  const allowed = tokens >= cost;
+
+  return {
+    allowed,
+    bucket: { tokens: allowed ? tokens - cost : tokens, updatedAt: now }
+  };
+}
+
+/**
+ * Per-instance store, least recently used buckets evicted first
+ */
+function createMemoryStore({ maxBuckets = MAX_MEMORY_BUCKETS } = {}) {
+  const buckets = new Map();
+
+  return {
+    name: 'memory',
+
+    async take(key, tier, now) {
+      const { allowed, bucket } = takeToken(buckets.get(key), tier, now);
+      buckets.delete(key);
+      buckets.set(key, bucket);
+      while (buckets.size > maxBuckets) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      return { allowed, tokens: bucket.tokens };
+    },
+
+    get size() {
+      return buckets.size;
+    }
+  };
+}
+
+/**
+ * Shared store: the take_rate_limit_token function updates a bucket row
+ * atomically, so concurrent instances cannot overspend it
+ */
+function createDatabaseStore(supabase) {
+  return {
+    name: 'database',
+
+    async take(key, { capacity, refillPerSecond }) {
+      const { data, error } = await supabase.rpc('take_rate_limit_token', {
+        p_key: key,
+        p_capacity: capacity,
+        p_refill_per_second: refillPerSecond
+      });
+      if (error) throw new Error(`Rate limit store unavailable: ${error.message}`);
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return { allowed: !!row.allowed, tokens: Number(row.tokens) };
+    }
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Result of getRateLimitConfig()
+ * @param {Object} [options.store] - Defaults to the configured store
+ * @param {function(): number} [options.clock]
+ */
+function createRateLimiter({ config = getRateLimitConfig(), store = null, clock = Date.now } = {}) {
+  const primary = store || (config.store === 'database'
+    ? createDatabaseStore(createEventRepository({ access: 'write' }).client)
+    : createMemoryStore());
+  // Used while the database store is failing, so an outage does not take the API down
+  const fallback = primary.name === 'memory' ? primary : createMemoryStore();
+
+  return {
+    config,
+
+    /**
+     * @returns {Promise<{ allowed: boolean, tier: string, limit: number, remaining: number, reset: number, retryAfter: number, windowSeconds: number }>}
+     */
+    async check(req, { apiKey = null } = {}) {
+      const { key, tier: tierName } = identifyClient(req, config, apiKey);
+      const tier = apiKey?.ratePerMinute
+        ? { capacity: apiKey.ratePerMinute, refillPerSecond: apiKey.ratePerMinute / 60 }
+        : config.tiers[tierName];
+      const now = clock();
+
+      let result;
+      try {
+        result = await primary.take(key, tier, now);
+      } catch (error) {
+        console.error('[RateLimit] Falling back to the memory store:', error.message);
+        result = await fallback.take(key, tier, now);
+      }
+
+      const rate = tier.refillPerSecond;
+      return {
+        allowed: result.allowed,
+        tier: tierName,
+        limit: tier.capacity,
+        remaining: Math.floor(result.tokens),
+        // Seconds until the bucket is full again
+        reset: Math.ceil((tier.capacity - result.tokens) / rate),
+        retryAfter: result.allowed ? 0 : Math.max(1, Math.ceil((1 - result.tokens) / rate)),
+        windowSeconds: Math.round(tier.capacity / rate)
+      };
+    }
+  };
+}
+
+/**
+ * RateLimit-* headers for a check() result, plus Retry-After when limited
+ */
+function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.reset));
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(result.retryAfter));
+  }
+}
+
+module.exports = {
+  RATE_LIMIT_HEADERS,
+  getRateLimitConfig,
+  getClientIp,
+  identifyClient,
+  takeToken,
+  createMemoryStore,
+  createDatabaseStore,
+  createRateLimiter,
+  setRateLimitHeaders
+};
@@ -0,0 +1,94 @@
+/**
+ * Event repository - storage for events and their revision history
+ *
+ * Handlers and jobs go through this interface instead of chaining Supabase
+ * queries inline. EARTHPH_STORAGE picks the backend:
+ *
+ *   supabase (default)  Postgres through PostgREST
+ *   sqlite              A local file (EARTHPH_SQLITE_PATH), for self-hosting
+ *   memory              Process memory, for tests and local development
+ *
+ * Every backend implements:
+ *   queryEvents({ from, to, updatedSince, filters, ranges, orderBy, order,
+ *                 limit, offset })                                             -> rows
+ *   getEventById(id)                                                           -> row | null
+ *   upsertEvents(rows)                                                         -> rows written
+ *   insertRevisions(rows)
+ *   getRevisions(eventIds)                                                     -> rows, oldest first
+ *   countEvents({ before, detailLevel })                                       -> number
+ *   compactEventsBefore(cutoff)                                                -> compacted ids
+ *   deleteRevisions(eventIds)                                                  -> rows deleted
+ *   deleteEventsBefore(cutoff)                                                 -> rows deleted
+ *
+ * `filters` are equality matches ({ region_code: '1100000000' }), `ranges`
+ * inclusive bounds ({ magnitude: { min: 4 }, depth_km: { max: 70 } }),
+ * `updatedSince` keeps rows with updated_at at or after a time, and
+ * `orderBy` is occurred_at (default) or magnitude; ties and missing
+ * magnitudes sort by time, newest first.
+ *
+ * Rows use the `events` / `event_revisions` column names. `client` is the
+ * Supabase client when the backend has one, for the operational tables
+ * (run ledger, fetch state, scrape lock, quarantine); it is null otherwise
+ * and those features are skipped.
+ */
+
+const path = require('path');
+const { ConfigurationError } = require('../errors');
+const { STORAGE_BACKENDS, readSection } = require('../config');
+const { createSupabaseRepository } = require('./supabase');
+const { createSqliteRepository } = require('./sqlite');
+const { createMemoryRepository } = require('./memory');
+
+// SQLite handles and the in-memory store are shared by every handler in the process
+const shared = new Map();
+
+/**
+ * Read the storage backend settings from the environment
+ */
+function getStorageConfig(env = process.env) {
+  const { backend, sqlitePath } = readSection('storage', env);
+  return { backend, sqlitePath: path.resolve(sqlitePath) };
+}
+
+/**
+ * Create the configured event repository
+ *
+ * @param {Object} [options]
+ * @param {string} [options.access] - 'read' uses the Supabase anon key, 'write' the service-role key
+ * @param {Object} [options.config] - Result of getStorageConfig()
+ * @param {Object} [options.env]
+ * @throws {ConfigurationError} When the backend's settings are missing
+ */
+function createEventRepository({ access = 'read', config = null, env = process.env } = {}) {
+  const { backend, sqlitePath } = config || getStorageConfig(env);
+
+  if (backend === 'supabase') {
+    const url = readSection('storage', env).supabaseUrl;
+    const secrets = readSection('secrets', env);
+    const key = access === 'write' ? secrets.supabaseServiceRoleKey : secrets.supabaseAnonKey;
+
+    if (!url || !key) {
+      throw new ConfigurationError(access === 'write'
+        ? 'Supabase credentials not configured'
+        : 'Database configuration not available');
+    }
+    return createSupabaseRepository({ url, key });
+  }
+
+  const cacheKey = backend === 'sqlite' ? `sqlite:${sqlitePath}` : 'memory';
+  if (!shared.has(cacheKey)) {
+    shared.set(cacheKey, backend === 'sqlite'
+      ? createSqliteRepository({ path: sqlitePath })
+      : createMemoryRepository());
+  }
+  return shared.get(cacheKey);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorageConfig,
+  createEventRepository,
+  createSupabaseRepository,
+  createSqliteRepository,
+  createMemoryRepository
+};
@@ -0,0 +1,126 @@
+/**
+ * In-memory event repository
+ *
+ * Holds events for the life of the process. Used by tests and for running
+ * the app locally without any database.
+ */
+
+function matchesQuery(event, { from = null, to = null, before = null, updatedSince = null, detailLevel = null, filters = {}, ranges = {} }) {
+  const time = new Date(event.occurred_at).getTime();
+  if (from && time < new Date(from).getTime()) return false;
+  if (updatedSince && !(new Date(event.updated_at).getTime() >= new Date(updatedSince).getTime())) return false;
+  if (to && time > new Date(to).getTime()) return false;
+  if (before && time >= new Date(before).getTime()) return false;
+  if (detailLevel && (event.detail_level || 'full') !== detailLevel) return false;
+  if (!Object.entries(ranges).every(([column, { min = null, max = null }]) => {
+    const value = event[column];
+    // Like SQL, a missing value never satisfies a bound
+    if (min !== null && !(value !== null && value !== undefined && value >= min)) return false;
+    return max === null || (value !== null && value !== undefined && value <= max);
+  })) return false;
+  return Object.entries(filters).every(([column, value]) => value === undefined || value === null || event[column] === value);
+}
+
+function compareEvents(orderBy, direction) {
+  const byId = (a, b) => (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0));
+  const byTime = (a, b) => new Date(b.occurred_at).getTime() - new Date(a.occurred_at).getTime() || byId(a, b);
+  if (orderBy === 'occurred_at') {
+    return (a, b) => -direction * (new Date(b.occurred_at).getTime() - new Date(a.occurred_at).getTime()) || byId(a, b);
+  }
+  return (a, b) => {
+    const missingA = a[orderBy] === null || a[orderBy] === undefined;
+    const missingB = b[orderBy] === null || b[orderBy] === undefined;
+    if (missingA || missingB) return missingA === missingB ? byTime(a, b) : (missingA ? 1 : -1);
+    return direction * (a[orderBy] - b[orderBy]) || byTime(a, b);
+  };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @param {Object} [seed]
+ * @param {Array} [seed.events] - Initial event rows
+ * @param {Array} [seed.revisions] - Initial event_revisions rows
+ */
+function createMemoryRepository({ events = [], revisions = [] } = {}) {
+  const rows = new Map(events.map(event => [event.id, { detail_level: 'full', ...clone(event) }]));
+  let revisionRows = revisions.map(clone);
+
+  return {
+    backend: 'memory',
+    client: null,
+
+    async queryEvents({ from = null, to = null, updatedSince = null, filters = {}, ranges = {}, orderBy = 'occurred_at', order = 'desc', limit = null, offset = 0 } = {}) {
+      const matched = [...rows.values()]
+        .filter(event => matchesQuery(event, { from, to, updatedSince, filters, ranges }))
+        .sort(compareEvents(orderBy, order === 'asc' ? 1 : -1));
+      return clone(limit === null ? matched.slice(offset) : matched.slice(offset, offset + limit));
+    },
+
+    async getEventById(id) {
+      return rows.has(id) ? clone(rows.get(id)) : null;
+    },
+
+    async upsertEvents(events) {
+      const now = new Date().toISOString();
+      for (const event of events) {
+        const existing = rows.get(event.id);
+        rows.set(event.id, existing
+          ? { ...existing, ...clone(event) }
+          : { detail_level: 'full', created_at: now, ...clone(event) });
+      }
+      return events.length;
+    },
+
+    async insertRevisions(revisions) {
+      revisionRows = revisionRows.concat(revisions.map(clone));
+    },
+
+    async getRevisions(eventIds) {
+      const ids = new Set(eventIds);
+      return clone(revisionRows
+        .filter(revision => ids.has(revision.event_id))
+        .sort((a, b) => new Date(a.revised_at).getTime() - new Date(b.revised_at).getTime()));
+    },
+
+    async countEvents({ before = null, detailLevel = null } = {}) {
+      return [...rows.values()].filter(event => matchesQuery(event, { before, detailLevel })).length;
+    },
+
+    async compactEventsBefore(cutoff) {
+      const ids = [];
+      for (const event of rows.values()) {
+        if (matchesQuery(event, { before: cutoff, detailLevel: 'full' })) {
+          event.origins = null;
+          event.detail_level = 'summary';
+          ids.push(event.id);
+        }
+      }
+      return ids;
+    },
+
+    async deleteRevisions(eventIds) {
+      const ids = new Set(eventIds);
+      const before = revisionRows.length;
+      revisionRows = revisionRows.filter(revision => !ids.has(revision.event_id));
+      return before - revisionRows.length;
+    },
+
+    async deleteEventsBefore(cutoff) {
+      let deleted = 0;
+      for (const [id, event] of rows) {
+        if (matchesQuery(event, { before: cutoff })) {
+          rows.delete(id);
+          deleted++;
+        }
+      }
+      // Revisions cascade with their event, as in Postgres
+      revisionRows = revisionRows.filter(revision => rows.has(revision.event_id));
+      return deleted;
+    }
+  };
+}
+
+module.exports = { createMemoryRepository };
@@ -0,0 +1,246 @@
+/**
+ * SQLite event repository
+ *
+ * Mirrors the Postgres `events` and `event_revisions` tables in a single
+ * file so the app can be self-hosted without Supabase. Needs the optional
+ * better-sqlite3 package.
+ */
+
+const { ConfigurationError } = require('../errors');
+
+const EVENT_COLUMNS = [
+  'id', 'occurred_at', 'latitude', 'longitude', 'depth_km', 'magnitude', 'location_text',
+  'distance_km', 'bearing_deg', 'municipality', 'province', 'region_code', 'island_group',
+  'sources', 'origins', 'detail_level', 'created_at', 'updated_at', 'revision_count'
+];
+const REVISION_COLUMNS = ['event_id', 'field', 'previous_value', 'new_value', 'source', 'correlation_id', 'revised_at'];
+const JSON_COLUMNS = new Set(['sources', 'origins', 'previous_value', 'new_value']);
+const TIMESTAMP_COLUMNS = new Set(['occurred_at', 'created_at', 'updated_at', 'revised_at']);
+
+// Columns a query may filter on with equality, bound to a range, or sort by
+const FILTER_COLUMNS = new Set(['region_code', 'island_group', 'province', 'municipality', 'detail_level']);
+const RANGE_COLUMNS = new Set(['magnitude', 'depth_km', 'latitude', 'longitude', 'distance_km']);
+const ORDER_COLUMNS = new Set(['occurred_at', 'magnitude']);
+
+const SCHEMA = `
+  create table if not exists events (
+    id text primary key,
+    occurred_at text not null,
+    latitude real not null,
+    longitude real not null,
+    depth_km real,
+    magnitude real,
+    location_text text,
+    distance_km real,
+    bearing_deg real,
+    municipality text,
+    province text,
+    region_code text,
+    island_group text,
+    sources text not null default '["phivolcs"]',
+    origins text,
+    detail_level text not null default 'full' check (detail_level in ('full', 'summary')),
+    created_at text not null,
+    updated_at text not null,
+    revision_count integer not null default 0
+  );
+  create index if not exists events_occurred_at_idx on events (occurred_at desc);
+  create index if not exists events_region_code_occurred_at_idx on events (region_code, occurred_at desc);
+  create index if not exists events_island_group_occurred_at_idx on events (island_group, occurred_at desc);
+  create index if not exists events_updated_at_idx on events (updated_at);
+
+  create table if not exists event_revisions (
+    id integer primary key autoincrement,
+    event_id text not null references events (id) on delete cascade,
+    field text not null,
+    previous_value text,
+    new_value text,
+    source text,
+    correlation_id text,
+    revised_at text not null
+  );
+  create index if not exists event_revisions_event_id_idx on event_revisions (event_id, revised_at);
+`;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    throw new ConfigurationError('EARTHPH_STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+}
+
+// Timestamps are compared as text, so they are always stored in toISOString() form
+function toIso(value) {
+  return value === null || value === undefined ? value : new Date(value).toISOString();
+}
+
+function toColumn(column, value) {
+  if (value === undefined) return null;
+  if (JSON_COLUMNS.has(column)) return value === null ? null : JSON.stringify(value);
+  if (TIMESTAMP_COLUMNS.has(column)) return toIso(value);
+  return value;
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const result = { ...row };
+  JSON_COLUMNS.forEach(column => {
+    if (typeof result[column] === 'string') result[column] = JSON.parse(result[column]);
+  });
+  return result;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.path - Database file, or ':memory:'
+ * @param {Object} [options.database] - Open better-sqlite3 handle (tests)
+ */
+function createSqliteRepository({ path, database = null }) {
+  let db = database;
+  if (!db) {
+    const Database = loadDriver();
+    db = new Database(path);
+    db.pragma('journal_mode = WAL');
+  }
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const statements = new Map();
+  const prepare = (sql) => {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  };
+
+  const upsertOne = (event, now) => {
+    const columns = EVENT_COLUMNS.filter(column => column !== 'created_at' && event[column] !== undefined);
+    const values = columns.map(column => toColumn(column, event[column]));
+    // created_at records when the event was first stored and never changes
+    const insertColumns = ['created_at', ...columns];
+    const updates = columns.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`);
+    if (!columns.includes('updated_at')) {
+      insertColumns.push('updated_at');
+      values.push(now);
+    }
+
+    prepare(
+      `insert into events (${insertColumns.join(', ')}) values (${insertColumns.map(() => '?').join(', ')}) ` +
+      `on conflict (id) do update set ${updates.join(', ')}`
+    ).run(toIso(event.created_at) || now, ...values);
+  };
+
+  const upsertMany = db.transaction((events) => {
+    const now = new Date().toISOString();
+    events.forEach(event => upsertOne(event, now));
+  });
+
+  const insertMany = db.transaction((revisions) => {
+    const statement = prepare(
+      `insert into event_revisions (${REVISION_COLUMNS.join(', ')}) values (${REVISION_COLUMNS.map(() => '?').join(', ')})`
+    );
+    revisions.forEach(revision => statement.run(...REVISION_COLUMNS.map(column =>
+      column === 'revised_at' ? toIso(revision.revised_at || new Date()) : toColumn(column, revision[column])
+    )));
+  });
+
+  return {
+    backend: 'sqlite',
+    client: null,
+    database: db,
+
+    async queryEvents({ from = null, to = null, updatedSince = null, filters = {}, ranges = {}, orderBy = 'occurred_at', order = 'desc', limit = null, offset = 0 } = {}) {
+      const where = [];
+      const params = [];
+      if (from) {
+        where.push('occurred_at >= ?');
+        params.push(toIso(from));
+      }
+      if (to) {
+        where.push('occurred_at <= ?');
+        params.push(toIso(to));
+      }
+      if (updatedSince) {
+        where.push('updated_at >= ?');
+        params.push(toIso(updatedSince));
+      }
+      Object.entries(filters).forEach(([column, value]) => {
+        if (value === undefined || value === null) return;
+        if (!FILTER_COLUMNS.has(column)) throw new Error(`Cannot filter events on "${column}"`);
+        where.push(`${column} = ?`);
+        params.push(value);
+      });
+      Object.entries(ranges).forEach(([column, { min = null, max = null }]) => {
+        if (!RANGE_COLUMNS.has(column)) throw new Error(`Cannot bound events on "${column}"`);
+        if (min !== null) {
+          where.push(`${column} >= ?`);
+          params.push(min);
+        }
+        if (max !== null) {
+          where.push(`${column} <= ?`);
+          params.push(max);
+        }
+      });
+      if (!ORDER_COLUMNS.has(orderBy)) throw new Error(`Cannot order events by "${orderBy}"`);
+
+      const direction = order === 'asc' ? 'asc' : 'desc';
+      const ordering = orderBy === 'occurred_at'
+        ? `occurred_at ${direction}, id asc`
+        : `${orderBy} ${direction} nulls last, occurred_at desc, id asc`;
+      const sql = `select ${EVENT_COLUMNS.join(', ')} from events` +
+        `${where.length ? ` where ${where.join(' and ')}` : ''}` +
+        ` order by ${ordering} limit ? offset ?`;
+      return prepare(sql).all(...params, limit === null ? -1 : limit, offset).map(fromRow);
+    },
+
+    async getEventById(id) {
+      return fromRow(prepare(`select ${EVENT_COLUMNS.join(', ')} from events where id = ?`).get(id));
+    },
+
+    async upsertEvents(events) {
+      upsertMany(events);
+      return events.length;
+    },
+
+    async insertRevisions(revisions) {
+      if (revisions.length > 0) insertMany(revisions);
+    },
+
+    async getRevisions(eventIds) {
+      if (eventIds.length === 0) return [];
+      return db.prepare(
+        `select ${REVISION_COLUMNS.join(', ')} from event_revisions where event_id in (${eventIds.map(() => '?').join(', ')}) order by revised_at asc, id asc`
+      ).all(...eventIds).map(fromRow);
+    },
+
+    async countEvents({ before = null, detailLevel = null } = {}) {
+      const where = [];
+      const params = [];
+      if (detailLevel) {
+        where.push('detail_level = ?');
+        params.push(detailLevel);
+      }
+      if (before) {
+        where.push('occurred_at < ?');
+        params.push(toIso(before));
+      }
+      return prepare(`select count(*) as count from events${where.length ? ` where ${where.join(' and ')}` : ''}`).get(...params).count;
+    },
+
+    async compactEventsBefore(cutoff) {
+      return prepare(
+        "update events set origins = null, detail_level = 'summary' where detail_level = 'full' and occurred_at < ? returning id"
+      ).all(toIso(cutoff)).map(row => row.id);
+    },
+
+    async deleteRevisions(eventIds) {
+      if (eventIds.length === 0) return 0;
+      return db.prepare(`delete from event_revisions where event_id in (${eventIds.map(() => '?').join(', ')})`).run(...eventIds).changes;
+    },
+
+    async deleteEventsBefore(cutoff) {
+      return prepare('delete from events where occurred_at < ?').run(toIso(cutoff)).changes;
+    }
+  };
+}
+
+module.exports = { createSqliteRepository };
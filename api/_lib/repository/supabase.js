@@ -0,0 +1,162 @@
+/**
+ * Supabase (PostgREST) event repository
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+const EVENT_COLUMNS = 'id, occurred_at, latitude, longitude, depth_km, magnitude, location_text, distance_km, bearing_deg, municipality, province, region_code, island_group, sources, origins, detail_level, created_at, updated_at, revision_count';
+const REVISION_COLUMNS = 'event_id, field, previous_value, new_value, source, correlation_id, revised_at';
+
+// PostgREST caps responses at 1000 rows by default
+const PAGE_SIZE = 1000;
+const UPSERT_BATCH_SIZE = 500;
+// Large id lists are split to keep PostgREST URLs short
+const ID_CHUNK_SIZE = 200;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} options.key - Anon key for reads, service-role key for writes
+ * @param {Object} [options.client] - Existing client (tests)
+ */
+function createSupabaseRepository({ url, key, client = null }) {
+  const supabase = client || createClient(url, key, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  return {
+    backend: 'supabase',
+    client: supabase,
+
+    async queryEvents({ from = null, to = null, updatedSince = null, filters = {}, ranges = {}, orderBy = 'occurred_at', order = 'desc', limit = null, offset = 0 } = {}) {
+      const rows = [];
+      const end = limit === null ? Infinity : offset + limit;
+
+      for (let start = offset; start < end; start += PAGE_SIZE) {
+        let query = supabase.from('events').select(EVENT_COLUMNS);
+        if (from) query = query.gte('occurred_at', toIso(from));
+        if (to) query = query.lte('occurred_at', toIso(to));
+        if (updatedSince) query = query.gte('updated_at', toIso(updatedSince));
+        Object.entries(filters).forEach(([column, value]) => {
+          if (value !== undefined && value !== null) query = query.eq(column, value);
+        });
+        Object.entries(ranges).forEach(([column, { min = null, max = null }]) => {
+          if (min !== null) query = query.gte(column, min);
+          if (max !== null) query = query.lte(column, max);
+        });
+
+        query = query.order(orderBy, { ascending: order === 'asc', nullsFirst: false });
+        if (orderBy !== 'occurred_at') {
+          query = query.order('occurred_at', { ascending: false });
+        }
+        // A total order, so .range() pages neither repeat nor skip tied rows
+        query = query.order('id', { ascending: true });
+
+        const pageEnd = Math.min(start + PAGE_SIZE, end) - 1;
+        const { data, error } = await query.range(start, pageEnd);
+        if (error) throw error;
+
+        rows.push(...(data || []));
+        if (!data || data.length < pageEnd - start + 1) break;
+      }
+
+      return rows;
+    },
+
+    async getEventById(id) {
+      const { data, error } = await supabase
+        .from('events')
+        .select(EVENT_COLUMNS)
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      return data || null;
+    },
+
+    async upsertEvents(events) {
+      let upserted = 0;
+      for (const batch of chunk(events, UPSERT_BATCH_SIZE)) {
+        const { data, error } = await supabase.from('events').upsert(batch).select('id');
+        if (error) throw error;
+        upserted += data?.length || batch.length;
+      }
+      return upserted;
+    },
+
+    async insertRevisions(revisions) {
+      if (revisions.length === 0) return;
+      const { error } = await supabase.from('event_revisions').insert(revisions);
+      if (error) throw error;
+    },
+
+    async getRevisions(eventIds) {
+      const rows = [];
+      for (const ids of chunk(eventIds, ID_CHUNK_SIZE)) {
+        const { data, error } = await supabase
+          .from('event_revisions')
+          .select(REVISION_COLUMNS)
+          .in('event_id', ids)
+          .order('revised_at', { ascending: true });
+        if (error) throw error;
+        rows.push(...(data || []));
+      }
+      return rows;
+    },
+
+    async countEvents({ before = null, detailLevel = null } = {}) {
+      let query = supabase.from('events').select('id', { count: 'exact', head: true });
+      if (detailLevel) query = query.eq('detail_level', detailLevel);
+      if (before) query = query.lt('occurred_at', toIso(before));
+      const { count, error } = await query;
+      if (error) throw error;
+      return count || 0;
+    },
+
+    async compactEventsBefore(cutoff) {
+      const { data, error } = await supabase
+        .from('events')
+        .update({ origins: null, detail_level: 'summary' })
+        .eq('detail_level', 'full')
+        .lt('occurred_at', toIso(cutoff))
+        .select('id');
+      if (error) throw error;
+      return (data || []).map(event => event.id);
+    },
+
+    async deleteRevisions(eventIds) {
+      let deleted = 0;
+      for (const ids of chunk(eventIds, ID_CHUNK_SIZE)) {
+        const { count, error } = await supabase
+          .from('event_revisions')
+          .delete({ count: 'exact' })
+          .in('event_id', ids);
+        if (error) throw error;
+        deleted += count || 0;
+      }
+      return deleted;
+    },
+
+    async deleteEventsBefore(cutoff) {
+      const { count, error } = await supabase
+        .from('events')
+        .delete({ count: 'exact' })
+        .lt('occurred_at', toIso(cutoff));
+      if (error) throw error;
+      return count || 0;
+    }
+  };
+}
+
+module.exports = { createSupabaseRepository };
@@ -0,0 +1,85 @@
+/**
+ * Retention tiers
+ *
+ * Events are kept with full detail (per-agency origins and revision history)
+ * for a configurable window, then compacted to summary records. Summary
+ * records are kept forever unless an archive window is configured.
+ */
+
+const { readSection } = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Read retention settings from the environment
+ *
+ * archiveDays = 0 keeps summary records forever.
+ */
+function getRetentionConfig(env = process.env) {
+  return readSection('retention', env);
+}
+
+/**
+ * Start of the default "recent events" view
+ */
+function getDefaultViewStart(config = getRetentionConfig(), now = Date.now()) {
+  return new Date(now - config.defaultViewHours * HOUR_MS);
+}
+
+/**
+ * Start of the window the scraper asks upstream sources for
+ */
+function getScrapeSince(config = getRetentionConfig(), now = Date.now()) {
+  return new Date(now - config.scrapeLookbackHours * HOUR_MS);
+}
+
+/**
+ * Compact events past the full-detail window and delete events past the
+ * archive window
+ *
+ * @param {Object} repository - Event repository with write access
+ * @param {Object} options
+ * @param {Object} options.config - Result of getRetentionConfig()
+ * @param {boolean} options.dryRun - Count affected rows without changing them
+ * @returns {Promise<{compacted: number, revisionsDeleted: number, deleted: number, cutoffs: Object}>}
+ */
+async function runRetention(repository, { config = getRetentionConfig(), dryRun = false, now = Date.now() } = {}) {
+  const fullDetailCutoff = new Date(now - config.fullDetailDays * DAY_MS).toISOString();
+  const archiveCutoff = config.archiveDays > 0
+    ? new Date(now - config.archiveDays * DAY_MS).toISOString()
+    : null;
+
+  const result = {
+    compacted: 0,
+    revisionsDeleted: 0,
+    deleted: 0,
+    cutoffs: { fullDetail: fullDetailCutoff, archive: archiveCutoff }
+  };
+
+  if (dryRun) {
+    result.compacted = await repository.countEvents({ before: fullDetailCutoff, detailLevel: 'full' });
+    if (archiveCutoff) {
+      result.deleted = await repository.countEvents({ before: archiveCutoff });
+    }
+    return result;
+  }
+
+  // Summary tier: drop per-agency origins and revision rows, keep the headline solution
+  const compactedIds = await repository.compactEventsBefore(fullDetailCutoff);
+  result.compacted = compactedIds.length;
+  result.revisionsDeleted = await repository.deleteRevisions(compactedIds);
+
+  if (archiveCutoff) {
+    result.deleted = await repository.deleteEventsBefore(archiveCutoff);
+  }
+
+  return result;
+}
+
+module.exports = {
+  getRetentionConfig,
+  getDefaultViewStart,
+  getScrapeSince,
+  runRetention
+};
@@ -0,0 +1,163 @@
+/**
+ * Event identity and revision tracking
+ *
+ * Agencies revise magnitude, depth and epicenter after the first bulletin.
+ * Incoming events are matched to stored ones so the id assigned on first
+ * sight is kept, and every changed field is recorded as a revision.
+ */
+
+const { DEFAULT_MATCH_OPTIONS, matchScore } = require('./merge');
+const { stableStringify } = require('./hash');
+
+// Fields whose changes are recorded in event_revisions
+const TRACKED_FIELDS = ['occurred_at', 'latitude', 'longitude', 'depth_km', 'magnitude', 'location_text'];
+
+const FIELD_LABELS = {
+  occurred_at: 'Origin time',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  depth_km: 'Depth',
+  magnitude: 'Magnitude',
+  location_text: 'Location'
+};
+
+function sameValue(field, a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (field === 'occurred_at') {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (field === 'location_text') {
+    return String(a).trim() === String(b).trim();
+  }
+  return Math.abs(Number(a) - Number(b)) < 1e-6;
+}
+
+/**
+ * Find a stored event reporting the same agency event id
+ */
+function findBySourceEventId(event, candidates) {
+  const ids = Object.entries(event.origins || {})
+    .filter(([, origin]) => origin.source_event_id)
+    .map(([source, origin]) => `${source}:${origin.source_event_id}`);
+  if (ids.length === 0) return null;
+
+  return candidates.find(candidate =>
+    Object.entries(candidate.origins || {}).some(([source, origin]) =>
+      origin?.source_event_id && ids.includes(`${source}:${origin.source_event_id}`)
+    )
+  ) || null;
+}
+
+/**
+ * List the tracked fields that differ between a stored and an incoming event
+ */
+function diffEvent(existing, incoming) {
+  return TRACKED_FIELDS
+    .filter(field => !sameValue(field, existing[field], incoming[field]))
+    .map(field => ({
+      field,
+      previous_value: existing[field] ?? null,
+      new_value: incoming[field] ?? null
+    }));
+}
+
+/**
+ * Give incoming events the id of the stored event they revise
+ *
+ * @param {Array} incoming - Merged events from this run
+ * @param {Array} existing - Stored events around the same time window
+ * @param {Object} options
+ * @param {string} options.correlationId - Stored with each revision
+ * @param {string} options.now - ISO timestamp of this run
+ * @returns {{events: Array, revisions: Array}}
+ */
+function reconcileEvents(incoming, existing, { correlationId = null, now = new Date().toISOString(), matchOptions = DEFAULT_MATCH_OPTIONS } = {}) {
+  const unmatched = [...existing];
+  const events = [];
+  const revisions = [];
+
+  const take = (candidate) => {
+    unmatched.splice(unmatched.indexOf(candidate), 1);
+    return candidate;
+  };
+
+  for (const event of incoming) {
+    let stored = findBySourceEventId(event, unmatched);
+
+    if (!stored) {
+      let bestScore = Infinity;
+      for (const candidate of unmatched) {
+        const score = matchScore(candidate, event, matchOptions);
+        if (score !== null && score < bestScore) {
+          stored = candidate;
+          bestScore = score;
+        }
+      }
+    }
+
+    if (!stored) {
+      events.push({ ...event, updated_at: now, revision_count: 0 });
+      continue;
+    }
+
+    take(stored);
+    const changes = diffEvent(stored, event);
+
+    changes.forEach(change => revisions.push({
+      event_id: stored.id,
+      ...change,
+      source: event.sources?.[0] || null,
+      correlation_id: correlationId,
+      revised_at: now
+    }));
+
+    // A new agency solution or source rewrites the row without a revision,
+    // and the change feed still has to see it
+    const rewritten = changes.length > 0 ||
+      stableStringify(event.origins) !== stableStringify(stored.origins) ||
+      stableStringify(event.sources) !== stableStringify(stored.sources);
+
+    events.push({
+      ...event,
+      id: stored.id,
+      updated_at: rewritten ? now : (stored.updated_at || now),
+      revision_count: (stored.revision_count || 0) + (changes.length > 0 ? 1 : 0)
+    });
+  }
+
+  return { events, revisions };
+}
+
+function formatValue(field, value) {
+  if (value === null || value === undefined) return 'unknown';
+  switch (field) {
+    case 'magnitude':
+      return `M${Number(value).toFixed(1)}`;
+    case 'depth_km':
+      return `${Number(value)} km`;
+    case 'latitude':
+    case 'longitude':
+      return Number(value).toFixed(2);
+    case 'location_text':
+      return `"${value}"`;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Human-readable revision, e.g. "Magnitude revised from M4.2 to M4.6"
+ */
+function describeRevision({ field, previous_value, new_value }) {
+  const label = FIELD_LABELS[field] || field;
+  return `${label} revised from ${formatValue(field, previous_value)} to ${formatValue(field, new_value)}`;
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffEvent,
+  reconcileEvents,
+  describeRevision
+};
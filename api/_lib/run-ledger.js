@@ -0,0 +1,109 @@
+/**
+ * Scrape run ledger
+ *
+ * Every scrape (and retention) run is recorded in `scrape_runs`, keyed by its
+ * correlationId. Ledger writes never fail the run itself: a broken ledger is
+ * logged and the job carries on. The ledger lives in Supabase; with another
+ * storage backend (no client) runs are not recorded.
+ */
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  SCHEMA_CHANGED: 'schema_changed'
+};
+
+async function writeRun(supabase, row) {
+  if (!supabase) return false;
+
+  const { error } = await supabase
+    .from('scrape_runs')
+    .upsert(row, { onConflict: 'correlation_id' });
+
+  if (error) {
+    console.error(`[${row.correlation_id}] Run ledger write failed:`, error.message);
+  }
+  return !error;
+}
+
+/**
+ * Record the start of a run
+ *
+ * @returns {Promise<{correlationId: string, job: string, startedAt: Date}>}
+ */
+async function startRun(supabase, { job = 'scrape', correlationId }) {
+  const startedAt = new Date();
+  await writeRun(supabase, {
+    correlation_id: correlationId,
+    job,
+    status: RUN_STATUS.RUNNING,
+    started_at: startedAt.toISOString()
+  });
+  return { correlationId, job, startedAt };
+}
+
+/**
+ * Record the outcome of a run
+ *
+ * @param {Object} supabase
+ * @param {Object} run - Result of startRun()
+ * @param {Object} outcome
+ * @param {string} outcome.status - One of RUN_STATUS
+ * @param {Object} [outcome.counts] - { seen, parsed, rejected, upserted, deleted }
+ * @param {Array} [outcome.errors] - [{ source, message, code }]
+ * @param {Object} [outcome.sources] - Per-source status from fetchFromSources
+ * @param {Array} [outcome.outages] - Upstream outage windows from the circuit breaker
+ * @param {Object} [outcome.details] - Job-specific extras
+ */
+async function finishRun(supabase, run, { status, counts = {}, errors = [], sources = null, outages = null, details = null }) {
+  const finishedAt = new Date();
+  return writeRun(supabase, {
+    correlation_id: run.correlationId,
+    job: run.job,
+    status,
+    started_at: run.startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt.getTime() - run.startedAt.getTime(),
+    rows_seen: counts.seen || 0,
+    rows_parsed: counts.parsed || 0,
+    rows_rejected: counts.rejected || 0,
+    rows_upserted: counts.upserted || 0,
+    rows_deleted: counts.deleted || 0,
+    errors,
+    sources,
+    outages,
+    details
+  });
+}
+
+/**
+ * Summarize recent runs of a job for health reporting
+ *
+ * @returns {Promise<{lastRun: Object|null, lastSuccess: Object|null, consecutiveFailures: number}|null>}
+ *   null when there is no ledger (no Supabase client)
+ */
+async function getRunSummary(supabase, { job = 'scrape', limit = 50 } = {}) {
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from('scrape_runs')
+    .select('correlation_id, status, started_at, finished_at, duration_ms, rows_parsed, rows_upserted, errors, outages')
+    .eq('job', job)
+    .neq('status', RUN_STATUS.RUNNING)
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const runs = data || [];
+  const lastSuccessIndex = runs.findIndex(run => run.status === RUN_STATUS.SUCCESS);
+
+  return {
+    lastRun: runs[0] || null,
+    lastSuccess: lastSuccessIndex === -1 ? null : runs[lastSuccessIndex],
+    consecutiveFailures: lastSuccessIndex === -1 ? runs.length : lastSuccessIndex
+  };
+}
+
+module.exports = { RUN_STATUS, startRun, finishRun, getRunSummary };
@@ -0,0 +1,135 @@
+/**
+ * Schema drift reporting
+ *
+ * Stores a sample of any upstream page that failed schema checks so the
+ * parser can be fixed against exactly what the scraper saw. A page is
+ * stored once while it stays the same, and only the newest samples of each
+ * source are kept, so a long drift does not fill the database.
+ */
+
+const { SOURCE_IDS } = require('./config');
+const { contentHash } = require('./hash');
+
+// Keep samples well under Postgres' practical row size
+const MAX_SAMPLE_LENGTH = 512 * 1024;
+
+// Samples kept per source; older ones are pruned
+const MAX_SAMPLES_PER_SOURCE = 10;
+
+/**
+ * The newest stored sample of a source, if any
+ */
+async function latestSample(supabase, source) {
+  const { data, error } = await supabase
+    .from('scrape_samples')
+    .select('id, content_hash')
+    .eq('source', source)
+    .order('captured_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Store a sample for each SchemaDriftError and summarize them for the response
+ *
+ * A page identical to the newest stored sample of its source is not stored
+ * again; the summary points at the stored one.
+ *
+ * @param {Object|null} supabase - Supabase client (service role); without one drift is only logged
+ * @param {Object} errors - Adapter errors keyed by source id
+ * @param {string} correlationId
+ * @returns {Promise<Array>} One summary per drifted source
+ */
+async function recordSchemaDrift(supabase, errors, correlationId) {
+  const drifted = Object.entries(errors).filter(([, error]) => error?.code === 'SCHEMA_CHANGED');
+  const summaries = [];
+
+  for (const [source, error] of drifted) {
+    console.error(`[${correlationId}] [SCHEMA] ${source} schema changed (${error.reason}): ${error.message}`, error.details);
+
+    const sample = typeof error.sample === 'string' ? error.sample.slice(0, MAX_SAMPLE_LENGTH) : null;
+    const hash = contentHash({ reason: error.reason, body: sample });
+    let sampleId = null;
+
+    if (supabase) {
+      try {
+        const latest = await latestSample(supabase, source);
+
+        if (latest && latest.content_hash === hash) {
+          sampleId = latest.id;
+        } else {
+          const { data, error: insertError } = await supabase
+            .from('scrape_samples')
+            .insert({
+              source,
+              reason: error.reason,
+              message: error.message,
+              details: error.details,
+              correlation_id: correlationId,
+              body: sample,
+              truncated: !!error.sample && error.sample.length > MAX_SAMPLE_LENGTH,
+              content_hash: hash
+            })
+            .select('id')
+            .single();
+
+          if (insertError) throw insertError;
+          sampleId = data?.id || null;
+          await pruneSchemaSamples(supabase, { sources: [source] });
+        }
+      } catch (sampleError) {
+        console.error(`[${correlationId}] Failed to store ${source} page sample:`, sampleError.message);
+      }
+    }
+
+    summaries.push({
+      source,
+      reason: error.reason,
+      message: error.message,
+      details: error.details,
+      sampleId
+    });
+  }
+
+  return summaries;
+}
+
+/**
+ * Delete all but the newest samples of each source
+ *
+ * @param {Object|null} supabase - Supabase client (service role)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sources] - Defaults to every source
+ * @param {number} [options.keep] - Samples kept per source
+ * @param {boolean} [options.dryRun] - Count the samples without deleting them
+ * @returns {Promise<number>} Samples deleted, or that would be
+ */
+async function pruneSchemaSamples(supabase, { sources = SOURCE_IDS, keep = MAX_SAMPLES_PER_SOURCE, dryRun = false } = {}) {
+  if (!supabase) return 0;
+  let pruned = 0;
+
+  for (const source of sources) {
+    const { data, error } = await supabase
+      .from('scrape_samples')
+      .select('id')
+      .eq('source', source)
+      .order('captured_at', { ascending: false })
+      .range(keep, keep + 999);
+    if (error) throw error;
+
+    const ids = (data || []).map(row => row.id);
+    if (ids.length === 0) continue;
+
+    if (!dryRun) {
+      const { error: deleteError } = await supabase.from('scrape_samples').delete().in('id', ids);
+      if (deleteError) throw deleteError;
+    }
+    pruned += ids.length;
+  }
+
+  return pruned;
+}
+
+module.exports = { MAX_SAMPLE_LENGTH, MAX_SAMPLES_PER_SOURCE, recordSchemaDrift, pruneSchemaSamples };
@@ -0,0 +1,125 @@
+/**
+ * Database lease lock for the scraper
+ *
+ * Serverless instances share nothing in memory, so the lease lives in
+ * `scrape_locks` and is taken atomically by the `acquire_scrape_lock`
+ * function. A lease expires on its own if the holder dies mid-run.
+ *
+ * SQLite and in-memory storage run on a single host, so without Supabase
+ * the same lease is kept in process memory instead.
+ */
+
+const { readSection } = require('./config');
+
+const LOCK_DEFAULTS = {
+  name: 'scrape',
+  // The scrape function's maxDuration is 30s
+  ttlSeconds: 60,
+  // Just under the 5-minute cron so schedule jitter is not rejected
+  minIntervalSeconds: 240
+};
+
+/**
+ * Read the minimum interval between scrapes from the environment
+ */
+function getLockConfig(env = process.env) {
+  return { ...LOCK_DEFAULTS, minIntervalSeconds: readSection('scraper', env).minIntervalSeconds };
+}
+
+// Leases by name when there is no Supabase client, as scrape_locks rows
+const localLocks = new Map();
+
+/**
+ * acquire_scrape_lock for a single host: the lease is taken when the last
+ * one was released or expired and the minimum interval has passed
+ */
+function acquireLocalLock({ holder, config, now }) {
+  const interval = config.minIntervalSeconds * 1000;
+  const current = localLocks.get(config.name);
+  const free = !current || current.releasedAt !== null || current.expiresAt <= now.getTime();
+  const acquired = free && (!current || current.acquiredAt + interval <= now.getTime());
+
+  if (acquired) {
+    localLocks.set(config.name, {
+      holder,
+      acquiredAt: now.getTime(),
+      expiresAt: now.getTime() + config.ttlSeconds * 1000,
+      releasedAt: null
+    });
+  }
+
+  const lock = localLocks.get(config.name);
+
+  return {
+    acquired,
+    reason: acquired ? null : (free ? 'too_soon' : 'locked'),
+    name: config.name,
+    holder: lock.holder,
+    expiresAt: new Date(lock.expiresAt).toISOString(),
+    nextAllowedAt: new Date(lock.acquiredAt + interval).toISOString()
+  };
+}
+
+/**
+ * Try to take the scrape lease
+ *
+ * `reason` is "locked" while another run holds an unexpired lease and
+ * "too_soon" when the minimum interval has not passed yet.
+ *
+ * Without a Supabase client (SQLite or in-memory storage, a single host)
+ * the lease is kept in process memory.
+ *
+ * @returns {Promise<{acquired: boolean, reason: string|null, holder: string, expiresAt: string, nextAllowedAt: string}>}
+ */
+async function acquireLock(supabase, { holder, config = LOCK_DEFAULTS, now = new Date() }) {
+  if (!supabase) {
+    return acquireLocalLock({ holder, config, now });
+  }
+
+  const { data, error } = await supabase.rpc('acquire_scrape_lock', {
+    p_name: config.name,
+    p_holder: holder,
+    p_ttl_seconds: config.ttlSeconds,
+    p_min_interval_seconds: config.minIntervalSeconds
+  });
+
+  if (error) {
+    throw new Error(`Scrape lock unavailable: ${error.message}`);
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  const held = !row.acquired && !row.released_at && new Date(row.expires_at).getTime() > now.getTime();
+
+  return {
+    acquired: !!row.acquired,
+    reason: row.acquired ? null : (held ? 'locked' : 'too_soon'),
+    name: config.name,
+    holder: row.holder,
+    expiresAt: row.expires_at,
+    nextAllowedAt: row.next_allowed_at
+  };
+}
+
+/**
+ * Release a lease taken by acquireLock(); a no-op if it already expired
+ * and was taken over
+ */
+async function releaseLock(supabase, lock, holder) {
+  if (!supabase) {
+    const current = localLocks.get(lock.name);
+    if (current && current.holder === holder) current.releasedAt = Date.now();
+    return;
+  }
+
+  const { error } = await supabase
+    .from('scrape_locks')
+    .update({ released_at: new Date().toISOString() })
+    .eq('name', lock.name)
+    .eq('holder', holder);
+
+  if (error) {
+    console.error(`[${holder}] Scrape lock release failed, it expires at ${lock.expiresAt}:`, error.message);
+  }
+}
+
+module.exports = { LOCK_DEFAULTS, getLockConfig, acquireLock, releaseLock };
@@ -0,0 +1,74 @@
+/**
+ * Foreshock / aftershock flagging for the event detail endpoint
+ *
+ * Uses the Gardner & Knopoff (1974) space-time windows: an event within
+ * the window of a larger one is likely part of its sequence, an aftershock
+ * if it came later and a foreshock if it came earlier. This is the usual
+ * quick declustering rule, not a statistical sequence model, so the result
+ * is a hint ("likely"), not a classification PHIVOLCS has made.
+ */
+
+const { haversineKm } = require('./geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gardner-Knopoff window for a magnitude
+ *
+ * @returns {{ distanceKm: number, days: number }}
+ */
+function sequenceWindow(magnitude) {
+  return {
+    distanceKm: 10 ** (0.1238 * magnitude + 0.983),
+    days: magnitude >= 6.5 ? 10 ** (0.032 * magnitude + 2.7389) : 10 ** (0.5409 * magnitude - 0.547)
+  };
+}
+
+function withinWindow(mainshock, other) {
+  if (mainshock.magnitude === null || mainshock.magnitude === undefined) return false;
+  const window = sequenceWindow(mainshock.magnitude);
+  const distanceKm = haversineKm(mainshock.latitude, mainshock.longitude, other.latitude, other.longitude);
+  const days = Math.abs(new Date(other.occurred_at) - new Date(mainshock.occurred_at)) / DAY_MS;
+  return distanceKm <= window.distanceKm && days <= window.days;
+}
+
+function roleRelativeTo(mainshock, other) {
+  return new Date(other.occurred_at) < new Date(mainshock.occurred_at) ? 'foreshock' : 'aftershock';
+}
+
+/**
+ * Place an event and its neighbours in a likely sequence
+ *
+ * The mainshock is the largest event whose window holds the selected one
+ * (the selected event itself when none is larger). Neighbours within the
+ * mainshock's window are its foreshocks and aftershocks.
+ *
+ * @param {Object} event - events row
+ * @param {Array} nearby - events rows around it, without the event itself
+ * @returns {{ role: string|null, mainshockId: string|null, relations: Map<string, string> }}
+ *   role is "mainshock", "foreshock", "aftershock" or null when the event
+ *   stands alone; relations maps neighbour ids to one of those roles
+ */
+function classifySequence(event, nearby) {
+  const larger = nearby
+    .filter(other => other.magnitude > event.magnitude && withinWindow(other, event))
+    .sort((a, b) => b.magnitude - a.magnitude);
+  const mainshock = larger[0] || event;
+
+  const relations = new Map();
+  nearby.forEach(other => {
+    if (other.id === mainshock.id) {
+      relations.set(other.id, 'mainshock');
+    } else if (other.magnitude <= mainshock.magnitude && withinWindow(mainshock, other)) {
+      relations.set(other.id, roleRelativeTo(mainshock, other));
+    }
+  });
+
+  let role = null;
+  if (mainshock !== event) role = roleRelativeTo(mainshock, event);
+  else if (relations.size > 0) role = 'mainshock';
+
+  return { role, mainshockId: role ? mainshock.id : null, relations };
+}
+
+module.exports = { sequenceWindow, classifySequence };
@@ -0,0 +1,50 @@
+/**
+ * EMSC source adapter
+ *
+ * Reads the EMSC FDSN event service (seismicportal.eu) as QuakeML.
+ */
+
+const axios = require('axios');
+const { withRetry } = require('../http');
+const { readSection } = require('../config');
+const { PH_BOUNDS } = require('../geo');
+const { parseQuakeML } = require('./quakeml');
+
+
+/**
+ * Fetch and parse EMSC events
+ *
+ * @param {Object} options
+ * @param {Date} options.since - Start of the query window
+ * @returns {Promise<Array>} Normalized origins
+ */
+async function fetchEvents({ since, stats } = {}) {
+  const { emscUrl } = readSection('sources');
+  const response = await withRetry(() => axios.get(emscUrl, {
+    timeout: 8000,
+    responseType: 'text',
+    params: {
+      format: 'xml',
+      starttime: (since || new Date(Date.now() - 24 * 60 * 60 * 1000)).toISOString(),
+      minlatitude: PH_BOUNDS.minLatitude,
+      maxlatitude: PH_BOUNDS.maxLatitude,
+      minlongitude: PH_BOUNDS.minLongitude,
+      maxlongitude: PH_BOUNDS.maxLongitude
+    }
+  }), {
+    onRetry: (error, attempt, delay) => console.warn(`[emsc] Request failed (${error.code || error.message}), retry ${attempt} in ${delay}ms`)
+  });
+  return parse(response.data, { since, stats });
+}
+
+function parse(xml, options) {
+  return parseQuakeML(xml, 'emsc', options);
+}
+
+module.exports = {
+  id: 'emsc',
+  agency: 'EMSC',
+  get url() { return readSection('sources').emscUrl; },
+  fetchEvents,
+  parse
+};
@@ -0,0 +1,91 @@
+/**
+ * Earthquake source adapter registry
+ *
+ * Every adapter exposes the same shape:
+ *   { id, agency, url, fetchEvents({ since, stats }), parse(body, { since, stats }) }
+ * Both fill `stats` with { seen, rejected } row counts and return
+ * normalized origins. Adapters that support conditional requests also take
+ * `conditional: { etag, lastModified }` and set `stats.notModified`,
+ * `stats.etag` and `stats.lastModified`; adapters that can quarantine rows
+ * list them in `stats.rejectedRows`. Origins look like:
+ *   { source, source_event_id, occurred_at, latitude, longitude,
+ *     depth_km, magnitude, magnitude_type, location_text }
+ */
+
+const { SOURCE_IDS, readSection } = require('../config');
+const phivolcs = require('./phivolcs');
+const usgs = require('./usgs');
+const emsc = require('./emsc');
+
+const ADAPTERS = { phivolcs, usgs, emsc };
+const DEFAULT_SOURCES = SOURCE_IDS;
+
+/**
+ * Resolve the adapters enabled through EARTHPH_SOURCES (comma-separated ids)
+ */
+function getEnabledSources(value = process.env.EARTHPH_SOURCES) {
+  return readSection('sources', { EARTHPH_SOURCES: value }).enabled.map(id => ADAPTERS[id]);
+}
+
+/**
+ * Fetch every adapter in parallel; one source failing does not fail the others
+ *
+ * @param {Array} adapters
+ * @param {Object} options - Passed to each adapter's fetchEvents()
+ * @param {Object} [options.conditional] - Validators keyed by source id
+ * @returns {Promise<{origins: Array, rejects: Array, status: Object, errors: Object}>}
+ */
+async function fetchFromSources(adapters, options = {}) {
+  const results = await Promise.allSettled(
+    adapters.map(async (adapter) => {
+      const started = Date.now();
+      const stats = { seen: 0, rejected: 0 };
+      const origins = await adapter.fetchEvents({
+        ...options,
+        conditional: options.conditional?.[adapter.id] || {},
+        stats
+      });
+      return { origins, stats, duration: Date.now() - started };
+    })
+  );
+
+  const origins = [];
+  const rejects = [];
+  const status = {};
+  const errors = {};
+
+  results.forEach((result, index) => {
+    const adapter = adapters[index];
+    if (result.status === 'fulfilled') {
+      origins.push(...result.value.origins);
+      rejects.push(...(result.value.stats.rejectedRows || []));
+      status[adapter.id] = {
+        ok: true,
+        count: result.value.origins.length,
+        seen: result.value.stats.seen,
+        rejected: result.value.stats.rejected,
+        notModified: !!result.value.stats.notModified,
+        validators: {
+          etag: result.value.stats.etag || null,
+          lastModified: result.value.stats.lastModified || null
+        },
+        duration: `${result.value.duration}ms`
+      };
+    } else {
+      errors[adapter.id] = result.reason;
+      status[adapter.id] = {
+        ok: false,
+        count: 0,
+        seen: 0,
+        rejected: 0,
+        error: result.reason?.message || 'Unknown error',
+        code: result.reason?.code || null,
+        attempts: result.reason?.attempts || 1
+      };
+    }
+  });
+
+  return { origins, rejects, status, errors };
+}
+
+module.exports = { ADAPTERS, DEFAULT_SOURCES, getEnabledSources, fetchFromSources };
@@ -0,0 +1,376 @@
+/**
+ * PHIVOLCS source adapter
+ *
+ * Reads the latest earthquake table from the PHIVOLCS front page. The table
+ * is located by its header labels and columns are read by name, so a layout
+ * change raises a SchemaDriftError instead of silently yielding zero events.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { isWithinBounds } = require('../geo');
+const { SchemaDriftError } = require('../errors');
+const { withRetry, getPhivolcsAgent } = require('../http');
+const { readSection } = require('../config');
+
+const MAX_ROWS = 500;
+
+const MONTHS = {
+  'January': 1, 'February': 2, 'March': 3, 'April': 4,
+  'May': 5, 'June': 6, 'July': 7, 'August': 8,
+  'September': 9, 'October': 10, 'November': 11, 'December': 12
+};
+
+const MONTH_NAMES = Object.keys(MONTHS);
+
+/**
+ * The PHIVOLCS site root (EARTHPH_PHIVOLCS_URL)
+ */
+function siteUrl() {
+  return readSection('sources').phivolcsUrl;
+}
+
+/**
+ * Request a PHIVOLCS page; a 304 is returned rather than thrown
+ *
+ * Transient failures are retried with jittered backoff. Certificates are
+ * verified, trusting the CA bundle configured for PHIVOLCS (see http.js).
+ */
+async function requestPage(url, { timeout = 8000, headers = {}, retry = {} } = {}) {
+  return withRetry(() => axios.get(url, {
+    timeout,
+    headers,
+    httpsAgent: getPhivolcsAgent(),
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  }), {
+    onRetry: (error, attempt, delay) => console.warn(`[phivolcs] ${url} failed (${error.code || error.message}), retry ${attempt} in ${delay}ms`),
+    ...retry
+  });
+}
+
+/**
+ * Download a PHIVOLCS page as HTML
+ */
+async function fetchPage(url, { timeout = 8000 } = {}) {
+  const response = await requestPage(url, { timeout });
+  return response.data;
+}
+
+/**
+ * Fetch and parse the PHIVOLCS page
+ *
+ * Sends If-None-Match / If-Modified-Since when validators from the previous
+ * run are given. A 304 returns no origins and sets `stats.notModified`.
+ *
+ * @param {Object} options
+ * @param {Date} options.since - Drop events that occurred before this time
+ * @param {Object} options.stats - Filled with { seen, rejected } row counts and the response validators
+ * @param {Object} [options.conditional] - { etag, lastModified } from the previous run
+ * @returns {Promise<Array>} Normalized origins
+ */
+async function fetchEvents({ since, stats = {}, conditional = {} } = {}) {
+  const headers = {};
+  if (conditional.etag) headers['If-None-Match'] = conditional.etag;
+  if (conditional.lastModified) headers['If-Modified-Since'] = conditional.lastModified;
+
+  const response = await requestPage(siteUrl(), { headers });
+
+  // A 304 may omit the validators; keep the ones we sent
+  stats.etag = response.headers?.etag || conditional.etag || null;
+  stats.lastModified = response.headers?.['last-modified'] || conditional.lastModified || null;
+
+  if (response.status === 304) {
+    stats.notModified = true;
+    return [];
+  }
+
+  return parse(response.data, { since, stats });
+}
+
+/**
+ * URL of a monthly archive listing, e.g. EQLatest-Monthly/2023/2023_January.html
+ *
+ * @param {number} year
+ * @param {number} month - 1-12
+ */
+function archiveUrl(year, month) {
+  return new URL(`EQLatest-Monthly/${year}/${archiveFileName(year, month)}`, siteUrl()).href;
+}
+
+function archiveFileName(year, month) {
+  return `${year}_${MONTH_NAMES[month - 1]}.html`;
+}
+
+// Header label patterns, matched against lowercased letters-only header text
+const COLUMN_PATTERNS = {
+  datetime: /^date ?time/,
+  latitude: /^lat/,
+  longitude: /^lon/,
+  depth: /^depth/,
+  magnitude: /^mag/,
+  location: /^loc/
+};
+
+// Drift thresholds: the front page always lists the latest few hundred events
+const MIN_ROWS = 1;
+const MAX_INVALID_RATIO = 0.5;
+
+function normalizeLabel(text) {
+  return text.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+}
+
+/**
+ * Map header labels to column indexes by name
+ *
+ * @param {Array<string>} labels - Raw header cell text
+ * @returns {{columns: Object, missing: Array<string>}}
+ */
+function mapHeaderColumns(labels) {
+  const normalized = labels.map(normalizeLabel);
+  const columns = {};
+  const missing = [];
+
+  Object.entries(COLUMN_PATTERNS).forEach(([name, pattern]) => {
+    const index = normalized.findIndex(label => pattern.test(label));
+    if (index === -1) {
+      missing.push(name);
+    } else {
+      columns[name] = index;
+    }
+  });
+
+  return { columns, missing };
+}
+
+function directRows($, table) {
+  return $(table).children('thead, tbody').children('tr').add($(table).children('tr'));
+}
+
+/**
+ * Find the earthquake table by its header labels rather than its position
+ *
+ * @returns {{rows: Array, columns: Object}|{rows: null, best: Object}}
+ */
+function findEventTable($) {
+  let best = { labels: [], missing: Object.keys(COLUMN_PATTERNS) };
+  let found = null;
+
+  $('table').each((tableIndex, table) => {
+    const rows = directRows($, table).toArray();
+
+    // The header is normally the first row, but allow for a caption row above it
+    for (let rowIndex = 0; rowIndex < Math.min(rows.length, 3); rowIndex++) {
+      const labels = $(rows[rowIndex]).children('th, td').toArray().map(cell => $(cell).text().trim());
+      const { columns, missing } = mapHeaderColumns(labels);
+
+      if (missing.length === 0) {
+        found = { rows: rows.slice(rowIndex + 1), columns, labels };
+        return false;
+      }
+      if (missing.length < best.missing.length) {
+        best = { labels, missing };
+      }
+    }
+  });
+
+  return found || { rows: null, best };
+}
+
+/**
+ * Decide whether a parse result means the page layout has changed
+ *
+ * @returns {{reason: string, message: string}|null}
+ */
+function detectDrift({ rowCount, invalidCount }) {
+  if (rowCount < MIN_ROWS) {
+    return { reason: 'no_rows', message: 'PHIVOLCS event table has no data rows' };
+  }
+  if (invalidCount / rowCount > MAX_INVALID_RATIO) {
+    return {
+      reason: 'rows_unparseable',
+      message: `PHIVOLCS rows no longer parse (${invalidCount} of ${rowCount} invalid)`
+    };
+  }
+  return null;
+}
+
+// Machine-readable reasons stored with quarantined rows
+const REJECT_REASONS = {
+  TOO_FEW_CELLS: 'too_few_cells',
+  INVALID_DATETIME: 'invalid_datetime',
+  INVALID_COORDINATES: 'invalid_coordinates',
+  INVALID_MAGNITUDE: 'invalid_magnitude',
+  OUT_OF_BOUNDS: 'out_of_bounds'
+};
+
+/**
+ * Parse one row's raw cell text into an origin
+ *
+ * Shared by the page parser and quarantine replay, so a parser fix applies
+ * to both.
+ *
+ * @param {Object} raw - Cell text keyed by column name (datetime, latitude, ...)
+ * @returns {{origin: Object|null, reason: string|null}}
+ */
+function parseRow(raw) {
+  const occurred_at = parsePhivolcsDateTime(raw.datetime || '');
+  const latitude = parseFloat(raw.latitude);
+  const longitude = parseFloat(raw.longitude);
+  const magnitude = parseFloat(raw.magnitude);
+  const depth_km = parseFloat(raw.depth) || null;
+
+  if (!occurred_at) return { origin: null, reason: REJECT_REASONS.INVALID_DATETIME };
+  if (isNaN(latitude) || isNaN(longitude)) return { origin: null, reason: REJECT_REASONS.INVALID_COORDINATES };
+  if (isNaN(magnitude)) return { origin: null, reason: REJECT_REASONS.INVALID_MAGNITUDE };
+
+  const origin = {
+    source: 'phivolcs',
+    source_event_id: null,
+    occurred_at,
+    latitude,
+    longitude,
+    depth_km,
+    magnitude,
+    magnitude_type: null,
+    location_text: (raw.location || '').trim()
+  };
+
+  if (!isWithinBounds(latitude, longitude)) {
+    return { origin, reason: REJECT_REASONS.OUT_OF_BOUNDS };
+  }
+  return { origin, reason: null };
+}
+
+/**
+ * Parse PHIVOLCS HTML into normalized origins
+ *
+ * Only the first `maxRows` rows are read (monthly archives pass Infinity).
+ * Rejected rows are listed in `stats.rejectedRows` with their raw cell text
+ * and reason so they can be quarantined.
+ *
+ * @throws {SchemaDriftError} When the table or its rows no longer look right
+ */
+function parse(html, { since, maxRows = MAX_ROWS, stats = {} } = {}) {
+  const $ = cheerio.load(html);
+  const cutoffTime = since ? since.getTime() : -Infinity;
+  const table = findEventTable($);
+
+  if (!table.rows) {
+    throw new SchemaDriftError('PHIVOLCS event table not found by header labels', {
+      source: 'phivolcs',
+      reason: 'headers_not_found',
+      details: { closestHeaders: table.best.labels, missingColumns: table.best.missing },
+      sample: html
+    });
+  }
+
+  const { columns } = table;
+  const width = Math.max(...Object.values(columns)) + 1;
+  const rows = table.rows.slice(0, maxRows);
+  const origins = [];
+  const rejectedRows = [];
+  let invalidCount = 0;
+  let outOfBoundsCount = 0;
+
+  rows.forEach((row) => {
+    const cells = $(row).children('td');
+    if (cells.length < width) {
+      invalidCount++;
+      rejectedRows.push({
+        source: 'phivolcs',
+        reason: REJECT_REASONS.TOO_FEW_CELLS,
+        raw: { cells: cells.toArray().map(cell => $(cell).text().trim()) }
+      });
+      return;
+    }
+
+    const raw = Object.fromEntries(
+      Object.entries(columns).map(([name, index]) => [name, $(cells[index]).text().trim()])
+    );
+    const { origin, reason } = parseRow(raw);
+
+    if (!origin) {
+      invalidCount++;
+      rejectedRows.push({ source: 'phivolcs', reason, raw });
+      return;
+    }
+
+    if (new Date(origin.occurred_at).getTime() < cutoffTime) return;
+    if (reason === REJECT_REASONS.OUT_OF_BOUNDS) {
+      outOfBoundsCount++;
+      rejectedRows.push({ source: 'phivolcs', reason, raw });
+      return;
+    }
+
+    origins.push(origin);
+  });
+
+  stats.seen = rows.length;
+  stats.rejected = invalidCount + outOfBoundsCount;
+  stats.rejectedRows = rejectedRows;
+
+  const drift = detectDrift({ rowCount: rows.length, invalidCount });
+  if (drift) {
+    throw new SchemaDriftError(drift.message, {
+      source: 'phivolcs',
+      reason: drift.reason,
+      details: { headers: table.labels, columns, rowCount: rows.length, invalidCount },
+      sample: html
+    });
+  }
+
+  return origins;
+}
+
+/**
+ * Convert PHIVOLCS "01 November 2025 - 10:15 AM" (PST) to an ISO string
+ */
+function parsePhivolcsDateTime(dateTimeStr) {
+  try {
+    const [datePart, timePart] = dateTimeStr.split(' - ');
+    if (!datePart || !timePart) return null;
+
+    const dateTokens = datePart.trim().split(' ');
+    if (dateTokens.length !== 3) return null;
+
+    const day = parseInt(dateTokens[0]);
+    const monthName = dateTokens[1];
+    const year = parseInt(dateTokens[2]);
+
+    const month = MONTHS[monthName];
+    if (!month || !day || !year) return null;
+
+    const timeMatch = timePart.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+    if (!timeMatch) return null;
+
+    let hours = parseInt(timeMatch[1]);
+    const minutes = parseInt(timeMatch[2]);
+    const meridiem = timeMatch[3].toUpperCase();
+
+    if (meridiem === 'PM' && hours !== 12) hours += 12;
+    if (meridiem === 'AM' && hours === 12) hours = 0;
+
+    const pstDate = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+    pstDate.setUTCHours(pstDate.getUTCHours() - 8);
+
+    return pstDate.toISOString();
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  id: 'phivolcs',
+  agency: 'PHIVOLCS',
+  get url() { return siteUrl(); },
+  fetchEvents,
+  fetchPage,
+  parse,
+  parseRow,
+  REJECT_REASONS,
+  archiveUrl,
+  archiveFileName,
+  parsePhivolcsDateTime,
+  mapHeaderColumns,
+  detectDrift
+};
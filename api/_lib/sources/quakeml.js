@@ -0,0 +1,93 @@
+/**
+ * QuakeML 1.2 parser shared by FDSN event service adapters
+ */
+
+const cheerio = require('cheerio');
+const { isWithinBounds } = require('../geo');
+
+function childValue($, parent, name) {
+  const text = parent.children(name).first().children('value').first().text().trim();
+  return text === '' ? NaN : parseFloat(text);
+}
+
+/**
+ * Parse a QuakeML document into normalized origins
+ *
+ * Uses the preferred origin and magnitude of each event, falling back to the
+ * first one listed when no preference is given.
+ *
+ * @param {string} xml - QuakeML document
+ * @param {string} source - Adapter id stored on each origin
+ * @param {Object} options
+ * @param {Date} options.since - Drop events that occurred before this time
+ * @param {Object} options.stats - Filled with { seen, rejected } counts
+ * @returns {Array} Normalized origins
+ */
+function parseQuakeML(xml, source, { since, stats = {} } = {}) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const cutoffTime = since ? since.getTime() : -Infinity;
+  const events = $('event');
+  const origins = [];
+  let rejected = 0;
+
+  events.each((index, element) => {
+    const event = $(element);
+    const preferredOriginId = event.children('preferredOriginID').text().trim();
+    const preferredMagnitudeId = event.children('preferredMagnitudeID').text().trim();
+
+    const originEls = event.children('origin');
+    const magnitudeEls = event.children('magnitude');
+    let origin = originEls.filter((i, el) => $(el).attr('publicID') === preferredOriginId).first();
+    if (origin.length === 0) origin = originEls.first();
+    let magnitude = magnitudeEls.filter((i, el) => $(el).attr('publicID') === preferredMagnitudeId).first();
+    if (magnitude.length === 0) magnitude = magnitudeEls.first();
+    if (origin.length === 0 || magnitude.length === 0) {
+      rejected++;
+      return;
+    }
+
+    const time = origin.children('time').first().children('value').first().text().trim();
+    const occurredAt = new Date(time);
+    if (!time || isNaN(occurredAt.getTime())) {
+      rejected++;
+      return;
+    }
+    if (occurredAt.getTime() < cutoffTime) return;
+
+    const latitude = childValue($, origin, 'latitude');
+    const longitude = childValue($, origin, 'longitude');
+    const depthMeters = childValue($, origin, 'depth');
+    const mag = childValue($, magnitude, 'mag');
+
+    if (isNaN(latitude) || isNaN(longitude) || isNaN(mag) || !isWithinBounds(latitude, longitude)) {
+      rejected++;
+      return;
+    }
+
+    const region = event.children('description')
+      .filter((i, el) => $(el).children('type').text().trim() === 'region name')
+      .first()
+      .children('text')
+      .text()
+      .trim();
+
+    origins.push({
+      source,
+      source_event_id: event.attr('publicID') || null,
+      occurred_at: occurredAt.toISOString(),
+      latitude,
+      longitude,
+      depth_km: isNaN(depthMeters) ? null : depthMeters / 1000,
+      magnitude: mag,
+      magnitude_type: magnitude.children('type').text().trim() || null,
+      location_text: region
+    });
+  });
+
+  stats.seen = events.length;
+  stats.rejected = rejected;
+
+  return origins;
+}
+
+module.exports = { parseQuakeML };
@@ -0,0 +1,86 @@
+/**
+ * USGS source adapter
+ *
+ * Reads the USGS FDSN event service as GeoJSON, limited to the Philippine box.
+ */
+
+const axios = require('axios');
+const { withRetry } = require('../http');
+const { readSection } = require('../config');
+const { PH_BOUNDS, isWithinBounds } = require('../geo');
+
+
+/**
+ * Fetch and parse USGS events
+ *
+ * @param {Object} options
+ * @param {Date} options.since - Start of the query window
+ * @returns {Promise<Array>} Normalized origins
+ */
+async function fetchEvents({ since, stats } = {}) {
+  const { usgsUrl } = readSection('sources');
+  const response = await withRetry(() => axios.get(usgsUrl, {
+    timeout: 8000,
+    params: {
+      format: 'geojson',
+      starttime: (since || new Date(Date.now() - 24 * 60 * 60 * 1000)).toISOString(),
+      minlatitude: PH_BOUNDS.minLatitude,
+      maxlatitude: PH_BOUNDS.maxLatitude,
+      minlongitude: PH_BOUNDS.minLongitude,
+      maxlongitude: PH_BOUNDS.maxLongitude,
+      orderby: 'time'
+    }
+  }), {
+    onRetry: (error, attempt, delay) => console.warn(`[usgs] Request failed (${error.code || error.message}), retry ${attempt} in ${delay}ms`)
+  });
+  return parse(response.data, { since, stats });
+}
+
+/**
+ * Parse a USGS GeoJSON FeatureCollection into normalized origins
+ */
+function parse(geojson, { since, stats = {} } = {}) {
+  const collection = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  const cutoffTime = since ? since.getTime() : -Infinity;
+  const features = collection?.features || [];
+  const origins = [];
+  let rejected = 0;
+
+  for (const feature of features) {
+    const props = feature.properties || {};
+    const [longitude, latitude, depth] = feature.geometry?.coordinates || [];
+
+    if (typeof props.time === 'number' && props.time < cutoffTime) continue;
+    if (typeof props.time !== 'number' || typeof props.mag !== 'number' ||
+        typeof latitude !== 'number' || typeof longitude !== 'number' ||
+        !isWithinBounds(latitude, longitude)) {
+      rejected++;
+      continue;
+    }
+
+    origins.push({
+      source: 'usgs',
+      source_event_id: feature.id || null,
+      occurred_at: new Date(props.time).toISOString(),
+      latitude,
+      longitude,
+      depth_km: typeof depth === 'number' ? depth : null,
+      magnitude: props.mag,
+      magnitude_type: props.magType || null,
+      location_text: props.place || ''
+    });
+  }
+
+  stats.seen = features.length;
+  stats.rejected = rejected;
+
+  return origins;
+}
+
+module.exports = {
+  id: 'usgs',
+  agency: 'USGS',
+  get url() { return readSection('sources').usgsUrl; },
+  fetchEvents,
+  parse
+};
@@ -0,0 +1,271 @@
+/**
+ * Seismicity statistics over a filtered window
+ *
+ * Aggregates are accumulated batch by batch from iterateEvents(), so a
+ * long window is never held in memory as rows (only the magnitudes, for
+ * the Gutenberg-Richter fit).
+ */
+
+const { parseEventQuery, iterateEvents, describeEventQuery } = require('./event-query');
+const { MAGNITUDE_BANDS, magnitudeBand, energyJoules } = require('./magnitude');
+const { REGIONS, ISLAND_GROUPS } = require('./gazetteer');
+const { QueryValidationError } = require('./errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Buckets follow Philippine Standard Time (UTC+8, no daylight saving)
+const MANILA_OFFSET_MS = 8 * HOUR_MS;
+
+// Up to 100 Supabase pages of 1000 rows; api/stats.js has a 60s maxDuration in vercel.json
+const MAX_STATS_EVENTS = 100000;
+const INTERVALS = { hour: HOUR_MS, day: DAY_MS };
+// Windows up to this long are bucketed by hour unless interval is given
+const AUTO_HOURLY_MAX_MS = 3 * DAY_MS;
+const MAX_BUCKETS = 5000;
+
+const DEPTH_CLASSES = [
+  { id: 'shallow', label: 'Shallow (< 70 km)', min: null, max: 70 },
+  { id: 'intermediate', label: 'Intermediate (70 - 300 km)', min: 70, max: 300 },
+  { id: 'deep', label: 'Deep (≥ 300 km)', min: 300, max: null }
+];
+
+// Gutenberg-Richter fit
+const MAGNITUDE_BIN = 0.1;
+// Woessner & Wiemer (2005) correction for the maximum curvature method
+const MAXC_CORRECTION = 0.2;
+const MIN_FIT_EVENTS = 50;
+
+const TNT_JOULES_PER_TONNE = 4.184e9;
+
+// Events API parameters that do not apply to aggregates
+const NOT_APPLICABLE = ['limit', 'orderby', 'format', 'eventid'];
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Parse the stats query: the events API filters plus interval (hour or day)
+ *
+ * @param {Object} query - req.query
+ * @param {Object} [options] - Passed to parseEventQuery() ({ config, now })
+ * @returns {{ params: Object, interval: string }}
+ * @throws {QueryValidationError}
+ */
+function parseStatsQuery(query = {}, { now = Date.now(), ...options } = {}) {
+  const errors = [];
+  const filters = {};
+  let interval = null;
+
+  Object.entries(query).forEach(([name, value]) => {
+    const key = name.toLowerCase();
+    if (key === 'interval') {
+      if (INTERVALS[String(value).toLowerCase()]) interval = String(value).toLowerCase();
+      else errors.push({ parameter: name, message: `Must be one of: ${Object.keys(INTERVALS).join(', ')}`, value });
+    } else if (NOT_APPLICABLE.includes(key)) {
+      errors.push({ parameter: name, message: 'Not used by /api/stats', value });
+    } else {
+      filters[name] = value;
+    }
+  });
+
+  let params = null;
+  try {
+    params = parseEventQuery(filters, { ...options, now });
+  } catch (error) {
+    if (error.code !== 'INVALID_QUERY') throw error;
+    errors.push(...error.errors);
+  }
+
+  if (params) {
+    const windowMs = (params.endtime ? params.endtime.getTime() : now) - params.starttime.getTime();
+    interval = interval || (windowMs <= AUTO_HOURLY_MAX_MS ? 'hour' : 'day');
+    if (windowMs / INTERVALS[interval] > MAX_BUCKETS) {
+      errors.push({ parameter: 'interval', message: `The window has more than ${MAX_BUCKETS} ${interval}s; use a longer interval or a shorter window`, value: interval });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+
+  params.limit = MAX_STATS_EVENTS;
+  return { params, interval };
+}
+
+function depthClass(depthKm) {
+  if (depthKm === null || depthKm === undefined || isNaN(depthKm)) return null;
+  return DEPTH_CLASSES.find(depth => depth.max === null || depthKm < depth.max);
+}
+
+function bucketStart(time, intervalMs) {
+  return Math.floor((time + MANILA_OFFSET_MS) / intervalMs) * intervalMs - MANILA_OFFSET_MS;
+}
+
+/**
+ * Gutenberg-Richter a and b values above the magnitude of completeness
+ *
+ * Mc is the most populated 0.1 magnitude bin plus 0.2 (maximum curvature);
+ * b is the Aki-Utsu maximum likelihood estimate with the Shi & Bolt
+ * uncertainty, and a is log10 of the number of events at or above Mc plus
+ * b * Mc.
+ *
+ * @param {Array<number>} magnitudes
+ * @returns {Object|null} null when fewer than MIN_FIT_EVENTS reach Mc
+ */
+function fitGutenbergRichter(magnitudes) {
+  const binned = magnitudes
+    .filter(Number.isFinite)
+    .map(magnitude => Math.round(magnitude / MAGNITUDE_BIN));
+  if (binned.length < MIN_FIT_EVENTS) return null;
+
+  const counts = new Map();
+  binned.forEach(bin => counts.set(bin, (counts.get(bin) || 0) + 1));
+  const [modeBin] = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+  const mcBin = modeBin + Math.round(MAXC_CORRECTION / MAGNITUDE_BIN);
+
+  const complete = binned.filter(bin => bin >= mcBin).map(bin => bin * MAGNITUDE_BIN);
+  const n = complete.length;
+  if (n < MIN_FIT_EVENTS) return null;
+
+  const mc = mcBin * MAGNITUDE_BIN;
+  const mean = complete.reduce((sum, magnitude) => sum + magnitude, 0) / n;
+  const b = Math.LOG10E / (mean - (mc - MAGNITUDE_BIN / 2));
+  const variance = complete.reduce((sum, magnitude) => sum + (magnitude - mean) ** 2, 0) / (n * (n - 1));
+
+  return {
+    mc: round(mc, 1),
+    a: round(Math.log10(n) + b * mc, 3),
+    b: round(b, 3),
+    bUncertainty: round(2.3 * b * b * Math.sqrt(variance), 3),
+    eventCount: n
+  };
+}
+
+/**
+ * Aggregate events batch by batch
+ *
+ * @param {AsyncIterable<Array>} batches - Result of iterateEvents()
+ * @param {Object} options
+ * @param {Date} options.starttime
+ * @param {Date} options.endtime
+ * @param {string} options.interval - "hour" or "day"
+ * @returns {Promise<Object>}
+ */
+async function computeStats(batches, { starttime, endtime, interval }) {
+  const intervalMs = INTERVALS[interval];
+  const bands = new Map(MAGNITUDE_BANDS.map(band => [band.id, 0]));
+  const depths = new Map([...DEPTH_CLASSES.map(depth => [depth.id, 0]), ['unknown', 0]]);
+  const regions = new Map();
+  const islandGroups = new Map([...ISLAND_GROUPS.map(group => [group, 0]), ['unknown', 0]]);
+  const buckets = new Map();
+  const magnitudes = [];
+  let count = 0;
+  let joules = 0;
+  let largest = null;
+
+  for (let start = bucketStart(starttime.getTime(), intervalMs); start <= endtime.getTime(); start += intervalMs) {
+    buckets.set(start, { count: 0, maxMagnitude: null });
+  }
+
+  for await (const rows of batches) {
+    rows.forEach(row => {
+      count++;
+      const magnitude = row.magnitude === null || row.magnitude === undefined ? NaN : Number(row.magnitude);
+
+      const band = magnitudeBand(magnitude);
+      bands.set(band.id, bands.get(band.id) + 1);
+
+      const depth = depthClass(row.depth_km);
+      depths.set(depth ? depth.id : 'unknown', depths.get(depth ? depth.id : 'unknown') + 1);
+
+      const regionCode = row.region_code || null;
+      regions.set(regionCode, (regions.get(regionCode) || 0) + 1);
+      const group = ISLAND_GROUPS.includes(row.island_group) ? row.island_group : 'unknown';
+      islandGroups.set(group, islandGroups.get(group) + 1);
+
+      const bucketKey = bucketStart(new Date(row.occurred_at).getTime(), intervalMs);
+      const bucket = buckets.get(bucketKey) || { count: 0, maxMagnitude: null };
+      bucket.count++;
+      if (Number.isFinite(magnitude) && (bucket.maxMagnitude === null || magnitude > bucket.maxMagnitude)) {
+        bucket.maxMagnitude = magnitude;
+      }
+      buckets.set(bucketKey, bucket);
+
+      if (Number.isFinite(magnitude)) {
+        magnitudes.push(magnitude);
+        joules += energyJoules(magnitude);
+        if (!largest || magnitude > largest.magnitude) largest = row;
+      }
+    });
+  }
+
+  return {
+    count,
+    magnitudeBands: MAGNITUDE_BANDS.map(({ id, label, min, max }) => ({ id, label, min, max, count: bands.get(id) })),
+    depthClasses: [
+      ...DEPTH_CLASSES.map(({ id, label, min, max }) => ({ id, label, min, max, count: depths.get(id) })),
+      { id: 'unknown', label: 'Unknown depth', min: null, max: null, count: depths.get('unknown') }
+    ],
+    regions: [...regions.entries()]
+      .map(([regionCode, regionCount]) => ({
+        regionCode,
+        name: REGIONS[regionCode]?.name || 'Offshore or unassigned',
+        islandGroup: REGIONS[regionCode]?.islandGroup || null,
+        count: regionCount
+      }))
+      .sort((a, b) => b.count - a.count),
+    islandGroups: Object.fromEntries(islandGroups),
+    timeline: {
+      interval,
+      timezone: 'Asia/Manila',
+      buckets: [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([start, bucket]) => ({ start: new Date(start).toISOString(), ...bucket }))
+    },
+    energy: {
+      joules,
+      tntTonnes: round(joules / TNT_JOULES_PER_TONNE, 1)
+    },
+    largest: largest && {
+      id: largest.id,
+      datetime: largest.occurred_at,
+      magnitude: largest.magnitude,
+      depth: largest.depth_km,
+      latitude: largest.latitude,
+      longitude: largest.longitude,
+      location: largest.location_text
+    },
+    gutenbergRichter: fitGutenbergRichter(magnitudes),
+    truncated: count >= MAX_STATS_EVENTS
+  };
+}
+
+/**
+ * Statistics for a parsed stats query
+ *
+ * @param {Object} repository - Event repository
+ * @param {{ params: Object, interval: string }} request - Result of parseStatsQuery()
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ */
+async function getStats(repository, { params, interval }, { now = Date.now() } = {}) {
+  const stats = await computeStats(iterateEvents(repository, params), {
+    starttime: params.starttime,
+    endtime: params.endtime || new Date(now),
+    interval
+  });
+  const { limit, orderby, format, ...query } = describeEventQuery(params);
+
+  return { query: { ...query, interval }, ...stats };
+}
+
+module.exports = {
+  DEPTH_CLASSES,
+  MIN_FIT_EVENTS,
+  parseStatsQuery,
+  fitGutenbergRichter,
+  computeStats,
+  getStats
+};
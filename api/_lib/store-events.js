@@ -0,0 +1,105 @@
+/**
+ * Event persistence shared by the scraper and the backfill job
+ *
+ * Reconciles incoming events with stored ones (stable ids and revision
+ * history), then upserts only the rows that differ, in batches. Re-running
+ * with the same input writes nothing.
+ */
+
+const { DEFAULT_MATCH_OPTIONS } = require('./merge');
+const { reconcileEvents } = require('./revisions');
+const { stableStringify } = require('./hash');
+const { LOCATION_FIELDS } = require('./location');
+
+/**
+ * Load stored events whose origin time falls inside a window
+ */
+async function loadStoredEvents(repository, { windowStart, windowEnd = null }) {
+  return repository.queryEvents({ from: windowStart, to: windowEnd, order: 'asc' });
+}
+
+/**
+ * Drop reconciled events identical to their stored row
+ *
+ * Tracked field changes bump revision_count, and origins and sources cover
+ * every agency's solution, so those comparisons catch any content change.
+ * Rows whose parsed location columns differ are rewritten too, which fills
+ * them in for events stored before the columns existed.
+ */
+function filterChangedEvents(reconciled, storedEvents) {
+  const storedById = new Map(storedEvents.map(event => [event.id, event]));
+
+  return reconciled.filter(event => {
+    const stored = storedById.get(event.id);
+    if (!stored) return true;
+    return event.revision_count !== (stored.revision_count || 0) ||
+      stableStringify(event.origins) !== stableStringify(stored.origins) ||
+      stableStringify(event.sources) !== stableStringify(stored.sources) ||
+      LOCATION_FIELDS.some(field => (event[field] ?? null) !== (stored[field] ?? null));
+  });
+}
+
+/**
+ * Work out what storeEvents() would write, without writing
+ *
+ * @returns {Promise<{reconciled: Array, changed: Array, revisions: Array, storedEvents: Array}>}
+ */
+async function planStoreEvents(repository, events, { windowStart, windowEnd = null, correlationId = null }) {
+  const toleranceMs = DEFAULT_MATCH_OPTIONS.maxTimeDeltaSeconds * 1000;
+  const storedEvents = await loadStoredEvents(repository, {
+    windowStart: new Date(windowStart.getTime() - toleranceMs),
+    windowEnd: windowEnd ? new Date(windowEnd.getTime() + toleranceMs) : null
+  });
+
+  const { events: reconciled, revisions } = reconcileEvents(events, storedEvents, { correlationId });
+  const changed = filterChangedEvents(reconciled, storedEvents);
+
+  return { reconciled, changed, revisions, storedEvents };
+}
+
+/**
+ * Reconcile and upsert events, then record revisions
+ *
+ * @param {Object} repository - Event repository with write access
+ * @param {Array} events - Merged, de-duplicated events
+ * @param {Object} options
+ * @param {Date} options.windowStart - Earliest origin time among the events
+ * @param {Date} [options.windowEnd] - Latest origin time among the events
+ * @param {string} options.correlationId
+ * @returns {Promise<{upserted: number, unchanged: number, revisions: number, revisedEvents: number}>}
+ */
+async function storeEvents(repository, events, { windowStart, windowEnd = null, correlationId = null }) {
+  const { reconciled, changed, revisions } = await planStoreEvents(repository, events, { windowStart, windowEnd, correlationId });
+
+  let upserted = 0;
+  try {
+    upserted = await repository.upsertEvents(changed);
+  } catch (error) {
+    console.error(`[${correlationId}] Database upsert failed:`, {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      eventsCount: changed.length
+    });
+    throw error;
+  }
+
+  // Record revised fields (after the upsert so the event rows exist)
+  if (revisions.length > 0) {
+    try {
+      await repository.insertRevisions(revisions);
+    } catch (revisionError) {
+      console.error(`[${correlationId}] Revision insert failed:`, revisionError);
+      throw revisionError;
+    }
+  }
+
+  return {
+    upserted,
+    unchanged: reconciled.length - changed.length,
+    revisions: revisions.length,
+    revisedEvents: new Set(revisions.map(revision => revision.event_id)).size
+  };
+}
+
+module.exports = { loadStoredEvents, filterChangedEvents, planStoreEvents, storeEvents };
@@ -0,0 +1,15 @@
+const { describeConfig } = require('./_lib/config');
+const { createHandler } = require('./_lib/middleware');
+
+/**
+ * Configuration diagnostic - GET /api/config (cron secret required)
+ *
+ * Every setting with its effective value and whether it came from the
+ * environment or a default, plus the problems that make other endpoints
+ * answer 500 and the warnings for features left unavailable. Secrets are
+ * redacted. It still answers when the configuration is invalid, since that
+ * is when it is needed.
+ */
+module.exports = createHandler({ name: 'config', auth: 'cron', checkConfig: false }, async (req, res) => {
+  return res.status(200).json({ success: true, ...describeConfig(), checkedAt: new Date().toISOString() });
+});
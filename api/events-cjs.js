@@ -1,198 +1,104 @@
-const { createClient } = require('@supabase/supabase-js');
-
-// Security Configuration
-const ALLOWED_ORIGINS = [
-  'https://earth-ph.vercel.app',
-  'https://earth-awsuuu35s-dukes-projects-3d01cc3f.vercel.app',
-  /^https:\/\/earth-[a-z0-9]+-dukes-projects-[a-z0-9]+\.vercel\.app$/,
-  'http://localhost:5173',
-  'http://localhost:3000'
-];
-
-// Rate limiting configuration
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW_MS = 60000;
-const MAX_REQUESTS_PER_MINUTE = 100;
-
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const userRequests = rateLimitMap.get(ip) || [];
-  const recentRequests = userRequests.filter(timestamp => now - timestamp < RATE_LIMIT_WINDOW_MS);
-  
-  if (recentRequests.length >= MAX_REQUESTS_PER_MINUTE) {
-    rateLimitMap.set(ip, recentRequests);
-    return { allowed: false, remaining: 0 };
-  }
-  
-  recentRequests.push(now);
-  rateLimitMap.set(ip, recentRequests);
-  return { allowed: true, remaining: MAX_REQUESTS_PER_MINUTE - recentRequests.length };
-}
-
-function setSecurityHeaders(res, origin) {
-  // CORS - Allow only whitelisted origins
-  if (origin) {
-    const isAllowed = ALLOWED_ORIGINS.some(allowed => {
-      if (typeof allowed === 'string') {
-        return allowed === origin;
-      } else if (allowed instanceof RegExp) {
-        return allowed.test(origin);
-      }
-      return false;
-    });
-    
-    if (isAllowed) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-      res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-      res.setHeader('Vary', 'Origin');
+const { createEventRepository } = require('./_lib/repository');
+const { parseEventQuery, findEvents, iterateEvents, describeEventQuery } = require('./_lib/event-query');
+const { getBaseUrl, geojson, json, EXPORTS, streamExport } = require('./_lib/formats');
+const { eventsEtag, isNotModified } = require('./_lib/etag');
+const { QueryValidationError } = require('./_lib/errors');
+const { createHandler, setCacheControl } = require('./_lib/middleware');
+
+/**
+ * Events API - GET /api/events-cjs
+ *
+ * Filtered earthquakes as the map's JSON, GeoJSON, or CSV and KML downloads.
+ * JSON and GeoJSON carry an ETag so pollers can ask for changes only.
+ * EARTHPH_ENABLE_EXPORTS=false turns the downloads off.
+ */
+module.exports = createHandler({
+  name: 'events',
+  cors: 'site',
+  allowHeaders: ['Content-Type', 'If-None-Match'],
+  exposeHeaders: ['ETag'],
+  access: true
+}, async (req, res, ctx) => {
+  // Validate filters before touching the database
+  const params = parseEventQuery(req.query || {});
+  const repository = createEventRepository({ access: 'read' });
+
+  // CSV and KML downloads, streamed so large ranges are never held in memory
+  if (EXPORTS[params.format]) {
+    if (!ctx.config.features.exports) {
+      throw new QueryValidationError([{ parameter: 'format', message: 'CSV and KML exports are disabled on this server', value: params.format }]);
     }
+
+    setCacheControl(req, res, 'public, s-maxage=60, stale-while-revalidate=15');
+    return streamExport(res, EXPORTS[params.format], iterateEvents(repository, params), {
+      filename: `earthph-events-${new Date().toISOString().slice(0, 10)}`
+    });
   }
-  
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  res.setHeader('X-XSS-Protection', '1; mode=block');
-  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
-  res.setHeader('Content-Security-Policy', "default-src 'self'");
-  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-  res.setHeader('Permissions-Policy', 'geolocation=(), microphone=(), camera=()');
-}
-
-function logRequest(req, res, duration, error = null) {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    method: req.method,
-    url: req.url,
-    ip: req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown',
-    userAgent: req.headers['user-agent'] || 'unknown',
-    origin: req.headers['origin'] || req.headers['referer'] || 'direct',
-    status: res.statusCode,
-    duration: `${duration}ms`,
-    error: error ? error.message : null
-  };
-  
-  console.log(JSON.stringify(logEntry));
-  
-  if (res.statusCode === 429) {
-    console.warn(`[SECURITY] Rate limit exceeded: IP=${logEntry.ip}, UA=${logEntry.userAgent}`);
+
+  const data = await findEvents(repository, params);
+
+  // Revised events keep their created_at, so the newest updated_at counts too
+  const lastUpdated = data && data.length > 0
+    ? data.reduce((latest, event) => {
+        const eventChanged = Math.max(
+          new Date(event.created_at).getTime() || 0,
+          new Date(event.updated_at).getTime() || 0
+        );
+        return eventChanged > latest ? eventChanged : latest;
+      }, 0)
+    : null;
+
+  // Pollers send back the last ETag; skip the body while nothing changed
+  const etag = eventsEtag({
+    query: req.query || {},
+    rows: data,
+    lastUpdated: lastUpdated === null ? null : new Date(lastUpdated).toISOString()
+  });
+  res.setHeader('ETag', etag);
+  setCacheControl(req, res, 'public, s-maxage=60, stale-while-revalidate=15');
+
+  if (isNotModified(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
   }
-  if (error) {
-    console.error(`[ERROR] Request failed: ${error.message}`, logEntry);
+
+  // GeoJSON for GIS tools, shaped like the USGS summary feed
+  if (params.format === 'geojson') {
+    const baseUrl = getBaseUrl(req);
+    const collection = geojson.toFeatureCollection(data, { baseUrl, url: `${baseUrl}${req.url}` });
+
+    res.setHeader('Content-Type', geojson.CONTENT_TYPE);
+    res.setHeader('X-Response-Time', `${Date.now() - ctx.startTime}ms`);
+
+    return res.status(200).send(JSON.stringify(collection));
   }
-}
-
-module.exports = async function handler(req, res) {
-  const startTime = Date.now();
-  const origin = req.headers['origin'] || req.headers['referer'];
-  
-  try {
-    if (req.method === 'OPTIONS') {
-      setSecurityHeaders(res, origin);
-      return res.status(204).end();
-    }
-    
-    // Only allow GET requests
-    if (req.method !== 'GET') {
-      setSecurityHeaders(res, origin);
-      const duration = Date.now() - startTime;
-      logRequest(req, res, duration, new Error('Method not allowed'));
-      return res.status(405).json({
-        success: false,
-        error: 'Method not allowed',
-        message: 'Only GET requests are supported'
-      });
-    }
-    
-    // Set security headers for all responses
-    setSecurityHeaders(res, origin);
-    
-    const ip = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown';
-    
-    const rateLimit = checkRateLimit(ip);
-    if (!rateLimit.allowed) {
-      const duration = Date.now() - startTime;
-      logRequest(req, res, duration, new Error('Rate limit exceeded'));
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded',
-        message: 'Too many requests. Please try again later.'
-      });
-    }
-    
-    const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_ANON_KEY || process.env.VITE_SUPABASE_ANON_KEY;
-    
-    if (!supabaseUrl || !supabaseKey) {
-      const duration = Date.now() - startTime;
-      logRequest(req, res, duration, new Error('Configuration missing'));
-      return res.status(500).json({
-        success: false,
-        error: 'Configuration Error',
-        message: 'Database configuration not available'
-      });
-    }
 
-    const supabase = createClient(supabaseUrl, supabaseKey, {
-      auth: { persistSession: false, autoRefreshToken: false }
-    });
-    
-    // Query database - only events from the last 24 hours
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-    
-    const { data, error } = await supabase
-      .from('events')
-      .select('id, occurred_at, latitude, longitude, depth_km, magnitude, location_text, created_at')
-      .gte('occurred_at', twentyFourHoursAgo)
-      .order('occurred_at', { ascending: false })
-      .limit(500);
-    
-    if (error) {
-      throw error;
-    }
-    
-    const lastUpdated = data && data.length > 0 
-      ? data.reduce((latest, event) => {
-          const eventCreated = new Date(event.created_at).getTime();
-          return eventCreated > latest ? eventCreated : latest;
-        }, 0)
-      : Date.now();
-    
-    const events = (data || []).map(event => ({
-      id: event.id,
-      datetime: event.occurred_at,
-      latitude: event.latitude,
-      longitude: event.longitude,
-      depth: event.depth_km,
-      magnitude: event.magnitude,
-      location: event.location_text
-    }));
-    
-    const responseTime = Date.now() - startTime;
-    
-    res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=15');
-    res.setHeader('X-Response-Time', `${responseTime}ms`);
-    res.setHeader('X-Rate-Limit-Remaining', rateLimit.remaining.toString());
-    
-    // Log successful request
-    logRequest(req, res, responseTime);
-    
-    return res.status(200).json({
-      success: true,
-      events,
-      count: events.length,
-      lastUpdated: new Date(lastUpdated).toISOString(),
-      responseTime: `${responseTime}ms`
-    });
-    
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    res.statusCode = 500;
-    logRequest(req, res, duration, error);
-    
-    return res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: error.message || 'Failed to fetch earthquake data'
+  // Attach revision history for events whose solution changed
+  const revisedIds = data.filter(event => event.revision_count > 0).map(event => event.id);
+  const revisionsByEvent = new Map();
+
+  if (revisedIds.length > 0) {
+    const revisionRows = await repository.getRevisions(revisedIds);
+
+    revisionRows.forEach(revision => {
+      const list = revisionsByEvent.get(revision.event_id) || [];
+      list.push(revision);
+      revisionsByEvent.set(revision.event_id, list);
     });
   }
-};
+
+  const events = (data || []).map(event => json.toApiEvent(event, revisionsByEvent.get(event.id)));
+
+  const responseTime = Date.now() - ctx.startTime;
+
+  res.setHeader('X-Response-Time', `${responseTime}ms`);
+
+  return res.status(200).json({
+    success: true,
+    events,
+    count: events.length,
+    query: describeEventQuery(params),
+    windowHours: Math.round(((params.endtime ? params.endtime.getTime() : Date.now()) - params.starttime.getTime()) / 3600000),
+    lastUpdated: new Date(lastUpdated ?? Date.now()).toISOString(),
+    responseTime: `${responseTime}ms`
+  });
+});
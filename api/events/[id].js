@@ -0,0 +1,39 @@
+const { createEventRepository } = require('../_lib/repository');
+const { parseDetailQuery, getEventDetail } = require('../_lib/event-detail');
+const { HttpError } = require('../_lib/errors');
+const { createHandler, setCacheControl } = require('../_lib/middleware');
+
+/**
+ * Single event - GET /api/events/:id
+ *
+ * The full record with revision history and each agency's solution, plus
+ * the events within maxradiuskm and +/- days of it, flagged as likely
+ * foreshocks and aftershocks. Works for any stored event, so shared links
+ * keep working after the event leaves the map's default window.
+ */
+module.exports = createHandler({
+  name: 'event',
+  cors: 'site',
+  allowHeaders: ['Content-Type'],
+  access: true
+}, async (req, res, ctx) => {
+  const { id, ...query } = req.query || {};
+  const options = parseDetailQuery(query);
+
+  const repository = createEventRepository({ access: 'read' });
+  const detail = await getEventDetail(repository, String(id), options);
+
+  if (!detail) {
+    throw new HttpError(404, 'Not found', `No earthquake with id "${id}"`);
+  }
+
+  const responseTime = Date.now() - ctx.startTime;
+  setCacheControl(req, res, 'public, s-maxage=60, stale-while-revalidate=15');
+  res.setHeader('X-Response-Time', `${responseTime}ms`);
+
+  return res.status(200).json({
+    success: true,
+    ...detail,
+    responseTime: `${responseTime}ms`
+  });
+});
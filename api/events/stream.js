@@ -0,0 +1,50 @@
+const { createEventRepository } = require('../_lib/repository');
+const { parseStreamQuery, parsePosition, createChangeFeed, pipeChangeFeed } = require('../_lib/event-stream');
+const { HttpError } = require('../_lib/errors');
+const { createHandler } = require('../_lib/middleware');
+
+/**
+ * Event stream - GET /api/events/stream
+ *
+ * Server-Sent Events for events added, revised or dropped from the filtered
+ * set: `created` and `updated` carry the event as /api/events-cjs returns
+ * it, `removed` its id. Takes the events API filters. The connection
+ * closes after about a minute and EventSource reconnects, resuming from
+ * Last-Event-ID. EARTHPH_ENABLE_EVENT_STREAM=false answers 404.
+ */
+module.exports = createHandler({
+  name: 'stream',
+  cors: 'site',
+  allowHeaders: ['Content-Type', 'Last-Event-ID'],
+  access: true
+}, async (req, res, ctx) => {
+  if (!ctx.config.features.eventStream) {
+    throw new HttpError(404, 'Not found', 'The event stream is disabled on this server');
+  }
+
+  const query = parseStreamQuery(req.query || {});
+
+  const repository = createEventRepository({ access: 'read' });
+  const feed = createChangeFeed(repository, query, {
+    position: parsePosition(req.headers['last-event-id'])
+  });
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (res.flushHeaders) res.flushHeaders();
+
+  try {
+    await pipeChangeFeed(res, feed, { isClosed: () => closed });
+  } catch (error) {
+    // The stream is open; end it and let EventSource reconnect
+    ctx.error = error;
+    res.end();
+  }
+});
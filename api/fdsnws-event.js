@@ -0,0 +1,89 @@
+const { createEventRepository } = require('./_lib/repository');
+const { findEvents, MAX_LIMIT } = require('./_lib/event-query');
+const { getBaseUrl } = require('./_lib/formats');
+const {
+  SERVICE_VERSION,
+  parseFdsnQuery,
+  formatEvents,
+  formatFdsnError,
+  buildWadl
+} = require('./_lib/fdsn');
+const { HttpError } = require('./_lib/errors');
+const { RATE_LIMIT_HEADERS } = require('./_lib/rate-limit');
+const { pipeline, logRequests, mapErrors, securityHeaders, requireConfig, cors, allowMethods, apiAccess, setCacheControl } = require('./_lib/middleware');
+
+// mapErrors() hook: the error as FDSN plain text
+function sendFdsnError(req, res, ctx, status, body) {
+  const baseUrl = getBaseUrl(req);
+  const message = body.errors
+    ? body.errors.map(error => `${error.parameter}: ${error.message}`).join('\n')
+    : body.error === 'Configuration Error' ? `${body.error}: ${body.message}` : body.message;
+
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  return res.status(status).send(formatFdsnError(status, message, { baseUrl, url: `${baseUrl}${req.url}` }));
+}
+
+async function handleQuery(req, res, ctx) {
+  const { resource, ...query } = req.query || {};
+  const request = parseFdsnQuery(query);
+
+  const repository = createEventRepository({ access: 'read' });
+  const rows = await findEvents(repository, request.params);
+
+  if (request.limited && rows.length > MAX_LIMIT) {
+    throw new HttpError(413, 'Request Entity Too Large', `The query matches more than ${MAX_LIMIT} events; narrow it or set limit`);
+  }
+
+  if (rows.length === 0) {
+    if (request.nodata === 404) {
+      throw new HttpError(404, 'Not found', 'No events match the query');
+    }
+    return res.status(204).end();
+  }
+
+  const { contentType, body } = formatEvents(rows, request);
+  setCacheControl(req, res, 'public, s-maxage=60, stale-while-revalidate=15');
+  res.setHeader('X-Response-Time', `${Date.now() - ctx.startTime}ms`);
+  res.setHeader('Content-Type', contentType);
+  return res.status(200).send(body);
+}
+
+async function handleMetadata(req, res) {
+  const { resource = 'query' } = req.query || {};
+  const baseUrl = getBaseUrl(req);
+
+  if (resource === 'version') {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    return res.status(200).send(`${SERVICE_VERSION}\n`);
+  }
+
+  if (resource === 'application.wadl') {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    return res.status(200).send(buildWadl(baseUrl));
+  }
+
+  throw new HttpError(404, 'Not found', `Unknown resource "${resource}"; use query, version or application.wadl`);
+}
+
+/**
+ * FDSN event web service - /fdsnws/event/1/{query,version,application.wadl}
+ *
+ * vercel.json rewrites the FDSN paths here with the sub-resource in
+ * `resource`. Errors are plain text in the FDSN layout rather than the JSON
+ * envelope the other endpoints use, since FDSN clients show them verbatim.
+ * FDSN clients are scripts and desktop tools, so any origin may read the
+ * catalog. Only queries count against rate limits.
+ */
+module.exports = pipeline(
+  logRequests({ name: 'fdsnws' }),
+  mapErrors({ sendError: sendFdsnError }),
+  securityHeaders(),
+  cors({ origins: '*', methods: ['GET'], allowHeaders: ['X-API-Key'], exposeHeaders: RATE_LIMIT_HEADERS }),
+  requireConfig(),
+  allowMethods(['GET']),
+  (req, res, ctx, next) => ((req.query?.resource || 'query') === 'query' ? next() : handleMetadata(req, res)),
+  apiAccess(),
+  handleQuery
+);
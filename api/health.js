@@ -0,0 +1,74 @@
+const { createEventRepository } = require('./_lib/repository');
+const { getRunSummary } = require('./_lib/run-ledger');
+const { createHandler, setCacheControl } = require('./_lib/middleware');
+
+function ageSeconds(timestamp, now) {
+  return timestamp ? Math.max(0, Math.round((now - new Date(timestamp).getTime()) / 1000)) : null;
+}
+
+/**
+ * Scraper health - tells "no earthquakes" apart from "scraper broken"
+ *
+ * status is "ok", "degraded" (recent runs failed or a source is in an
+ * outage) or "down" (no successful
+ * run within EARTHPH_HEALTH_STALE_MINUTES). "down" is served as 503 with
+ * success false so uptime monitors alert on it. The run ledger is kept in
+ * Supabase and read with the service-role key, so other storage backends,
+ * or Supabase without that key, report "unknown" with only the data
+ * freshness.
+ */
+module.exports = createHandler({ name: 'health', cors: '*', access: true }, async (req, res, ctx) => {
+  const repository = createEventRepository();
+  // Only the ledger lookup needs the service-role client
+  const ledger = repository.backend === 'supabase' && ctx.config.secrets.supabaseServiceRoleKey
+    ? createEventRepository({ access: 'write' }).client
+    : null;
+
+  const staleMinutes = ctx.config.scraper.healthStaleMinutes;
+  const now = Date.now();
+
+  const [summary, newest] = await Promise.all([
+    getRunSummary(ledger, { job: 'scrape' }),
+    repository.queryEvents({ order: 'desc', limit: 1 })
+  ]);
+
+  const newestEvent = newest[0] || null;
+  const lastSuccessAge = ageSeconds(summary?.lastSuccess?.finished_at, now);
+
+  let status = 'ok';
+  if (!summary) {
+    status = 'unknown';
+  } else if (lastSuccessAge === null || lastSuccessAge > staleMinutes * 60) {
+    status = 'down';
+  } else if (summary.consecutiveFailures > 0 || (summary.lastRun?.outages || []).some(outage => !outage.endedAt)) {
+    status = 'degraded';
+  }
+
+  const httpStatus = status === 'down' ? 503 : 200;
+
+  setCacheControl(req, res, 'public, s-maxage=30, stale-while-revalidate=15');
+
+  return res.status(httpStatus).json({
+    success: status !== 'down',
+    status,
+    scraper: summary ? {
+      lastRun: summary.lastRun ? {
+        status: summary.lastRun.status,
+        startedAt: summary.lastRun.started_at,
+        finishedAt: summary.lastRun.finished_at,
+        correlationId: summary.lastRun.correlation_id
+      } : null,
+      lastSuccessfulRun: summary.lastSuccess?.finished_at || null,
+      lastSuccessAgeSeconds: lastSuccessAge,
+      consecutiveFailures: summary.consecutiveFailures,
+      staleAfterMinutes: staleMinutes,
+      // Upstream outages explain gaps in the data
+      outages: summary.lastRun?.outages || []
+    } : null,
+    data: {
+      newestEventAt: newestEvent?.occurred_at || null,
+      newestEventAgeSeconds: ageSeconds(newestEvent?.occurred_at, now)
+    },
+    checkedAt: new Date(now).toISOString()
+  });
+});
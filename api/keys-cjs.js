@@ -0,0 +1,77 @@
+const { createEventRepository } = require('./_lib/repository');
+const { validateKeyRequest, createApiKeyStore } = require('./_lib/api-keys');
+const { HttpError, ConfigurationError } = require('./_lib/errors');
+const { createHandler, parseJsonBody } = require('./_lib/middleware');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * API key admin endpoint (cron secret required)
+ *
+ * GET               lists active keys with today's request count;
+ *                   ?revoked=true includes revoked keys
+ * GET    ?id=...    one key with its daily usage for the last 30 days
+ * POST   { name, dailyQuota?, ratePerMinute?, allowedOrigins? }
+ *                   issues a key. The key itself is in this response only.
+ * DELETE ?id=...    revokes a key
+ */
+module.exports = createHandler({ name: 'keys', methods: ['GET', 'POST', 'DELETE'], auth: 'cron' }, async (req, res) => {
+  const repository = createEventRepository({ access: 'write' });
+
+  if (!repository.client) {
+    throw new ConfigurationError(`API keys are stored in Supabase and cannot be managed with EARTHPH_STORAGE=${repository.backend}; use EARTHPH_API_KEYS instead`);
+  }
+
+  const keyStore = createApiKeyStore({ supabase: repository.client });
+  const query = req.query || {};
+
+  if (query.id !== undefined && !UUID_PATTERN.test(query.id)) {
+    throw new HttpError(400, 'Invalid parameter', 'id must be a key id as returned when the key was issued');
+  }
+
+  if (req.method === 'GET' && !query.id) {
+    const keys = await keyStore.list({ includeRevoked: query.revoked === 'true' });
+    return res.status(200).json({ success: true, keys, count: keys.length });
+  }
+
+  if (req.method === 'GET') {
+    const apiKey = await keyStore.get(query.id);
+    if (!apiKey) {
+      throw new HttpError(404, 'Not found', `No API key with id ${query.id}`);
+    }
+    const usage = await keyStore.usage([apiKey.id]);
+    return res.status(200).json({
+      success: true,
+      key: apiKey,
+      usage: usage.map(({ day, requests }) => ({ day, requests }))
+    });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!query.id) {
+      throw new HttpError(400, 'Invalid parameter', 'id is required');
+    }
+    const revoked = await keyStore.revoke(query.id);
+    if (!revoked) {
+      throw new HttpError(404, 'Not found', `No active API key with id ${query.id}`);
+    }
+    console.log(`[KEYS] Revoked API key ${revoked.id} (${revoked.name})`);
+    return res.status(200).json({ success: true, key: revoked });
+  }
+
+  const body = parseJsonBody(req);
+  const errors = validateKeyRequest(body);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid parameter', errors.map(error => `${error.parameter}: ${error.message}`).join('; '), { errors });
+  }
+
+  const { key, apiKey } = await keyStore.issue(body);
+  console.log(`[KEYS] Issued API key ${apiKey.id} (${apiKey.name})`);
+
+  return res.status(201).json({
+    success: true,
+    key,
+    apiKey,
+    message: 'Store this key now; it cannot be shown again'
+  });
+});
@@ -0,0 +1,97 @@
+const { createEventRepository } = require('./_lib/repository');
+const { QUARANTINE_STATUS, MAX_LIST_LIMIT, listQuarantined, replayQuarantined } = require('./_lib/quarantine');
+const { HttpError, ConfigurationError } = require('./_lib/errors');
+const { createHandler, parseJsonBody } = require('./_lib/middleware');
+
+function parseNonNegativeInteger(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+function badRequest(message) {
+  return new HttpError(400, 'Invalid parameter', message);
+}
+
+/**
+ * Quarantine admin endpoint (cron secret required)
+ *
+ * GET  ?status=pending&source=phivolcs&reason=out_of_bounds&limit=50&offset=0
+ *      lists rejected rows with their raw cell text.
+ * POST { ids?: number[], source?: string, dryRun?: boolean }
+ *      re-parses pending rows with the current parser and stores the ones
+ *      that now pass.
+ */
+module.exports = createHandler({ name: 'quarantine', methods: ['GET', 'POST'], auth: 'cron' }, async (req, res, ctx) => {
+  const { correlationId } = ctx;
+  const repository = createEventRepository({ access: 'write' });
+  const supabase = repository.client;
+
+  if (!supabase) {
+    throw new ConfigurationError(`The quarantine is stored in Supabase and is not available with EARTHPH_STORAGE=${repository.backend}`);
+  }
+
+  if (req.method === 'GET') {
+    const query = req.query || {};
+    const status = query.status || QUARANTINE_STATUS.PENDING;
+    const limit = parseNonNegativeInteger(query.limit, 50);
+    const offset = parseNonNegativeInteger(query.offset, 0);
+
+    if (!Object.values(QUARANTINE_STATUS).includes(status)) {
+      throw badRequest(`status must be one of: ${Object.values(QUARANTINE_STATUS).join(', ')}`);
+    }
+    if (!limit || limit > MAX_LIST_LIMIT) {
+      throw badRequest(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+    }
+    if (offset === null) {
+      throw badRequest('offset must be a non-negative integer');
+    }
+
+    const { rows, total } = await listQuarantined(supabase, {
+      status,
+      source: query.source || null,
+      reason: query.reason || null,
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      rows,
+      count: rows.length,
+      total,
+      limit,
+      offset
+    });
+  }
+
+  const body = parseJsonBody(req);
+  const ids = body.ids === undefined ? null : body.ids;
+
+  if (ids !== null && (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0))) {
+    throw badRequest('ids must be a non-empty array of row ids');
+  }
+
+  const dryRun = body.dryRun === true;
+  console.log(`[${correlationId}] Replaying quarantined rows`, { ids, source: body.source || null, dryRun });
+
+  const result = await replayQuarantined(repository, {
+    ids,
+    source: body.source || null,
+    dryRun,
+    correlationId
+  });
+
+  console.log(`[${correlationId}] ${result.recovered.length} of ${result.checked} quarantined rows ${dryRun ? 'would be' : 'were'} recovered`);
+
+  return res.status(200).json({
+    success: true,
+    dryRun,
+    checked: result.checked,
+    recovered: result.recovered,
+    stillRejected: result.stillRejected,
+    eventsUpserted: result.upserted,
+    duration: `${Date.now() - ctx.startTime}ms`,
+    correlationId
+  });
+});
@@ -0,0 +1,69 @@
+const { createEventRepository } = require('./_lib/repository');
+const { getRetentionConfig, runRetention } = require('./_lib/retention');
+const { RUN_STATUS, startRun, finishRun } = require('./_lib/run-ledger');
+const { pruneSchemaSamples } = require('./_lib/schema-drift');
+const { createHandler } = require('./_lib/middleware');
+
+/**
+ * Retention job - compacts and prunes events according to the retention tiers
+ *
+ * Also prunes schema drift page samples to the newest few per source. Runs
+ * separately from the scraper so pruning can be scheduled on its own.
+ * Pass ?dryRun=1 to report what would change.
+ */
+module.exports = createHandler({ name: 'retention', auth: 'cron' }, async (req, res, ctx) => {
+  const { correlationId } = ctx;
+  const repository = createEventRepository({ access: 'write' });
+  const supabase = repository.client;
+  let run = null;
+
+  try {
+    const config = getRetentionConfig();
+    const dryRun = ['1', 'true'].includes(String(req.query?.dryRun || '').toLowerCase());
+
+    console.log(`[${correlationId}] Starting retention job`, { ...config, dryRun });
+
+    run = await startRun(supabase, { job: 'retention', correlationId });
+    const result = await runRetention(repository, { config, dryRun });
+    const samplesDeleted = await pruneSchemaSamples(supabase, { dryRun });
+
+    await finishRun(supabase, run, {
+      status: RUN_STATUS.SUCCESS,
+      counts: { deleted: dryRun ? 0 : result.deleted },
+      details: {
+        dryRun,
+        compacted: result.compacted,
+        revisionsDeleted: result.revisionsDeleted,
+        samplesDeleted,
+        cutoffs: result.cutoffs
+      }
+    });
+
+    console.log(`[${correlationId}] ${dryRun ? 'Would compact' : 'Compacted'} ${result.compacted} events, ${dryRun ? 'would delete' : 'deleted'} ${result.deleted} events`);
+    ctx.log.eventsCompacted = result.compacted;
+    ctx.log.eventsDeleted = result.deleted;
+    ctx.log.samplesDeleted = samplesDeleted;
+
+    return res.status(200).json({
+      success: true,
+      dryRun,
+      retention: config,
+      eventsCompacted: result.compacted,
+      revisionsDeleted: result.revisionsDeleted,
+      eventsDeleted: result.deleted,
+      samplesDeleted,
+      cutoffs: result.cutoffs,
+      duration: `${Date.now() - ctx.startTime}ms`,
+      correlationId
+    });
+
+  } catch (error) {
+    if (run) {
+      await finishRun(supabase, run, {
+        status: RUN_STATUS.FAILED,
+        errors: [{ source: null, message: error.message, code: error.code || null }]
+      });
+    }
+    throw error;
+  }
+});
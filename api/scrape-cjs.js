@@ -1,268 +1,188 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { createClient } = require('@supabase/supabase-js');
+const { createEventRepository } = require('./_lib/repository');
+const { getEnabledSources } = require('./_lib/sources');
+const { loadFetchState, fetchChangedSources, saveBreakerState, saveFetchState } = require('./_lib/fetch-state');
+const { getBreakerConfig } = require('./_lib/circuit-breaker');
+const { mergeOrigins } = require('./_lib/merge');
+const { storeEvents } = require('./_lib/store-events');
+const { RUN_STATUS, startRun, finishRun } = require('./_lib/run-ledger');
+const { recordSchemaDrift } = require('./_lib/schema-drift');
+const { quarantineRows } = require('./_lib/quarantine');
+const { getRetentionConfig, getScrapeSince } = require('./_lib/retention');
+const { getLockConfig, acquireLock, releaseLock } = require('./_lib/scrape-lock');
+const { HttpError } = require('./_lib/errors');
+const { createHandler } = require('./_lib/middleware');
+
+/**
+ * Scraper - fetches every enabled source, merges their solutions and stores
+ * new and revised events (cron secret required)
+ */
+module.exports = createHandler({ name: 'scrape', auth: 'cron' }, async (req, res, ctx) => {
+  const { correlationId } = ctx;
+  let supabase = null;
+  let run = null;
+  let lock = null;
+  let outages = [];
 
-const PHIVOLCS_URL = 'https://earthquake.phivolcs.dost.gov.ph/';
-let lastScrapeTime = 0;
-const MIN_INTERVAL = 5 * 60 * 1000;
-
-
-function setSecurityHeaders(res) {
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  res.setHeader('X-XSS-Protection', '1; mode=block');
-  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
-  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-}
-
-function logRequest(req, res, duration, scraped = 0, error = null) {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    method: req.method,
-    url: req.url,
-    ip: req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || 'unknown',
-    userAgent: req.headers['user-agent'] || 'unknown',
-    status: res.statusCode,
-    duration: `${duration}ms`,
-    eventsScraped: scraped,
-    error: error ? error.message : null,
-    authenticated: !!req.headers['x-earthph-cron-secret']
-  };
-
-  console.log(JSON.stringify(logEntry));
-
-  if (res.statusCode === 401) {
-    console.warn(`[SECURITY] Unauthorized scraper access attempt: IP=${logEntry.ip}, UA=${logEntry.userAgent}`);
-  }
-  if (error) {
-    console.error(`[ERROR] Scraper failed: ${error.message}`, logEntry);
-  }
-}
-
-module.exports = async function handler(req, res) {
-  const startTime = Date.now();
-  const correlationId = `scrape-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  
   try {
-    setSecurityHeaders(res);
-    
-    if (req.method === 'OPTIONS') {
-      return res.status(204).end();
-    }
-    
-    if (req.method !== 'GET') {
-      const duration = Date.now() - startTime;
-      logRequest(req, res, duration, 0, new Error('Method not allowed'));
-      return res.status(405).json({ 
-        success: false,
-        error: 'Method not allowed',
-        message: 'Only GET requests are supported'
-      });
+    const repository = createEventRepository({ access: 'write' });
+    // Run ledger, fetch state, lock and quarantine live in Supabase; null with other backends
+    supabase = repository.client;
+
+    // One scrape at a time across instances, and not more often than the minimum interval
+    const lockConfig = getLockConfig();
+    const lockAttempt = await acquireLock(supabase, { holder: correlationId, config: lockConfig });
+
+    if (!lockAttempt.acquired) {
+      const locked = lockAttempt.reason === 'locked';
+      const retryAfter = Math.max(1, Math.ceil((new Date(lockAttempt.nextAllowedAt).getTime() - Date.now()) / 1000));
+
+      res.setHeader('Retry-After', String(retryAfter));
+      throw new HttpError(
+        locked ? 409 : 429,
+        locked ? 'Scrape in progress' : 'Too many requests',
+        locked
+          ? `Another scrape (${lockAttempt.holder}) is running; the next scrape is allowed at ${lockAttempt.nextAllowedAt}`
+          : `Scrapes are limited to one every ${lockConfig.minIntervalSeconds}s; the next scrape is allowed at ${lockAttempt.nextAllowedAt}`,
+        { nextAllowedAt: lockAttempt.nextAllowedAt, correlationId }
+      );
     }
 
-    const cronSecret = req.headers['x-earthph-cron-secret'];
-    const validSecret = process.env.EARTHPH_CRON_SECRET;
+    lock = lockAttempt;
+    run = await startRun(supabase, { job: 'scrape', correlationId });
 
-    if (!validSecret) {
-      const duration = Date.now() - startTime;
-      res.statusCode = 500;
-      logRequest(req, res, duration, 0, new Error('Configuration missing'));
-      return res.status(500).json({
-        success: false,
-        error: 'Configuration Error',
-        message: 'EARTHPH_CRON_SECRET not configured'
-      });
-    }
+    const adapters = getEnabledSources();
+    const since = getScrapeSince(getRetentionConfig());
 
-    if (!cronSecret || cronSecret !== validSecret) {
-      const duration = Date.now() - startTime;
-      res.statusCode = 401;
-      logRequest(req, res, duration, 0, new Error('Unauthorized access attempt'));
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized',
-        message: 'Valid x-earthph-cron-secret header required'
-      });
-    }
+    console.log(`[${correlationId}] Starting scrape (sources: ${adapters.map(a => a.id).join(', ')})`);
 
-    const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    
-    if (!supabaseUrl || !supabaseKey) {
-      const duration = Date.now() - startTime;
-      res.statusCode = 500;
-      logRequest(req, res, duration, 0, new Error('Configuration missing'));
-      return res.status(500).json({
-        success: false,
-        error: 'Configuration Error',
-        message: 'Supabase credentials not configured'
-      });
-    }
+    const fetchState = await loadFetchState(supabase, { correlationId });
+    const fetched = await fetchChangedSources(adapters, { since, state: fetchState, breakerConfig: getBreakerConfig() });
+    const { origins, status: sourceStatus, errors: sourceErrors, changed } = fetched;
+    outages = fetched.outages;
 
-    const supabase = createClient(supabaseUrl, supabaseKey, {
-      auth: { persistSession: false, autoRefreshToken: false }
+    await saveBreakerState(supabase, fetched.breaker, { correlationId });
+    outages.filter(outage => !outage.endedAt).forEach(outage => {
+      console.warn(`[${correlationId}] Source ${outage.source} outage since ${outage.startedAt} (${outage.failures} failed runs)`);
     });
 
-    console.log(`[${correlationId}] Starting scrape`);
-
-    const https = require('https');
-    const response = await axios.get(PHIVOLCS_URL, { 
-      timeout: 8000,
-      httpsAgent: new https.Agent({ rejectUnauthorized: false })
+    Object.entries(sourceStatus).forEach(([source, result]) => {
+      if (result.ok) {
+        console.log(`[${correlationId}] Source ${source}: ${result.notModified ? 'not modified' : `${result.count} origins`} in ${result.duration}`);
+      } else {
+        console.warn(`[${correlationId}] Source ${source} failed: ${result.error}`);
+      }
     });
-    const $ = cheerio.load(response.data);
-    
-    const events = [];
-    const table = $('table').eq(2).find('tbody');
-    
-    table.find('tr').each((index, row) => {
-      if (index === 0) return;
-      if (index >= 501) return false; 
-      
-      const cells = $(row).find('td');
-      if (cells.length < 6) return;
-      
-      const dateTimeRaw = $(cells[0]).text().trim();
-      const latitudeRaw = $(cells[1]).text().trim();
-      const longitudeRaw = $(cells[2]).text().trim();
-      const depthRaw = $(cells[3]).text().trim();
-      const magnitudeRaw = $(cells[4]).text().trim();
-      const locationText = $(cells[5]).text().trim();
-      
-      const occurred_at = parsePhivolcsDateTime(dateTimeRaw);
-      if (!occurred_at) return;
 
-      // Skip events that occurred more than 24 hours ago
-      const eventTime = new Date(occurred_at).getTime();
-      const cutoffTime = Date.now() - 24 * 60 * 60 * 1000;
-      if (eventTime < cutoffTime) return;
+    const schemaDrift = await recordSchemaDrift(supabase, sourceErrors, correlationId);
 
-      const latitude = parseFloat(latitudeRaw);
-      const longitude = parseFloat(longitudeRaw);
-      const magnitude = parseFloat(magnitudeRaw);
-      const depth_km = parseFloat(depthRaw) || null;
+    // Keep rejected rows (bad cells, outside the PH box) for review and replay
+    const quarantined = await quarantineRows(supabase, fetched.rejects, correlationId);
+    if (quarantined > 0) {
+      console.warn(`[${correlationId}] ${quarantined} rejected rows sent to quarantine`);
+    }
 
-      if (isNaN(latitude) || isNaN(longitude) || isNaN(magnitude)) return;
-      if (latitude < 4.0 || latitude > 22.0 || longitude < 116.0 || longitude > 128.0) return;
-      
-      const id = `${occurred_at.replace(/[:.]/g, '-')}_${(latitude * 100).toFixed(0)}_${(longitude * 100).toFixed(0)}`;
-      
-      events.push({
-        id,
-        occurred_at,
-        latitude,
-        longitude,
-        depth_km,
-        magnitude,
-        location_text: locationText
-      });
-    });
+    if (!Object.values(sourceStatus).some(result => result.ok) && schemaDrift.length === 0) {
+      throw new Error('All earthquake sources failed');
+    }
 
-    console.log(`[${correlationId}] Parsed ${events.length} events`);
+    let events = [];
+    let uniqueEvents = [];
+    let stored = { upserted: 0, unchanged: 0, revisions: 0, revisedEvents: 0 };
 
-    // Deduplicate events by ID (prevent "ON CONFLICT DO UPDATE" error)
-    const uniqueEvents = Array.from(
-      new Map(events.map(event => [event.id, event])).values()
-    );
+    if (changed) {
+      events = mergeOrigins(origins);
 
-    if (uniqueEvents.length < events.length) {
-      console.log(`[${correlationId}] Removed ${events.length - uniqueEvents.length} duplicate events`);
-    }
+      console.log(`[${correlationId}] Parsed ${events.length} events from ${origins.length} origins`);
+
+      // Deduplicate events by ID (prevent "ON CONFLICT DO UPDATE" error)
+      uniqueEvents = Array.from(
+        new Map(events.map(event => [event.id, event])).values()
+      );
 
-    // Upsert to database
-    let eventsUpserted = 0;
-    if (uniqueEvents.length > 0) {
-      const { data, error } = await supabase.from('events').upsert(uniqueEvents).select();
-      if (error) {
-        console.error(`[${correlationId}] Database upsert failed:`, {
-          message: error.message,
-          code: error.code,
-          details: error.details,
-          eventsCount: uniqueEvents.length
-        });
-        throw error;
+      if (uniqueEvents.length < events.length) {
+        console.log(`[${correlationId}] Removed ${events.length - uniqueEvents.length} duplicate events`);
       }
-      eventsUpserted = data?.length || uniqueEvents.length;
-      console.log(`[${correlationId}] Successfully upserted ${eventsUpserted} events`);
-    }
 
-    // Delete old events (earthquakes that occurred more than 24 hours ago)
-    console.log(`[${correlationId}] Cleaning up old events...`);
-    const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-    const { error: deleteError, count: deletedCount } = await supabase
-      .from('events')
-      .delete()
-      .lt('occurred_at', cutoffTime);
+      // Reconcile with stored events so a revised solution keeps its original id
+      stored = await storeEvents(repository, uniqueEvents, { windowStart: since, correlationId });
 
-    if (deleteError) {
-      console.error(`[${correlationId}] Cleanup failed:`, deleteError);
+      console.log(`[${correlationId}] Successfully upserted ${stored.upserted} events (${stored.unchanged} unchanged)`);
+      if (stored.revisions > 0) {
+        console.log(`[${correlationId}] Recorded ${stored.revisions} field revisions on ${stored.revisedEvents} events`);
+      }
     } else {
-      console.log(`[${correlationId}] Deleted ${deletedCount || 0} old events`);
+      console.log(`[${correlationId}] No source changed since the last scrape, skipping database write`);
     }
 
-    const duration = Date.now() - startTime;
-    logRequest(req, res, duration, uniqueEvents.length);
+    await saveFetchState(supabase, sourceStatus, fetchState, { correlationId });
+    const eventsUpserted = stored.upserted;
+
+    const sourceResults = Object.values(sourceStatus);
+    await finishRun(supabase, run, {
+      status: schemaDrift.length > 0 ? RUN_STATUS.SCHEMA_CHANGED : RUN_STATUS.SUCCESS,
+      counts: {
+        seen: sourceResults.reduce((sum, result) => sum + result.seen, 0),
+        parsed: origins.length,
+        rejected: sourceResults.reduce((sum, result) => sum + result.rejected, 0),
+        upserted: eventsUpserted
+      },
+      errors: Object.entries(sourceStatus)
+        .filter(([, result]) => !result.ok)
+        .map(([source, result]) => ({ source, message: result.error, code: result.code })),
+      sources: sourceStatus,
+      outages,
+      details: { changed, unchanged: stored.unchanged, quarantined }
+    });
+
+    const duration = Date.now() - ctx.startTime;
+    ctx.log.eventsScraped = uniqueEvents.length;
+
+    // Other sources were still stored, but the run fails until the parser is fixed
+    if (schemaDrift.length > 0) {
+      ctx.error = new Error(`Schema changed: ${schemaDrift.map(d => d.source).join(', ')}`);
+
+      return res.status(502).json({
+        success: false,
+        status: 'schema_changed',
+        error: 'Schema changed',
+        message: schemaDrift.map(d => d.message).join('; '),
+        schemaDrift,
+        eventsScraped: eventsUpserted,
+        sources: sourceStatus,
+        duration: `${duration}ms`,
+        correlationId
+      });
+    }
 
     return res.status(200).json({
       success: true,
-      message: `Scraped ${uniqueEvents.length} events (${events.length - uniqueEvents.length} duplicates removed), deleted ${deletedCount || 0} old events`,
+      status: 'ok',
+      message: changed
+        ? `Scraped ${uniqueEvents.length} events (${events.length - uniqueEvents.length} duplicates removed)`
+        : 'No changes since the last scrape',
+      changed,
       eventsScraped: eventsUpserted,
-      eventsDeleted: deletedCount || 0,
+      eventsUnchanged: stored.unchanged,
       duplicatesRemoved: events.length - uniqueEvents.length,
+      eventsRevised: stored.revisedEvents,
+      sources: sourceStatus,
+      outages,
       duration: `${duration}ms`,
       correlationId
     });
 
   } catch (error) {
-    const duration = Date.now() - startTime;
-    res.statusCode = 500;
-    logRequest(req, res, duration, 0, error);
-    
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-      correlationId
-    });
-  }
-};
-
-function parsePhivolcsDateTime(dateTimeStr) {
-  try {
-    const [datePart, timePart] = dateTimeStr.split(' - ');
-    if (!datePart || !timePart) return null;
-
-    const dateTokens = datePart.trim().split(' ');
-    if (dateTokens.length !== 3) return null;
-    
-    const day = parseInt(dateTokens[0]);
-    const monthName = dateTokens[1];
-    const year = parseInt(dateTokens[2]);
-    
-    const months = {
-      'January': 1, 'February': 2, 'March': 3, 'April': 4,
-      'May': 5, 'June': 6, 'July': 7, 'August': 8,
-      'September': 9, 'October': 10, 'November': 11, 'December': 12
-    };
-    
-    const month = months[monthName];
-    if (!month || !day || !year) return null;
-
-    const timeMatch = timePart.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-    if (!timeMatch) return null;
-
-    let hours = parseInt(timeMatch[1]);
-    const minutes = parseInt(timeMatch[2]);
-    const meridiem = timeMatch[3].toUpperCase();
-
-    if (meridiem === 'PM' && hours !== 12) hours += 12;
-    if (meridiem === 'AM' && hours === 12) hours = 0;
-
-    const pstDate = new Date(Date.UTC(year, month - 1, day, hours, minutes));
-    pstDate.setUTCHours(pstDate.getUTCHours() - 8);
-
-    return pstDate.toISOString();
-  } catch (err) {
-    return null;
+    if (run) {
+      await finishRun(supabase, run, {
+        status: RUN_STATUS.FAILED,
+        errors: [{ source: null, message: error.message, code: error.code || null }],
+        outages
+      });
+    }
+    throw error;
+  } finally {
+    if (lock) {
+      await releaseLock(supabase, lock, correlationId);
+    }
   }
-}
+});
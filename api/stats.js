@@ -0,0 +1,32 @@
+const { createEventRepository } = require('./_lib/repository');
+const { parseStatsQuery, getStats } = require('./_lib/stats');
+const { createHandler, setCacheControl } = require('./_lib/middleware');
+
+/**
+ * Seismicity statistics - GET /api/stats
+ *
+ * Aggregates over the same filtered window as /api/events-cjs: counts per
+ * magnitude band, depth class, region and hour or day, total energy
+ * released, the largest event and a Gutenberg-Richter fit.
+ */
+module.exports = createHandler({
+  name: 'stats',
+  cors: 'site',
+  allowHeaders: ['Content-Type'],
+  access: true
+}, async (req, res, ctx) => {
+  const request = parseStatsQuery(req.query || {});
+
+  const repository = createEventRepository({ access: 'read' });
+  const stats = await getStats(repository, request);
+  const responseTime = Date.now() - ctx.startTime;
+
+  setCacheControl(req, res, 'public, s-maxage=60, stale-while-revalidate=15');
+  res.setHeader('X-Response-Time', `${responseTime}ms`);
+
+  return res.status(200).json({
+    success: true,
+    ...stats,
+    responseTime: `${responseTime}ms`
+  });
+});
@@ -1,16 +1,33 @@
-module.exports = {
-  testEnvironment: 'jsdom',
+const shared = {
   setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
   moduleNameMapper: {
     '\\.(css|less|scss|sass)$': 'identity-obj-proxy',
-    '^@/(.*)$': '<rootDir>/src/$1',
-    '^cheerio$': '<rootDir>/tests/__mocks__/cheerio.js'
+    '^@/(.*)$': '<rootDir>/src/$1'
   },
   transform: {
     '^.+\\.(js|jsx)$': 'babel-jest'
   },
   transformIgnorePatterns: [
     'node_modules/(?!(axios|@supabase)/)'
+  ]
+};
+
+module.exports = {
+  // Serverless handlers run in Node; the app runs in the browser
+  projects: [
+    {
+      ...shared,
+      displayName: 'api',
+      testEnvironment: 'node',
+      testMatch: ['<rootDir>/tests/api/**/*.test.js']
+    },
+    {
+      ...shared,
+      displayName: 'app',
+      testEnvironment: 'jsdom',
+      testMatch: ['<rootDir>/tests/**/*.test.js'],
+      testPathIgnorePatterns: ['/node_modules/', '<rootDir>/tests/api/']
+    }
   ],
   collectCoverageFrom: [
     'src/**/*.{js,jsx}',
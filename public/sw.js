@@ -1,5 +1,5 @@
 // EarthPH Service Worker for Performance Optimization
-const CACHE_NAME = 'earthph-v1.0.0';
+const CACHE_NAME = 'earthph-v1.2.0';
 const STATIC_CACHE = `${CACHE_NAME}-static`;
 const DYNAMIC_CACHE = `${CACHE_NAME}-dynamic`;
 
@@ -12,7 +12,7 @@ const STATIC_ASSETS = [
   '/robots.txt'
 ];
 
-// API endpoints to cache with network-first strategy
+// API endpoints to cache with network-first strategy, revalidated by ETag
 const API_CACHE_PATTERNS = [
   /\/api\/events/
 ];
@@ -65,9 +65,14 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Leave the event stream to the network; it never completes, so it cannot be cached
+  if (request.headers.get('Accept') === 'text/event-stream') {
+    return;
+  }
+
   // Handle API requests with network-first strategy
   if (API_CACHE_PATTERNS.some(pattern => pattern.test(url.pathname))) {
-    event.respondWith(networkFirstStrategy(event.request));
+    event.respondWith(revalidateStrategy(event.request));
     return;
   }
 
@@ -119,6 +124,36 @@ async function networkFirstStrategy(request, fallback = null) {
   }
 }
 
+// Network-first with conditional requests: a 304 is answered from the cache
+// instead of downloading the same events again
+async function revalidateStrategy(request) {
+  const cache = await caches.open(DYNAMIC_CACHE);
+  const cachedResponse = await cache.match(request);
+
+  // The page is revalidating its own copy; let its 304 through
+  if (request.headers.has('If-None-Match') || !cachedResponse?.headers.get('ETag')) {
+    return networkFirstStrategy(request);
+  }
+
+  try {
+    const headers = new Headers(request.headers);
+    headers.set('If-None-Match', cachedResponse.headers.get('ETag'));
+    const networkResponse = await fetch(new Request(request, { headers }));
+
+    if (networkResponse.status === 304) {
+      return cachedResponse;
+    }
+    if (networkResponse.ok) {
+      cache.put(request, networkResponse.clone());
+    }
+
+    return networkResponse;
+  } catch (error) {
+    console.log('[SW] Network failed, serving cached API response:', request.url);
+    return cachedResponse;
+  }
+}
+
 // Cache-first strategy for static assets
 async function cacheFirstStrategy(request) {
   const cachedResponse = await caches.match(request);
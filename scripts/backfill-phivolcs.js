@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Backfill the events table from PHIVOLCS monthly archive pages
+ *
+ * Usage:
+ *   node scripts/backfill-phivolcs.js --from 2023-01 --to 2023-12
+ *   node scripts/backfill-phivolcs.js --from 2023-01 --to 2023-12 --fixtures ./fixtures --dry-run
+ *   node scripts/backfill-phivolcs.js --from 2023-01 --to 2023-12 --resume
+ *
+ * Options:
+ *   --from, --to   Month range (YYYY-MM), inclusive
+ *   --fixtures     Read saved pages (<dir>/2023_January.html) instead of downloading
+ *   --dry-run      Parse only; nothing is written to the database
+ *   --state        Progress file (default .backfill-state.json)
+ *   --resume       Skip months already recorded in the progress file
+ *   --delay        Milliseconds to wait between downloads (default 2000)
+ *
+ * Writes go to the storage backend chosen by EARTHPH_STORAGE (default
+ * supabase, which needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const phivolcs = require('../api/_lib/sources/phivolcs');
+const { monthRange, runBackfill } = require('../api/_lib/backfill');
+const { storeEvents } = require('../api/_lib/store-events');
+const { createEventRepository } = require('../api/_lib/repository');
+const { loadConfig } = require('../api/_lib/config');
+
+const USAGE = 'Usage: node scripts/backfill-phivolcs.js --from YYYY-MM --to YYYY-MM [--fixtures DIR] [--dry-run] [--resume] [--state FILE] [--delay MS]';
+
+function readState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Cannot read progress file ${file}: ${err.message}`);
+  }
+}
+
+function writeState(file, state) {
+  fs.writeFileSync(file, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      fixtures: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      resume: { type: 'boolean', default: false },
+      state: { type: 'string', default: '.backfill-state.json' },
+      delay: { type: 'string', default: '2000' }
+    }
+  });
+
+  if (!values.from || !values.to) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const months = monthRange(values.from, values.to);
+  const dryRun = values['dry-run'];
+  const delayMs = Math.max(0, parseInt(values.delay, 10) || 0);
+  const stateFile = path.resolve(values.state);
+  const correlationId = `backfill-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  const previous = values.resume ? readState(stateFile) : null;
+  const completed = previous?.completed || [];
+
+  let repository = null;
+  if (!dryRun) {
+    const { problems } = loadConfig();
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(`[backfill] ${problem.message}`));
+      console.error('[backfill] Fix the configuration above or pass --dry-run');
+      process.exit(2);
+    }
+
+    try {
+      repository = createEventRepository({ access: 'write' });
+    } catch (err) {
+      console.error(`[backfill] ${err.message} (or pass --dry-run)`);
+      process.exit(2);
+    }
+  }
+
+  let downloads = 0;
+  const loadPage = async (month, { year, month: monthNumber }) => {
+    if (values.fixtures) {
+      return fs.readFileSync(path.join(values.fixtures, phivolcs.archiveFileName(year, monthNumber)), 'utf8');
+    }
+    // Be polite to the PHIVOLCS server between archive downloads
+    if (downloads++ > 0 && delayMs > 0) await sleep(delayMs);
+    return phivolcs.fetchPage(phivolcs.archiveUrl(year, monthNumber), { timeout: 30000 });
+  };
+
+  const store = dryRun
+    ? async () => ({ upserted: 0, revisedEvents: 0 })
+    : (events, { windowStart, windowEnd }) => storeEvents(repository, events, { windowStart, windowEnd, correlationId });
+
+  console.log(`[backfill] ${months.length} months ${values.from}..${values.to}` +
+    `${completed.length ? `, resuming (${completed.length} already done)` : ''}` +
+    `${dryRun ? ' (dry run)' : ''}`);
+
+  const result = await runBackfill({
+    months,
+    loadPage,
+    store,
+    completed,
+    onProgress: (entry, done) => {
+      if (entry.error) {
+        console.error(`[backfill] ${entry.month} failed (${entry.position}): ${entry.error}`);
+      } else {
+        console.log(`[backfill] ${entry.month} (${entry.position}): ${entry.parsed} parsed, ${entry.upserted} upserted, ${entry.revised} revised in ${entry.duration}`);
+      }
+      writeState(stateFile, {
+        from: values.from,
+        to: values.to,
+        completed: done,
+        resumeFrom: entry.error ? entry.month : null,
+        updatedAt: new Date().toISOString()
+      });
+    }
+  });
+
+  const totals = result.months.reduce((sum, entry) => ({
+    parsed: sum.parsed + entry.parsed,
+    upserted: sum.upserted + entry.upserted
+  }), { parsed: 0, upserted: 0 });
+
+  console.log(JSON.stringify({
+    success: !result.failed,
+    correlationId,
+    monthsProcessed: result.months.length,
+    eventsParsed: totals.parsed,
+    eventsUpserted: totals.upserted,
+    failed: result.failed,
+    resumeFrom: result.resumeFrom,
+    stateFile
+  }, null, 2));
+
+  if (result.failed) {
+    console.error(`[backfill] Stopped at ${result.resumeFrom}. Re-run with --resume to continue.`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(`[backfill] ${err.message}`);
+  process.exit(1);
+});
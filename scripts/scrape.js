@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Run the scraper's parsing code from the command line
+ *
+ * Usage:
+ *   node scripts/scrape.js --file ./saved/phivolcs.html
+ *   node scripts/scrape.js --file ./saved/phivolcs.html --format ndjson
+ *   node scripts/scrape.js --source usgs --since 6
+ *   node scripts/scrape.js --url https://earthquake.phivolcs.dost.gov.ph/ --store supabase --dry-run
+ *
+ * Options:
+ *   --source     Adapter that parses the input: phivolcs (default), usgs or emsc
+ *   --file       Parse a saved page instead of downloading
+ *   --url        Download this URL instead of the adapter's live feed
+ *   --since      Only keep events newer than this (hours ago or ISO date); files default to all rows
+ *   --max-rows   Rows to read from a PHIVOLCS page (default 500)
+ *   --format     json (default) or ndjson; events go to stdout, logs to stderr
+ *   --store      Write the events to a storage backend: supabase or sqlite
+ *   --dry-run    With --store, show what would be inserted, updated and deleted without writing
+ *
+ * Nothing is written unless --store is given. Writing to Supabase needs
+ * SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY; SQLite writes to
+ * EARTHPH_SQLITE_PATH (default ./earthph.sqlite).
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const { ADAPTERS } = require('../api/_lib/sources');
+const { mergeOrigins } = require('../api/_lib/merge');
+const { planStoreEvents, storeEvents } = require('../api/_lib/store-events');
+const { getRetentionConfig, getScrapeSince, runRetention } = require('../api/_lib/retention');
+const { getStorageConfig, createEventRepository } = require('../api/_lib/repository');
+const { loadConfig } = require('../api/_lib/config');
+
+const USAGE = 'Usage: node scripts/scrape.js [--source phivolcs|usgs|emsc] [--file PATH | --url URL] [--since HOURS|ISO] [--max-rows N] [--format json|ndjson] [--store supabase|sqlite] [--dry-run]';
+
+const FORMATS = ['json', 'ndjson'];
+// The in-memory backend would be gone when the process exits
+const STORES = ['supabase', 'sqlite'];
+
+function fail(message) {
+  console.error(`[scrape] ${message}`);
+  console.error(USAGE);
+  process.exit(2);
+}
+
+function parseSince(value) {
+  if (value === undefined) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return new Date(Date.now() - Number(value) * 60 * 60 * 1000);
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) fail(`--since must be a number of hours or an ISO date, got "${value}"`);
+  return date;
+}
+
+function createStore(name) {
+  const { problems } = loadConfig({ ...process.env, EARTHPH_STORAGE: name });
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`[scrape] --store ${name}: ${problem.message}`));
+    process.exit(2);
+  }
+
+  try {
+    return createEventRepository({ access: 'write', config: { ...getStorageConfig(), backend: name } });
+  } catch (err) {
+    console.error(`[scrape] --store ${name}: ${err.message}`);
+    process.exit(2);
+  }
+}
+
+/**
+ * Read origins from a file, a URL or the adapter's live feed
+ */
+async function loadOrigins(adapter, { file, url, since, maxRows, stats }) {
+  const options = { since, maxRows, stats };
+
+  if (file) {
+    return adapter.parse(fs.readFileSync(file, 'utf8'), options);
+  }
+  if (url) {
+    const body = adapter.id === 'phivolcs'
+      ? await adapter.fetchPage(url, { timeout: 30000 })
+      : (await axios.get(url, { timeout: 30000, responseType: 'text' })).data;
+    return adapter.parse(body, options);
+  }
+  return adapter.fetchEvents({ since, stats });
+}
+
+function printEvents(events, format) {
+  if (format === 'ndjson') {
+    events.forEach(event => process.stdout.write(`${JSON.stringify(event)}\n`));
+  } else {
+    process.stdout.write(`${JSON.stringify(events, null, 2)}\n`);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      source: { type: 'string', default: 'phivolcs' },
+      file: { type: 'string' },
+      url: { type: 'string' },
+      since: { type: 'string' },
+      'max-rows': { type: 'string', default: '500' },
+      format: { type: 'string', default: 'json' },
+      store: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const adapter = ADAPTERS[values.source];
+  if (!adapter) fail(`Unknown source "${values.source}"`);
+  if (values.file && values.url) fail('Pass either --file or --url, not both');
+  if (!FORMATS.includes(values.format)) fail(`--format must be one of: ${FORMATS.join(', ')}`);
+  if (values.store && !STORES.includes(values.store)) fail(`--store must be one of: ${STORES.join(', ')}`);
+  if (values['dry-run'] && !values.store) fail('--dry-run needs --store to compare against');
+
+  const maxRows = parseInt(values['max-rows'], 10);
+  if (!(maxRows > 0)) fail('--max-rows must be a positive integer');
+
+  // Saved pages are usually old, so only the live feed defaults to the scrape lookback
+  const since = parseSince(values.since) || (values.file || values.url ? null : getScrapeSince(getRetentionConfig()));
+  const correlationId = `cli-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const stats = { seen: 0, rejected: 0 };
+
+  let origins;
+  try {
+    origins = await loadOrigins(adapter, { file: values.file, url: values.url, since, maxRows, stats });
+  } catch (err) {
+    if (err.code === 'SCHEMA_CHANGED') {
+      console.error(`[scrape] ${adapter.id} schema changed (${err.reason}): ${err.message}`);
+      console.error(JSON.stringify(err.details, null, 2));
+      process.exit(1);
+    }
+    throw err;
+  }
+
+  const events = Array.from(new Map(mergeOrigins(origins).map(event => [event.id, event])).values());
+
+  console.error(`[scrape] ${adapter.id}: ${stats.seen} rows, ${origins.length} parsed, ${stats.rejected} rejected, ${events.length} events`);
+  (stats.rejectedRows || []).forEach(row => console.error(`[scrape]   rejected (${row.reason}): ${JSON.stringify(row.raw)}`));
+
+  if (!values.store) {
+    printEvents(events, values.format);
+    return;
+  }
+
+  const repository = createStore(values.store);
+  const times = events.map(event => new Date(event.occurred_at).getTime());
+  const window = events.length > 0
+    ? { windowStart: new Date(Math.min(...times)), windowEnd: new Date(Math.max(...times)), correlationId }
+    : null;
+
+  if (values['dry-run']) {
+    const plan = window
+      ? await planStoreEvents(repository, events, window)
+      : { reconciled: [], changed: [], revisions: [], storedEvents: [] };
+    const storedIds = new Set(plan.storedEvents.map(event => event.id));
+    // The scraper itself never deletes; pruning is the retention job's
+    const retention = await runRetention(repository, { config: getRetentionConfig(), dryRun: true });
+
+    printEvents(plan.changed, values.format);
+    console.error(JSON.stringify({
+      dryRun: true,
+      store: values.store,
+      insert: plan.changed.filter(event => !storedIds.has(event.id)).map(event => event.id),
+      update: plan.changed.filter(event => storedIds.has(event.id)).map(event => event.id),
+      unchanged: plan.reconciled.length - plan.changed.length,
+      revisions: plan.revisions,
+      retention: {
+        compact: retention.compacted,
+        delete: retention.deleted,
+        cutoffs: retention.cutoffs
+      }
+    }, null, 2));
+    return;
+  }
+
+  const stored = window
+    ? await storeEvents(repository, events, window)
+    : { upserted: 0, unchanged: 0, revisions: 0, revisedEvents: 0 };
+
+  printEvents(events, values.format);
+  console.error(`[scrape] Stored in ${values.store}: ${stored.upserted} upserted, ${stored.unchanged} unchanged, ${stored.revisions} revisions (${correlationId})`);
+}
+
+main().catch((err) => {
+  console.error(`[scrape] ${err.message}`);
+  process.exit(1);
+});
@@ -10,13 +10,21 @@
  * - Proper loading and error states
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import Map from './components/Map';
 import LoadingSpinner from './components/LoadingSpinner';
+import DownloadButton from './components/DownloadButton';
 import ErrorBoundary from './components/ErrorBoundary';
-import { fetchEvents } from './services/supabase';
+import { fetchEvents, fetchEvent, fetchHealth, subscribeToEventStream } from './services/supabase';
+import { normalizeRegion } from './utils/regions';
 import globeLogo from './assets/the-world.png';
 
+// Events loaded on the map, matching the API's default limit
+const EVENTS_LIMIT = 500;
+// Full refresh interval; the event stream delivers changes in between
+const POLL_INTERVAL_MS = 60 * 1000;
+const STREAM_REFRESH_MS = 5 * 60 * 1000;
+
 /**
  * Main App Component
  */
@@ -24,6 +32,18 @@ function App() {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [health, setHealth] = useState(null);
+
+  // Region shortcut from the manifest (e.g. /?region=mindanao); an unknown
+  // region is dropped rather than sent to the API, which rejects it
+  const region = useMemo(() => normalizeRegion(new URLSearchParams(window.location.search).get('region')), []);
+  // Event link from the GeoJSON feed (/?event=<id>) or the web+earthquake
+  // protocol handler (/?earthquake=web+earthquake:<id>)
+  const focusEventId = useMemo(() => {
+    const params = new URLSearchParams(window.location.search);
+    const link = params.get('event') || params.get('earthquake');
+    return link ? link.replace(/^web\+earthquake:(\/\/)?/i, '') : null;
+  }, []);
 
   /**
    * Fetch earthquake events from API
@@ -33,20 +53,31 @@ function App() {
       if (showLoading) setLoading(true);
       setError(null);
 
-      const { data, error: fetchError } = await fetchEvents(500); // Increased to 500 to match API limit
+      const [{ data, error: fetchError }, { data: healthData }] = await Promise.all([
+        fetchEvents(EVENTS_LIMIT, { region }),
+        fetchHealth()
+      ]);
+      setHealth(healthData);
 
       if (fetchError) {
         throw fetchError;
       }
 
-      setEvents(data || []);
+      // A linked event older than the default view is fetched on its own
+      let linked = [];
+      if (focusEventId && !(data || []).some(event => event.id === focusEventId)) {
+        const { data: detail } = await fetchEvent(focusEventId);
+        if (detail) linked = [detail.event];
+      }
+
+      setEvents([...(data || []), ...linked]);
     } catch (err) {
       console.error('[App] Error loading events:', err);
       setError(err.message || 'Failed to load earthquake data');
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [region, focusEventId]);
 
   /**
    * Initial load
@@ -56,15 +87,32 @@ function App() {
   }, [loadEvents]);
 
   /**
-   * Auto-refresh every 60 seconds
+   * Live updates from the event stream, with a periodic full refresh (every
+   * 60 seconds when the browser has no EventSource)
    */
   useEffect(() => {
+    const subscription = subscribeToEventStream({ region }, {
+      onChange: ({ type, event, id }) => {
+        setEvents(current => {
+          if (type === 'removed') {
+            return id === focusEventId ? current : current.filter(existing => existing.id !== id);
+          }
+          if (current.some(existing => existing.id === event.id)) {
+            return current.map(existing => (existing.id === event.id ? event : existing));
+          }
+          return [event, ...current];
+        });
+      }
+    });
     const interval = setInterval(() => {
       loadEvents(false);
-    }, 60000); // 60 seconds
+    }, subscription ? STREAM_REFRESH_MS : POLL_INTERVAL_MS);
 
-    return () => clearInterval(interval);
-  }, [loadEvents]);
+    return () => {
+      clearInterval(interval);
+      subscription?.unsubscribe();
+    };
+  }, [loadEvents, region, focusEventId]);
 
   // Loading state
   if (loading && events.length === 0) {
@@ -113,6 +161,7 @@ function App() {
               <h1 className="text-xl font-bold text-gray-900">EarthPH</h1>
               <p className="text-xs text-gray-500">Real-time Earthquake Monitoring Philippines</p>
             </div>
+            <DownloadButton limit={EVENTS_LIMIT} filters={{ region }} />
           </div>
           
           {/* SEO-optimized content - visually hidden but indexed by search engines */}
@@ -135,7 +184,7 @@ function App() {
 
       {/* Main Content */}
       <main className="flex-1 relative">
-        <Map events={events} loading={loading} />
+        <Map events={events} loading={loading} health={health} focusEventId={focusEventId} />
         
         {/* Hidden SEO content for search engines */}
         <div className="sr-only" aria-hidden="true">
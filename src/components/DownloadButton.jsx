@@ -0,0 +1,80 @@
+/**
+ * Download Button Component
+ *
+ * Exports the events currently on the map as CSV (spreadsheets) or KML
+ * (Google Earth), using the same filters as the map's own query.
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getExportUrl } from '../services/supabase';
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV', description: 'Spreadsheet' },
+  { format: 'kml', label: 'KML', description: 'Google Earth' }
+];
+
+/**
+ * DownloadButton - Menu of export links for the current filters
+ *
+ * @param {Object} props
+ * @param {number} props.limit - Limit of the map's events query
+ * @param {Object} props.filters - Filters of the map's events query (e.g. { region })
+ * @returns {JSX.Element}
+ */
+export default function DownloadButton({ limit, filters = {} }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close the menu on an outside click
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    function handleOutsideClick(e) {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    document.addEventListener('mousedown', handleOutsideClick);
+    return () => document.removeEventListener('mousedown', handleOutsideClick);
+  }, [isOpen]);
+
+  return (
+    <div ref={menuRef} className="relative ml-auto">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+      >
+        Download
+      </button>
+
+      {isOpen && (
+        <ul className="absolute right-0 mt-1 w-44 bg-white border border-gray-200 rounded-lg shadow-lg z-[1300] py-1" role="menu">
+          {EXPORT_FORMATS.map(({ format, label, description }) => (
+            <li key={format} role="none">
+              <a
+                href={getExportUrl(format, limit, filters)}
+                download
+                role="menuitem"
+                onClick={() => setIsOpen(false)}
+                className="block px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100"
+              >
+                {label} <span className="text-xs text-gray-500">· {description}</span>
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// PropTypes validation
+DownloadButton.propTypes = {
+  limit: PropTypes.number.isRequired,
+  filters: PropTypes.object,
+};
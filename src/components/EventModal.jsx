@@ -2,6 +2,12 @@ import React, { useEffect, useCallback, useState, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { formatDateTime, timeAgo, formatMagnitude, formatDepth } from '../utils/dateFormat';
 
+// Display names for the agencies an event can be reported by
+const SOURCE_LABELS = {
+  phivolcs: 'PHIVOLCS',
+  usgs: 'USGS',
+  emsc: 'EMSC'
+};
 
 export default function EventModal({ event, isOpen, onClose, position }) {
   const modalRef = useRef(null);
@@ -88,6 +94,8 @@ export default function EventModal({ event, isOpen, onClose, position }) {
   }
 
   const mag = formatMagnitude(event.magnitude || 0);
+  const agencies = (event.sources && event.sources.length > 0 ? event.sources : ['phivolcs'])
+    .map(source => SOURCE_LABELS[source] || source.toUpperCase());
 
   return (
     <>
@@ -160,10 +168,27 @@ export default function EventModal({ event, isOpen, onClose, position }) {
             </tbody>
           </table>
 
+          {/* Revision History */}
+          {event.revisions && event.revisions.length > 0 && (
+            <div className="px-3 py-1.5 border-t border-gray-200">
+              <p className="text-xs font-medium text-gray-700 mb-0.5">Revisions</p>
+              <ul className="text-xs text-gray-600 space-y-0.5">
+                {event.revisions.map((revision, index) => (
+                  <li key={`${revision.field}-${index}`}>
+                    {revision.description}
+                    {revision.revisedAt && (
+                      <span className="text-gray-400"> · {formatDateTime(revision.revisedAt).combined}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Footer - Source Attribution */}
           <div className="px-3 py-1 bg-gray-50 border-t border-gray-200">
             <p className="text-xs text-gray-600">
-              Source: <span className="font-medium">PHIVOLCS</span>
+              {agencies.length > 1 ? 'Sources' : 'Source'}: <span className="font-medium">{agencies.join(', ')}</span>
             </p>
           </div>
         </div>
@@ -182,6 +207,15 @@ EventModal.propTypes = {
     longitude: PropTypes.number,
     depth: PropTypes.number,
     location: PropTypes.string,
+    sources: PropTypes.arrayOf(PropTypes.string),
+    origins: PropTypes.object,
+    revisions: PropTypes.arrayOf(
+      PropTypes.shape({
+        field: PropTypes.string,
+        description: PropTypes.string,
+        revisedAt: PropTypes.string,
+      })
+    ),
     mmi_intensity: PropTypes.string,
     event_type: PropTypes.string,
   }),
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, useMap, Circle } from 'react-leaflet';
 import L from 'leaflet';
 import PropTypes from 'prop-types';
@@ -6,6 +6,12 @@ import 'leaflet/dist/leaflet.css';
 import EventModal from './EventModal';
 import { formatMagnitude, timeAgo } from '../utils/dateFormat';
 
+// timeAgo falls back to a formatted date object after a week
+function formatLastUpdate(isoString) {
+  const ago = timeAgo(isoString);
+  return typeof ago === 'string' ? ago : ago.combined;
+}
+
 // Fix Leaflet default icon issue in React
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
@@ -212,7 +218,7 @@ function ZoomTracker({ onZoomChange }) {
 /**
  * Map Component - Interactive earthquake visualization
  */
-export default function Map({ events = [], loading = false }) {
+export default function Map({ events = [], loading = false, health = null, focusEventId = null }) {
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [clickPosition, setClickPosition] = useState({ x: 0, y: 0 });
@@ -232,13 +238,13 @@ export default function Map({ events = [], loading = false }) {
     return () => clearInterval(interval);
   }, []);
 
-  // Identify the 3 most recent earthquakes by `created_at`
+  // Identify the 3 most recently reported earthquakes (first stored, falling back to origin time)
   const recentEventIds = useMemo(() => {
     if (!events || events.length === 0) return new Set();
 
     const sortedByTime = [...events].sort((a, b) => {
-      const timeA = new Date(a.created_at || a.occurred_at).getTime();
-      const timeB = new Date(b.created_at || b.occurred_at).getTime();
+      const timeA = new Date(a.created || a.datetime).getTime();
+      const timeB = new Date(b.created || b.datetime).getTime();
       return timeB - timeA; // Most recent first
     });
 
@@ -263,6 +269,20 @@ export default function Map({ events = [], loading = false }) {
     setSelectedEventForRadius(event); // Show radius circles
   }, []);
 
+  // Open a linked event (/?event=<id>) once, when it first appears
+  const focusedRef = useRef(false);
+  useEffect(() => {
+    if (!focusEventId || focusedRef.current) return;
+    const event = events.find(e => e.id === focusEventId);
+    if (!event) return;
+
+    focusedRef.current = true;
+    setClickPosition({ x: window.innerWidth / 2, y: window.innerHeight / 2 });
+    setSelectedEvent(event);
+    setIsModalOpen(true);
+    setSelectedEventForRadius(event);
+  }, [events, focusEventId]);
+
   // Sort events so recent ones render last (ensuring they appear on top when stacked)
   const sortedEvents = useMemo(() => {
     return [...events].sort((a, b) => {
@@ -280,7 +300,7 @@ export default function Map({ events = [], loading = false }) {
   const markers = useMemo(() => {
     return sortedEvents.map((event) => {
       const isLatest = recentEventIds.has(event.id);
-      const eventTimestamp = event.created_at || event.occurred_at;
+      const eventTimestamp = event.created || event.datetime;
       const eventAge = isLatest ? getEventAge(eventTimestamp) : 0;
 
       return (
@@ -366,10 +386,23 @@ export default function Map({ events = [], loading = false }) {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
             </div>
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">No Earthquakes Detected</h3>
-            <p className="text-gray-600 text-sm max-w-sm">
-              There are currently no earthquake events to display. This could mean the monitoring system is running normally with no recent seismic activity.
-            </p>
+            {health?.status === 'down' ? (
+              <>
+                <h3 className="text-lg font-semibold text-gray-900 mb-2">Earthquake Feed Unavailable</h3>
+                <p className="text-gray-600 text-sm max-w-sm">
+                  {health.scraper?.lastSuccessfulRun
+                    ? `We could not reach the earthquake feed. Last successful update: ${formatLastUpdate(health.scraper.lastSuccessfulRun)}.`
+                    : 'We could not reach the earthquake feed. No successful update has been recorded yet.'}
+                </p>
+              </>
+            ) : (
+              <>
+                <h3 className="text-lg font-semibold text-gray-900 mb-2">No Earthquakes Detected</h3>
+                <p className="text-gray-600 text-sm max-w-sm">
+                  There are currently no earthquake events to display. This could mean the monitoring system is running normally with no recent seismic activity.
+                </p>
+              </>
+            )}
           </div>
         </div>
       )}
@@ -479,6 +512,8 @@ Map.propTypes = {
       id: PropTypes.number.isRequired,
       date: PropTypes.string.isRequired,
       time: PropTypes.string.isRequired,
+      datetime: PropTypes.string,
+      created: PropTypes.string,
       latitude: PropTypes.number.isRequired,
       longitude: PropTypes.number.isRequired,
       depth: PropTypes.number.isRequired,
@@ -495,4 +530,12 @@ Map.propTypes = {
     })
   ),
   loading: PropTypes.bool,
+  health: PropTypes.shape({
+    status: PropTypes.oneOf(['ok', 'degraded', 'down', 'unknown']),
+    scraper: PropTypes.shape({
+      lastSuccessfulRun: PropTypes.string,
+      consecutiveFailures: PropTypes.number,
+    }),
+  }),
+  focusEventId: PropTypes.string,
 };
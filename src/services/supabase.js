@@ -41,6 +41,23 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   }
 });
 
+/**
+ * Events API query string shared by fetchEvents and export downloads
+ */
+function buildEventsQuery(limit, { region, ...filters } = {}) {
+  const params = new URLSearchParams(limit ? { limit: String(limit) } : {});
+  if (region) params.set('region', region);
+  Object.entries(filters).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(name, value instanceof Date ? value.toISOString() : String(value));
+    }
+  });
+  return params;
+}
+
+// Last events response per URL, revalidated with If-None-Match when polling
+const eventsCache = new Map();
+
 /**
  * Fetch recent earthquake events from API endpoint
  * 
@@ -54,11 +71,26 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
  * - Works with Vercel's CommonJS compilation
  * 
  * @param {number} limit - Maximum number of events to fetch (default: 100)
+ * @param {Object} options
+ * @param {string} options.region - Island group, region key or PSGC code (e.g. "mindanao")
+ * @param {...*} options.filters - Other events API parameters, e.g. starttime, minmagnitude, maxdepth, orderby
+ * Repeat calls send the previous ETag; a 304 returns the previous events
+ * with cached: true instead of downloading them again.
+ *
  * @returns {Promise<{data: Array, error: Error|null, cached: boolean}>}
  */
-export async function fetchEvents(limit = 100) {
+export async function fetchEvents(limit = 100, options = {}) {
   try {
-    const response = await fetch('/api/events-cjs');
+    const params = buildEventsQuery(limit, options);
+    const url = `/api/events-cjs?${params.toString()}`;
+    const previous = eventsCache.get(url);
+
+    const response = await fetch(url, previous ? { headers: { 'If-None-Match': previous.etag } } : undefined);
+
+    if (response.status === 304 && previous) {
+      return { data: previous.data, error: null, cached: true };
+    }
+
     const result = await response.json();
 
     if (!response.ok) {
@@ -85,6 +117,11 @@ export async function fetchEvents(limit = 100) {
       timestamp: result.timestamp
     });
 
+    const etag = response.headers.get('ETag');
+    if (etag) {
+      eventsCache.set(url, { etag, data: result.events || [] });
+    }
+
     return { 
       data: result.events || [], 
       error: null,
@@ -96,6 +133,104 @@ export async function fetchEvents(limit = 100) {
   }
 }
 
+/**
+ * Fetch one event, with its revisions, sources and nearby events
+ *
+ * Works for any stored event, not just those in the map's window.
+ *
+ * @param {string} id - Event id
+ * @returns {Promise<{data: Object|null, error: Error|null}>} data is the
+ *   /api/events/:id body ({ event, provenance, sequence, nearby }), or null
+ *   when there is no such event
+ */
+export async function fetchEvent(id) {
+  try {
+    const response = await fetch(`/api/events/${encodeURIComponent(id)}`);
+    const result = await response.json();
+
+    if (response.status === 404) {
+      return { data: null, error: null };
+    }
+    if (!response.ok || !result.success) {
+      return { data: null, error: new Error(result.message || 'Failed to fetch event') };
+    }
+
+    return { data: result, error: null };
+  } catch (err) {
+    console.error('[API] Event fetch error:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Follow added, revised and removed events over Server-Sent Events
+ *
+ * Needs no Supabase credentials. EventSource reconnects on its own and the
+ * server resumes from the last message it sent.
+ *
+ * @param {Object} options - Same filters as fetchEvents (no limit)
+ * @param {Object} handlers
+ * @param {Function} handlers.onChange - Called with { type, event } for
+ *   created and updated, { type, id } for removed
+ * @param {Function} [handlers.onError]
+ * @returns {{unsubscribe: Function}|null} null when EventSource is unavailable
+ */
+export function subscribeToEventStream(options, { onChange, onError } = {}) {
+  if (typeof EventSource === 'undefined') return null;
+
+  const params = buildEventsQuery(null, options);
+  const source = new EventSource(`/api/events/stream?${params.toString()}`);
+
+  ['created', 'updated', 'removed'].forEach(type => {
+    source.addEventListener(type, (message) => {
+      const data = JSON.parse(message.data);
+      onChange(type === 'removed' ? { type, id: data.id } : { type, event: data });
+    });
+  });
+  if (onError) source.onerror = onError;
+
+  return {
+    unsubscribe: () => source.close()
+  };
+}
+
+/**
+ * Download link for the events currently shown, as CSV or KML
+ *
+ * @param {string} format - "csv" or "kml"
+ * @param {number} limit - Same limit as the fetchEvents call being exported
+ * @param {Object} options - Same filters as the fetchEvents call being exported
+ * @returns {string}
+ */
+export function getExportUrl(format, limit, options = {}) {
+  const params = buildEventsQuery(limit, options);
+  params.set('format', format);
+  return `/api/events-cjs?${params.toString()}`;
+}
+
+/**
+ * Fetch scraper health so an empty map can be told apart from a broken feed
+ *
+ * /api/health answers 503 when the feed is down, with the same JSON body.
+ *
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+export async function fetchHealth() {
+  try {
+    const response = await fetch('/api/health');
+    const result = await response.json();
+
+    if (!result.status) {
+      return { data: null, error: new Error(result.message || 'Health check failed') };
+    }
+
+    return { data: result, error: null };
+  } catch (err) {
+    console.error('[API] Health check error:', err);
+    return { data: null, error: err };
+  }
+}
+
 /**
  * Subscribe to real-time event updates (optional feature)
  * 
@@ -0,0 +1,50 @@
+/**
+ * Region filter values the events API accepts
+ *
+ * A copy of the keys in api/_lib/gazetteer.js, which runs on the server
+ * only; tests/utils/regions.test.js keeps the two lists in step.
+ */
+
+const ISLAND_GROUPS = ['luzon', 'visayas', 'mindanao'];
+
+// PSGC region code -> region key
+const REGIONS = {
+  '0100000000': 'region-1',
+  '0200000000': 'region-2',
+  '0300000000': 'region-3',
+  '0400000000': 'calabarzon',
+  '0500000000': 'bicol',
+  '0600000000': 'western-visayas',
+  '0700000000': 'central-visayas',
+  '0800000000': 'eastern-visayas',
+  '0900000000': 'zamboanga-peninsula',
+  '1000000000': 'northern-mindanao',
+  '1100000000': 'davao',
+  '1200000000': 'soccsksargen',
+  '1300000000': 'ncr',
+  '1400000000': 'car',
+  '1600000000': 'caraga',
+  '1700000000': 'mimaropa',
+  '1800000000': 'nir',
+  '1900000000': 'barmm'
+};
+
+const REGION_ALIASES = ['manila', 'metro-manila', 'cordillera', 'bangsamoro', 'ilocos', 'cagayan-valley', 'central-luzon'];
+
+export const REGION_FILTERS = new Set([
+  ...ISLAND_GROUPS,
+  ...Object.keys(REGIONS),
+  ...Object.values(REGIONS),
+  ...REGION_ALIASES
+]);
+
+/**
+ * Normalize a region filter, e.g. from a ?region= link
+ *
+ * @param {string|null} value - Island group, region key, alias or PSGC code
+ * @returns {string|null} The normalized value, or null when the API would reject it
+ */
+export function normalizeRegion(value) {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return REGION_FILTERS.has(key) ? key : null;
+}
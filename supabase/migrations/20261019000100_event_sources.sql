@@ -0,0 +1,9 @@
+-- Agencies that reported each event and their individual solutions
+-- origins: { "<source>": { source_event_id, occurred_at, latitude, longitude,
+--                          depth_km, magnitude, magnitude_type, location_text } }
+
+alter table public.events
+  add column if not exists sources text[] not null default '{phivolcs}',
+  add column if not exists origins jsonb;
+
+create index if not exists events_sources_idx on public.events using gin (sources);
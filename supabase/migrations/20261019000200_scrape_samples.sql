@@ -0,0 +1,18 @@
+-- Page samples captured when an upstream source fails schema checks
+
+create table if not exists public.scrape_samples (
+  id bigint generated always as identity primary key,
+  source text not null,
+  reason text not null,
+  message text,
+  details jsonb,
+  correlation_id text,
+  body text,
+  truncated boolean not null default false,
+  captured_at timestamptz not null default now()
+);
+
+create index if not exists scrape_samples_captured_at_idx on public.scrape_samples (captured_at desc);
+
+-- Samples are only read with the service role key
+alter table public.scrape_samples enable row level security;
@@ -0,0 +1,23 @@
+-- Revision history for events whose solution is updated after the first bulletin
+
+alter table public.events
+  add column if not exists updated_at timestamptz not null default now(),
+  add column if not exists revision_count integer not null default 0;
+
+create table if not exists public.event_revisions (
+  id bigint generated always as identity primary key,
+  event_id text not null references public.events (id) on delete cascade,
+  field text not null,
+  previous_value jsonb,
+  new_value jsonb,
+  source text,
+  correlation_id text,
+  revised_at timestamptz not null default now()
+);
+
+create index if not exists event_revisions_event_id_idx on public.event_revisions (event_id, revised_at);
+
+alter table public.event_revisions enable row level security;
+
+drop policy if exists "Public read access" on public.event_revisions;
+create policy "Public read access" on public.event_revisions for select using (true);
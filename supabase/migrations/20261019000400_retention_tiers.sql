@@ -0,0 +1,9 @@
+-- Retention tiers: 'full' events keep per-agency origins and revisions,
+-- 'summary' events keep only the headline solution
+
+alter table public.events
+  add column if not exists detail_level text not null default 'full'
+    check (detail_level in ('full', 'summary'));
+
+create index if not exists events_occurred_at_idx on public.events (occurred_at desc);
+create index if not exists events_detail_level_occurred_at_idx on public.events (detail_level, occurred_at);
@@ -0,0 +1,13 @@
+-- Structured location parsed from the agency location text
+
+alter table public.events
+  add column if not exists distance_km numeric,
+  add column if not exists bearing_deg numeric,
+  add column if not exists municipality text,
+  add column if not exists province text,
+  add column if not exists region_code text,
+  add column if not exists island_group text;
+
+create index if not exists events_region_code_occurred_at_idx on public.events (region_code, occurred_at desc);
+create index if not exists events_island_group_occurred_at_idx on public.events (island_group, occurred_at desc);
+create index if not exists events_province_occurred_at_idx on public.events (province, occurred_at desc);
@@ -0,0 +1,24 @@
+-- One row per scrape/retention run, keyed by the run's correlationId
+
+create table if not exists public.scrape_runs (
+  id bigint generated always as identity primary key,
+  correlation_id text not null unique,
+  job text not null default 'scrape',
+  status text not null,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz,
+  duration_ms integer,
+  rows_seen integer not null default 0,
+  rows_parsed integer not null default 0,
+  rows_rejected integer not null default 0,
+  rows_upserted integer not null default 0,
+  rows_deleted integer not null default 0,
+  errors jsonb,
+  sources jsonb,
+  details jsonb
+);
+
+create index if not exists scrape_runs_job_started_at_idx on public.scrape_runs (job, started_at desc);
+
+-- Runs are only read with the service role key (see /api/health)
+alter table public.scrape_runs enable row level security;
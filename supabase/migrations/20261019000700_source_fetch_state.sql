@@ -0,0 +1,13 @@
+-- HTTP validators and content hash of each source's last fetch, used to skip
+-- unchanged scrapes
+
+create table if not exists public.source_fetch_state (
+  source text primary key,
+  etag text,
+  last_modified text,
+  content_hash text,
+  checked_at timestamptz not null default now(),
+  changed_at timestamptz not null default now()
+);
+
+alter table public.source_fetch_state enable row level security;
@@ -0,0 +1,10 @@
+-- Circuit breaker state per source, and upstream outage windows per run
+
+alter table public.source_fetch_state
+  add column if not exists consecutive_failures integer not null default 0,
+  add column if not exists circuit_open_until timestamptz,
+  add column if not exists outage_started_at timestamptz,
+  add column if not exists last_error text;
+
+alter table public.scrape_runs
+  add column if not exists outages jsonb;
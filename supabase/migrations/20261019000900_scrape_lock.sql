@@ -0,0 +1,72 @@
+-- Lease lock so only one scrape runs at a time across serverless instances
+
+create table if not exists public.scrape_locks (
+  name text primary key,
+  holder text not null,
+  acquired_at timestamptz not null,
+  expires_at timestamptz not null,
+  released_at timestamptz
+);
+
+alter table public.scrape_locks enable row level security;
+
+-- Takes the lease when it is free (released or expired) and the minimum
+-- interval since the previous acquisition has passed. Always returns one row;
+-- when not acquired it describes the current holder and the earliest time a
+-- new scrape is allowed.
+create or replace function public.acquire_scrape_lock(
+  p_name text,
+  p_holder text,
+  p_ttl_seconds integer,
+  p_min_interval_seconds integer
+)
+returns table (
+  acquired boolean,
+  holder text,
+  acquired_at timestamptz,
+  expires_at timestamptz,
+  released_at timestamptz,
+  next_allowed_at timestamptz
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_now timestamptz := now();
+  v_interval interval := make_interval(secs => p_min_interval_seconds);
+  v_lock public.scrape_locks%rowtype;
+begin
+  insert into public.scrape_locks as l (name, holder, acquired_at, expires_at, released_at)
+  values (p_name, p_holder, v_now, v_now + make_interval(secs => p_ttl_seconds), null)
+  on conflict (name) do update
+    set holder = excluded.holder,
+        acquired_at = excluded.acquired_at,
+        expires_at = excluded.expires_at,
+        released_at = null
+    where (l.released_at is not null or l.expires_at <= v_now)
+      and l.acquired_at + v_interval <= v_now
+  returning l.* into v_lock;
+
+  if found then
+    return query select true, v_lock.holder, v_lock.acquired_at, v_lock.expires_at, v_lock.released_at, v_lock.acquired_at + v_interval;
+    return;
+  end if;
+
+  select * into v_lock from public.scrape_locks where name = p_name;
+
+  return query select
+    false,
+    v_lock.holder,
+    v_lock.acquired_at,
+    v_lock.expires_at,
+    v_lock.released_at,
+    greatest(
+      case when v_lock.released_at is null then v_lock.expires_at else v_now end,
+      v_lock.acquired_at + v_interval
+    );
+end;
+$$;
+
+revoke all on function public.acquire_scrape_lock(text, text, integer, integer) from public, anon, authenticated;
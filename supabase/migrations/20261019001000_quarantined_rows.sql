@@ -0,0 +1,20 @@
+-- Rows the scraper rejected, kept with their raw cell text so they can be
+-- replayed after a parser fix
+
+create table if not exists public.quarantined_rows (
+  id bigint generated always as identity primary key,
+  source text not null,
+  reason text not null,
+  raw jsonb not null,
+  row_hash text not null unique,
+  status text not null default 'pending',
+  correlation_id text,
+  first_seen_at timestamptz not null default now(),
+  replayed_at timestamptz,
+  replay_correlation_id text
+);
+
+create index if not exists quarantined_rows_status_idx on public.quarantined_rows (status, first_seen_at desc);
+
+-- Only read through the admin endpoint with the service role key
+alter table public.quarantined_rows enable row level security;
@@ -0,0 +1,3 @@
+-- The event stream polls for rows added or revised since its cursor
+
+create index if not exists events_updated_at_idx on public.events (updated_at);
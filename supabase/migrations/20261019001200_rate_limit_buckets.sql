@@ -0,0 +1,62 @@
+-- Token buckets for the API rate limiter, shared across serverless instances
+
+create table if not exists public.rate_limit_buckets (
+  key text primary key,
+  tokens double precision not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_buckets_updated_at_idx on public.rate_limit_buckets (updated_at);
+
+alter table public.rate_limit_buckets enable row level security;
+
+-- Refills the bucket for the time since its last update and takes one token
+-- if there is one. A missing bucket starts full. Buckets idle for a day are
+-- full again and are pruned now and then.
+create or replace function public.take_rate_limit_token(
+  p_key text,
+  p_capacity integer,
+  p_refill_per_second double precision
+)
+returns table (allowed boolean, tokens double precision)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_now timestamptz := clock_timestamp();
+  v_tokens double precision;
+  v_allowed boolean;
+begin
+  insert into public.rate_limit_buckets as b (key, tokens, updated_at)
+  values (p_key, p_capacity, v_now)
+  on conflict (key) do nothing;
+
+  select least(
+    p_capacity,
+    b.tokens + greatest(0, extract(epoch from v_now - b.updated_at)) * p_refill_per_second
+  )
+  into v_tokens
+  from public.rate_limit_buckets b
+  where b.key = p_key
+  for update;
+
+  v_allowed := v_tokens >= 1;
+  if v_allowed then
+    v_tokens := v_tokens - 1;
+  end if;
+
+  update public.rate_limit_buckets
+    set tokens = v_tokens, updated_at = v_now
+    where key = p_key;
+
+  if random() < 0.001 then
+    delete from public.rate_limit_buckets where updated_at < v_now - interval '1 day';
+  end if;
+
+  return query select v_allowed, v_tokens;
+end;
+$$;
+
+revoke all on function public.take_rate_limit_token(text, integer, double precision) from public, anon, authenticated;
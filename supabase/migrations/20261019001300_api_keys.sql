@@ -0,0 +1,69 @@
+-- API keys for third-party integrators, with per-key quotas, allowed
+-- origins and daily usage counters
+
+create table if not exists public.api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  key_hash text not null unique,
+  key_prefix text not null,
+  daily_quota integer check (daily_quota > 0),
+  rate_per_minute integer check (rate_per_minute > 0),
+  allowed_origins text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+
+create table if not exists public.api_key_usage (
+  key_id uuid not null references public.api_keys (id) on delete cascade,
+  day date not null,
+  requests bigint not null default 0,
+  primary key (key_id, day)
+);
+
+-- Only read through the admin endpoint with the service role key
+alter table public.api_keys enable row level security;
+alter table public.api_key_usage enable row level security;
+
+-- Looks up an active key by hash and counts the request against today (UTC).
+-- Returns no row for an unknown or revoked key.
+create or replace function public.use_api_key(p_key_hash text)
+returns table (
+  id uuid,
+  name text,
+  key_prefix text,
+  daily_quota integer,
+  rate_per_minute integer,
+  allowed_origins text[],
+  created_at timestamptz,
+  revoked_at timestamptz,
+  requests_today bigint
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_key public.api_keys%rowtype;
+  v_requests bigint;
+begin
+  select * into v_key
+  from public.api_keys k
+  where k.key_hash = p_key_hash and k.revoked_at is null;
+
+  if not found then
+    return;
+  end if;
+
+  insert into public.api_key_usage as u (key_id, day, requests)
+  values (v_key.id, (now() at time zone 'utc')::date, 1)
+  on conflict (key_id, day) do update set requests = u.requests + 1
+  returning u.requests into v_requests;
+
+  return query select
+    v_key.id, v_key.name, v_key.key_prefix, v_key.daily_quota, v_key.rate_per_minute,
+    v_key.allowed_origins, v_key.created_at, v_key.revoked_at, v_requests;
+end;
+$$;
+
+revoke all on function public.use_api_key(text) from public, anon, authenticated;
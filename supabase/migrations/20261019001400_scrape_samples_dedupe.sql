@@ -0,0 +1,8 @@
+-- Page samples are stored once per distinct page and pruned to the newest
+-- few per source (api/_lib/schema-drift.js)
+
+alter table public.scrape_samples
+  add column if not exists content_hash text;
+
+create index if not exists scrape_samples_source_captured_at_idx
+  on public.scrape_samples (source, captured_at desc);
@@ -0,0 +1,158 @@
+/**
+ * Jest Tests for API keys, quotas and access control
+ */
+
+import { KEY_PREFIX, hashApiKey, generateApiKey, validateKeyRequest, createApiKeyStore } from '../../api/_lib/api-keys';
+import { createAccessControl, allowKeyPreflight } from '../../api/_lib/access';
+import { getRateLimitConfig, createRateLimiter } from '../../api/_lib/rate-limit';
+
+const now = Date.parse('2025-11-08T23:00:00.000Z');
+
+function request(headers = {}) {
+  return { headers, socket: { remoteAddress: '203.0.113.9' } };
+}
+
+function response() {
+  return {
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; }
+  };
+}
+
+function keyRow(overrides = {}) {
+  return {
+    id: '6f1c2b9e-8d4a-4f3e-9a7b-2c5d8e1f0a3b',
+    name: 'Provincial DRRMO',
+    key_prefix: 'eph_abcdefgh',
+    daily_quota: null,
+    rate_per_minute: null,
+    allowed_origins: [],
+    created_at: '2025-11-01T00:00:00.000Z',
+    revoked_at: null,
+    requests_today: 1,
+    ...overrides
+  };
+}
+
+function accessControl(row) {
+  const supabase = { rpc: jest.fn().mockResolvedValue({ data: row ? [row] : [], error: null }) };
+  const config = getRateLimitConfig({ EARTHPH_STORAGE: 'memory', EARTHPH_RATE_LIMIT_ANONYMOUS_PER_MINUTE: '2' });
+  return createAccessControl({
+    keyStore: createApiKeyStore({ supabase, staticKeys: ['static-key'] }),
+    limiter: createRateLimiter({ config, clock: () => now }),
+    clock: () => now
+  });
+}
+
+describe('generateApiKey', () => {
+  it('should return a prefixed random key with its hash and display prefix', () => {
+    const { key, prefix, hash } = generateApiKey();
+
+    expect(key.startsWith(KEY_PREFIX)).toBe(true);
+    expect(key).not.toBe(generateApiKey().key);
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(hash).toBe(hashApiKey(key));
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('validateKeyRequest', () => {
+  it('should accept a name alone and report every invalid field', () => {
+    expect(validateKeyRequest({ name: 'Research group' })).toEqual([]);
+
+    const errors = validateKeyRequest({ name: ' ', dailyQuota: 0, ratePerMinute: 1.5, allowedOrigins: ['https://example.edu.ph/app'] });
+
+    expect(errors.map(error => error.parameter)).toEqual(['name', 'dailyQuota', 'ratePerMinute', 'allowedOrigins']);
+  });
+});
+
+describe('createApiKeyStore', () => {
+  it('should look keys up by hash and count static keys per day', async () => {
+    const supabase = { rpc: jest.fn().mockResolvedValue({ data: [keyRow({ requests_today: '42' })], error: null }) };
+    const store = createApiKeyStore({ supabase, staticKeys: ['static-key'], clock: () => now });
+
+    const issued = await store.authenticate('eph_secret');
+    await store.authenticate('static-key');
+    const fromEnv = await store.authenticate('static-key');
+
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('use_api_key', { p_key_hash: hashApiKey('eph_secret') });
+    expect(issued).toMatchObject({ name: 'Provincial DRRMO', allowedOrigins: [], requestsToday: 42 });
+    expect(fromEnv).toMatchObject({ dailyQuota: null, requestsToday: 2 });
+  });
+
+  it('should accept only static keys without Supabase', async () => {
+    const store = createApiKeyStore({ supabase: null, staticKeys: ['static-key'] });
+
+    expect(await store.authenticate('eph_unknown')).toBeNull();
+  });
+});
+
+describe('createAccessControl', () => {
+  it('should rate limit anonymous requests and reject unknown keys', async () => {
+    const access = accessControl(null);
+
+    const results = [];
+    for (let i = 0; i < 3; i++) results.push(await access.check(request(), response()));
+    const unknown = await access.check(request({ 'x-api-key': 'eph_unknown' }), response());
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, false]);
+    expect(results[2]).toMatchObject({ status: 429, error: 'Rate limit exceeded' });
+    expect(unknown).toMatchObject({ allowed: false, status: 401, error: 'Invalid API key' });
+  });
+
+  it('should give a key its own rate and answer only its allowed origins', async () => {
+    const access = accessControl(keyRow({ rate_per_minute: 5000, allowed_origins: ['https://drrmo.example.gov.ph'] }));
+    const res = response();
+
+    const allowed = await access.check(request({ 'x-api-key': 'eph_secret', origin: 'https://drrmo.example.gov.ph' }), res);
+    const serverSide = await access.check(request({ 'x-api-key': 'eph_secret' }), response());
+    const elsewhere = await access.check(request({ 'x-api-key': 'eph_secret', origin: 'https://copycat.example.com' }), response());
+
+    expect(allowed).toMatchObject({ allowed: true, rateLimit: { tier: 'key', limit: 5000 } });
+    expect(res.headers['access-control-allow-origin']).toBe('https://drrmo.example.gov.ph');
+    expect(serverSide.allowed).toBe(true);
+    expect(elsewhere).toMatchObject({ allowed: false, status: 403 });
+  });
+
+  it('should refuse a key over its daily quota until the next UTC day', async () => {
+    const access = accessControl(keyRow({ daily_quota: 1000, requests_today: 1001 }));
+    const res = response();
+
+    const result = await access.check(request({ 'x-api-key': 'eph_secret' }), res);
+
+    expect(result).toMatchObject({ allowed: false, status: 429, error: 'Quota exceeded' });
+    expect(res.headers['retry-after']).toBe('3600');
+  });
+
+  it('should serve a key as anonymous when the lookup fails', async () => {
+    const supabase = { rpc: jest.fn().mockResolvedValue({ data: null, error: { message: 'timeout' } }) };
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const access = createAccessControl({
+      keyStore: createApiKeyStore({ supabase }),
+      limiter: createRateLimiter({ config: getRateLimitConfig({ EARTHPH_STORAGE: 'memory' }) })
+    });
+
+    const result = await access.check(request({ 'x-api-key': 'eph_secret' }), response());
+
+    expect(result).toMatchObject({ allowed: true, apiKey: null, rateLimit: { tier: 'anonymous' } });
+    spy.mockRestore();
+  });
+});
+
+describe('allowKeyPreflight', () => {
+  it('should allow a keyed preflight from any origin the site does not already allow', () => {
+    const res = response();
+    allowKeyPreflight(request({ origin: 'https://drrmo.example.gov.ph', 'access-control-request-headers': 'X-API-Key, X-Other' }), res);
+
+    expect(res.headers).toMatchObject({
+      'access-control-allow-origin': 'https://drrmo.example.gov.ph',
+      'access-control-allow-headers': 'x-api-key'
+    });
+
+    const plain = response();
+    allowKeyPreflight(request({ origin: 'https://drrmo.example.gov.ph' }), plain);
+    expect(plain.headers).toEqual({});
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Jest Tests for the PHIVOLCS archive backfill
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { monthRange, monthWindow, runBackfill } from '../../api/_lib/backfill';
+import phivolcs from '../../api/_lib/sources/phivolcs';
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures/phivolcs', name), 'utf8');
+
+const origin = (occurred_at) => ({
+  source: 'phivolcs',
+  source_event_id: null,
+  occurred_at,
+  latitude: 7.05,
+  longitude: 126.6,
+  depth_km: 10,
+  magnitude: 4.5,
+  magnitude_type: null,
+  location_text: 'Tarragona (Davao Oriental)'
+});
+
+describe('monthRange()', () => {
+  it('should list every month across a year boundary', () => {
+    expect(monthRange('2022-11', '2023-02')).toEqual(['2022-11', '2022-12', '2023-01', '2023-02']);
+  });
+
+  it('should reject invalid or reversed ranges', () => {
+    expect(() => monthRange('2023-13', '2024-01')).toThrow('Invalid month');
+    expect(() => monthRange('2024-01', '2023-01')).toThrow('reversed');
+  });
+
+  it('should cover the whole Philippine-time month', () => {
+    expect(monthWindow('2023-01').windowStart.toISOString()).toBe('2022-12-31T16:00:00.000Z');
+  });
+});
+
+describe('runBackfill()', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should skip completed months and store the rest', async () => {
+    jest.spyOn(phivolcs, 'parse').mockImplementation(() => [origin('2023-02-01T02:15:00.000Z')]);
+    const loadPage = jest.fn().mockResolvedValue('<html></html>');
+    const store = jest.fn().mockResolvedValue({ upserted: 1, revisedEvents: 0 });
+
+    const result = await runBackfill({
+      months: ['2023-01', '2023-02', '2023-03'],
+      completed: ['2023-01'],
+      loadPage,
+      store
+    });
+
+    expect(loadPage.mock.calls.map(call => call[0])).toEqual(['2023-02', '2023-03']);
+    expect(store).toHaveBeenCalledWith(
+      [expect.objectContaining({ sources: ['phivolcs'] })],
+      expect.objectContaining({ month: '2023-02' })
+    );
+    expect(result.completed).toEqual(['2023-01', '2023-02', '2023-03']);
+    expect(result.resumeFrom).toBeNull();
+  });
+
+  it('should stop at the first failure and report the resume point', async () => {
+    jest.spyOn(phivolcs, 'parse').mockImplementation(() => []);
+    const loadPage = jest.fn()
+      .mockResolvedValueOnce('<html></html>')
+      .mockRejectedValueOnce(new Error('timeout of 30000ms exceeded'));
+    const onProgress = jest.fn();
+
+    const result = await runBackfill({
+      months: ['2023-01', '2023-02', '2023-03'],
+      loadPage,
+      store: jest.fn().mockResolvedValue({ upserted: 0 }),
+      onProgress
+    });
+
+    expect(loadPage).toHaveBeenCalledTimes(2);
+    expect(result.completed).toEqual(['2023-01']);
+    expect(result.resumeFrom).toBe('2023-02');
+    expect(result.failed).toEqual(expect.objectContaining({ month: '2023-02' }));
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ error: 'timeout of 30000ms exceeded' }), ['2023-01']);
+  });
+
+  it('should parse a saved monthly archive page end to end', async () => {
+    const store = jest.fn().mockResolvedValue({ upserted: 3 });
+
+    const result = await runBackfill({
+      months: ['2023-01'],
+      loadPage: jest.fn().mockResolvedValue(fixture('archive-2023-january.html')),
+      store
+    });
+
+    const [events, window] = store.mock.calls[0];
+    expect(events.map(event => event.occurred_at).sort()).toEqual([
+      '2022-12-31T16:30:00.000Z',
+      '2023-01-18T06:06:00.000Z',
+      '2023-01-31T15:45:00.000Z'
+    ]);
+    expect(events.find(event => event.magnitude === 6.1)).toMatchObject({ latitude: 5.36, longitude: 125.16, depth_km: 82 });
+    expect(window).toMatchObject({ month: '2023-01', windowStart: new Date('2022-12-31T16:00:00.000Z') });
+    expect(result.months[0]).toMatchObject({ month: '2023-01', parsed: 3, upserted: 3 });
+  });
+
+  it('should stop with the drift code when an archive page has lost its headers', async () => {
+    const store = jest.fn();
+
+    const result = await runBackfill({
+      months: ['2023-01'],
+      loadPage: jest.fn().mockResolvedValue(fixture('missing-header.html')),
+      store
+    });
+
+    expect(store).not.toHaveBeenCalled();
+    expect(result.failed).toMatchObject({ month: '2023-01', code: 'SCHEMA_CHANGED' });
+    expect(result.resumeFrom).toBe('2023-01');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Jest Tests for the per-source circuit breaker
+ */
+
+import { getBreakerConfig, isCircuitOpen, recordFailure, recordSuccess, describeOutages } from '../../api/_lib/circuit-breaker';
+
+const config = { failureThreshold: 3, cooldownMinutes: 15 };
+const now = new Date('2025-11-01T03:00:00.000Z');
+
+describe('circuit breaker', () => {
+  it('should open after the failure threshold and start the outage at the first failure', () => {
+    const first = recordFailure({}, new Error('ETIMEDOUT'), { config, now: new Date('2025-11-01T02:50:00.000Z') });
+    const second = recordFailure(first, new Error('ETIMEDOUT'), { config, now: new Date('2025-11-01T02:55:00.000Z') });
+    const third = recordFailure(second, new Error('ETIMEDOUT'), { config, now });
+
+    expect(isCircuitOpen(second, now)).toBe(false);
+    expect(isCircuitOpen(third, now)).toBe(true);
+    expect(third.outageStartedAt).toBe('2025-11-01T02:50:00.000Z');
+    expect(isCircuitOpen(third, new Date('2025-11-01T03:16:00.000Z'))).toBe(false);
+  });
+
+  it('should close on success and report the outage window', () => {
+    const state = { consecutiveFailures: 4, outageStartedAt: '2025-11-01T02:00:00.000Z', circuitOpenUntil: null, lastError: 'ETIMEDOUT' };
+
+    const result = recordSuccess(state, { config, now });
+
+    expect(result.state.consecutiveFailures).toBe(0);
+    expect(result.outage).toEqual({
+      startedAt: '2025-11-01T02:00:00.000Z',
+      endedAt: '2025-11-01T03:00:00.000Z',
+      failures: 4,
+      lastError: 'ETIMEDOUT'
+    });
+  });
+
+  it('should not count failures below the threshold as an outage', () => {
+    const state = recordFailure({}, new Error('ECONNRESET'), { config, now });
+
+    expect(recordSuccess(state, { config, now }).outage).toBeNull();
+    expect(describeOutages({ phivolcs: state }, {}, { config })).toEqual([]);
+  });
+
+  it('should validate its environment settings', () => {
+    expect(getBreakerConfig({})).toEqual(config);
+    expect(() => getBreakerConfig({ EARTHPH_BREAKER_THRESHOLD: '0' })).toThrow('EARTHPH_BREAKER_THRESHOLD');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Jest Tests for the configuration schema and the /api/config diagnostic
+ */
+
+import { readSection, loadConfig, getConfig, takeConfigWarnings, describeConfig, parseOrigin, REDACTED } from '../../api/_lib/config';
+import configHandler from '../../api/config';
+
+const SUPABASE = {
+  SUPABASE_URL: 'https://example.supabase.co',
+  SUPABASE_ANON_KEY: 'anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  EARTHPH_CRON_SECRET: 'secret'
+};
+
+describe('readSection', () => {
+  it('should apply defaults and parse typed values', () => {
+    expect(readSection('scraper', {})).toEqual({
+      minIntervalSeconds: 240,
+      fetchRetries: 2,
+      breakerThreshold: 3,
+      breakerCooldownMinutes: 15,
+      healthStaleMinutes: 30
+    });
+    expect(readSection('features', { EARTHPH_ENABLE_EXPORTS: 'off' })).toEqual({ eventStream: true, exports: false });
+    expect(readSection('sources', { EARTHPH_SOURCES: ' USGS, emsc ' }).enabled).toEqual(['usgs', 'emsc']);
+  });
+
+  it('should name every invalid value in the section at once', () => {
+    let error;
+    try {
+      readSection('scraper', { EARTHPH_FETCH_RETRIES: '9', EARTHPH_BREAKER_THRESHOLD: 'many' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.code).toBe('CONFIGURATION');
+    expect(error.problems.map(problem => problem.variable)).toEqual(['EARTHPH_FETCH_RETRIES', 'EARTHPH_BREAKER_THRESHOLD']);
+    expect(error.message).toBe(
+      'EARTHPH_FETCH_RETRIES must be an integer between 0 and 5, got "9"; ' +
+      'EARTHPH_BREAKER_THRESHOLD must be an integer of at least 1, got "many"'
+    );
+  });
+});
+
+describe('parseOrigin', () => {
+  it('should accept exact origins and wildcard hosts only', () => {
+    const preview = parseOrigin('https://earth-*.vercel.app');
+
+    expect(parseOrigin('HTTPS://Example.com/')).toBe('https://example.com');
+    expect(preview.test('https://earth-git-main-team.vercel.app')).toBe(true);
+    expect(preview.test('https://earth-x.vercel.app.evil.com')).toBe(false);
+    expect(preview.test('https://earth-a.b.vercel.app')).toBe(false);
+    expect(parseOrigin('https://example.com/path')).toBeNull();
+    expect(parseOrigin('ftp://example.com')).toBeNull();
+  });
+});
+
+describe('loadConfig and getConfig', () => {
+  it('should report problems across sections and missing Supabase settings together', () => {
+    const { problems, warnings } = loadConfig({
+      EARTHPH_ALLOWED_ORIGINS: 'https://earth-ph.vercel.app,earth-ph.vercel.app',
+      EARTHPH_RETENTION_FULL_DAYS: '-1',
+      EARTHPH_USGS_URL: 'not a url'
+    });
+
+    expect(problems.map(problem => problem.variable)).toEqual([
+      'EARTHPH_ALLOWED_ORIGINS',
+      'EARTHPH_RETENTION_FULL_DAYS',
+      'EARTHPH_USGS_URL',
+      'SUPABASE_URL',
+      'SUPABASE_ANON_KEY'
+    ]);
+    expect(warnings.map(warning => warning.variable)).toEqual(['EARTHPH_CRON_SECRET']);
+  });
+
+  it('should only warn about the Supabase key of an access level left unset', () => {
+    const writer = loadConfig({ ...SUPABASE, SUPABASE_ANON_KEY: '' });
+    const reader = loadConfig({ ...SUPABASE, SUPABASE_SERVICE_ROLE_KEY: '' });
+
+    expect(writer.problems).toEqual([]);
+    expect(writer.warnings).toEqual([expect.objectContaining({ variable: 'SUPABASE_ANON_KEY' })]);
+    expect(reader.problems).toEqual([]);
+    expect(reader.warnings).toEqual([expect.objectContaining({ variable: 'SUPABASE_SERVICE_ROLE_KEY' })]);
+  });
+
+  it('should check settings that depend on each other', () => {
+    const { problems } = loadConfig({
+      EARTHPH_STORAGE: 'sqlite',
+      EARTHPH_RATE_LIMIT_STORE: 'database',
+      EARTHPH_RETENTION_FULL_DAYS: '30',
+      EARTHPH_RETENTION_ARCHIVE_DAYS: '7'
+    });
+
+    expect(problems.map(problem => problem.variable)).toEqual(['EARTHPH_RETENTION_ARCHIVE_DAYS', 'EARTHPH_RATE_LIMIT_STORE']);
+  });
+
+  it('should return the configuration or throw one error listing every problem', () => {
+    const warn = jest.spyOn(console, 'warn');
+
+    expect(getConfig({ ...SUPABASE, VITE_SUPABASE_URL: 'ignored' }).storage.supabaseUrl).toBe('https://example.supabase.co');
+    expect(getConfig({ EARTHPH_STORAGE: 'memory', EARTHPH_ALLOWED_ORIGINS: '*' }).cors.allowedOrigins).toBe('*');
+    expect(() => getConfig({ EARTHPH_STORAGE: 'memory', EARTHPH_TRUSTED_PROXIES: '-1', EARTHPH_ENABLE_EXPORTS: 'maybe' }))
+      .toThrow(expect.objectContaining({ code: 'CONFIGURATION', problems: [expect.anything(), expect.anything()] }));
+    expect(warn).not.toHaveBeenCalled();
+
+    warn.mockRestore();
+  });
+
+  it('should hand out the warnings of a configuration once', () => {
+    getConfig({ EARTHPH_STORAGE: 'memory', EARTHPH_ENABLE_EXPORTS: 'on' });
+
+    expect(takeConfigWarnings()).toEqual([expect.objectContaining({ variable: 'EARTHPH_CRON_SECRET' })]);
+    getConfig({ EARTHPH_STORAGE: 'memory', EARTHPH_ENABLE_EXPORTS: 'on' });
+    expect(takeConfigWarnings()).toEqual([]);
+  });
+});
+
+describe('describeConfig', () => {
+  it('should redact secrets and show where each value came from', () => {
+    const { valid, settings } = describeConfig({
+      VITE_SUPABASE_URL: 'https://example.supabase.co',
+      SUPABASE_ANON_KEY: 'anon-key',
+      EARTHPH_API_KEYS: 'eph_one,eph_two',
+      EARTHPH_SOURCES: 'phivolcs'
+    });
+    const text = JSON.stringify(settings);
+
+    expect(valid).toBe(true);
+    expect(settings.storage.SUPABASE_URL).toMatchObject({ value: 'https://example.supabase.co', source: 'VITE_SUPABASE_URL' });
+    expect(settings.secrets.SUPABASE_ANON_KEY).toMatchObject({ value: REDACTED, source: 'SUPABASE_ANON_KEY' });
+    expect(settings.secrets.SUPABASE_SERVICE_ROLE_KEY).toMatchObject({ value: null, source: 'unset' });
+    expect(settings.scraper.EARTHPH_FETCH_RETRIES).toMatchObject({ value: '2', source: 'default' });
+    expect(text).not.toContain('anon-key');
+    expect(text).not.toContain('eph_one');
+  });
+});
+
+describe('config API', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('should describe an invalid configuration to an admin', async () => {
+    process.env = { ...env, EARTHPH_STORAGE: 'postgres', EARTHPH_CRON_SECRET: 'secret' };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await configHandler({ method: 'GET', url: '/api/config', query: {}, headers: { 'x-earthph-cron-secret': 'secret' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body).toMatchObject({ success: true, valid: false, problems: [{ variable: 'EARTHPH_STORAGE' }] });
+    expect(res.body.settings.secrets.EARTHPH_CRON_SECRET.value).toBe(REDACTED);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Jest Tests for conditional GETs on the events API
+ */
+
+import { eventsEtag, isNotModified } from '../../api/_lib/etag';
+import { createEventRepository } from '../../api/_lib/repository';
+import handler from '../../api/events-cjs';
+import { createResponse } from '../helpers/http';
+
+async function get(headers = {}) {
+  const res = createResponse();
+  await handler({ method: 'GET', url: '/api/events-cjs', query: {}, headers: { 'x-forwarded-for': '203.0.113.20', ...headers } }, res);
+  return res;
+}
+
+describe('eventsEtag', () => {
+  const rows = [{ id: 'a', magnitude: 4.2, updated_at: '2025-11-07T10:00:00.000Z' }];
+
+  it('should be a quoted tag that changes with the rows and the query', () => {
+    const etag = eventsEtag({ query: { limit: '500' }, rows, lastUpdated: '2025-11-07T10:00:00.000Z' });
+
+    expect(etag).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(eventsEtag({ query: { limit: '500' }, rows, lastUpdated: '2025-11-07T10:00:00.000Z' })).toBe(etag);
+    expect(eventsEtag({ query: { limit: '500' }, rows: [{ ...rows[0], magnitude: 4.4 }], lastUpdated: '2025-11-07T10:00:00.000Z' })).not.toBe(etag);
+    expect(eventsEtag({ query: { limit: '100' }, rows, lastUpdated: '2025-11-07T10:00:00.000Z' })).not.toBe(etag);
+  });
+});
+
+describe('isNotModified', () => {
+  it('should match any listed tag, weak or strong, and *', () => {
+    expect(isNotModified('"abc"', '"abc"')).toBe(true);
+    expect(isNotModified('"xyz", W/"abc"', '"abc"')).toBe(true);
+    expect(isNotModified('*', '"abc"')).toBe(true);
+    expect(isNotModified('"xyz"', '"abc"')).toBe(false);
+    expect(isNotModified(undefined, '"abc"')).toBe(false);
+  });
+});
+
+describe('events API conditional GET', () => {
+  const env = { ...process.env };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.EARTHPH_STORAGE = 'memory';
+    process.env.EARTHPH_API_KEYS = 'eph_partner';
+    const now = Date.now();
+    await createEventRepository({ access: 'write' }).upsertEvents([{
+      id: 'recent',
+      occurred_at: new Date(now - 60 * 60 * 1000).toISOString(),
+      latitude: 7.05,
+      longitude: 126.6,
+      depth_km: 10,
+      magnitude: 4.2,
+      location_text: 'Davao Oriental',
+      island_group: 'mindanao',
+      sources: ['phivolcs'],
+      origins: null,
+      revision_count: 0
+    }]);
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    process.env = env;
+  });
+
+  it('should answer 304 with no body when If-None-Match is current', async () => {
+    const first = await get();
+    const second = await get({ 'if-none-match': first.headers.etag });
+
+    expect(first.statusCode).toBe(200);
+    expect(first.body.events.map(event => event.id)).toEqual(['recent']);
+    expect(second.statusCode).toBe(304);
+    expect(second.body).toBeUndefined();
+    expect(second.headers.etag).toBe(first.headers.etag);
+  });
+
+  it('should send the full body again once the events change', async () => {
+    const first = await get();
+    await createEventRepository({ access: 'write' }).upsertEvents([{ ...(await createEventRepository().getEventById('recent')), magnitude: 4.6 }]);
+    const second = await get({ 'if-none-match': first.headers.etag });
+
+    expect(second.statusCode).toBe(200);
+    expect(second.body.events[0].magnitude).toBe(4.6);
+    expect(second.headers.etag).not.toBe(first.headers.etag);
+  });
+
+  it('should report a revision of an old event as the last update', async () => {
+    const revisedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    await createEventRepository({ access: 'write' }).upsertEvents([{
+      ...(await createEventRepository().getEventById('recent')),
+      created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+      updated_at: revisedAt,
+      magnitude: 4.8
+    }]);
+    const res = await get();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.lastUpdated).toBe(revisedAt);
+  });
+
+  it('should keep keyed responses out of shared caches and per-client headers out of cached ones', async () => {
+    const anonymous = await get();
+    const keyed = await get({ 'x-api-key': 'eph_partner' });
+
+    expect(anonymous.headers['cache-control']).toBe('public, s-maxage=60, stale-while-revalidate=15');
+    expect(anonymous.headers.vary).toBe('X-API-Key');
+    expect(anonymous.headers['ratelimit-remaining']).toBeUndefined();
+    expect(keyed.statusCode).toBe(200);
+    expect(keyed.headers['cache-control']).toBe('private, no-store');
+    expect(keyed.headers.vary).toBe('X-API-Key');
+    expect(keyed.headers['ratelimit-limit']).toBe('1000');
+  });
+});
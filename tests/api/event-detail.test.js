@@ -0,0 +1,93 @@
+/**
+ * Jest Tests for the single-event detail endpoint
+ */
+
+import { parseDetailQuery, getEventDetail } from '../../api/_lib/event-detail';
+import { sequenceWindow, classifySequence } from '../../api/_lib/sequence';
+import { createMemoryRepository } from '../../api/_lib/repository';
+import { event } from '../helpers/events';
+
+const mainshock = event('main', '2025-11-01T00:00:00.000Z', {
+  latitude: 7.0,
+  longitude: 126.5,
+  magnitude: 6.8,
+  revision_count: 1,
+  sources: ['phivolcs', 'usgs'],
+  origins: {
+    phivolcs: { source_event_id: null, occurred_at: '2025-11-01T00:00:00.000Z', latitude: 7.0, longitude: 126.5, depth_km: 10, magnitude: 6.8, magnitude_type: null, location_text: 'Davao Oriental' },
+    usgs: { source_event_id: 'us7000abcd', occurred_at: '2025-11-01T00:00:02.000Z', latitude: 7.1, longitude: 126.6, depth_km: 20, magnitude: 6.7, magnitude_type: 'Mww', location_text: 'Mindanao' }
+  }
+});
+const foreshock = event('fore', '2025-10-31T20:00:00.000Z', { latitude: 7.05, longitude: 126.45, magnitude: 4.5 });
+const aftershock = event('after', '2025-11-02T00:00:00.000Z', { latitude: 7.2, longitude: 126.6, magnitude: 5.1 });
+const distant = event('manila', '2025-11-02T00:00:00.000Z', { latitude: 14.6, longitude: 121.0, magnitude: 5.0 });
+
+describe('classifySequence', () => {
+  it('should use wider windows for larger earthquakes', () => {
+    expect(sequenceWindow(4.0).distanceKm).toBeCloseTo(30.0, 0);
+    expect(sequenceWindow(7.0).days).toBeGreaterThan(sequenceWindow(6.0).days);
+  });
+
+  it('should place smaller events in the window before and after a mainshock', () => {
+    const sequence = classifySequence(mainshock, [foreshock, aftershock]);
+
+    expect(sequence.role).toBe('mainshock');
+    expect(Object.fromEntries(sequence.relations)).toEqual({ fore: 'foreshock', after: 'aftershock' });
+  });
+
+  it('should point a smaller event at the larger one whose window holds it', () => {
+    const sequence = classifySequence(aftershock, [foreshock, mainshock]);
+
+    expect(sequence).toMatchObject({ role: 'aftershock', mainshockId: 'main' });
+    expect(sequence.relations.get('main')).toBe('mainshock');
+  });
+
+  it('should leave an isolated event without a role', () => {
+    expect(classifySequence(distant, [])).toMatchObject({ role: null, mainshockId: null });
+  });
+});
+
+describe('parseDetailQuery', () => {
+  it('should default the nearby window and validate overrides', () => {
+    expect(parseDetailQuery({})).toEqual({ maxradiuskm: 100, days: 30, limit: 100 });
+    expect(parseDetailQuery({ maxradiuskm: '50', days: '3' })).toMatchObject({ maxradiuskm: 50, days: 3 });
+    expect(() => parseDetailQuery({ days: '0', radius: '5' })).toThrow('days: Must be a number between 1 and 365; radius: Unknown parameter');
+  });
+});
+
+describe('getEventDetail', () => {
+  const repository = createMemoryRepository({ events: [mainshock, foreshock, aftershock, distant] });
+
+  beforeAll(async () => {
+    await repository.insertRevisions([
+      { event_id: 'main', field: 'magnitude', previous_value: 6.5, new_value: 6.8, source: 'phivolcs', revised_at: '2025-11-01T01:00:00.000Z' }
+    ]);
+  });
+
+  it('should return the record, its history and each agency solution', async () => {
+    const detail = await getEventDetail(repository, 'main', parseDetailQuery({}));
+
+    expect(detail.event).toMatchObject({ id: 'main', magnitude: 6.8 });
+    expect(detail.event.revisions).toHaveLength(1);
+    expect(detail.provenance.map(({ agency, preferred }) => [agency, preferred])).toEqual([['PHIVOLCS', true], ['USGS', false]]);
+    expect(detail.provenance[1].origin).toMatchObject({ sourceEventId: 'us7000abcd', magnitudeType: 'Mww' });
+  });
+
+  it('should list nearby events oldest first with their likely relation', async () => {
+    const detail = await getEventDetail(repository, 'main', parseDetailQuery({}));
+
+    expect(detail.sequence).toEqual({ role: 'mainshock', mainshockId: 'main' });
+    expect(detail.nearby.map(({ id, relation, hoursFromEvent }) => [id, relation, hoursFromEvent])).toEqual([
+      ['fore', 'foreshock', -4],
+      ['after', 'aftershock', 24]
+    ]);
+    expect(detail.nearby[0]).not.toHaveProperty('origins');
+  });
+
+  it('should narrow the neighbourhood to the requested window and return null for unknown ids', async () => {
+    const detail = await getEventDetail(repository, 'main', parseDetailQuery({ maxradiuskm: '10' }));
+
+    expect(detail.nearby.map(other => other.id)).toEqual(['fore']);
+    expect(await getEventDetail(repository, 'missing', parseDetailQuery({}))).toBeNull();
+  });
+});
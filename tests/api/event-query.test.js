@@ -0,0 +1,151 @@
+/**
+ * Jest Tests for events API query parameters
+ */
+
+import { parseEventQuery, findEvents, describeEventQuery, MAX_LIMIT } from '../../api/_lib/event-query';
+import { createMemoryRepository } from '../../api/_lib/repository';
+import { event } from '../helpers/events';
+
+const config = { defaultViewHours: 24 };
+const now = Date.parse('2025-11-08T00:00:00.000Z');
+
+function parse(query) {
+  return parseEventQuery(query, { config, now });
+}
+
+function errorsFor(query) {
+  try {
+    parse(query);
+  } catch (error) {
+    return { code: error.code, errors: error.errors };
+  }
+  throw new Error('Expected the query to be rejected');
+}
+
+describe('parseEventQuery', () => {
+  it('should default to the last 24 hours, newest first, 500 events', () => {
+    const params = parse({});
+
+    expect(params.starttime.toISOString()).toBe('2025-11-07T00:00:00.000Z');
+    expect(params.endtime).toBeNull();
+    expect(params).toMatchObject({ orderBy: 'occurred_at', order: 'desc', limit: 500, radius: null, filters: {} });
+  });
+
+  it('should read FDSN names and abbreviations, treating times without an offset as UTC', () => {
+    const params = parse({
+      start: '2025-11-01',
+      endtime: '2025-11-07T12:00:00',
+      minmag: '4',
+      maxdepth: '70',
+      region: 'mindanao',
+      orderby: 'magnitude',
+      limit: '50'
+    });
+
+    expect(params.starttime.toISOString()).toBe('2025-11-01T00:00:00.000Z');
+    expect(params.endtime.toISOString()).toBe('2025-11-07T12:00:00.000Z');
+    expect(params).toMatchObject({
+      minMagnitude: 4,
+      maxDepth: 70,
+      orderBy: 'magnitude',
+      order: 'desc',
+      limit: 50,
+      filters: { island_group: 'mindanao' }
+    });
+    expect(describeEventQuery(params)).toMatchObject({ minmagnitude: 4, orderby: 'magnitude', region: 'mindanao' });
+  });
+
+  it('should report every invalid parameter at once', () => {
+    const result = errorsFor({
+      starttime: 'last week',
+      minmagnitude: '6',
+      maxmagnitude: '5',
+      limit: String(MAX_LIMIT + 1),
+      orderby: 'depth',
+      minmagnitud: '4'
+    });
+
+    expect(result.code).toBe('INVALID_QUERY');
+    expect(result.errors.map(error => error.parameter).sort()).toEqual(['limit', 'minmagnitud', 'minmagnitude', 'orderby', 'starttime']);
+    expect(result.errors.find(error => error.parameter === 'minmagnitude')).toEqual({
+      parameter: 'minmagnitude',
+      message: 'Must not be greater than maxmagnitude',
+      value: '6'
+    });
+  });
+
+  it('should accept a known output format and reject others', () => {
+    expect(parse({ format: 'GeoJSON' }).format).toBe('geojson');
+    expect(errorsFor({ format: 'shapefile' }).errors[0]).toMatchObject({ parameter: 'format' });
+  });
+
+  it('should require latitude, longitude and maxradiuskm together', () => {
+    const result = errorsFor({ latitude: '7', maxradiuskm: '100' });
+
+    expect(result.errors).toEqual([
+      { parameter: 'latitude', message: 'A radius search also needs longitude', value: '7' }
+    ]);
+  });
+
+  it('should reject out-of-range coordinates and an end before the start', () => {
+    const result = errorsFor({ minlatitude: '95', starttime: '2025-11-05', endtime: '2025-11-01' });
+
+    expect(result.errors.map(error => error.parameter).sort()).toEqual(['minlatitude', 'starttime']);
+  });
+});
+
+describe('findEvents', () => {
+  const repository = createMemoryRepository({
+    events: [
+      event('davao-m5', '2025-11-07T10:00:00.000Z', { magnitude: 5.1 }),
+      event('davao-m3', '2025-11-07T11:00:00.000Z', { magnitude: 3.2 }),
+      event('surigao-m4', '2025-11-07T12:00:00.000Z', { latitude: 9.8, longitude: 125.9, magnitude: 4.4 }),
+      event('manila-m4', '2025-11-07T13:00:00.000Z', { latitude: 14.6, longitude: 121.0, magnitude: 4.0, island_group: 'luzon' }),
+      event('old-m6', '2025-10-01T00:00:00.000Z', { magnitude: 6.0 })
+    ]
+  });
+
+  it('should find M4+ in Mindanao this week, largest first', async () => {
+    const rows = await findEvents(repository, parse({ starttime: '2025-11-01', minmagnitude: '4', region: 'mindanao', orderby: 'magnitude' }));
+
+    expect(rows.map(row => row.id)).toEqual(['davao-m5', 'surigao-m4']);
+  });
+
+  it('should apply a radius by great-circle distance and then the limit', async () => {
+    const rows = await findEvents(repository, parse({ latitude: '7.0', longitude: '126.5', maxradiuskm: '50', limit: '1' }));
+
+    expect(rows.map(row => row.id)).toEqual(['davao-m3']);
+  });
+
+  it('should find events across the antimeridian', async () => {
+    const pacific = createMemoryRepository({
+      events: [
+        event('fiji-east', '2025-11-07T10:00:00.000Z', { latitude: -17.8, longitude: -179.9 }),
+        event('fiji-west', '2025-11-07T11:00:00.000Z', { latitude: -17.7, longitude: 179.8 })
+      ]
+    });
+
+    const rows = await findEvents(pacific, parse({ latitude: '-17.75', longitude: '179.95', maxradiuskm: '50' }));
+
+    expect(rows.map(row => row.id).sort()).toEqual(['fiji-east', 'fiji-west']);
+  });
+
+  it('should exclude events closer than minradiuskm', async () => {
+    const rows = await findEvents(repository, parse({ latitude: '7.0', longitude: '126.5', minradiuskm: '100', maxradiuskm: '400' }));
+
+    expect(rows.map(row => row.id)).toEqual(['surigao-m4']);
+  });
+
+  it('should return just the requested event for eventid, ignoring the time window', async () => {
+    const rows = await findEvents(repository, parse({ eventid: 'old-m6', minmagnitude: '7' }));
+
+    expect(rows.map(row => row.id)).toEqual(['old-m6']);
+    await expect(findEvents(repository, parse({ eventid: 'missing' }))).resolves.toEqual([]);
+  });
+
+  it('should combine a bounding box with depth bounds', async () => {
+    const rows = await findEvents(repository, parse({ minlatitude: '9', maxlatitude: '15', mindepth: '5', maxdepth: '15', orderby: 'time-asc' }));
+
+    expect(rows.map(row => row.id)).toEqual(['surigao-m4', 'manila-m4']);
+  });
+});
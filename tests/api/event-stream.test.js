@@ -0,0 +1,137 @@
+/**
+ * Jest Tests for the Server-Sent Events change feed
+ */
+
+import {
+  parseStreamQuery,
+  parsePosition,
+  formatPosition,
+  createChangeFeed,
+  pipeChangeFeed
+} from '../../api/_lib/event-stream';
+import { createMemoryRepository } from '../../api/_lib/repository';
+import { storeEvents } from '../../api/_lib/store-events';
+import { event } from '../helpers/events';
+
+const config = { defaultViewHours: 24 };
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.parse('2025-11-08T00:00:00.000Z');
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+async function revise(repository, id, field, value, at) {
+  const stored = await repository.getEventById(id);
+  await repository.insertRevisions([{ event_id: id, field, previous_value: stored[field], new_value: value, source: 'phivolcs', revised_at: iso(at) }]);
+  await repository.upsertEvents([{ ...stored, [field]: value, updated_at: iso(at), revision_count: stored.revision_count + 1 }]);
+}
+
+function summarize(messages) {
+  return messages.map(({ event, data }) => `${event}:${data.id}${data.reason ? `:${data.reason}` : ''}`);
+}
+
+describe('parseStreamQuery', () => {
+  it('should take the events API filters but not limit or format', () => {
+    expect(parseStreamQuery({ minmagnitude: '4', region: 'mindanao' }, { config })).toEqual({ minmagnitude: '4', region: 'mindanao' });
+    expect(() => parseStreamQuery({ limit: '10', minmagnitude: 'big' }, { config }))
+      .toThrow(expect.objectContaining({ errors: [expect.objectContaining({ parameter: 'limit' }), expect.objectContaining({ parameter: 'minmagnitude' })] }));
+  });
+});
+
+describe('stream positions', () => {
+  it('should round-trip and ignore ids that are not ours', () => {
+    const position = { since: '2025-11-07T10:00:00.000Z', at: '2025-11-08T00:00:00.000Z' };
+
+    expect(parsePosition(formatPosition(position))).toEqual(position);
+    expect(parsePosition('42')).toBeNull();
+    expect(parsePosition(undefined)).toBeNull();
+  });
+});
+
+describe('createChangeFeed', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = createMemoryRepository({
+      events: [
+        event('davao', iso(start - 2 * HOUR_MS), { magnitude: 4.5 }),
+        event('aging', iso(start - 23.5 * HOUR_MS))
+      ]
+    });
+  });
+
+  it('should report new and revised events once each', async () => {
+    const feed = createChangeFeed(repository, { minmagnitude: '4' }, { config, now: start });
+    await repository.upsertEvents([event('new', iso(start + 1000), { magnitude: 5.1 })]);
+    await revise(repository, 'davao', 'magnitude', 4.8, start + 2000);
+
+    expect(summarize(await feed.poll(start + 5000))).toEqual(['created:new', 'updated:davao']);
+    expect(await feed.poll(start + 10000)).toEqual([]);
+  });
+
+  it('should report an event that only gained an agency solution', async () => {
+    const feed = createChangeFeed(repository, {}, { config, now: start });
+    const stored = await repository.getEventById('davao');
+
+    await storeEvents(repository, [{
+      ...stored,
+      sources: ['phivolcs', 'usgs'],
+      origins: { phivolcs: { magnitude: 4.5 }, usgs: { magnitude: 4.5 } }
+    }], { windowStart: new Date(start - 3 * HOUR_MS), correlationId: 'test' });
+
+    expect(summarize(await feed.poll(start + 5000))).toEqual(['updated:davao']);
+    expect((await repository.getEventById('davao')).revision_count).toBe(0);
+  });
+
+  it('should send removed when a revision takes an event out of the filters', async () => {
+    const feed = createChangeFeed(repository, { minmagnitude: '4.4' }, { config, now: start });
+    await revise(repository, 'davao', 'magnitude', 4.1, start + 1000);
+
+    const messages = await feed.poll(start + 5000);
+
+    expect(messages).toEqual([{ event: 'removed', data: { id: 'davao', reason: 'filtered' } }]);
+  });
+
+  it('should send removed when an event slides out of the default window', async () => {
+    const feed = createChangeFeed(repository, {}, { config, now: start });
+
+    expect(summarize(await feed.poll(start + HOUR_MS))).toEqual(['removed:aging:expired']);
+  });
+
+  it('should resume from a position, repeating only the changes at its cursor', async () => {
+    const feed = createChangeFeed(repository, {}, { config, now: start });
+    await repository.upsertEvents([event('earlier', iso(start + 500)), event('first', iso(start + 1000))]);
+    await feed.poll(start + 5000);
+    await repository.upsertEvents([event('second', iso(start + 6000))]);
+
+    const resumed = createChangeFeed(repository, {}, { config, position: parsePosition(formatPosition(feed.position)) });
+
+    // Rows stamped at the cursor may still be committing, so they are read again
+    expect(summarize(await resumed.poll(start + 10000))).toEqual(['created:first', 'created:second']);
+  });
+});
+
+describe('pipeChangeFeed', () => {
+  it('should write messages with the position as id and heartbeats in between', async () => {
+    const repository = createMemoryRepository();
+    const feed = createChangeFeed(repository, {}, { config, now: start });
+    let clock = start;
+    const written = [];
+    const res = { write: chunk => written.push(chunk), end: jest.fn() };
+
+    await pipeChangeFeed(res, feed, {
+      clock: () => clock,
+      sleep: async (ms) => {
+        clock += ms;
+        if (clock === start + 5000) await repository.upsertEvents([event('live', iso(start + 4000))]);
+      },
+      durationMs: 30000
+    });
+
+    expect(written[0]).toBe('retry: 1000\n\n');
+    expect(written[1]).toMatch(/^id: .+\|2025-11-08T00:00:05\.000Z\nevent: created\ndata: \{"id":"live"/);
+    expect(written.slice(2)).toEqual([`: heartbeat\nid: ${formatPosition(feed.position).replace(/\|.*/, '')}|2025-11-08T00:00:20.000Z\n\n`]);
+    expect(res.end).toHaveBeenCalled();
+  });
+});
@@ -1,101 +1,74 @@
 /**
- * Jest Tests for Events API (/api/events)
+ * Jest Tests for Events API (/api/events-cjs)
  */
 
-import handler from '../../api/events.js';
-import { createClient } from '@supabase/supabase-js';
+import handler from '../../api/events-cjs';
+import { createEventRepository } from '../../api/_lib/repository';
+import { event } from '../helpers/events';
+import { createResponse } from '../helpers/http';
 
-jest.mock('@supabase/supabase-js');
+const env = { ...process.env };
 
-process.env.SUPABASE_URL = 'https://test.supabase.co';
-process.env.SUPABASE_ANON_KEY = 'test.key.anon';
-process.env.SUPABASE_SERVICE_ROLE_KEY = 'test.key.service';
-
-const mockReq = (method = 'GET', ip = '127.0.0.1') => ({
-  method,
-  headers: { 'x-forwarded-for': ip }
-});
-
-const mockRes = () => ({
-  status: jest.fn().mockReturnThis(),
-  json: jest.fn().mockReturnThis()
+const mockReq = (ip = '127.0.0.1', query = {}) => ({
+  method: 'GET',
+  url: '/api/events-cjs',
+  query,
+  headers: {},
+  socket: { remoteAddress: ip }
 });
 
-const mockSupabase = () => {
-  const chain = {
-    from: jest.fn(),
-    select: jest.fn(),
-    gte: jest.fn(),
-    order: jest.fn(),
-    limit: jest.fn(),
-  };
-  chain.from.mockReturnValue(chain);
-  chain.select.mockReturnValue(chain);
-  chain.gte.mockReturnValue(chain);
-  chain.order.mockReturnValue(chain);
-  return chain;
-};
+async function get(ip, query) {
+  const res = createResponse();
+  await handler(mockReq(ip, query), res);
+  return res;
+}
 
 describe('Events API', () => {
+  beforeAll(async () => {
+    process.env = { ...env, EARTHPH_STORAGE: 'memory', EARTHPH_RATE_LIMIT_ANONYMOUS_PER_MINUTE: '10' };
+    await createEventRepository({ access: 'write' }).upsertEvents([
+      event('manila', new Date(Date.now() - 60 * 60 * 1000).toISOString(), { latitude: 14.5, longitude: 121.0, magnitude: 3.5, island_group: 'luzon' })
+    ]);
+  });
+
   beforeEach(() => {
-    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
   });
 
-  it('should return events successfully', async () => {
-    const mock = mockSupabase();
-    mock.limit.mockResolvedValue({
-      data: [{
-        id: '1',
-        occurred_at: '2025-11-01T10:00:00Z',
-        latitude: 14.5,
-        longitude: 121.0,
-        depth_km: 10,
-        magnitude: 3.5,
-        location_text: 'Test'
-      }],
-      error: null
-    });
-    createClient.mockReturnValue(mock);
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
 
-    const req = mockReq();
-    const res = mockRes();
-    await handler(req, res);
+  it('should return events successfully', async () => {
+    const res = await get('203.0.113.1');
 
-    expect(res.status).toHaveBeenCalledWith(200);
-    expect(res.json).toHaveBeenCalledWith(
-      expect.objectContaining({ success: true })
-    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true });
+    expect(res.body.events.map(row => row.id)).toEqual(['manila']);
   });
 
   it('should handle rate limiting', async () => {
-    const mock = mockSupabase();
-    mock.limit.mockResolvedValue({ data: [], error: null });
-    createClient.mockReturnValue(mock);
-
-    const ip = '192.168.1.100';
+    const responses = [];
     for (let i = 0; i < 11; i++) {
-      const req = mockReq('GET', ip);
-      const res = mockRes();
-      await handler(req, res);
-      
-      if (i === 10) {
-        expect(res.status).toHaveBeenCalledWith(429);
-      }
+      responses.push(await get('192.168.1.100'));
     }
+
+    expect(responses.slice(0, 10).every(res => res.statusCode === 200)).toBe(true);
+    expect(responses[10].statusCode).toBe(429);
   });
 
   it('should handle database errors', async () => {
-    const mock = mockSupabase();
-    mock.limit.mockResolvedValue({
-      data: null,
-      error: { message: 'DB error' }
-    });
-    createClient.mockReturnValue(mock);
+    jest.spyOn(createEventRepository(), 'queryEvents').mockRejectedValue(new Error('DB error'));
 
-    const req = mockReq();
-    const res = mockRes();
-    await handler(req, res);
+    const res = await get('203.0.113.2');
 
-    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toMatchObject({ success: false, error: 'Internal server error', message: 'DB error' });
   });
 });
@@ -0,0 +1,108 @@
+/**
+ * Jest Tests for CSV and KML exports
+ */
+
+import * as csv from '../../api/_lib/formats/csv';
+import * as kml from '../../api/_lib/formats/kml';
+import { streamExport } from '../../api/_lib/formats';
+import { magnitudeBand } from '../../api/_lib/magnitude';
+import { parseEventQuery, iterateEvents, MAX_EXPORT_LIMIT } from '../../api/_lib/event-query';
+import { createMemoryRepository } from '../../api/_lib/repository';
+import { event } from '../helpers/events';
+
+describe('CSV export', () => {
+  it('should start with a byte order mark and the header row', () => {
+    expect(csv.begin()).toBe(`\uFEFF${csv.COLUMNS.join(',')}\r\n`);
+  });
+
+  it('should give UTC and Manila times and quote text cells', () => {
+    const [line] = csv.rows([event('a', '2025-11-01T02:15:00.000Z', {
+      location_text: 'Near "Mati", Davao Oriental',
+      region_code: null,
+      sources: ['phivolcs', 'usgs']
+    })]).split('\r\n');
+
+    expect(line).toBe('a,2025-11-01T02:15:00.000Z,2025-11-01T10:15:00+08:00,7.05,126.6,10,4.2,' +
+      '"Near ""Mati"", Davao Oriental",,Davao Oriental,,mindanao,phivolcs;usgs,2025-11-01T02:15:00.000Z');
+  });
+
+  it('should keep spreadsheets from evaluating formula-like text', () => {
+    expect(csv.rows([event('a', '2025-11-01T02:15:00.000Z', { location_text: '=HYPERLINK("x")' })]))
+      .toContain(',"\'=HYPERLINK(""x"")",');
+  });
+});
+
+describe('KML export', () => {
+  it('should style placemarks with the map marker magnitude bands', () => {
+    expect(magnitudeBand(7.2).id).toBe('major');
+    expect(magnitudeBand(4.0).id).toBe('light');
+    expect(magnitudeBand(2.1).id).toBe('minor');
+    // #f59e0b as aabbggrr
+    expect(kml.begin()).toContain('<Style id="moderate"><IconStyle><color>ff0b9ef5</color>');
+  });
+
+  it('should show the event modal fields in the balloon', () => {
+    const placemark = kml.toPlacemark(event('2025-11-01T02-15-00-000Z_705_12660', '2025-11-01T02:15:00.000Z', { magnitude: 5.4, sources: ['phivolcs', 'usgs'] }));
+
+    expect(placemark).toContain('<Placemark id="event-2025-11-01T02-15-00-000Z_705_12660">');
+    expect(placemark).toContain('<styleUrl>#moderate</styleUrl>');
+    expect(placemark).toContain('<Point><coordinates>126.6,7.05,0</coordinates></Point>');
+    expect(placemark).toContain('<td><b>Date &amp; Time</b></td><td>Nov 1, 2025, 10:15 AM</td>');
+    expect(placemark).toContain('<td><b>Coordinates</b></td><td>7.05°N, 126.60°E</td>');
+    expect(placemark).toContain('<td><b>Sources</b></td><td>PHIVOLCS, USGS</td>');
+  });
+});
+
+describe('iterateEvents', () => {
+  const repository = createMemoryRepository({
+    events: Array.from({ length: 7 }, (_, i) => event(`e${i}`, `2025-11-0${i + 1}T00:00:00.000Z`, {
+      latitude: i % 2 === 0 ? 7.05 : 14.6,
+      longitude: i % 2 === 0 ? 126.6 : 121.0
+    }))
+  });
+  const options = { config: { defaultViewHours: 24 }, now: Date.parse('2025-11-08T12:00:00.000Z') };
+
+  async function collect(query, pageSize) {
+    const batches = [];
+    for await (const rows of iterateEvents(repository, parseEventQuery(query, options), { pageSize })) {
+      batches.push(rows.map(row => row.id));
+    }
+    return batches;
+  }
+
+  it('should read page by page up to the limit', async () => {
+    expect(await collect({ starttime: '2025-11-01', limit: '5' }, 2)).toEqual([['e6', 'e5'], ['e4', 'e3'], ['e2']]);
+  });
+
+  it('should apply a radius filter to each page and still honour the limit', async () => {
+    expect(await collect({ starttime: '2025-11-01', latitude: '7', longitude: '126.5', maxradiuskm: '50', limit: '3' }, 2))
+      .toEqual([['e6', 'e4'], ['e2']]);
+  });
+
+  it('should allow larger limits for exports only', () => {
+    expect(parseEventQuery({ format: 'csv', limit: String(MAX_EXPORT_LIMIT) }, options).limit).toBe(MAX_EXPORT_LIMIT);
+    expect(() => parseEventQuery({ limit: String(MAX_EXPORT_LIMIT) }, options)).toThrow('limit');
+  });
+});
+
+describe('streamExport', () => {
+  it('should write the export as an attachment in batches', async () => {
+    const chunks = [];
+    const headers = {};
+    const res = {
+      setHeader: (name, value) => { headers[name] = value; },
+      write: chunk => chunks.push(chunk),
+      end: chunk => chunks.push(chunk)
+    };
+    async function* batches() {
+      yield [event('a', '2025-11-01T02:15:00.000Z')];
+      yield [event('b', '2025-11-01T03:15:00.000Z')];
+    }
+
+    await streamExport(res, csv, batches(), { filename: 'earthph-events' });
+
+    expect(res.statusCode).toBe(200);
+    expect(headers['Content-Disposition']).toBe('attachment; filename="earthph-events.csv"');
+    expect(chunks).toHaveLength(4);
+  });
+});
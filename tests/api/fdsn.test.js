@@ -0,0 +1,107 @@
+/**
+ * Jest Tests for the FDSN event web service
+ */
+
+import { parseFdsnQuery, formatEvents, buildWadl, PARAMETERS } from '../../api/_lib/fdsn';
+import { MAX_LIMIT, KM_PER_DEGREE_LATITUDE } from '../../api/_lib/event-query';
+import { HEADER } from '../../api/_lib/formats/fdsn-text';
+
+const config = { defaultViewHours: 24 };
+
+const row = {
+  id: '2025-11-01T02-15-00-000Z_705_12660',
+  occurred_at: '2025-11-01T02:15:00.000Z',
+  latitude: 7.05,
+  longitude: 126.6,
+  depth_km: 10,
+  magnitude: 4.2,
+  location_text: '023 km N 45° W of Tarragona (Davao Oriental)',
+  sources: ['phivolcs', 'usgs'],
+  origins: {
+    phivolcs: { source_event_id: null, occurred_at: '2025-11-01T02:15:00.000Z', latitude: 7.05, longitude: 126.6, depth_km: 10, magnitude: 4.2, magnitude_type: 'Ms' },
+    usgs: { source_event_id: 'us7000abcd', occurred_at: '2025-11-01T02:15:02.000Z', latitude: 7.1, longitude: 126.7, depth_km: 35.2, magnitude: 4.5, magnitude_type: 'mb' }
+  },
+  updated_at: '2025-11-01T03:00:00.000Z'
+};
+
+function errorsFor(query) {
+  try {
+    parseFdsnQuery(query, { config });
+  } catch (error) {
+    return error.errors.map(({ parameter, message }) => `${parameter}: ${message}`);
+  }
+  throw new Error('Expected the query to be rejected');
+}
+
+describe('parseFdsnQuery', () => {
+  it('should search the whole catalog by default, up to one more than the cap', () => {
+    const request = parseFdsnQuery({}, { config });
+
+    expect(request.params.starttime).toBeNull();
+    expect(request.params.limit).toBe(MAX_LIMIT + 1);
+    expect(request).toMatchObject({ format: 'xml', nodata: 204, limited: true, includeAllOrigins: false });
+  });
+
+  it('should convert radius degrees to kilometers around latitude and longitude', () => {
+    const request = parseFdsnQuery({ lat: '7', lon: '126.5', minradius: '0.5', maxradius: '2', limit: '10', format: 'text' }, { config });
+
+    expect(request.params.radius).toEqual({
+      latitude: 7,
+      longitude: 126.5,
+      minRadiusKm: 0.5 * KM_PER_DEGREE_LATITUDE,
+      maxRadiusKm: 2 * KM_PER_DEGREE_LATITUDE
+    });
+    expect(request).toMatchObject({ format: 'text', limited: false });
+  });
+
+  it('should reject unsupported options and report shared validation errors', () => {
+    expect(errorsFor({ catalog: 'ISC', includearrivals: 'true', nodata: '500', minmag: 'big' })).toEqual([
+      'catalog: Not supported by this service',
+      'includearrivals: Arrivals are not available from this catalog',
+      'nodata: Must be 204 or 404',
+      'minmag: Must be a number'
+    ]);
+  });
+});
+
+describe('formatEvents', () => {
+  it('should write QuakeML with each agency origin and the headline one preferred', () => {
+    const { contentType, body } = formatEvents([row], { format: 'xml', includeAllOrigins: true, includeAllMagnitudes: true });
+    const originId = `smi:ph.earthph/origin/${row.id}/phivolcs`;
+
+    expect(contentType).toMatch(/^application\/xml/);
+    expect(body).toContain(`<event publicID="smi:ph.earthph/event/${row.id}">`);
+    expect(body).toContain(`<preferredOriginID>${originId}</preferredOriginID>`);
+    expect(body.match(/<origin /g)).toHaveLength(2);
+    expect(body.match(/<magnitude /g)).toHaveLength(2);
+    // QuakeML depths are in meters
+    expect(body).toContain('<depth><value>35200</value></depth><creationInfo><agencyID>USGS</agencyID>');
+    expect(body).toContain(`<mag><value>4.2</value></mag><type>Ms</type><originID>${originId}</originID>`);
+  });
+
+  it('should give only the preferred origin by default', () => {
+    const { body } = formatEvents([row], { format: 'xml' });
+
+    expect(body.match(/<origin /g)).toHaveLength(1);
+    expect(body.match(/<magnitude /g)).toHaveLength(1);
+  });
+
+  it('should write one pipe-separated line per event under the FDSN header', () => {
+    const { body } = formatEvents([row], { format: 'text' });
+
+    expect(body.split('\n')).toEqual([
+      HEADER,
+      `${row.id}|2025-11-01T02:15:00.000|7.05|126.6|10|PHIVOLCS|EarthPH|PHIVOLCS||Ms|4.2|PHIVOLCS|${row.location_text}`,
+      ''
+    ]);
+  });
+});
+
+describe('buildWadl', () => {
+  it('should list every supported query parameter', () => {
+    const wadl = buildWadl('https://earth-ph.vercel.app');
+
+    expect(wadl).toContain('<resources base="https://earth-ph.vercel.app/fdsnws/event/1">');
+    PARAMETERS.forEach(param => expect(wadl).toContain(`<param name="${param.name}"`));
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Jest Tests for conditional fetching and change detection
+ */
+
+import { hashOrigins, fetchChangedSources } from '../../api/_lib/fetch-state';
+import { filterChangedEvents } from '../../api/_lib/store-events';
+
+const phivolcsOrigin = {
+  source: 'phivolcs',
+  source_event_id: null,
+  occurred_at: '2025-11-01T02:15:00.000Z',
+  latitude: 7.05,
+  longitude: 126.6,
+  depth_km: 10,
+  magnitude: 4.2,
+  magnitude_type: null,
+  location_text: '023 km N 45° W of Tarragona (Davao Oriental)'
+};
+
+const usgsOrigin = {
+  ...phivolcsOrigin,
+  source: 'usgs',
+  source_event_id: 'us7000abcd',
+  latitude: 7.1,
+  magnitude: 4.4
+};
+
+function fakeAdapter(id, responses) {
+  const calls = [];
+  return {
+    id,
+    calls,
+    fetchEvents: async ({ conditional, stats }) => {
+      const response = responses[calls.length] || responses[responses.length - 1];
+      calls.push({ conditional });
+      stats.seen = response.origins.length;
+      if (response.notModified) stats.notModified = true;
+      stats.etag = response.etag || null;
+      return response.origins;
+    }
+  };
+}
+
+describe('hashOrigins', () => {
+  it('should not depend on row order', () => {
+    const later = { ...phivolcsOrigin, occurred_at: '2025-11-01T03:00:00.000Z' };
+
+    expect(hashOrigins([phivolcsOrigin, later])).toBe(hashOrigins([later, phivolcsOrigin]));
+  });
+
+  it('should change when a value is revised', () => {
+    expect(hashOrigins([phivolcsOrigin])).not.toBe(hashOrigins([{ ...phivolcsOrigin, magnitude: 4.6 }]));
+  });
+});
+
+describe('fetchChangedSources', () => {
+  it('should report no change when every source is not modified or hashes the same', async () => {
+    const phivolcs = fakeAdapter('phivolcs', [{ notModified: true, origins: [], etag: '"abc"' }]);
+    const usgs = fakeAdapter('usgs', [{ origins: [usgsOrigin] }]);
+    const state = {
+      phivolcs: { etag: '"abc"', contentHash: hashOrigins([phivolcsOrigin]) },
+      usgs: { contentHash: hashOrigins([usgsOrigin]) }
+    };
+
+    const result = await fetchChangedSources([phivolcs, usgs], { since: new Date(0), state });
+
+    expect(result.changed).toBe(false);
+    expect(phivolcs.calls[0].conditional).toEqual({ etag: '"abc"', lastModified: null });
+    expect(phivolcs.calls).toHaveLength(1);
+  });
+
+  it('should refetch not-modified sources when another source changed', async () => {
+    const phivolcs = fakeAdapter('phivolcs', [
+      { notModified: true, origins: [] },
+      { origins: [phivolcsOrigin] }
+    ]);
+    const usgs = fakeAdapter('usgs', [{ origins: [usgsOrigin] }]);
+    const state = { phivolcs: { etag: '"abc"', contentHash: hashOrigins([phivolcsOrigin]) } };
+
+    const result = await fetchChangedSources([phivolcs, usgs], { since: new Date(0), state });
+
+    expect(result.changed).toBe(true);
+    expect(phivolcs.calls).toHaveLength(2);
+    expect(phivolcs.calls[1].conditional).toEqual({});
+    expect(result.origins.map(origin => origin.source).sort()).toEqual(['phivolcs', 'usgs']);
+    expect(result.status.phivolcs.contentHash).toBe(hashOrigins([phivolcsOrigin]));
+  });
+
+  it('should skip sources whose circuit is open and keep reporting the outage', async () => {
+    const phivolcs = fakeAdapter('phivolcs', [{ origins: [phivolcsOrigin] }]);
+    const usgs = fakeAdapter('usgs', [{ origins: [usgsOrigin] }]);
+    const now = new Date('2025-11-01T03:00:00.000Z');
+    const state = {
+      phivolcs: {
+        consecutiveFailures: 3,
+        outageStartedAt: '2025-11-01T02:45:00.000Z',
+        circuitOpenUntil: '2025-11-01T03:05:00.000Z',
+        lastError: 'connect ETIMEDOUT'
+      }
+    };
+
+    const result = await fetchChangedSources([phivolcs, usgs], { since: new Date(0), state, now });
+
+    expect(phivolcs.calls).toHaveLength(0);
+    expect(result.status.phivolcs).toMatchObject({ ok: false, code: 'CIRCUIT_OPEN' });
+    expect(result.outages).toEqual([expect.objectContaining({ source: 'phivolcs', startedAt: '2025-11-01T02:45:00.000Z', endedAt: null })]);
+  });
+});
+
+describe('filterChangedEvents', () => {
+  const stored = {
+    id: 'event-1',
+    revision_count: 0,
+    // jsonb returns keys in its own order
+    origins: { phivolcs: { magnitude: 4.2, depth_km: 10, latitude: 7.05 } }
+  };
+
+  it('should drop events identical to their stored row', () => {
+    const incoming = { id: 'event-1', revision_count: 0, origins: { phivolcs: { latitude: 7.05, depth_km: 10, magnitude: 4.2 } } };
+
+    expect(filterChangedEvents([incoming], [stored])).toEqual([]);
+  });
+
+  it('should keep new, revised and newly corroborated events', () => {
+    const created = { id: 'event-2', revision_count: 0, origins: {} };
+    const revised = { ...stored, revision_count: 1 };
+    const corroborated = { ...stored, origins: { ...stored.origins, usgs: { magnitude: 4.4 } } };
+
+    expect(filterChangedEvents([created], [stored])).toHaveLength(1);
+    expect(filterChangedEvents([revised], [stored])).toHaveLength(1);
+    expect(filterChangedEvents([corroborated], [stored])).toHaveLength(1);
+  });
+
+  it('should keep events whose stored location columns are missing or stale', () => {
+    const parsed = { distance_km: 23, bearing_deg: 315, municipality: 'Tarragona', province: 'Davao Oriental', region_code: 'XI', island_group: 'mindanao' };
+    const incoming = { ...stored, ...parsed };
+
+    expect(filterChangedEvents([incoming], [{ ...stored, ...parsed }])).toEqual([]);
+    expect(filterChangedEvents([incoming], [stored])).toHaveLength(1);
+    expect(filterChangedEvents([incoming], [{ ...stored, ...parsed, region_code: null }])).toHaveLength(1);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Jest Tests for the USGS-style GeoJSON feed
+ */
+
+import { toFeatureCollection } from '../../api/_lib/formats/geojson';
+
+const row = {
+  id: '2025-11-01T02-15-00-000Z_705_12660',
+  occurred_at: '2025-11-01T02:15:00.000Z',
+  latitude: 7.05,
+  longitude: 126.6,
+  depth_km: 10,
+  magnitude: 4.2,
+  location_text: '023 km N 45° W of Tarragona (Davao Oriental)',
+  sources: ['phivolcs', 'usgs'],
+  origins: { phivolcs: { magnitude_type: 'Ms' }, usgs: { magnitude_type: 'mb' } },
+  created_at: '2025-11-01T02:20:00.000Z',
+  updated_at: '2025-11-01T03:00:00.000Z'
+};
+
+describe('toFeatureCollection', () => {
+  const baseUrl = 'https://earth-ph.vercel.app';
+
+  it('should build Point features with [lon, lat, depth] and USGS properties', () => {
+    const collection = toFeatureCollection([row], { baseUrl, url: `${baseUrl}/api/events-cjs?format=geojson`, generated: 1 });
+    const [feature] = collection.features;
+
+    expect(feature.geometry).toEqual({ type: 'Point', coordinates: [126.6, 7.05, 10] });
+    expect(feature.id).toBe(row.id);
+    expect(feature.properties).toMatchObject({
+      mag: 4.2,
+      place: row.location_text,
+      time: Date.parse(row.occurred_at),
+      updated: Date.parse(row.updated_at),
+      url: `${baseUrl}/?event=${row.id}`,
+      detail: `${baseUrl}/api/events-cjs?format=geojson&eventid=${row.id}`,
+      net: 'phivolcs',
+      sources: ',phivolcs,usgs,',
+      magType: 'Ms',
+      type: 'earthquake',
+      title: 'M 4.2 - 023 km N 45° W of Tarragona (Davao Oriental)'
+    });
+  });
+
+  it('should describe the feed in metadata and cover it with a bbox', () => {
+    const deeper = { ...row, id: 'b', latitude: 9.8, longitude: 125.9, depth_km: 33 };
+    const collection = toFeatureCollection([row, deeper], { baseUrl, url: 'u', generated: 1700000000000 });
+
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.metadata).toEqual({ generated: 1700000000000, url: 'u', title: 'EarthPH Earthquakes', status: 200, api: '1.0.0', count: 2 });
+    expect(collection.bbox).toEqual([125.9, 7.05, 10, 126.6, 9.8, 33]);
+  });
+
+  it('should return an empty collection without a bbox', () => {
+    const collection = toFeatureCollection([], { baseUrl, url: 'u' });
+
+    expect(collection.features).toEqual([]);
+    expect(collection.metadata.count).toBe(0);
+    expect(JSON.parse(JSON.stringify(collection))).not.toHaveProperty('bbox');
+  });
+});
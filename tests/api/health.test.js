@@ -0,0 +1,56 @@
+/**
+ * Jest Tests for the scraper health endpoint
+ */
+
+import { getRunSummary } from '../../api/_lib/run-ledger';
+import handler from '../../api/health';
+import { createResponse } from '../helpers/http';
+
+jest.mock('../../api/_lib/run-ledger', () => ({
+  ...jest.requireActual('../../api/_lib/run-ledger'),
+  getRunSummary: jest.fn()
+}));
+
+async function get() {
+  const res = createResponse();
+  await handler({ method: 'GET', url: '/api/health', query: {}, headers: { 'x-forwarded-for': '203.0.113.30' } }, res);
+  return res;
+}
+
+describe('health API', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env = { ...env, EARTHPH_STORAGE: 'memory' };
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('should report unknown without a run ledger', async () => {
+    getRunSummary.mockResolvedValue(null);
+
+    const res = await get();
+
+    expect(getRunSummary).toHaveBeenCalledWith(null, { job: 'scrape' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, status: 'unknown', scraper: null });
+  });
+
+  it('should answer 503 with success false when no run has succeeded lately', async () => {
+    const finished = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    getRunSummary.mockResolvedValue({
+      lastRun: { status: 'failed', started_at: finished, finished_at: finished, outages: [] },
+      lastSuccess: { status: 'success', finished_at: finished },
+      consecutiveFailures: 12
+    });
+
+    const res = await get();
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body).toMatchObject({ success: false, status: 'down', scraper: { consecutiveFailures: 12 } });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Jest Tests for upstream retries and TLS trust
+ */
+
+import { withRetry, isRetryable, backoffDelay, loadCaBundle } from '../../api/_lib/http';
+
+function networkError(code) {
+  const error = new Error(`connect ${code}`);
+  error.code = code;
+  return error;
+}
+
+const noSleep = { sleep: () => Promise.resolve(), random: () => 0.5 };
+
+describe('withRetry', () => {
+  it('should retry transient failures and return the first success', async () => {
+    const request = jest.fn()
+      .mockRejectedValueOnce(networkError('ECONNRESET'))
+      .mockRejectedValueOnce(Object.assign(new Error('Bad gateway'), { response: { status: 502 } }))
+      .mockResolvedValueOnce('ok');
+
+    await expect(withRetry(request, { retries: 2, ...noSleep })).resolves.toBe('ok');
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('should give up after the retry budget and report the attempts', async () => {
+    const request = jest.fn().mockRejectedValue(networkError('ETIMEDOUT'));
+
+    await expect(withRetry(request, { retries: 2, ...noSleep })).rejects.toMatchObject({ code: 'ETIMEDOUT', attempts: 3 });
+  });
+
+  it('should not retry certificate or client errors', async () => {
+    const request = jest.fn().mockRejectedValue(networkError('UNABLE_TO_VERIFY_LEAF_SIGNATURE'));
+
+    await expect(withRetry(request, { retries: 2, ...noSleep })).rejects.toMatchObject({ attempts: 1 });
+    expect(isRetryable({ response: { status: 404 } })).toBe(false);
+    expect(isRetryable({ response: { status: 429 } })).toBe(true);
+  });
+
+  it('should stop retrying when the next delay would pass the deadline', async () => {
+    const request = jest.fn().mockRejectedValue(networkError('ECONNRESET'));
+
+    await expect(withRetry(request, { retries: 5, deadlineMs: 100, baseDelayMs: 500, ...noSleep })).rejects.toMatchObject({ attempts: 1 });
+  });
+});
+
+describe('backoffDelay', () => {
+  it('should grow exponentially up to the cap with jitter', () => {
+    const options = { baseDelayMs: 500, maxDelayMs: 4000 };
+
+    expect(backoffDelay(0, options, () => 0.999)).toBe(499);
+    expect(backoffDelay(2, options, () => 0.5)).toBe(1000);
+    expect(backoffDelay(10, options, () => 0.999)).toBeLessThan(4000);
+  });
+});
+
+describe('loadCaBundle', () => {
+  it('should read an inline PEM with escaped newlines', () => {
+    const pem = '-----BEGIN CERTIFICATE-----\\nMIIB\\n-----END CERTIFICATE-----';
+
+    expect(loadCaBundle({ EARTHPH_PHIVOLCS_CA_PEM: pem })).toEqual([
+      '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----'
+    ]);
+  });
+
+  it('should be empty when nothing is configured', () => {
+    expect(loadCaBundle({})).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Jest Tests for structured location parsing
+ */
+
+import { parseLocationText } from '../../api/_lib/location';
+import { lookupProvince, resolveRegionFilter } from '../../api/_lib/gazetteer';
+
+describe('parseLocationText()', () => {
+  it('should split PHIVOLCS location text', () => {
+    expect(parseLocationText('023 km N 45° W of Tarragona (Davao Oriental)')).toEqual({
+      distance_km: 23,
+      bearing_deg: 315,
+      municipality: 'Tarragona',
+      province: 'Davao Oriental',
+      region_code: '1100000000',
+      island_group: 'mindanao'
+    });
+  });
+
+  it('should convert every quadrant bearing', () => {
+    expect(parseLocationText('008 km N 10° E of Burauen (Leyte)').bearing_deg).toBe(10);
+    expect(parseLocationText('008 km S 10° E of Burauen (Leyte)').bearing_deg).toBe(170);
+    expect(parseLocationText('008 km S 10° W of Burauen (Leyte)').bearing_deg).toBe(190);
+  });
+
+  it('should resolve older province names', () => {
+    const parsed = parseLocationText('012 km S 61° E of Maragusan (Compostela Valley)');
+
+    expect(parsed.province).toBe('Davao De Oro');
+    expect(parsed.region_code).toBe('1100000000');
+  });
+
+  it('should keep unknown provinces without a region', () => {
+    const parsed = parseLocationText('150 km S 20° W of Sarangani Island (Unknown Sea)');
+
+    expect(parsed.province).toBe('Unknown Sea');
+    expect(parsed.region_code).toBeNull();
+  });
+
+  it('should parse USGS compass locations', () => {
+    expect(parseLocationText('35 km SSE of Davao, Philippines')).toEqual(expect.objectContaining({
+      distance_km: 35,
+      bearing_deg: 157.5,
+      municipality: 'Davao',
+      province: null
+    }));
+  });
+
+  it('should return empty fields for free text', () => {
+    expect(parseLocationText('Mindanao, Philippines').distance_km).toBeNull();
+    expect(parseLocationText(null).municipality).toBeNull();
+  });
+});
+
+describe('gazetteer', () => {
+  it('should look up provinces case-insensitively', () => {
+    expect(lookupProvince('SURIGAO DEL SUR')).toEqual(expect.objectContaining({ regionCode: '1600000000', islandGroup: 'mindanao' }));
+    expect(lookupProvince('Atlantis')).toBeNull();
+  });
+
+  it('should resolve region filters from the manifest shortcuts', () => {
+    expect(resolveRegionFilter('mindanao')).toEqual({ column: 'island_group', value: 'mindanao' });
+    expect(resolveRegionFilter('manila')).toEqual({ column: 'region_code', value: '1300000000' });
+    expect(resolveRegionFilter('1900000000')).toEqual({ column: 'region_code', value: '1900000000' });
+    expect(resolveRegionFilter('atlantis')).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Jest Tests for cross-source event merging
+ */
+
+import { mergeOrigins, buildEventId } from '../../api/_lib/merge';
+import usgs from '../../api/_lib/sources/usgs';
+
+const origin = (source, overrides = {}) => ({
+  source,
+  source_event_id: null,
+  occurred_at: '2025-11-01T02:15:00.000Z',
+  latitude: 7.05,
+  longitude: 126.6,
+  depth_km: 10,
+  magnitude: 4.5,
+  magnitude_type: null,
+  location_text: `${source} location`,
+  ...overrides
+});
+
+describe('mergeOrigins()', () => {
+  it('should merge reports of the same earthquake from different agencies', () => {
+    const events = mergeOrigins([
+      origin('usgs', { occurred_at: '2025-11-01T02:15:32.120Z', latitude: 7.2, magnitude: 4.7 }),
+      origin('phivolcs')
+    ]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].sources).toEqual(['phivolcs', 'usgs']);
+    expect(events[0].magnitude).toBe(4.5);
+    expect(events[0].location_text).toBe('phivolcs location');
+    expect(events[0].origins.usgs.magnitude).toBe(4.7);
+    expect(events[0].id).toBe(buildEventId(origin('phivolcs')));
+  });
+
+  it('should keep events apart when too far in time or distance', () => {
+    const events = mergeOrigins([
+      origin('phivolcs'),
+      origin('usgs', { occurred_at: '2025-11-01T02:20:00.000Z' }),
+      origin('emsc', { latitude: 12.0 })
+    ]);
+
+    expect(events).toHaveLength(3);
+  });
+
+  it('should not merge two events from the same agency', () => {
+    const events = mergeOrigins([
+      origin('phivolcs'),
+      origin('phivolcs', { latitude: 7.1, occurred_at: '2025-11-01T02:16:00.000Z' })
+    ]);
+
+    expect(events).toHaveLength(2);
+  });
+
+  it('should use the next agency when PHIVOLCS did not report the event', () => {
+    const events = mergeOrigins([
+      origin('emsc', { magnitude: 4.4 }),
+      origin('usgs', { magnitude: 4.6 })
+    ]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].sources).toEqual(['usgs', 'emsc']);
+    expect(events[0].magnitude).toBe(4.6);
+  });
+});
+
+describe('USGS adapter parse()', () => {
+  it('should normalize GeoJSON features inside the Philippine box', () => {
+    const origins = usgs.parse({
+      features: [
+        {
+          id: 'us7000abcd',
+          properties: { mag: 5.1, magType: 'mb', place: '20 km E of Baganga, Philippines', time: 1761963332120 },
+          geometry: { coordinates: [126.8, 7.6, 35.2] }
+        },
+        {
+          id: 'us7000efgh',
+          properties: { mag: 4.0, place: 'Taiwan', time: 1761963332120 },
+          geometry: { coordinates: [121.5, 23.9, 10] }
+        }
+      ]
+    });
+
+    expect(origins).toEqual([{
+      source: 'usgs',
+      source_event_id: 'us7000abcd',
+      occurred_at: new Date(1761963332120).toISOString(),
+      latitude: 7.6,
+      longitude: 126.8,
+      depth_km: 35.2,
+      magnitude: 5.1,
+      magnitude_type: 'mb',
+      location_text: '20 km E of Baganga, Philippines'
+    }]);
+  });
+});
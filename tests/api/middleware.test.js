@@ -0,0 +1,203 @@
+/**
+ * Jest Tests for the shared handler middleware
+ */
+
+import {
+  pipeline,
+  logRequests,
+  mapErrors,
+  securityHeaders,
+  cors,
+  allowMethods,
+  apiAccess,
+  createHandler
+} from '../../api/_lib/middleware';
+import { HttpError, QueryValidationError } from '../../api/_lib/errors';
+import { createResponse } from '../helpers/http';
+
+async function call(handler, { method = 'GET', headers = {}, query = {} } = {}) {
+  const res = createResponse();
+  await handler({ method, url: '/api/test', query, headers: { 'x-forwarded-for': '203.0.113.9', ...headers } }, res);
+  return res;
+}
+
+describe('middleware', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run steps in order and log each request once with its correlation id', async () => {
+    const order = [];
+    const handler = pipeline(
+      logRequests({ name: 'test' }),
+      async (req, res, ctx, next) => { order.push('first'); await next(); order.push('after'); },
+      null,
+      async (req, res, ctx) => { order.push('handler'); ctx.log.rows = 3; return res.status(200).json({ success: true }); }
+    );
+
+    await call(handler);
+    const entry = JSON.parse(log.mock.calls[0][0]);
+
+    expect(order).toEqual(['first', 'handler', 'after']);
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(entry).toMatchObject({ handler: 'test', status: 200, rows: 3, error: null });
+    expect(entry.correlationId).toMatch(/^test-\d+-/);
+  });
+
+  it('should map thrown errors to the JSON envelope', async () => {
+    const failWith = error => pipeline(logRequests({ name: 'test' }), mapErrors(), async () => { throw error; });
+
+    const notFound = await call(failWith(new HttpError(404, 'Not found', 'No earthquake with id "x"', { id: 'x' })));
+    const invalid = await call(failWith(new QueryValidationError([{ parameter: 'limit', message: 'Too large', value: '9' }])));
+    const crashed = await call(failWith(new Error('connection reset')));
+
+    expect(notFound.statusCode).toBe(404);
+    expect(notFound.body).toEqual({ success: false, error: 'Not found', message: 'No earthquake with id "x"', id: 'x' });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body).toMatchObject({ error: 'Invalid parameter', errors: [{ parameter: 'limit' }] });
+    expect(crashed.statusCode).toBe(500);
+    expect(crashed.body).toMatchObject({ error: 'Internal server error', message: 'connection reset', correlationId: expect.stringMatching(/^test-/) });
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+
+  it('should answer errors through a custom sender', async () => {
+    const sendError = jest.fn((req, res, ctx, status, body) => res.status(status).send(`Error ${status}: ${body.message}`));
+    const handler = pipeline(mapErrors({ sendError }), allowMethods(['GET']), async () => {});
+
+    const res = await call(handler, { method: 'PUT' });
+
+    expect(res.body).toBe('Error 405: Only GET requests are supported');
+    expect(res.headers.allow).toBe('GET, OPTIONS');
+  });
+
+  it('should reflect listed origins and answer preflights without running the handler', async () => {
+    const handle = jest.fn();
+    const handler = pipeline(
+      securityHeaders(),
+      cors({ origins: ['https://earth-ph.vercel.app', /^https:\/\/preview-\w+\.example\.com$/], methods: ['GET'], allowHeaders: ['If-None-Match'] }),
+      handle
+    );
+
+    const preflight = await call(handler, { method: 'OPTIONS', headers: { origin: 'https://preview-abc.example.com' } });
+    const other = await call(handler, { headers: { origin: 'https://elsewhere.example.com' } });
+
+    expect(preflight.statusCode).toBe(204);
+    expect(preflight.headers).toMatchObject({
+      'access-control-allow-origin': 'https://preview-abc.example.com',
+      'access-control-allow-methods': 'GET, OPTIONS',
+      'access-control-allow-headers': 'If-None-Match',
+      vary: 'Origin',
+      'content-security-policy': "default-src 'none'; frame-ancestors 'none'"
+    });
+    expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    expect(handle).toHaveBeenCalledTimes(1);
+  });
+
+  it('should turn a denied access check into its status', async () => {
+    const check = jest.fn().mockResolvedValue({ allowed: false, status: 429, error: 'Quota exceeded', message: 'Daily quota used', apiKey: { id: 'k1' }, rateLimit: null });
+    const handler = pipeline(logRequests({ name: 'test' }), mapErrors(), apiAccess({ check }), async () => {});
+
+    const res = await call(handler);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toEqual({ success: false, error: 'Quota exceeded', message: 'Daily quota used' });
+    expect(JSON.parse(log.mock.calls[0][0]).apiKey).toBe('k1');
+  });
+});
+
+describe('createHandler with cron auth', () => {
+  const env = { ...process.env };
+  const handler = createHandler({ name: 'admin', methods: ['GET', 'POST'], auth: 'cron' }, async (req, res) => res.status(200).json({ success: true }));
+
+  beforeEach(() => {
+    process.env.EARTHPH_STORAGE = 'memory';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('should require EARTHPH_CRON_SECRET and a matching header', async () => {
+    delete process.env.EARTHPH_CRON_SECRET;
+    const unconfigured = await call(handler);
+
+    process.env.EARTHPH_CRON_SECRET = 'secret';
+    const wrong = await call(handler, { headers: { 'x-earthph-cron-secret': 'guess' } });
+    const right = await call(handler, { method: 'POST', headers: { 'x-earthph-cron-secret': 'secret' } });
+    const method = await call(handler, { method: 'DELETE', headers: { 'x-earthph-cron-secret': 'secret' } });
+
+    expect(unconfigured.body).toMatchObject({ error: 'Configuration Error', message: 'EARTHPH_CRON_SECRET not configured' });
+    expect(wrong.statusCode).toBe(401);
+    expect(right.statusCode).toBe(200);
+    expect(right.headers['cache-control']).toBe('no-store');
+    expect(method.body.message).toBe('Only GET and POST requests are supported');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Unauthorized admin access attempt'));
+  });
+});
+
+describe('createHandler configuration', () => {
+  const env = { ...process.env };
+  const handler = createHandler({ name: 'site', cors: 'site' }, async (req, res, ctx) => res.status(200).json({ success: true, exports: ctx.config.features.exports }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('should allow the origins in EARTHPH_ALLOWED_ORIGINS and hand the handler its configuration', async () => {
+    process.env = { ...env, EARTHPH_STORAGE: 'memory', EARTHPH_ALLOWED_ORIGINS: 'https://quakes.example.org, https://preview-*.example.org' };
+
+    const preview = await call(handler, { headers: { origin: 'https://preview-42.example.org' } });
+    const site = await call(handler, { headers: { origin: 'https://earth-ph.vercel.app' } });
+
+    expect(preview.headers['access-control-allow-origin']).toBe('https://preview-42.example.org');
+    expect(preview.body).toEqual({ success: true, exports: true });
+    expect(site.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  it('should answer 500 listing every configuration problem, with CORS headers', async () => {
+    process.env = { ...env, EARTHPH_STORAGE: 'supabase', EARTHPH_FETCH_RETRIES: 'lots' };
+
+    const res = await call(handler, { headers: { origin: 'https://earth-ph.vercel.app' } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.headers['access-control-allow-origin']).toBe('https://earth-ph.vercel.app');
+    expect(res.body).toEqual({
+      success: false,
+      error: 'Configuration Error',
+      message: 'EARTHPH_FETCH_RETRIES must be an integer between 0 and 5, got "lots"; ' +
+        'SUPABASE_URL is required when EARTHPH_STORAGE is supabase; ' +
+        'SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY is required when EARTHPH_STORAGE is supabase'
+    });
+  });
+
+  it('should log configuration warnings with the first request only', async () => {
+    process.env = { ...env, EARTHPH_STORAGE: 'memory', EARTHPH_ALLOWED_ORIGINS: 'https://warnings.example.org' };
+
+    await call(handler);
+    await call(handler);
+
+    const lines = console.log.mock.calls.map(([line]) => JSON.parse(line));
+    expect(lines[0].configWarnings).toEqual(['EARTHPH_CRON_SECRET is not set; cron and admin endpoints are disabled']);
+    expect(lines[1].configWarnings).toBeUndefined();
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Jest Tests for the PHIVOLCS source adapter
+ */
+
+import fs from 'fs';
+import path from 'path';
+import phivolcs from '../../api/_lib/sources/phivolcs';
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures/phivolcs', name), 'utf8');
+
+describe('PHIVOLCS mapHeaderColumns()', () => {
+  it('should map the live page headers by name', () => {
+    const { columns, missing } = phivolcs.mapHeaderColumns([
+      'Date - Time (Philippine Time)',
+      'Latitude (ºN)',
+      'Longitude (ºE)',
+      'Depth (km)',
+      'Mag',
+      'Location'
+    ]);
+
+    expect(missing).toEqual([]);
+    expect(columns).toEqual({ datetime: 0, latitude: 1, longitude: 2, depth: 3, magnitude: 4, location: 5 });
+  });
+
+  it('should follow reordered columns', () => {
+    const { columns, missing } = phivolcs.mapHeaderColumns([
+      'Location', 'Magnitude', 'Date-Time', 'Depth', 'Lat', 'Lon'
+    ]);
+
+    expect(missing).toEqual([]);
+    expect(columns).toEqual({ datetime: 2, latitude: 4, longitude: 5, depth: 3, magnitude: 1, location: 0 });
+  });
+
+  it('should report missing columns', () => {
+    const { missing } = phivolcs.mapHeaderColumns(['Date-Time', 'Coordinates', 'Depth', 'Mag', 'Location']);
+
+    expect(missing).toEqual(['latitude', 'longitude']);
+  });
+});
+
+describe('PHIVOLCS detectDrift()', () => {
+  it('should flag an empty table', () => {
+    expect(phivolcs.detectDrift({ rowCount: 0, invalidCount: 0 })).toEqual(
+      expect.objectContaining({ reason: 'no_rows' })
+    );
+  });
+
+  it('should flag a table whose rows mostly fail to parse', () => {
+    expect(phivolcs.detectDrift({ rowCount: 100, invalidCount: 80 })).toEqual(
+      expect.objectContaining({ reason: 'rows_unparseable' })
+    );
+  });
+
+  it('should accept a healthy table with a few bad rows', () => {
+    expect(phivolcs.detectDrift({ rowCount: 100, invalidCount: 3 })).toBeNull();
+  });
+});
+
+describe('PHIVOLCS parsePhivolcsDateTime()', () => {
+  it('should convert Philippine time to UTC', () => {
+    expect(phivolcs.parsePhivolcsDateTime('01 November 2025 - 10:15 AM')).toBe('2025-11-01T02:15:00.000Z');
+    expect(phivolcs.parsePhivolcsDateTime('01 November 2025 - 12:05 AM')).toBe('2025-10-31T16:05:00.000Z');
+  });
+
+  it('should return null for unrecognized formats', () => {
+    expect(phivolcs.parsePhivolcsDateTime('2025-11-01 10:15')).toBeNull();
+  });
+});
+
+describe('PHIVOLCS parseRow()', () => {
+  const raw = {
+    datetime: '01 November 2025 - 10:15 AM',
+    latitude: '7.05',
+    longitude: '126.60',
+    depth: '010',
+    magnitude: '4.2',
+    location: '023 km N 45° W of Tarragona (Davao Oriental)'
+  };
+
+  it('should parse valid cells into an origin', () => {
+    const { origin, reason } = phivolcs.parseRow(raw);
+
+    expect(reason).toBeNull();
+    expect(origin).toMatchObject({ source: 'phivolcs', latitude: 7.05, longitude: 126.6, depth_km: 10, magnitude: 4.2 });
+  });
+
+  it('should give a machine-readable reason for each rejection', () => {
+    expect(phivolcs.parseRow({ ...raw, datetime: 'soon' }).reason).toBe('invalid_datetime');
+    expect(phivolcs.parseRow({ ...raw, latitude: '-' }).reason).toBe('invalid_coordinates');
+    expect(phivolcs.parseRow({ ...raw, magnitude: '' }).reason).toBe('invalid_magnitude');
+  });
+
+  it('should keep the parsed origin for rows outside the Philippine box', () => {
+    const { origin, reason } = phivolcs.parseRow({ ...raw, latitude: '3.50', longitude: '128.60' });
+
+    expect(reason).toBe('out_of_bounds');
+    expect(origin.latitude).toBe(3.5);
+  });
+});
+
+describe('PHIVOLCS parse()', () => {
+  const parseError = (html, options) => {
+    try {
+      phivolcs.parse(html, options);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  it('should read the current front page layout', () => {
+    const stats = {};
+    const origins = phivolcs.parse(fixture('latest.html'), { stats });
+
+    expect(origins).toEqual([
+      expect.objectContaining({
+        occurred_at: '2025-11-01T02:15:00.000Z',
+        latitude: 7.05,
+        longitude: 126.6,
+        depth_km: 10,
+        magnitude: 4.2,
+        location_text: '023 km N 45° W of Tarragona (Davao Oriental)'
+      }),
+      expect.objectContaining({ occurred_at: '2025-11-01T00:42:00.000Z', latitude: 14.52, depth_km: 103 })
+    ]);
+    expect(stats).toMatchObject({ seen: 3, rejected: 1 });
+    expect(stats.rejectedRows).toEqual([expect.objectContaining({ reason: 'out_of_bounds' })]);
+  });
+
+  it('should drop rows older than the cutoff', () => {
+    const origins = phivolcs.parse(fixture('latest.html'), { since: new Date('2025-11-01T01:00:00Z') });
+
+    expect(origins.map(origin => origin.occurred_at)).toEqual(['2025-11-01T02:15:00.000Z']);
+  });
+
+  it('should read columns by header name when they are reordered', () => {
+    const origins = phivolcs.parse(fixture('reordered-columns.html'));
+
+    expect(origins).toHaveLength(2);
+    expect(origins[0]).toMatchObject({ latitude: 7.05, longitude: 126.6, depth_km: 10, magnitude: 4.2 });
+    expect(origins[0].location_text).toContain('Tarragona');
+  });
+
+  it('should find the header below a caption row', () => {
+    const origins = phivolcs.parse(fixture('caption-row.html'));
+
+    expect(origins).toEqual([expect.objectContaining({ occurred_at: '2025-11-01T02:15:00.000Z', magnitude: 4.2 })]);
+  });
+
+  it('should raise schema drift when a header is missing', () => {
+    const error = parseError(fixture('missing-header.html'));
+
+    expect(error).toMatchObject({ code: 'SCHEMA_CHANGED', reason: 'headers_not_found' });
+    expect(error.details.missingColumns).toEqual(['latitude', 'longitude']);
+  });
+
+  it('should raise schema drift when most rows are garbage', () => {
+    const stats = {};
+    const error = parseError(fixture('garbage-rows.html'), { stats });
+
+    expect(error).toMatchObject({ code: 'SCHEMA_CHANGED', reason: 'rows_unparseable' });
+    expect(error.details).toMatchObject({ rowCount: 4, invalidCount: 3 });
+    expect(stats.rejectedRows.map(row => row.reason)).toEqual(['invalid_datetime', 'invalid_coordinates', 'too_few_cells']);
+  });
+});
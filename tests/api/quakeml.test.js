@@ -0,0 +1,63 @@
+/**
+ * Jest Tests for the QuakeML parser and the EMSC adapter
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseQuakeML } from '../../api/_lib/sources/quakeml';
+import emsc from '../../api/_lib/sources/emsc';
+
+const xml = fs.readFileSync(path.join(__dirname, '../fixtures/emsc/philippines.xml'), 'utf8');
+
+describe('parseQuakeML()', () => {
+  it('should use the preferred origin and magnitude of each event', () => {
+    const [origin] = parseQuakeML(xml, 'emsc');
+
+    expect(origin).toEqual({
+      source: 'emsc',
+      source_event_id: 'smi:www.emsc-csem.org/event/20251101_0000037',
+      occurred_at: '2025-11-01T02:15:18.400Z',
+      latitude: 7.06,
+      longitude: 126.62,
+      depth_km: 10,
+      magnitude: 4.3,
+      magnitude_type: 'mw',
+      location_text: 'MINDANAO, PHILIPPINES'
+    });
+  });
+
+  it('should fall back to the first origin and magnitude without a preference', () => {
+    const origins = parseQuakeML(xml, 'emsc');
+
+    expect(origins[1]).toMatchObject({
+      occurred_at: '2025-11-01T00:42:03.100Z',
+      latitude: 14.49,
+      depth_km: null,
+      magnitude: 2.9,
+      magnitude_type: 'ml',
+      location_text: 'LUZON, PHILIPPINES'
+    });
+  });
+
+  it('should count events outside the Philippine box or without a time as rejected', () => {
+    const stats = {};
+    const origins = parseQuakeML(xml, 'emsc', { stats });
+
+    expect(origins).toHaveLength(2);
+    expect(stats).toEqual({ seen: 4, rejected: 2 });
+  });
+
+  it('should drop events older than the cutoff before checking them', () => {
+    const stats = {};
+    const origins = parseQuakeML(xml, 'emsc', { since: new Date('2025-11-01T01:00:00Z'), stats });
+
+    expect(origins.map(origin => origin.source_event_id)).toEqual(['smi:www.emsc-csem.org/event/20251101_0000037']);
+    expect(stats.rejected).toBe(1);
+  });
+});
+
+describe('EMSC parse()', () => {
+  it('should tag origins with the emsc source', () => {
+    expect(emsc.parse(xml).map(origin => origin.source)).toEqual(['emsc', 'emsc']);
+  });
+});
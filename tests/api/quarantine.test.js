@@ -0,0 +1,91 @@
+/**
+ * Jest Tests for the rejected row quarantine
+ */
+
+import { quarantineRows, replayQuarantined } from '../../api/_lib/quarantine';
+import { createMemoryRepository } from '../../api/_lib/repository';
+
+const validRaw = {
+  datetime: '01 November 2025 - 10:15 AM',
+  latitude: '7.05',
+  longitude: '126.60',
+  depth: '010',
+  magnitude: '4.2',
+  location: '023 km N 45° W of Tarragona (Davao Oriental)'
+};
+
+function fakeSupabase(rows = []) {
+  const calls = [];
+  const query = {
+    select: () => query,
+    eq: () => query,
+    in: () => query,
+    order: () => query,
+    limit: () => Promise.resolve({ data: rows, error: null }),
+    upsert: (records, options) => {
+      calls.push({ records, options });
+      return Promise.resolve({ error: null });
+    },
+    update: (values) => ({
+      in: (column, ids) => {
+        calls.push({ update: values, ids });
+        return Promise.resolve({ error: null });
+      }
+    })
+  };
+  return { calls, from: () => query };
+}
+
+describe('quarantineRows', () => {
+  it('should store each distinct rejected row once, ignoring rows already quarantined', async () => {
+    const supabase = fakeSupabase();
+    const row = { source: 'phivolcs', reason: 'out_of_bounds', raw: { ...validRaw, latitude: '3.50' } };
+
+    const count = await quarantineRows(supabase, [row, { ...row }], 'scrape-1');
+
+    expect(count).toBe(1);
+    expect(supabase.calls[0].options).toEqual({ onConflict: 'row_hash', ignoreDuplicates: true });
+    expect(supabase.calls[0].records[0]).toMatchObject({ source: 'phivolcs', reason: 'out_of_bounds', correlation_id: 'scrape-1' });
+    expect(supabase.calls[0].records[0].row_hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should skip the write when nothing was rejected', async () => {
+    const supabase = fakeSupabase();
+
+    await expect(quarantineRows(supabase, [], 'scrape-1')).resolves.toBe(0);
+    expect(supabase.calls).toHaveLength(0);
+  });
+});
+
+describe('replayQuarantined', () => {
+  it('should report which rows the current parser recovers in a dry run', async () => {
+    const supabase = fakeSupabase([
+      { id: 1, source: 'phivolcs', reason: 'invalid_datetime', raw: validRaw },
+      { id: 2, source: 'phivolcs', reason: 'out_of_bounds', raw: { ...validRaw, latitude: '3.50' } },
+      { id: 3, source: 'usgs', reason: 'invalid_magnitude', raw: {} }
+    ]);
+
+    const result = await replayQuarantined({ client: supabase }, { dryRun: true });
+
+    expect(result.checked).toBe(3);
+    expect(result.recovered.map(row => row.id)).toEqual([1]);
+    expect(result.stillRejected).toEqual([
+      { id: 2, reason: 'out_of_bounds', previousReason: 'out_of_bounds', replayable: true },
+      { id: 3, reason: 'invalid_magnitude', replayable: false }
+    ]);
+    expect(result.upserted).toBe(0);
+  });
+
+  it('should store recovered rows as events and mark them replayed', async () => {
+    const supabase = fakeSupabase([{ id: 1, source: 'phivolcs', reason: 'invalid_datetime', raw: validRaw }]);
+    const repository = { ...createMemoryRepository(), client: supabase };
+
+    const result = await replayQuarantined(repository, { correlationId: 'replay-1' });
+    const stored = await repository.queryEvents();
+
+    expect(result.upserted).toBe(1);
+    expect(stored).toHaveLength(1);
+    expect(stored[0]).toMatchObject({ magnitude: 4.2, latitude: 7.05, longitude: 126.6 });
+    expect(supabase.calls[0]).toMatchObject({ update: { status: 'replayed', replay_correlation_id: 'replay-1' }, ids: [1] });
+  });
+});
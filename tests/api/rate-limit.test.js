@@ -0,0 +1,142 @@
+/**
+ * Jest Tests for the token-bucket rate limiter
+ */
+
+import {
+  getRateLimitConfig,
+  getClientIp,
+  identifyClient,
+  takeToken,
+  createMemoryStore,
+  createDatabaseStore,
+  createRateLimiter,
+  setRateLimitHeaders
+} from '../../api/_lib/rate-limit';
+
+const env = { EARTHPH_STORAGE: 'memory', EARTHPH_RATE_LIMIT_ANONYMOUS_PER_MINUTE: '3' };
+const partnerKey = { id: 'partner', ratePerMinute: null };
+
+function request(ip, headers = {}) {
+  return { headers, socket: { remoteAddress: ip } };
+}
+
+describe('getRateLimitConfig', () => {
+  it('should use the database store only with Supabase and the service-role key', () => {
+    expect(getRateLimitConfig({ EARTHPH_STORAGE: 'memory' }).store).toBe('memory');
+    expect(getRateLimitConfig({ SUPABASE_SERVICE_ROLE_KEY: 'service' }).store).toBe('database');
+    expect(() => getRateLimitConfig({ EARTHPH_STORAGE: 'sqlite', EARTHPH_RATE_LIMIT_STORE: 'database' }))
+      .toThrow(expect.objectContaining({ code: 'CONFIGURATION' }));
+    expect(() => getRateLimitConfig({ EARTHPH_STORAGE: 'memory', EARTHPH_RATE_LIMIT_KEY_PER_MINUTE: '0' }))
+      .toThrow('EARTHPH_RATE_LIMIT_KEY_PER_MINUTE must be an integer of at least 1');
+  });
+});
+
+describe('getClientIp', () => {
+  const spoofed = { 'x-forwarded-for': '198.51.100.1, 203.0.113.9' };
+
+  it('should trust only the Vercel edge headers on Vercel', () => {
+    const req = request('10.0.0.1', { ...spoofed, 'x-vercel-forwarded-for': '203.0.113.9', 'x-real-ip': '203.0.113.9' });
+
+    expect(getClientIp(req, { onVercel: true })).toBe('203.0.113.9');
+  });
+
+  it('should read X-Forwarded-For from the right, one hop per trusted proxy', () => {
+    expect(getClientIp(request('10.0.0.1', spoofed), { trustedProxies: 1 })).toBe('203.0.113.9');
+    expect(getClientIp(request('::ffff:10.0.0.1', spoofed), { trustedProxies: 0 })).toBe('10.0.0.1');
+  });
+});
+
+describe('identifyClient', () => {
+  const config = getRateLimitConfig(env);
+
+  it('should key authenticated API keys by id and everything else by IP', () => {
+    expect(identifyClient(request('10.0.0.1'), config, partnerKey)).toEqual({ key: 'key:partner', tier: 'key' });
+    expect(identifyClient(request('10.0.0.1', { 'x-api-key': 'guess' }), config)).toEqual({ key: 'ip:10.0.0.1', tier: 'anonymous' });
+  });
+
+  it('should share one bucket across an IPv6 /64', () => {
+    const a = identifyClient(request('2001:db8:1:2::a'), config);
+    const b = identifyClient(request('2001:db8:1:2:ffff::1'), config);
+
+    expect(a.key).toBe('ip:2001:db8:1:2::/64');
+    expect(b.key).toBe(a.key);
+  });
+});
+
+describe('takeToken', () => {
+  const tier = { capacity: 2, refillPerSecond: 1 };
+
+  it('should start full, drain and refill with time up to the capacity', () => {
+    let state = takeToken(undefined, tier, 0);
+    expect(state).toEqual({ allowed: true, bucket: { tokens: 1, updatedAt: 0 } });
+    state = takeToken(state.bucket, tier, 0);
+    state = takeToken(state.bucket, tier, 500);
+    expect(state.allowed).toBe(false);
+    expect(state.bucket.tokens).toBeCloseTo(0.5);
+    expect(takeToken(state.bucket, tier, 60000).bucket.tokens).toBe(1);
+  });
+});
+
+describe('createMemoryStore', () => {
+  it('should evict the least recently used buckets', async () => {
+    const store = createMemoryStore({ maxBuckets: 2 });
+    const tier = { capacity: 1, refillPerSecond: 1 / 60 };
+
+    await store.take('a', tier, 0);
+    await store.take('b', tier, 0);
+    await store.take('a', tier, 0);
+    await store.take('c', tier, 0);
+
+    expect(store.size).toBe(2);
+    // "a" is still empty; "b" was evicted, so it starts full again
+    expect((await store.take('a', tier, 0)).allowed).toBe(false);
+    expect((await store.take('b', tier, 0)).allowed).toBe(true);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('should limit each tier separately and say when to retry', async () => {
+    const clock = () => 0;
+    const limiter = createRateLimiter({ config: getRateLimitConfig(env), clock });
+    const anonymous = request('203.0.113.9');
+
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await limiter.check(anonymous));
+    const keyed = await limiter.check(anonymous, { apiKey: partnerKey });
+    const ownRate = await limiter.check(anonymous, { apiKey: { id: 'bulk', ratePerMinute: 5000 } });
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    expect(results[3]).toMatchObject({ tier: 'anonymous', limit: 3, remaining: 0, retryAfter: 20, reset: 60, windowSeconds: 60 });
+    expect(keyed).toMatchObject({ allowed: true, tier: 'key', limit: 1000, remaining: 999 });
+    expect(ownRate).toMatchObject({ allowed: true, tier: 'key', limit: 5000 });
+  });
+
+  it('should fall back to memory when the database store fails', async () => {
+    const supabase = { rpc: jest.fn().mockResolvedValue({ data: null, error: { message: 'timeout' } }) };
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const limiter = createRateLimiter({ config: getRateLimitConfig(env), store: createDatabaseStore(supabase) });
+
+    const result = await limiter.check(request('203.0.113.9'));
+
+    expect(supabase.rpc).toHaveBeenCalledWith('take_rate_limit_token', expect.objectContaining({ p_key: 'ip:203.0.113.9', p_capacity: 3 }));
+    expect(result).toMatchObject({ allowed: true, remaining: 2 });
+    spy.mockRestore();
+  });
+});
+
+describe('setRateLimitHeaders', () => {
+  it('should set the RateLimit fields and Retry-After only when limited', () => {
+    const headers = {};
+    const res = { setHeader: (name, value) => { headers[name] = value; } };
+
+    setRateLimitHeaders(res, { allowed: false, limit: 100, remaining: 0, reset: 60, retryAfter: 1, windowSeconds: 60 });
+
+    expect(headers).toEqual({
+      'RateLimit-Limit': '100',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '60',
+      'RateLimit-Policy': '100;w=60',
+      'Retry-After': '1'
+    });
+  });
+});
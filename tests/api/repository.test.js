@@ -0,0 +1,175 @@
+/**
+ * Jest Tests for the event repository backends
+ */
+
+import {
+  getStorageConfig,
+  createEventRepository,
+  createMemoryRepository,
+  createSqliteRepository,
+  createSupabaseRepository
+} from '../../api/_lib/repository';
+import { storeEvents } from '../../api/_lib/store-events';
+import { runRetention } from '../../api/_lib/retention';
+import { event } from '../helpers/events';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BACKENDS = [
+  ['memory', () => createMemoryRepository()],
+  ['sqlite', () => createSqliteRepository({ path: ':memory:' })]
+];
+
+describe.each(BACKENDS)('%s repository', (name, create) => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = create();
+    await repository.upsertEvents([
+      event('a', '2025-11-01T02:00:00.000Z'),
+      event('b', '2025-11-01T03:00:00.000Z', { region_code: 'CAR', island_group: 'luzon', province: 'Benguet' }),
+      event('c', '2025-11-01T04:00:00.000Z', { origins: { phivolcs: { magnitude: 4.2 } } })
+    ]);
+  });
+
+  it('should query a time window newest first with equality filters', async () => {
+    const rows = await repository.queryEvents({ from: '2025-11-01T02:30:00.000Z', filters: { region_code: '1100000000' } });
+
+    expect(rows.map(row => row.id)).toEqual(['c']);
+    expect(rows[0].sources).toEqual(['phivolcs']);
+    expect(rows[0].origins).toEqual({ phivolcs: { magnitude: 4.2 } });
+  });
+
+  it('should page with limit and offset in either order', async () => {
+    const rows = await repository.queryEvents({ order: 'asc', limit: 2, offset: 1 });
+
+    expect(rows.map(row => row.id)).toEqual(['b', 'c']);
+  });
+
+  it('should break ties by id so pages neither repeat nor skip rows', async () => {
+    await repository.upsertEvents([
+      event('e', '2025-11-01T04:00:00.000Z'),
+      event('d', '2025-11-01T04:00:00.000Z')
+    ]);
+
+    const first = await repository.queryEvents({ limit: 2 });
+    const second = await repository.queryEvents({ limit: 2, offset: 2 });
+
+    expect([...first, ...second].map(row => row.id)).toEqual(['c', 'd', 'e', 'b']);
+  });
+
+  it('should bound numeric columns and order by magnitude with missing values last', async () => {
+    await repository.upsertEvents([event('d', '2025-11-01T05:00:00.000Z', { magnitude: null })]);
+    await repository.upsertEvents([event('b', '2025-11-01T03:00:00.000Z', { magnitude: 5.0 })]);
+
+    const bounded = await repository.queryEvents({ ranges: { magnitude: { min: 4.5, max: null } } });
+    const ordered = await repository.queryEvents({ orderBy: 'magnitude', order: 'desc' });
+
+    expect(bounded.map(row => row.id)).toEqual(['b']);
+    expect(ordered.map(row => row.id)).toEqual(['b', 'c', 'a', 'd']);
+  });
+
+  it('should select rows updated at or after a time', async () => {
+    await repository.upsertEvents([event('b', '2025-11-01T03:00:00.000Z', { magnitude: 4.8, updated_at: '2025-11-02T00:00:00.000Z' })]);
+
+    const rows = await repository.queryEvents({ updatedSince: '2025-11-02T00:00:00.000Z' });
+
+    expect(rows.map(row => row.id)).toEqual(['b']);
+  });
+
+  it('should update in place and keep created_at', async () => {
+    const before = await repository.getEventById('a');
+    await repository.upsertEvents([event('a', '2025-11-01T02:00:00.000Z', { magnitude: 4.6 })]);
+    const after = await repository.getEventById('a');
+
+    expect(after.magnitude).toBe(4.6);
+    expect(after.created_at).toBe(before.created_at);
+    expect(await repository.getEventById('missing')).toBeNull();
+  });
+
+  it('should return revisions for the requested events oldest first', async () => {
+    await repository.insertRevisions([
+      { event_id: 'a', field: 'magnitude', previous_value: 4.4, new_value: 4.6, source: 'phivolcs', revised_at: '2025-11-01T05:00:00.000Z' },
+      { event_id: 'a', field: 'magnitude', previous_value: 4.2, new_value: 4.4, source: 'phivolcs', revised_at: '2025-11-01T04:00:00.000Z' },
+      { event_id: 'b', field: 'depth_km', previous_value: 10, new_value: 12, source: 'phivolcs', revised_at: '2025-11-01T04:00:00.000Z' }
+    ]);
+
+    const revisions = await repository.getRevisions(['a']);
+
+    expect(revisions.map(revision => revision.new_value)).toEqual([4.4, 4.6]);
+  });
+
+  it('should compact and delete events older than a cutoff', async () => {
+    await repository.insertRevisions([
+      { event_id: 'a', field: 'magnitude', previous_value: 4.2, new_value: 4.4, source: 'phivolcs', revised_at: '2025-11-01T04:00:00.000Z' }
+    ]);
+
+    expect(await repository.countEvents({ before: '2025-11-01T03:30:00.000Z', detailLevel: 'full' })).toBe(2);
+
+    const compacted = await repository.compactEventsBefore('2025-11-01T03:30:00.000Z');
+    expect(compacted.sort()).toEqual(['a', 'b']);
+    expect((await repository.getEventById('a')).origins).toBeNull();
+    expect(await repository.deleteRevisions(compacted)).toBe(1);
+
+    expect(await repository.deleteEventsBefore('2025-11-01T02:30:00.000Z')).toBe(1);
+    expect((await repository.queryEvents()).map(row => row.id)).toEqual(['c', 'b']);
+  });
+});
+
+describe('storeEvents and runRetention on a repository', () => {
+  it('should write once, skip unchanged re-runs and compact old events', async () => {
+    const repository = createMemoryRepository();
+    const now = Date.now();
+    const old = event('old', new Date(now - 40 * DAY_MS).toISOString());
+    const windowStart = new Date(now - 41 * DAY_MS);
+
+    const first = await storeEvents(repository, [old], { windowStart, correlationId: 'test' });
+    const second = await storeEvents(repository, [old], { windowStart, correlationId: 'test' });
+    const retention = await runRetention(repository, { config: { fullDetailDays: 30, archiveDays: 0 }, now });
+
+    expect(first.upserted).toBe(1);
+    expect(second).toMatchObject({ upserted: 0, unchanged: 1 });
+    expect(retention.compacted).toBe(1);
+    expect((await repository.getEventById('old')).detail_level).toBe('summary');
+  });
+});
+
+describe('supabase repository', () => {
+  it('should order pages by id last so ties do not shift between ranges', async () => {
+    const calls = [];
+    const query = {
+      select: () => query,
+      order: (column, options) => { calls.push(['order', column, options]); return query; },
+      range: (from, to) => { calls.push(['range', from, to]); return Promise.resolve({ data: [], error: null }); }
+    };
+    const repository = createSupabaseRepository({ client: { from: () => query } });
+
+    await repository.queryEvents({ orderBy: 'magnitude', limit: 10 });
+
+    expect(calls).toEqual([
+      ['order', 'magnitude', { ascending: false, nullsFirst: false }],
+      ['order', 'occurred_at', { ascending: false }],
+      ['order', 'id', { ascending: true }],
+      ['range', 0, 9]
+    ]);
+  });
+});
+
+describe('createEventRepository', () => {
+  it('should default to Supabase and reject unknown backends', () => {
+    expect(getStorageConfig({}).backend).toBe('supabase');
+    expect(() => getStorageConfig({ EARTHPH_STORAGE: 'mysql' })).toThrow('Invalid EARTHPH_STORAGE');
+  });
+
+  it('should raise a configuration error when Supabase credentials are missing', () => {
+    expect(() => createEventRepository({ access: 'write', env: { SUPABASE_URL: 'https://example.supabase.co' } }))
+      .toThrow(expect.objectContaining({ code: 'CONFIGURATION' }));
+  });
+
+  it('should share one in-memory store across handlers', () => {
+    const env = { EARTHPH_STORAGE: 'memory' };
+
+    expect(createEventRepository({ env })).toBe(createEventRepository({ access: 'write', env }));
+    expect(createEventRepository({ env }).client).toBeNull();
+  });
+});
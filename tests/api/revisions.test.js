@@ -0,0 +1,113 @@
+/**
+ * Jest Tests for event identity and revision tracking
+ */
+
+import { reconcileEvents, describeRevision } from '../../api/_lib/revisions';
+
+const NOW = '2025-11-01T03:00:00.000Z';
+
+const stored = {
+  id: '2025-11-01T02-15-00-000Z_705_12660',
+  occurred_at: '2025-11-01T02:15:00+00:00',
+  latitude: 7.05,
+  longitude: 126.6,
+  depth_km: 10,
+  magnitude: 4.2,
+  location_text: '023 km N 45° W of Tarragona (Davao Oriental)',
+  sources: ['phivolcs'],
+  origins: { phivolcs: { source_event_id: null } },
+  updated_at: '2025-11-01T02:20:00.000Z',
+  revision_count: 0
+};
+
+const incoming = (overrides = {}) => ({
+  id: '2025-11-01T02-15-00-000Z_712_12648',
+  occurred_at: '2025-11-01T02:15:00.000Z',
+  latitude: 7.12,
+  longitude: 126.48,
+  depth_km: 10,
+  magnitude: 4.6,
+  location_text: '023 km N 45° W of Tarragona (Davao Oriental)',
+  sources: ['phivolcs'],
+  origins: { phivolcs: { source_event_id: null } },
+  ...overrides
+});
+
+describe('reconcileEvents()', () => {
+  it('should keep the stored id when the epicenter moves', () => {
+    const { events, revisions } = reconcileEvents([incoming()], [stored], { correlationId: 'scrape-1', now: NOW });
+
+    expect(events).toHaveLength(1);
+    expect(events[0].id).toBe(stored.id);
+    expect(events[0].updated_at).toBe(NOW);
+    expect(events[0].revision_count).toBe(1);
+    expect(revisions.map(r => r.field)).toEqual(['latitude', 'longitude', 'magnitude']);
+    expect(revisions[2]).toEqual(expect.objectContaining({
+      event_id: stored.id,
+      previous_value: 4.2,
+      new_value: 4.6,
+      source: 'phivolcs',
+      correlation_id: 'scrape-1',
+      revised_at: NOW
+    }));
+  });
+
+  it('should not record revisions for an unchanged event', () => {
+    const { events, revisions } = reconcileEvents(
+      [incoming({ latitude: 7.05, longitude: 126.6, magnitude: 4.2 })],
+      [stored],
+      { now: NOW }
+    );
+
+    expect(revisions).toEqual([]);
+    expect(events[0].updated_at).toBe(stored.updated_at);
+    expect(events[0].revision_count).toBe(0);
+  });
+
+  it('should stamp a row rewritten with new origins but no revised fields', () => {
+    const { events, revisions } = reconcileEvents(
+      [incoming({ latitude: 7.05, longitude: 126.6, magnitude: 4.2, sources: ['phivolcs', 'usgs'], origins: { ...stored.origins, usgs: { source_event_id: 'us7000abcd' } } })],
+      [stored],
+      { now: NOW }
+    );
+
+    expect(revisions).toEqual([]);
+    expect(events[0].updated_at).toBe(NOW);
+    expect(events[0].revision_count).toBe(0);
+  });
+
+  it('should match on agency event ids before distance', () => {
+    const usgsStored = { ...stored, id: 'usgs-first', origins: { usgs: { source_event_id: 'us7000abcd' } } };
+    const { events } = reconcileEvents(
+      [incoming({ latitude: 8.5, origins: { usgs: { source_event_id: 'us7000abcd' } } })],
+      [stored, usgsStored],
+      { now: NOW }
+    );
+
+    expect(events[0].id).toBe('usgs-first');
+  });
+
+  it('should keep new events under their own id', () => {
+    const { events, revisions } = reconcileEvents(
+      [incoming({ occurred_at: '2025-11-01T02:45:00.000Z' })],
+      [stored],
+      { now: NOW }
+    );
+
+    expect(events[0].id).toBe('2025-11-01T02-15-00-000Z_712_12648');
+    expect(events[0].revision_count).toBe(0);
+    expect(revisions).toEqual([]);
+  });
+});
+
+describe('describeRevision()', () => {
+  it('should describe a magnitude revision', () => {
+    expect(describeRevision({ field: 'magnitude', previous_value: 4.2, new_value: 4.6 }))
+      .toBe('Magnitude revised from M4.2 to M4.6');
+  });
+
+  it('should describe a depth revision', () => {
+    expect(describeRevision({ field: 'depth_km', previous_value: 10, new_value: 24 }))
+      .toBe('Depth revised from 10 km to 24 km');
+  });
+});
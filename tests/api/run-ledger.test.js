@@ -0,0 +1,76 @@
+/**
+ * Jest Tests for the scrape run ledger
+ */
+
+import { RUN_STATUS, getRunSummary, finishRun } from '../../api/_lib/run-ledger';
+
+function fakeSupabase({ rows = [], error = null } = {}) {
+  const calls = [];
+  const query = {
+    select: () => query,
+    eq: () => query,
+    neq: () => query,
+    order: () => query,
+    limit: () => Promise.resolve({ data: rows, error }),
+    upsert: (row, options) => {
+      calls.push({ row, options });
+      return Promise.resolve({ error });
+    }
+  };
+  return { calls, from: () => query };
+}
+
+describe('getRunSummary', () => {
+  it('should count failures since the last successful run', async () => {
+    const supabase = fakeSupabase({
+      rows: [
+        { correlation_id: 'c', status: RUN_STATUS.FAILED, started_at: '2025-11-01T03:10:00Z' },
+        { correlation_id: 'b', status: RUN_STATUS.SCHEMA_CHANGED, started_at: '2025-11-01T03:05:00Z' },
+        { correlation_id: 'a', status: RUN_STATUS.SUCCESS, started_at: '2025-11-01T03:00:00Z' }
+      ]
+    });
+
+    const summary = await getRunSummary(supabase);
+
+    expect(summary.lastRun.correlation_id).toBe('c');
+    expect(summary.lastSuccess.correlation_id).toBe('a');
+    expect(summary.consecutiveFailures).toBe(2);
+  });
+
+  it('should report no success when the ledger is empty', async () => {
+    const summary = await getRunSummary(fakeSupabase());
+
+    expect(summary).toEqual({ lastRun: null, lastSuccess: null, consecutiveFailures: 0 });
+  });
+});
+
+describe('finishRun', () => {
+  it('should upsert the run keyed by correlation id with row counts', async () => {
+    const supabase = fakeSupabase();
+    const run = { correlationId: 'scrape-1', job: 'scrape', startedAt: new Date(Date.now() - 1000) };
+
+    await finishRun(supabase, run, { status: RUN_STATUS.SUCCESS, counts: { seen: 12, parsed: 10, rejected: 2, upserted: 9 } });
+
+    const [{ row, options }] = supabase.calls;
+    expect(options).toEqual({ onConflict: 'correlation_id' });
+    expect(row).toMatchObject({
+      correlation_id: 'scrape-1',
+      status: 'success',
+      rows_seen: 12,
+      rows_parsed: 10,
+      rows_rejected: 2,
+      rows_upserted: 9,
+      rows_deleted: 0
+    });
+    expect(row.duration_ms).toBeGreaterThanOrEqual(1000);
+  });
+
+  it('should not throw when the ledger write fails', async () => {
+    const supabase = fakeSupabase({ error: { message: 'relation does not exist' } });
+    const run = { correlationId: 'scrape-2', job: 'scrape', startedAt: new Date() };
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(finishRun(supabase, run, { status: RUN_STATUS.FAILED })).resolves.toBe(false);
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Jest Tests for schema drift page samples
+ */
+
+import { recordSchemaDrift, pruneSchemaSamples } from '../../api/_lib/schema-drift';
+
+function fakeSupabase({ latest = [], older = [] } = {}) {
+  const calls = [];
+  const query = {
+    select: () => query,
+    eq: () => query,
+    order: () => query,
+    limit: () => Promise.resolve({ data: latest, error: null }),
+    range: (from, to) => {
+      calls.push({ range: [from, to] });
+      return Promise.resolve({ data: older, error: null });
+    },
+    insert: (record) => {
+      calls.push({ insert: record });
+      return { select: () => ({ single: () => Promise.resolve({ data: { id: 42 }, error: null }) }) };
+    },
+    delete: () => ({
+      in: (column, ids) => {
+        calls.push({ delete: ids });
+        return Promise.resolve({ error: null });
+      }
+    })
+  };
+  return { calls, from: () => query };
+}
+
+const drift = { code: 'SCHEMA_CHANGED', reason: 'headers_not_found', message: 'PHIVOLCS event table not found', details: {}, sample: '<html>changed</html>' };
+
+describe('recordSchemaDrift', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store a new page with its hash and prune older samples of the source', async () => {
+    const supabase = fakeSupabase({ latest: [{ id: 7, content_hash: 'other' }], older: [{ id: 1 }, { id: 2 }] });
+
+    const [summary] = await recordSchemaDrift(supabase, { phivolcs: drift }, 'scrape-1');
+
+    expect(summary).toMatchObject({ source: 'phivolcs', reason: 'headers_not_found', sampleId: 42 });
+    expect(supabase.calls[0].insert).toMatchObject({ source: 'phivolcs', body: '<html>changed</html>', correlation_id: 'scrape-1' });
+    expect(supabase.calls[0].insert.content_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(supabase.calls.slice(1)).toEqual([{ range: [10, 1009] }, { delete: [1, 2] }]);
+  });
+
+  it('should point at the stored sample when the page has not changed', async () => {
+    const first = fakeSupabase();
+    await recordSchemaDrift(first, { phivolcs: drift }, 'scrape-1');
+    const supabase = fakeSupabase({ latest: [{ id: 7, content_hash: first.calls[0].insert.content_hash }] });
+
+    const [summary] = await recordSchemaDrift(supabase, { phivolcs: drift }, 'scrape-2');
+
+    expect(summary.sampleId).toBe(7);
+    expect(supabase.calls).toEqual([]);
+  });
+});
+
+describe('pruneSchemaSamples', () => {
+  it('should count without deleting on a dry run and skip without Supabase', async () => {
+    const supabase = fakeSupabase({ older: [{ id: 1 }] });
+
+    expect(await pruneSchemaSamples(supabase, { sources: ['phivolcs', 'usgs'], dryRun: true })).toBe(2);
+    expect(supabase.calls.filter(call => call.delete)).toEqual([]);
+    expect(await pruneSchemaSamples(null)).toBe(0);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Jest Tests for the scrape lease lock
+ */
+
+import { acquireLock, releaseLock, getLockConfig, LOCK_DEFAULTS } from '../../api/_lib/scrape-lock';
+
+const now = new Date('2025-11-01T03:00:00.000Z');
+
+function fakeSupabase(row, error = null) {
+  const calls = [];
+  return {
+    calls,
+    rpc: (name, params) => {
+      calls.push({ name, params });
+      return Promise.resolve({ data: error ? null : [row], error });
+    }
+  };
+}
+
+describe('acquireLock', () => {
+  it('should take the lease with the configured ttl and interval', async () => {
+    const supabase = fakeSupabase({ acquired: true, holder: 'scrape-1', expires_at: '2025-11-01T03:01:00.000Z', released_at: null, next_allowed_at: '2025-11-01T03:04:00.000Z' });
+
+    const lock = await acquireLock(supabase, { holder: 'scrape-1', now });
+
+    expect(lock).toMatchObject({ acquired: true, reason: null, name: 'scrape' });
+    expect(supabase.calls[0]).toEqual({
+      name: 'acquire_scrape_lock',
+      params: { p_name: 'scrape', p_holder: 'scrape-1', p_ttl_seconds: 60, p_min_interval_seconds: 240 }
+    });
+  });
+
+  it('should report a running scrape as locked', async () => {
+    const supabase = fakeSupabase({ acquired: false, holder: 'scrape-0', expires_at: '2025-11-01T03:00:30.000Z', released_at: null, next_allowed_at: '2025-11-01T03:02:00.000Z' });
+
+    const lock = await acquireLock(supabase, { holder: 'scrape-1', now });
+
+    expect(lock).toMatchObject({ acquired: false, reason: 'locked', holder: 'scrape-0', nextAllowedAt: '2025-11-01T03:02:00.000Z' });
+  });
+
+  it('should report a finished scrape inside the interval as too soon', async () => {
+    const supabase = fakeSupabase({ acquired: false, holder: 'scrape-0', expires_at: '2025-11-01T03:00:30.000Z', released_at: '2025-11-01T02:59:50.000Z', next_allowed_at: '2025-11-01T03:02:00.000Z' });
+
+    const lock = await acquireLock(supabase, { holder: 'scrape-1', now });
+
+    expect(lock.reason).toBe('too_soon');
+  });
+
+  it('should fail closed when the lock cannot be read', async () => {
+    const supabase = fakeSupabase(null, { message: 'function acquire_scrape_lock does not exist' });
+
+    await expect(acquireLock(supabase, { holder: 'scrape-1', now })).rejects.toThrow('Scrape lock unavailable');
+  });
+});
+
+describe('acquireLock without Supabase', () => {
+  const config = { ...LOCK_DEFAULTS, name: 'local-scrape' };
+  const at = seconds => new Date(now.getTime() + seconds * 1000);
+
+  it('should hold the lease in memory and enforce the minimum interval', async () => {
+    const first = await acquireLock(null, { holder: 'scrape-1', config, now });
+    const running = await acquireLock(null, { holder: 'scrape-2', config, now: at(10) });
+    await releaseLock(null, first, 'scrape-1');
+    const early = await acquireLock(null, { holder: 'scrape-3', config, now: at(120) });
+    const later = await acquireLock(null, { holder: 'scrape-4', config, now: at(240) });
+
+    expect(first).toMatchObject({ acquired: true, reason: null, nextAllowedAt: '2025-11-01T03:04:00.000Z' });
+    expect(running).toMatchObject({ acquired: false, reason: 'locked', holder: 'scrape-1' });
+    expect(early).toMatchObject({ acquired: false, reason: 'too_soon', nextAllowedAt: '2025-11-01T03:04:00.000Z' });
+    expect(later).toMatchObject({ acquired: true, holder: 'scrape-4' });
+  });
+});
+
+describe('getLockConfig', () => {
+  it('should read the minimum interval from the environment', () => {
+    expect(getLockConfig({})).toEqual(LOCK_DEFAULTS);
+    expect(getLockConfig({ EARTHPH_SCRAPE_MIN_INTERVAL_SECONDS: '60' }).minIntervalSeconds).toBe(60);
+    expect(() => getLockConfig({ EARTHPH_SCRAPE_MIN_INTERVAL_SECONDS: 'soon' })).toThrow('EARTHPH_SCRAPE_MIN_INTERVAL_SECONDS');
+  });
+});
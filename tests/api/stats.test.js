@@ -0,0 +1,93 @@
+/**
+ * Jest Tests for seismicity statistics
+ */
+
+import { parseStatsQuery, getStats, fitGutenbergRichter, MIN_FIT_EVENTS } from '../../api/_lib/stats';
+import { createMemoryRepository } from '../../api/_lib/repository';
+import { event } from '../helpers/events';
+
+const config = { defaultViewHours: 24 };
+const now = Date.parse('2025-11-08T00:00:00.000Z');
+
+// Magnitudes from M1.95 (the edge of the 2.0 bin) following Gutenberg-Richter with b = 1
+function gutenbergRichterSample(count, b = 1) {
+  return Array.from({ length: count }, (_, i) => 1.95 - Math.log10(1 - (i + 0.5) / count) / b);
+}
+
+function errorsFor(query) {
+  try {
+    parseStatsQuery(query, { config, now });
+  } catch (error) {
+    return error.errors;
+  }
+  throw new Error('Expected the query to be rejected');
+}
+
+describe('parseStatsQuery', () => {
+  it('should bucket short windows by hour and long ones by day', () => {
+    expect(parseStatsQuery({}, { config, now }).interval).toBe('hour');
+    expect(parseStatsQuery({ starttime: '2025-10-01' }, { config, now }).interval).toBe('day');
+    expect(parseStatsQuery({ starttime: '2025-10-01', interval: 'HOUR' }, { config, now }).interval).toBe('hour');
+  });
+
+  it('should reject parameters that do not apply and too many buckets', () => {
+    expect(errorsFor({ limit: '10', interval: 'week' }).map(error => error.parameter).sort()).toEqual(['interval', 'limit']);
+    expect(errorsFor({ starttime: '2024-01-01', interval: 'hour' })[0]).toMatchObject({ parameter: 'interval' });
+  });
+});
+
+describe('getStats', () => {
+  const repository = createMemoryRepository({
+    events: [
+      event('davao-m6', '2025-11-07T01:30:00.000Z', { magnitude: 6.2, depth_km: 25 }),
+      event('davao-m4', '2025-11-07T01:45:00.000Z', { magnitude: 4.1 }),
+      event('bukidnon-deep', '2025-11-07T03:10:00.000Z', { magnitude: 3.5, depth_km: 520, region_code: '1000000000' }),
+      event('offshore', '2025-11-07T15:50:00.000Z', { magnitude: 5.0, depth_km: 120, region_code: null, island_group: null }),
+      event('unmeasured', '2025-11-07T16:05:00.000Z', { magnitude: null, depth_km: null }),
+      event('last-week', '2025-10-30T00:00:00.000Z', { magnitude: 7.1 })
+    ]
+  });
+
+  it('should count events by magnitude band, depth class and region', async () => {
+    const stats = await getStats(repository, parseStatsQuery({}, { config, now }), { now });
+    const counts = list => Object.fromEntries(list.map(item => [item.id, item.count]));
+
+    expect(stats.count).toBe(5);
+    expect(counts(stats.magnitudeBands)).toEqual({ major: 0, strong: 1, moderate: 1, light: 1, minor: 2 });
+    expect(counts(stats.depthClasses)).toEqual({ shallow: 2, intermediate: 1, deep: 1, unknown: 1 });
+    expect(stats.regions[0]).toEqual({ regionCode: '1100000000', name: 'Davao Region', islandGroup: 'mindanao', count: 3 });
+    expect(stats.regions.find(region => region.regionCode === null).count).toBe(1);
+    expect(stats.islandGroups).toEqual({ luzon: 0, visayas: 0, mindanao: 4, unknown: 1 });
+    expect(stats.largest).toMatchObject({ id: 'davao-m6', magnitude: 6.2 });
+  });
+
+  it('should fill a Manila-time timeline and total the energy released', async () => {
+    const stats = await getStats(repository, parseStatsQuery({ starttime: '2025-11-06T16:00:00Z', interval: 'day' }, { config, now }), { now });
+
+    // 2025-11-07 00:00 +08:00 to 2025-11-08 00:00 +08:00
+    expect(stats.timeline.buckets).toEqual([
+      { start: '2025-11-06T16:00:00.000Z', count: 4, maxMagnitude: 6.2 },
+      { start: '2025-11-07T16:00:00.000Z', count: 1, maxMagnitude: null }
+    ]);
+    const joules = [6.2, 4.1, 3.5, 5.0].reduce((sum, magnitude) => sum + 10 ** (1.5 * magnitude + 4.8), 0);
+    expect(stats.energy.joules / joules).toBeCloseTo(1, 9);
+    expect(stats.query).toMatchObject({ starttime: '2025-11-06T16:00:00.000Z', interval: 'day' });
+    expect(stats.query.limit).toBeUndefined();
+  });
+});
+
+describe('fitGutenbergRichter', () => {
+  it('should recover b near 1 above the magnitude of completeness', () => {
+    const fit = fitGutenbergRichter(gutenbergRichterSample(1000));
+
+    expect(fit.mc).toBe(2.2);
+    expect(fit.b).toBeGreaterThan(0.9);
+    expect(fit.b).toBeLessThan(1.1);
+    expect(fit.a).toBeCloseTo(Math.log10(fit.eventCount) + fit.b * fit.mc, 3);
+    expect(fit.bUncertainty).toBeGreaterThan(0);
+  });
+
+  it('should return null for too few events', () => {
+    expect(fitGutenbergRichter(gutenbergRichterSample(MIN_FIT_EVENTS - 1))).toBeNull();
+  });
+});
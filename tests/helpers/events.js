@@ -0,0 +1,31 @@
+/**
+ * Event fixtures shared by the API tests
+ */
+
+/**
+ * A stored event row near Tarragona, Davao Oriental
+ *
+ * @param {string} id
+ * @param {string} occurredAt - ISO timestamp, also used as created_at and updated_at
+ * @param {Object} [overrides] - Columns to replace
+ */
+export function event(id, occurredAt, overrides = {}) {
+  return {
+    id,
+    occurred_at: occurredAt,
+    latitude: 7.05,
+    longitude: 126.6,
+    depth_km: 10,
+    magnitude: 4.2,
+    location_text: '023 km N 45° W of Tarragona (Davao Oriental)',
+    region_code: '1100000000',
+    island_group: 'mindanao',
+    province: 'Davao Oriental',
+    sources: ['phivolcs'],
+    origins: null,
+    created_at: occurredAt,
+    updated_at: occurredAt,
+    revision_count: 0,
+    ...overrides
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * HTTP doubles shared by the API tests
+ */
+
+/**
+ * A minimal Vercel response that records the status, headers and body
+ */
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    removeHeader(name) { delete this.headers[name.toLowerCase()]; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Jest Tests for the client region filter list
+ */
+
+import { REGION_FILTERS, normalizeRegion } from '../../src/utils/regions';
+import { REGIONS, ISLAND_GROUPS, resolveRegionFilter } from '../../api/_lib/gazetteer';
+
+describe('normalizeRegion', () => {
+  it('should accept island groups, region keys, aliases and PSGC codes', () => {
+    expect(normalizeRegion('Mindanao')).toBe('mindanao');
+    expect(normalizeRegion(' Metro Manila ')).toBe('metro-manila');
+    expect(normalizeRegion('western_visayas')).toBe('western-visayas');
+    expect(normalizeRegion('1100000000')).toBe('1100000000');
+  });
+
+  it('should drop values the events API would reject', () => {
+    expect(normalizeRegion('atlantis')).toBeNull();
+    expect(normalizeRegion('')).toBeNull();
+    expect(normalizeRegion(null)).toBeNull();
+  });
+
+  it('should list the same regions as the server gazetteer', () => {
+    const serverValues = [...ISLAND_GROUPS, ...Object.keys(REGIONS), ...Object.values(REGIONS).map(region => region.key)];
+
+    serverValues.forEach(value => expect(REGION_FILTERS.has(value)).toBe(true));
+    REGION_FILTERS.forEach(value => expect(resolveRegionFilter(value)).not.toBeNull());
+  });
+});